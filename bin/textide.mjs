@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+/*
+ * Command line client for textide.
+ *
+ *   cat build.log | textide                 create a snippet from stdin and print its link
+ *   textide src/a.js src/b.py               create one from files (several make a bundle)
+ *   textide get <id> > file                 print a snippet's text (burn-after-reading ones only once)
+ *   textide update <id> [file...]           replace a snippet's text with stdin or files
+ *   textide like <id> / textide delete <id>
+ *   textide config [url|token] [value]      show or change the settings
+ *
+ * Settings live in ~/.textiderc (TEXTIDE_CONFIG points elsewhere), and TEXTIDE_URL and
+ * TEXTIDE_TOKEN override them, e.g. to try a local instance. The token is either a personal
+ * access token (txt_..., from the /tokens page) or, until one is set, the visitor id the
+ * server gave this CLI. Either way it owns the snippets created here, so keep it private.
+ *
+ * Snippets are created and changed through the versioned API under /api/v1.
+ */
+import { parseArgs } from 'node:util';
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+import { homedir } from 'node:os';
+
+const CONFIG_FILE = process.env.TEXTIDE_CONFIG || join(homedir(), '.textiderc');
+const DEFAULT_URL = 'http://localhost:3000';
+const VISITOR_COOKIE = 'textide_vid';
+const ACCESS_TOKEN_PREFIX = 'txt_';
+const CONFIG_KEYS = ['url', 'token'];
+
+const USAGE = `Usage:
+  textide [create] [file...] [options]   Create a snippet from stdin or files and print its link
+  textide get <id> [--file <name>]       Print a snippet's text (one file of a bundle with --file);
+                                         a burn-after-reading snippet is deleted once printed
+  textide update <id> [file...]          Replace a snippet's text with stdin or files
+  textide like <id>                      Like a snippet, or take the like back
+  textide delete <id>                    Delete a snippet (it can be restored for a while on its page)
+  textide config [key] [value]           Show the settings, or set url or token
+                                         (a personal access token from <url>/tokens)
+
+Options for create:
+  -e, --editable              Let anyone with the link edit it
+  -x, --expires <when>        10m, 1h, 1d, 1w, 30d (default) or never
+  -l, --language <language>   A language such as python, or auto (default)
+  -v, --visibility <who>      public, unlisted (default) or private
+  -b, --burn                  Delete it once it has been read
+
+Ids can also be given as links, e.g. https://host/share/<id>.
+Settings are read from ${CONFIG_FILE}; TEXTIDE_URL and TEXTIDE_TOKEN override them.`;
+
+// Errors meant for the user: printed without a stack trace. `status` is the HTTP status
+// of a failed request, if that's what it was.
+class CliError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'CliError';
+    this.status = status;
+  }
+}
+
+async function loadConfig() {
+  try {
+    return JSON.parse(await readFile(CONFIG_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new CliError(`Could not read ${CONFIG_FILE}: ${error.message}`);
+  }
+}
+
+// The token is as good as a password, so the file is only readable by its owner
+async function saveConfig(config) {
+  await writeFile(CONFIG_FILE, `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 });
+}
+
+// Helper to accept share, raw, download and embed links wherever an id is expected
+function parseId(value) {
+  if (!value) throw new CliError('An id is required');
+  const match = /\/(?:share|raw|download|embed)\/([^/?#]+)/.exec(value);
+  return match ? decodeURIComponent(match[1]) : value;
+}
+
+async function readStdin() {
+  if (process.stdin.isTTY) {
+    throw new CliError('Nothing to read: pipe text in or name a file');
+  }
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Helper to build the body for a text: one file or stdin is a text, several files are a bundle
+async function readContent(paths) {
+  if (!paths.length) return { text: await readStdin() };
+
+  const files = await Promise.all(paths.map(async (path) => {
+    try {
+      return { name: basename(path), language: 'auto', text: await readFile(path, 'utf8') };
+    } catch (error) {
+      throw new CliError(`Could not read ${path}: ${error.message}`);
+    }
+  }));
+  return files.length === 1 ? { text: files[0].text } : { files };
+}
+
+// Helper to read an error response: the v1 API sends { error: { code, message, details } },
+// the raw text route { error }
+function getErrorMessage(data) {
+  if (typeof data.error !== 'object' || !data.error) return data.error;
+  const fields = data.error.details?.fields?.map(({ field, message }) => `${field} ${message}`);
+  return fields ? `${data.error.message}: ${fields.join(', ')}` : data.error.message;
+}
+
+/*
+ * Talk to the server as the user or visitor the token stands for. Without a token the
+ * server hands out a new visitor id, which is kept as the token so later commands own
+ * what this one created.
+ */
+function createClient(config) {
+  const baseUrl = (process.env.TEXTIDE_URL || config.url || DEFAULT_URL).replace(/\/+$/, '');
+  let token = process.env.TEXTIDE_TOKEN || config.token || null;
+
+  const request = async (method, path, body) => {
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          ...(body && { 'Content-Type': 'application/json' }),
+          ...(token && (token.startsWith(ACCESS_TOKEN_PREFIX)
+            ? { Authorization: `Bearer ${token}` }
+            : { Cookie: `${VISITOR_COOKIE}=${token}` })),
+        },
+        body: body && JSON.stringify(body),
+      });
+    } catch (error) {
+      throw new CliError(`Could not reach ${baseUrl}: ${error.cause?.message || error.message}`);
+    }
+
+    const issued = response.headers.getSetCookie()
+      .map(cookie => new RegExp(`^${VISITOR_COOKIE}=([^;]+)`).exec(cookie)?.[1])
+      .find(Boolean);
+    if (issued && !token) {
+      token = issued;
+      await saveConfig({ ...config, token });
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new CliError(getErrorMessage(data) || `Request failed with status ${response.status}`, response.status);
+    }
+    return response;
+  };
+
+  return { baseUrl, request };
+}
+
+async function create(client, paths, options) {
+  const content = await readContent(paths);
+  const response = await client.request('POST', '/api/v1/snippets', {
+    ...content,
+    editable: options.editable,
+    expiresIn: options.expires,
+    burnAfterReading: options.burn,
+    visibility: options.visibility,
+    language: options.language,
+  });
+  const item = await response.json();
+  console.log(`${client.baseUrl}/share/${item.id}`);
+}
+
+/*
+ * The raw route doesn't serve burn-after-reading snippets to anyone but their owner, so
+ * when it says a snippet isn't there, it is read once through the API instead. That read
+ * deletes it, as opening its page would.
+ */
+async function get(client, [id], options) {
+  const itemId = parseId(id);
+  const query = options.file ? `?file=${encodeURIComponent(options.file)}` : '';
+  try {
+    const response = await client.request('GET', `/raw/${encodeURIComponent(itemId)}${query}`);
+    process.stdout.write(await response.text());
+  } catch (error) {
+    if (error.status !== 404) throw error;
+    await getBurned(client, itemId, options, error);
+  }
+}
+
+// Helper to read a burn-after-reading snippet; `notFound` is what the raw route said,
+// which stands when the snippet turns out not to be one
+async function getBurned(client, id, options, notFound) {
+  const response = await client.request('GET', `/api/v1/snippets/${encodeURIComponent(id)}`);
+  const item = await response.json();
+  if (!item.burnAfterReading) throw notFound;
+
+  const gone = item.burned ? ' It was burned after reading, so it is gone now.' : '';
+  if (item.encrypted) {
+    throw new CliError(`Encrypted snippets have no raw text.${gone}`);
+  }
+
+  let { text } = item;
+  if (options.file) {
+    const match = item.files?.find(candidate => candidate.name === options.file);
+    if (!match) throw new CliError(`File not found.${gone}`);
+    ({ text } = match);
+  }
+  process.stdout.write(text);
+  if (item.burned) {
+    console.error('textide: this snippet was burned after reading; it can\'t be read again');
+  }
+}
+
+async function update(client, [id, ...paths]) {
+  const content = await readContent(paths);
+  const response = await client.request('PATCH', `/api/v1/snippets/${encodeURIComponent(parseId(id))}`, content);
+  const item = await response.json();
+  console.log(`${client.baseUrl}/share/${item.id} (version ${item.version})`);
+}
+
+async function like(client, [id]) {
+  const response = await client.request('POST', `/api/v1/snippets/${encodeURIComponent(parseId(id))}/like`);
+  const { hasLiked, likesCount } = await response.json();
+  console.log(`${hasLiked ? 'Liked' : 'Like taken back'} (${likesCount} like${likesCount === 1 ? '' : 's'})`);
+}
+
+async function remove(client, [id]) {
+  const response = await client.request('DELETE', `/api/v1/snippets/${encodeURIComponent(parseId(id))}`);
+  const { undoUntil } = await response.json();
+  console.log(`Deleted. It can be restored on its page until ${new Date(undoUntil).toLocaleTimeString()}.`);
+}
+
+async function configure(config, [key, value]) {
+  if (!key) {
+    console.log(`url   ${config.url || `${DEFAULT_URL} (default)`}`);
+    console.log(`token ${!config.token ? 'not set' : config.token.startsWith(ACCESS_TOKEN_PREFIX) ? 'access token' : 'visitor id'}`);
+    return;
+  }
+  if (!CONFIG_KEYS.includes(key)) {
+    throw new CliError(`Unknown setting ${key}; use one of ${CONFIG_KEYS.join(', ')}`);
+  }
+  if (value === undefined) {
+    console.log(config[key] ?? '');
+    return;
+  }
+
+  await saveConfig({ ...config, [key]: value || undefined });
+  console.log(`${key} saved to ${CONFIG_FILE}`);
+}
+
+const COMMANDS = { create, get, update, like, delete: remove };
+
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      editable: { type: 'boolean', short: 'e' },
+      expires: { type: 'string', short: 'x' },
+      language: { type: 'string', short: 'l' },
+      visibility: { type: 'string', short: 'v' },
+      burn: { type: 'boolean', short: 'b' },
+      file: { type: 'string', short: 'f' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (options.help || positionals[0] === 'help') {
+    console.log(USAGE);
+    return;
+  }
+
+  // A bare `textide` or `textide file.txt` creates a snippet
+  const [first, ...rest] = positionals;
+  const isCommand = first === 'config' || Object.hasOwn(COMMANDS, first);
+  const command = isCommand ? first : 'create';
+  const args = isCommand ? rest : positionals;
+
+  const config = await loadConfig();
+  if (command === 'config') {
+    await configure(config, args);
+    return;
+  }
+  await COMMANDS[command](createClient(config), args, options);
+}
+
+main().catch((error) => {
+  if (error instanceof CliError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+    console.error(`textide: ${error.message}`);
+  } else {
+    console.error(error);
+  }
+  process.exitCode = 1;
+});
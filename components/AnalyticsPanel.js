@@ -0,0 +1,123 @@
+import { memo, useEffect, useState } from 'react';
+import { FiEye, FiUsers, FiCopy } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+
+// Memoized StatCard component
+const _StatCard = ({ icon: Icon, label, value, isDarkMode }) => (
+  <div className={`p-3 rounded-lg ${isDarkMode ? 'bg-gray-700/30' : 'bg-gray-50'}`}>
+    <div className={`flex items-center gap-2 text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+      <Icon size={12} />
+      <span>{label}</span>
+    </div>
+    <p className="mt-1 text-2xl font-semibold">{value}</p>
+  </div>
+);
+
+const StatCard = memo(_StatCard);
+StatCard.displayName = 'StatCard';
+
+/*
+ * Analytics panel for the owner on the share page: totals, a bar per day for
+ * the last 30 days and where the views came from. The numbers load when it opens.
+ */
+const _AnalyticsPanel = ({ id, isDarkMode }) => {
+  const [analytics, setAnalytics] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchAnalytics = async () => {
+      try {
+        const response = await fetch(`/api/clipboard/${id}/analytics`);
+        if (!response.ok) throw new Error('Failed to fetch analytics');
+
+        const data = await response.json();
+        if (!cancelled) setAnalytics(data);
+      } catch (error) {
+        console.error('Error:', error);
+        if (!cancelled) toast.error('Failed to load stats');
+      }
+    };
+
+    fetchAnalytics();
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+
+  if (!analytics) {
+    return <p className={`text-sm ${mutedClass}`}>Loading stats...</p>;
+  }
+
+  const maxViews = Math.max(1, ...analytics.days.map(day => day.views));
+  const totalReferred = analytics.referrers.reduce((sum, referrer) => sum + referrer.count, 0);
+
+  return (
+    <div className="w-full space-y-6">
+      <div className="grid grid-cols-3 gap-3">
+        <StatCard icon={FiEye} label="Views" value={analytics.views} isDarkMode={isDarkMode} />
+        <StatCard icon={FiUsers} label="Unique visitors" value={analytics.uniqueVisitors} isDarkMode={isDarkMode} />
+        <StatCard icon={FiCopy} label="Copies" value={analytics.copies} isDarkMode={isDarkMode} />
+      </div>
+
+      <div>
+        <h3 className="mb-2 text-sm font-medium">Views over the last {analytics.days.length} days</h3>
+        <div className="flex items-end gap-0.5 h-32" role="img" aria-label="Views per day">
+          {analytics.days.map(day => (
+            <div
+              key={day.date}
+              title={`${day.date}: ${day.views} ${day.views === 1 ? 'view' : 'views'}, ${day.uniqueVisitors} unique`}
+              className="flex-1 h-full flex items-end"
+            >
+              <div
+                className={`w-full rounded-t ${
+                  day.views
+                    ? 'bg-gradient-to-t from-blue-500 to-purple-500'
+                    : isDarkMode ? 'bg-gray-700' : 'bg-gray-200'
+                }`}
+                style={{ height: day.views ? `${(day.views / maxViews) * 100}%` : '2px' }}
+              />
+            </div>
+          ))}
+        </div>
+        <div className={`mt-1 flex justify-between text-xs ${mutedClass}`}>
+          <span>{analytics.days[0].date}</span>
+          <span>Today</span>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="mb-2 text-sm font-medium">Referrers</h3>
+        {analytics.referrers.length ? (
+          <ul className="space-y-2 text-sm">
+            {analytics.referrers.map(referrer => (
+              <li key={referrer.host || 'direct'} className="relative p-2 rounded-lg overflow-hidden">
+                <div
+                  className={`absolute inset-y-0 left-0 ${isDarkMode ? 'bg-blue-900/40' : 'bg-blue-50'}`}
+                  style={{ width: `${(referrer.count / totalReferred) * 100}%` }}
+                />
+                <div className="relative flex justify-between gap-4">
+                  <span className="truncate">{referrer.host || 'Direct or unknown'}</span>
+                  <span className={mutedClass}>{referrer.count}</span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className={`text-sm ${mutedClass}`}>No views yet.</p>
+        )}
+      </div>
+
+      <p className={`text-xs ${mutedClass}`}>
+        Each visitor counts once a day. Your own views and copies are not counted.
+      </p>
+    </div>
+  );
+};
+
+const AnalyticsPanel = memo(_AnalyticsPanel);
+AnalyticsPanel.displayName = 'AnalyticsPanel';
+
+export default AnalyticsPanel;
@@ -0,0 +1,95 @@
+import { memo, useEffect, useState } from 'react';
+import { FiDownload, FiFile, FiFileText } from 'react-icons/fi';
+import { formatBytes, getAttachmentUrl, isImageType, isTextType } from '../lib/attachments/types';
+
+// Longest part of a text file shown inline; the rest is a download away
+const MAX_PREVIEW_LENGTH = 20000;
+
+// Memoized TextPreview component: loads a text attachment when it's shown
+const _TextPreview = ({ url, isDarkMode }) => {
+  const [text, setText] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchText = async () => {
+      try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error('Failed to fetch attachment');
+        const content = await response.text();
+        if (!cancelled) setText(content);
+      } catch (error) {
+        console.error('Error:', error);
+        if (!cancelled) setFailed(true);
+      }
+    };
+
+    fetchText();
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  if (failed) return <p className={`p-3 text-sm ${mutedClass}`}>Preview not available</p>;
+  if (text === null) return <p className={`p-3 text-sm ${mutedClass}`}>Loading preview...</p>;
+
+  return (
+    <pre className="p-3 font-mono text-xs whitespace-pre-wrap break-words max-h-64 overflow-auto">
+      {text.slice(0, MAX_PREVIEW_LENGTH)}
+      {text.length > MAX_PREVIEW_LENGTH && <span className={mutedClass}>{'\n'}… download the file to see the rest</span>}
+    </pre>
+  );
+};
+
+const TextPreview = memo(_TextPreview);
+TextPreview.displayName = 'TextPreview';
+
+/*
+ * Files attached to a snippet on the share page: images and text files are
+ * previewed inline, and every file can be downloaded.
+ */
+const _AttachmentList = ({ itemId, attachments, isDarkMode }) => (
+  <div className="space-y-3">
+    {attachments.map((attachment) => {
+      const url = getAttachmentUrl(itemId, attachment.id);
+      const Icon = isTextType(attachment.type) ? FiFileText : FiFile;
+
+      return (
+        <div
+          key={attachment.id}
+          className={`rounded-lg overflow-hidden border ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}
+        >
+          <div className={`px-3 py-2 flex items-center gap-2 text-sm ${isDarkMode ? 'bg-gray-700/50' : 'bg-gray-50'}`}>
+            <Icon size={14} className="shrink-0" />
+            <span className="truncate font-medium">{attachment.name}</span>
+            <span className={`shrink-0 text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              {formatBytes(attachment.size)}
+            </span>
+            <a
+              href={getAttachmentUrl(itemId, attachment.id, { download: true })}
+              download={attachment.name}
+              className={`ml-auto shrink-0 p-1.5 rounded-lg ${isDarkMode ? 'hover:bg-gray-600' : 'hover:bg-gray-200'}`}
+              aria-label={`Download ${attachment.name}`}
+            >
+              <FiDownload size={14} />
+            </a>
+          </div>
+          {isImageType(attachment.type) && (
+            <a href={url} target="_blank" rel="noopener noreferrer" className="block">
+              {/* eslint-disable-next-line @next/next/no-img-element */}
+              <img src={url} alt={attachment.name} loading="lazy" className="max-h-96 mx-auto" />
+            </a>
+          )}
+          {isTextType(attachment.type) && <TextPreview url={url} isDarkMode={isDarkMode} />}
+        </div>
+      );
+    })}
+  </div>
+);
+
+const AttachmentList = memo(_AttachmentList);
+AttachmentList.displayName = 'AttachmentList';
+
+export default AttachmentList;
@@ -0,0 +1,140 @@
+import { memo, useEffect, useState } from 'react';
+import { FiCode, FiPlus, FiX } from 'react-icons/fi';
+import { AUTO_LANGUAGE, LANGUAGE_OPTIONS } from '../lib/languages';
+import { MAX_BUNDLE_FILES, MAX_FILE_NAME_LENGTH, getDefaultFileName } from '../lib/bundles';
+
+const LANGUAGE_SELECT_OPTIONS = [
+  { value: AUTO_LANGUAGE, label: 'Auto-detect' },
+  ...LANGUAGE_OPTIONS,
+];
+
+/*
+ * Tabbed editor for the files of a bundle ({ name, language, text }), used by the
+ * composer and when editing a bundle on its share page. Files are added, renamed and
+ * removed here; every change goes out through onChange with the whole list.
+ * `textareaProps` are passed on to the textarea of the open file.
+ */
+const _BundleEditor = ({ files, onChange, isDarkMode, textareaProps = {} }) => {
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  // Stay on a file that exists when files are removed from outside
+  useEffect(() => {
+    if (activeIndex >= files.length) setActiveIndex(Math.max(files.length - 1, 0));
+  }, [activeIndex, files.length]);
+
+  const active = files[Math.min(activeIndex, files.length - 1)];
+
+  const updateActive = (changes) => {
+    onChange(files.map((file, index) => (index === activeIndex ? { ...file, ...changes } : file)));
+  };
+
+  const addFile = () => {
+    if (files.length >= MAX_BUNDLE_FILES) return;
+
+    // Skip names that are taken, e.g. after file2 was removed and file3 kept
+    const names = files.map(file => file.name.trim().toLowerCase());
+    let number = files.length;
+    while (names.includes(getDefaultFileName(number, 'plaintext'))) number++;
+
+    onChange([...files, { name: getDefaultFileName(number, 'plaintext'), language: AUTO_LANGUAGE, text: '' }]);
+    setActiveIndex(files.length);
+  };
+
+  const removeFile = (removedIndex) => {
+    onChange(files.filter((_, index) => index !== removedIndex));
+    if (activeIndex >= removedIndex && activeIndex > 0) setActiveIndex(activeIndex - 1);
+  };
+
+  const tabClass = (isActive) => `pl-3 pr-1 py-1.5 rounded-t-lg flex items-center gap-1 text-sm font-mono ${
+    isActive
+      ? isDarkMode ? 'bg-gray-700/50' : 'bg-gray-50'
+      : isDarkMode ? 'text-gray-400 hover:bg-gray-700/30' : 'text-gray-500 hover:bg-gray-50/50'
+  }`;
+
+  if (!active) return null;
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-1" role="tablist">
+        {files.map((file, index) => (
+          <div key={index} className={tabClass(index === activeIndex)}>
+            <button
+              type="button"
+              role="tab"
+              aria-selected={index === activeIndex}
+              onClick={() => setActiveIndex(index)}
+              className="max-w-[10rem] truncate"
+            >
+              {file.name || 'untitled'}
+            </button>
+            {files.length > 1 && (
+              <button
+                type="button"
+                onClick={() => removeFile(index)}
+                className={`p-1 rounded ${isDarkMode ? 'hover:bg-gray-600' : 'hover:bg-gray-200'}`}
+                aria-label={`Remove ${file.name || 'file'}`}
+              >
+                <FiX size={12} />
+              </button>
+            )}
+          </div>
+        ))}
+        {files.length < MAX_BUNDLE_FILES && (
+          <button
+            type="button"
+            onClick={addFile}
+            className={`px-3 py-1.5 rounded-t-lg flex items-center gap-1 text-sm ${
+              isDarkMode ? 'text-gray-400 hover:bg-gray-700/30' : 'text-gray-500 hover:bg-gray-50/50'
+            }`}
+          >
+            <FiPlus size={14} />
+            <span>Add file</span>
+          </button>
+        )}
+      </div>
+      <div className={`p-2 rounded-b-lg rounded-tr-lg ${isDarkMode ? 'bg-gray-700/50' : 'bg-gray-50'}`}>
+        <div className="flex flex-wrap items-center gap-2 mb-2">
+          <input
+            type="text"
+            value={active.name}
+            onChange={(e) => updateActive({ name: e.target.value })}
+            maxLength={MAX_FILE_NAME_LENGTH}
+            placeholder="File name"
+            aria-label="File name"
+            className={`flex-1 min-w-[10rem] px-3 py-1.5 rounded-lg font-mono text-sm focus:outline-none ${
+              isDarkMode ? 'bg-gray-800' : 'bg-white'
+            }`}
+          />
+          <label className={`flex items-center gap-2 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            <FiCode size={16} />
+            <span className="sr-only">Language</span>
+            <select
+              value={active.language}
+              onChange={(e) => updateActive({ language: e.target.value })}
+              className={`px-3 py-1.5 rounded-lg focus:outline-none ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}
+            >
+              {LANGUAGE_SELECT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <textarea
+          {...textareaProps}
+          value={active.text}
+          onChange={(e) => updateActive({ text: e.target.value })}
+          className={`w-full p-4 rounded-lg font-mono text-sm min-h-[200px] resize-y ${
+            isDarkMode ? 'bg-gray-800/50 focus:bg-gray-800/70' : 'bg-white focus:bg-gray-100'
+          } focus:outline-none transition-colors`}
+        />
+      </div>
+    </div>
+  );
+};
+
+const BundleEditor = memo(_BundleEditor);
+BundleEditor.displayName = 'BundleEditor';
+
+export default BundleEditor;
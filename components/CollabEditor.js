@@ -0,0 +1,355 @@
+import { memo, useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { FiCheck, FiUsers } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import autosize from 'autosize';
+import { v4 as uuidv4 } from 'uuid';
+import { applyOperation, compose, getOperation, isNoop, transform, transformSelection } from '../lib/ot';
+
+const CURSOR_THROTTLE_MS = 150;
+
+// Helper to keep a selection inside the text after it changed
+function clampSelection(selection, length) {
+  if (!selection) return null;
+  return { anchor: Math.min(selection.anchor, length), head: Math.min(selection.head, length) };
+}
+
+// Helper to bring a selection from the server's text into ours by
+// moving it past the edits we sent that the server hasn't applied yet
+function toLocalSelection(selection, sync) {
+  let local = selection;
+  if (sync.outstanding) local = transformSelection(local, sync.outstanding);
+  if (sync.buffer) local = transformSelection(local, sync.buffer);
+  return local;
+}
+
+// Memoized RemoteCursors component: draws other editors' carets and selections
+// in a transparent copy of the text laid over the textarea
+const _RemoteCursors = ({ text, peers }) => {
+  const visible = peers
+    .map(peer => ({ ...peer, selection: clampSelection(peer.selection, text.length) }))
+    .filter(peer => peer.selection);
+
+  const boundaries = [...new Set([
+    0,
+    text.length,
+    ...visible.flatMap(peer => [peer.selection.anchor, peer.selection.head]),
+  ])].sort((a, b) => a - b);
+
+  return boundaries.map((start, index) => {
+    const end = boundaries[index + 1];
+    const carets = visible.filter(peer => peer.selection.head === start);
+    const highlight = end !== undefined && visible.find(({ selection }) => (
+      Math.min(selection.anchor, selection.head) <= start && end <= Math.max(selection.anchor, selection.head)
+    ));
+
+    return (
+      <span key={start}>
+        {carets.map(peer => (
+          <span key={peer.id} className="relative">
+            <span className="absolute top-0 -ml-px w-0.5 h-5" style={{ backgroundColor: peer.color }} />
+            <span
+              className="absolute -top-4 left-0 px-1 rounded text-[10px] leading-4 text-white whitespace-nowrap"
+              style={{ backgroundColor: peer.color }}
+            >
+              {peer.name}
+            </span>
+          </span>
+        ))}
+        {end !== undefined && (
+          <span style={highlight ? { backgroundColor: `${highlight.color}33` } : undefined}>
+            {text.slice(start, end)}
+          </span>
+        )}
+      </span>
+    );
+  });
+};
+
+const RemoteCursors = memo(_RemoteCursors);
+RemoteCursors.displayName = 'RemoteCursors';
+
+/*
+ * Live editor for an item: joins the item's session over SSE and keeps the
+ * textarea in sync with everyone else in it, using operational transformation
+ * (see lib/ot.js).
+ *
+ * At most one edit is in flight: later keystrokes are composed into a buffer
+ * until the server acknowledges it, and edits from others are transformed past
+ * both before they are applied here. The server saves the text on its own;
+ * Done asks it to save right away before leaving.
+ */
+const _CollabEditor = ({ id, isDarkMode, onTextChange, onDone, onClosed }) => {
+  const [text, setText] = useState('');
+  const [self, setSelf] = useState(null);
+  const [peers, setPeers] = useState([]);
+  const [status, setStatus] = useState('connecting');
+  const [isFinishing, setIsFinishing] = useState(false);
+  const textareaRef = useRef(null);
+  const eventSourceRef = useRef(null);
+  const clientId = useMemo(() => uuidv4(), []);
+  const syncRef = useRef({ revision: 0, text: '', outstanding: null, buffer: null });
+  const pendingCaretRef = useRef(null);
+  const cursorTimerRef = useRef(null);
+
+  const post = useCallback(async (body) => {
+    const response = await fetch(`/api/clipboard/${id}/collab`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ clientId, ...body }),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Live editing request failed');
+    }
+  }, [id, clientId]);
+
+  const getSelection = () => {
+    const textarea = textareaRef.current;
+    if (!textarea) return null;
+    const backwards = textarea.selectionDirection === 'backward';
+    return {
+      anchor: backwards ? textarea.selectionEnd : textarea.selectionStart,
+      head: backwards ? textarea.selectionStart : textarea.selectionEnd,
+    };
+  };
+
+  const sendOperation = useCallback((ops) => {
+    const sync = syncRef.current;
+    sync.outstanding = ops;
+    setStatus('syncing');
+    post({ action: 'operation', revision: sync.revision, ops, selection: getSelection() })
+      .catch((error) => {
+        console.error('Error:', error);
+        toast.error(error.message || 'Failed to send your edit');
+      });
+  }, [post]);
+
+  // Show a new text while keeping the local caret where it belongs
+  const replaceText = useCallback((nextText, ops) => {
+    const textarea = textareaRef.current;
+    if (textarea && ops && document.activeElement === textarea) {
+      pendingCaretRef.current = transformSelection(
+        { anchor: textarea.selectionStart, head: textarea.selectionEnd },
+        ops
+      );
+    }
+    setText(nextText);
+    onTextChange(nextText);
+  }, [onTextChange]);
+
+  useEffect(() => {
+    const eventSource = new EventSource(`/api/clipboard/${id}/collab?clientId=${clientId}`);
+    eventSourceRef.current = eventSource;
+    const on = (event, listener) => eventSource.addEventListener(event, (e) => listener(JSON.parse(e.data)));
+
+    on('init', (data) => {
+      syncRef.current = { revision: data.revision, text: data.text, outstanding: null, buffer: null };
+      replaceText(data.text, null);
+      setSelf(data.self);
+      setPeers(data.clients);
+      setStatus('live');
+    });
+
+    on('ack', (data) => {
+      const sync = syncRef.current;
+      sync.revision = data.revision;
+      if (sync.buffer) {
+        const buffer = sync.buffer;
+        sync.buffer = null;
+        sendOperation(buffer);
+      } else {
+        sync.outstanding = null;
+        setStatus('live');
+      }
+    });
+
+    on('operation', (data) => {
+      const sync = syncRef.current;
+      sync.revision++;
+
+      let incoming = data.ops;
+      if (sync.outstanding) [sync.outstanding, incoming] = transform(sync.outstanding, incoming);
+      if (sync.buffer) [sync.buffer, incoming] = transform(sync.buffer, incoming);
+
+      sync.text = applyOperation(sync.text, incoming);
+      replaceText(sync.text, incoming);
+
+      const senderSelection = toLocalSelection(data.selection, sync);
+      setPeers(prev => prev.map(peer => (
+        peer.id === data.clientId
+          ? { ...peer, selection: senderSelection }
+          : { ...peer, selection: transformSelection(peer.selection, incoming) }
+      )));
+    });
+
+    on('cursor', (data) => {
+      const selection = toLocalSelection(data.selection, syncRef.current);
+      setPeers(prev => prev.map(peer => (peer.id === data.clientId ? { ...peer, selection } : peer)));
+    });
+
+    on('join', (peer) => {
+      setPeers(prev => [...prev.filter(existing => existing.id !== peer.id), peer]);
+    });
+
+    on('leave', (data) => {
+      setPeers(prev => prev.filter(peer => peer.id !== data.id));
+    });
+
+    on('reset', (data) => {
+      // The text changed outside the session (or we fell too far behind): start over from it
+      syncRef.current = { revision: data.revision, text: data.text, outstanding: null, buffer: null };
+      replaceText(data.text, null);
+      setStatus('live');
+      toast('This snippet was updated outside the live session', { icon: '↻' });
+    });
+
+    on('saved', () => {
+      if (!syncRef.current.outstanding) setStatus('saved');
+    });
+
+    on('closed', (data) => {
+      eventSource.close();
+      onClosed(data.reason);
+    });
+
+    // EventSource reconnects by itself; the server sends a fresh init when it does
+    eventSource.onerror = () => setStatus('connecting');
+
+    return () => {
+      eventSource.close();
+      clearTimeout(cursorTimerRef.current);
+    };
+  }, [id, clientId, replaceText, sendOperation, onClosed]);
+
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    autosize.update(textarea);
+
+    const caret = pendingCaretRef.current;
+    if (caret) {
+      pendingCaretRef.current = null;
+      textarea.setSelectionRange(caret.anchor, caret.head);
+    }
+  }, [text]);
+
+  useEffect(() => {
+    const textarea = textareaRef.current;
+    autosize(textarea);
+    return () => autosize.destroy(textarea);
+  }, []);
+
+  const handleChange = (e) => {
+    const sync = syncRef.current;
+    const nextText = e.target.value;
+    const ops = getOperation(sync.text, nextText);
+    if (isNoop(ops)) return;
+
+    sync.text = nextText;
+    setText(nextText);
+    onTextChange(nextText);
+    setPeers(prev => prev.map(peer => ({ ...peer, selection: transformSelection(peer.selection, ops) })));
+
+    if (sync.outstanding) {
+      sync.buffer = sync.buffer ? compose(sync.buffer, ops) : ops;
+    } else {
+      sendOperation(ops);
+    }
+  };
+
+  // Cursor moves are only sent while no edit is in flight; edits carry the cursor with them
+  const handleSelect = () => {
+    clearTimeout(cursorTimerRef.current);
+    cursorTimerRef.current = setTimeout(() => {
+      const sync = syncRef.current;
+      const selection = getSelection();
+      if (sync.outstanding || !selection || status === 'connecting') return;
+      post({ action: 'cursor', revision: sync.revision, selection }).catch((error) => {
+        console.error('Error:', error);
+      });
+    }, CURSOR_THROTTLE_MS);
+  };
+
+  const handleDone = async () => {
+    if (isFinishing) return;
+
+    setIsFinishing(true);
+    try {
+      await post({ action: 'save' });
+      eventSourceRef.current?.close();
+      onDone();
+    } catch (error) {
+      console.error('Error:', error);
+      toast.error('Failed to save changes');
+      setIsFinishing(false);
+    }
+  };
+
+  const statusLabel = {
+    connecting: 'Connecting...',
+    syncing: 'Syncing...',
+    live: 'Live',
+    saved: 'All changes saved',
+  }[status];
+
+  const editorClass = 'w-full p-4 font-mono text-sm whitespace-pre-wrap break-words';
+
+  return (
+    <div className="w-full">
+      <div className={`flex flex-wrap items-center justify-between gap-2 mb-2 text-xs ${
+        isDarkMode ? 'text-gray-400' : 'text-gray-500'
+      }`}>
+        <div className="flex flex-wrap items-center gap-2">
+          <FiUsers size={12} />
+          {[self, ...peers].filter(Boolean).map(peer => (
+            <span key={peer.id} className="flex items-center gap-1">
+              <span className="w-2 h-2 rounded-full" style={{ backgroundColor: peer.color }} />
+              <span>{peer === self ? `${peer.name} (you)` : peer.name}</span>
+            </span>
+          ))}
+        </div>
+        <div className="flex items-center gap-2">
+          <span className={status === 'connecting' ? 'animate-pulse' : undefined}>{statusLabel}</span>
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={handleDone}
+            disabled={isFinishing || status === 'connecting'}
+            className={`px-3 py-1.5 rounded-lg font-medium flex items-center gap-1 text-white ${
+              isDarkMode ? 'bg-green-600 hover:bg-green-500' : 'bg-green-500 hover:bg-green-400'
+            }`}
+          >
+            <FiCheck size={12} />
+            <span>{isFinishing ? 'Saving...' : 'Done'}</span>
+          </motion.button>
+        </div>
+      </div>
+      <div className="relative">
+        <textarea
+          ref={textareaRef}
+          value={text}
+          onChange={handleChange}
+          onSelect={handleSelect}
+          disabled={status === 'connecting' && !syncRef.current.text}
+          spellCheck={false}
+          className={`${editorClass} block rounded-lg min-h-[200px] resize-none ${
+            isDarkMode ? 'bg-gray-700/50 focus:bg-gray-700/70' : 'bg-gray-50 focus:bg-gray-100'
+          } focus:outline-none transition-colors`}
+        />
+        <div
+          aria-hidden="true"
+          className={`${editorClass} absolute inset-0 pointer-events-none text-transparent`}
+        >
+          <RemoteCursors text={text} peers={peers} />
+          {'\u200b'}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const CollabEditor = memo(_CollabEditor);
+CollabEditor.displayName = 'CollabEditor';
+
+export default CollabEditor;
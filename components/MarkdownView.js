@@ -0,0 +1,107 @@
+import { memo, useMemo } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { highlightLines } from '../lib/highlight';
+
+// Renders highlighted tokens for a fenced code block
+const HighlightedCode = ({ code, language }) => {
+  const lines = useMemo(() => highlightLines(code, language), [code, language]);
+  return lines.map((parts, index) => (
+    <span key={index} className="block">
+      {parts.length ? parts.map((part, partIndex) => (
+        <span key={partIndex} className={part.types.length ? `token ${part.types.join(' ')}` : undefined}>
+          {part.content}
+        </span>
+      )) : ' '}
+    </span>
+  ));
+};
+
+/*
+ * Markdown with GFM (tables, task lists, strikethrough, autolinks).
+ *
+ * This is safe for untrusted input: react-markdown builds React elements instead of
+ * HTML strings, raw HTML in the source is shown as text (no rehype-raw), and unsafe
+ * link protocols such as javascript: are removed by its default URL transform.
+ */
+const _MarkdownView = ({ text, isDarkMode }) => {
+  const muted = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const border = isDarkMode ? 'border-gray-600' : 'border-gray-300';
+
+  const components = useMemo(() => ({
+    h1: ({ node, ...props }) => <h1 className="text-2xl font-bold mt-6 mb-3" {...props} />,
+    h2: ({ node, ...props }) => <h2 className="text-xl font-bold mt-6 mb-3" {...props} />,
+    h3: ({ node, ...props }) => <h3 className="text-lg font-semibold mt-4 mb-2" {...props} />,
+    h4: ({ node, ...props }) => <h4 className="font-semibold mt-4 mb-2" {...props} />,
+    p: ({ node, ...props }) => <p className="my-3 leading-relaxed" {...props} />,
+    a: ({ node, ...props }) => (
+      <a
+        className={isDarkMode ? 'text-blue-400 hover:underline' : 'text-blue-600 hover:underline'}
+        target="_blank"
+        rel="noopener noreferrer nofollow"
+        {...props}
+      />
+    ),
+    ul: ({ node, className, ...props }) => (
+      <ul
+        className={className?.includes('contains-task-list') ? 'my-3 space-y-1' : 'my-3 pl-6 list-disc space-y-1'}
+        {...props}
+      />
+    ),
+    ol: ({ node, ...props }) => <ol className="my-3 pl-6 list-decimal space-y-1" {...props} />,
+    li: ({ node, className, ...props }) => (
+      <li className={className?.includes('task-list-item') ? 'list-none flex items-start gap-2' : undefined} {...props} />
+    ),
+    input: ({ node, ...props }) => <input className="mt-1.5" {...props} disabled />,
+    blockquote: ({ node, ...props }) => (
+      <blockquote className={`my-3 pl-4 border-l-4 ${border} ${muted}`} {...props} />
+    ),
+    hr: ({ node, ...props }) => <hr className={`my-6 ${border}`} {...props} />,
+    table: ({ node, ...props }) => (
+      <div className="my-3 overflow-x-auto">
+        <table className="min-w-full border-collapse text-sm" {...props} />
+      </div>
+    ),
+    th: ({ node, ...props }) => <th className={`px-3 py-2 border ${border} font-semibold text-left`} {...props} />,
+    td: ({ node, ...props }) => <td className={`px-3 py-2 border ${border}`} {...props} />,
+    img: ({ node, alt, ...props }) => (
+      // eslint-disable-next-line @next/next/no-img-element
+      <img alt={alt || ''} className="max-w-full rounded-lg" referrerPolicy="no-referrer" {...props} />
+    ),
+    pre: ({ node, ...props }) => (
+      <pre
+        className={`my-3 p-4 rounded-lg overflow-x-auto font-mono text-sm ${
+          isDarkMode ? 'bg-gray-900/60 code-dark' : 'bg-white code-light'
+        }`}
+        {...props}
+      />
+    ),
+    code: ({ node, className, children, ...props }) => {
+      const match = /language-([\w-]+)/.exec(className || '');
+      const code = String(children).replace(/\n$/, '');
+
+      // Inline code has no language and no line breaks
+      if (!match && !code.includes('\n')) {
+        return (
+          <code className={`px-1.5 py-0.5 rounded font-mono text-sm ${isDarkMode ? 'bg-gray-900/60' : 'bg-gray-200'}`} {...props}>
+            {children}
+          </code>
+        );
+      }
+      return <code><HighlightedCode code={code} language={match?.[1] || 'plaintext'} /></code>;
+    },
+  }), [isDarkMode, muted, border]);
+
+  return (
+    <div className="break-words">
+      <ReactMarkdown remarkPlugins={[remarkGfm]} components={components}>
+        {text || ''}
+      </ReactMarkdown>
+    </div>
+  );
+};
+
+const MarkdownView = memo(_MarkdownView);
+MarkdownView.displayName = 'MarkdownView';
+
+export default MarkdownView;
@@ -0,0 +1,127 @@
+import { memo, useState } from 'react';
+import { motion } from 'framer-motion';
+import { FiAlertTriangle, FiCheck } from 'react-icons/fi';
+import { resolveMerge } from '../lib/merge';
+
+const CONFLICT_CHOICES = [
+  { value: 'mine', label: 'Keep yours' },
+  { value: 'theirs', label: 'Keep theirs' },
+  { value: 'both', label: 'Keep both' },
+];
+
+// Memoized ConflictColumn component
+const _ConflictColumn = ({ title, lines, isSelected, isDarkMode }) => (
+  <div className={`min-w-0 rounded-lg border ${
+    isSelected
+      ? 'border-blue-500'
+      : isDarkMode ? 'border-gray-700' : 'border-gray-200'
+  }`}>
+    <p className={`px-3 py-1 text-xs font-medium ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>{title}</p>
+    <pre className="px-3 pb-2 font-mono text-sm whitespace-pre-wrap break-words">
+      {lines.length ? lines.join('\n') : <span className="italic opacity-60">(removed)</span>}
+    </pre>
+  </div>
+);
+
+const ConflictColumn = memo(_ConflictColumn);
+ConflictColumn.displayName = 'ConflictColumn';
+
+/*
+ * Shown when saving fails because someone else saved first. `chunks` is the
+ * three-way merge of the text the edit started from, the user's edit and the
+ * server's text; lines only one side changed are already merged, and each
+ * conflict needs a choice before the merged text can be used.
+ */
+const _MergeConflict = ({ chunks, mine, theirs, isDarkMode, onResolve }) => {
+  const conflicts = chunks.filter(chunk => chunk.type === 'conflict');
+  const [choices, setChoices] = useState(() => conflicts.map(() => null));
+  const isResolved = choices.every(Boolean);
+
+  const setChoice = (index, value) => {
+    setChoices(prev => prev.map((choice, choiceIndex) => (choiceIndex === index ? value : choice)));
+  };
+
+  const buttonClass = `px-3 py-1.5 rounded-lg text-sm font-medium ${
+    isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-white hover:bg-gray-200'
+  }`;
+
+  return (
+    <div className={`mb-4 p-4 rounded-lg text-sm space-y-4 ${
+      isDarkMode ? 'bg-yellow-900/30' : 'bg-yellow-50'
+    }`}>
+      <p className={`flex items-center gap-2 ${isDarkMode ? 'text-yellow-200' : 'text-yellow-800'}`}>
+        <FiAlertTriangle size={16} />
+        <span>
+          Someone else saved this snippet while you were editing.{' '}
+          {conflicts.length
+            ? `${conflicts.length} ${conflicts.length === 1 ? 'change overlaps' : 'changes overlap'} with yours.`
+            : 'Their changes don\'t overlap with yours and were merged.'}
+        </span>
+      </p>
+
+      {conflicts.map((conflict, index) => (
+        <div key={index} className="space-y-2">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+            <ConflictColumn title="Original" lines={conflict.base} isDarkMode={isDarkMode} />
+            <ConflictColumn
+              title="Yours"
+              lines={conflict.mine}
+              isSelected={['mine', 'both'].includes(choices[index])}
+              isDarkMode={isDarkMode}
+            />
+            <ConflictColumn
+              title="Theirs"
+              lines={conflict.theirs}
+              isSelected={['theirs', 'both'].includes(choices[index])}
+              isDarkMode={isDarkMode}
+            />
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {CONFLICT_CHOICES.map(option => (
+              <button
+                key={option.value}
+                onClick={() => setChoice(index, option.value)}
+                className={choices[index] === option.value
+                  ? 'px-3 py-1.5 rounded-lg text-sm font-medium bg-blue-500 text-white'
+                  : buttonClass}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={() => onResolve(resolveMerge(chunks, choices))}
+          disabled={!isResolved}
+          className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 text-white ${
+            isResolved
+              ? isDarkMode ? 'bg-blue-600 hover:bg-blue-500' : 'bg-blue-500 hover:bg-blue-400'
+              : 'bg-gray-400 cursor-not-allowed'
+          }`}
+        >
+          <FiCheck size={16} />
+          <span>Use merged text</span>
+        </motion.button>
+        <button onClick={() => onResolve(mine)} className={buttonClass}>
+          Keep only my version
+        </button>
+        <button onClick={() => onResolve(theirs)} className={buttonClass}>
+          Discard my changes
+        </button>
+      </div>
+      <p className={isDarkMode ? 'text-gray-400' : 'text-gray-500'}>
+        The result goes back into the editor so you can check it before saving again.
+      </p>
+    </div>
+  );
+};
+
+const MergeConflict = memo(_MergeConflict);
+MergeConflict.displayName = 'MergeConflict';
+
+export default MergeConflict;
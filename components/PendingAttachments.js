@@ -0,0 +1,45 @@
+import { memo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiFile, FiX } from 'react-icons/fi';
+import { formatBytes } from '../lib/attachments/types';
+
+// Files waiting in the composer to be saved with the snippet, with image thumbnails
+const _PendingAttachments = ({ files, isDarkMode, onRemove }) => (
+  <div className="mb-4 flex flex-wrap gap-2">
+    <AnimatePresence>
+      {files.map(({ key, file, previewUrl }) => (
+        <motion.div
+          key={key}
+          initial={{ opacity: 0, scale: 0.9 }}
+          animate={{ opacity: 1, scale: 1 }}
+          exit={{ opacity: 0, scale: 0.9 }}
+          className={`pl-2 pr-1 py-1 rounded-lg flex items-center gap-2 text-sm ${
+            isDarkMode ? 'bg-gray-700/50' : 'bg-gray-100'
+          }`}
+        >
+          {previewUrl ? (
+            // eslint-disable-next-line @next/next/no-img-element
+            <img src={previewUrl} alt="" className="w-8 h-8 rounded object-cover" />
+          ) : (
+            <FiFile size={16} />
+          )}
+          <span className="max-w-[12rem] truncate">{file.name}</span>
+          <span className={`text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>{formatBytes(file.size)}</span>
+          <button
+            type="button"
+            onClick={() => onRemove(key)}
+            className={`p-1 rounded-full ${isDarkMode ? 'hover:bg-gray-600' : 'hover:bg-gray-200'}`}
+            aria-label={`Remove ${file.name}`}
+          >
+            <FiX size={14} />
+          </button>
+        </motion.div>
+      ))}
+    </AnimatePresence>
+  </div>
+);
+
+const PendingAttachments = memo(_PendingAttachments);
+PendingAttachments.displayName = 'PendingAttachments';
+
+export default PendingAttachments;
@@ -0,0 +1,88 @@
+import { memo, useState } from 'react';
+import { motion } from 'framer-motion';
+import { FiFlag } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import { MAX_REPORT_NOTE_LENGTH, REPORT_REASONS } from '../lib/reports';
+
+/*
+ * Report form on the share page for everyone but the owner: a reason and an
+ * optional note for the moderators. Enough reports from signed-in users hide the
+ * snippet until they review it.
+ */
+const _ReportForm = ({ id, isDarkMode, onReported }) => {
+  const [reason, setReason] = useState(REPORT_REASONS[0].value);
+  const [note, setNote] = useState('');
+  const [isSending, setIsSending] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSending) return;
+
+    setIsSending(true);
+    try {
+      const response = await fetch(`/api/clipboard/${id}/report`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason, note }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to send report');
+
+      toast.success('Thanks, the moderators will take a look');
+      onReported();
+    } catch (error) {
+      console.error('Error:', error);
+      toast.error(error.message || 'Failed to send report');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const fieldClass = `w-full px-3 py-2 rounded-lg text-sm ${
+    isDarkMode ? 'bg-gray-700/50 text-white' : 'bg-gray-100 text-gray-900'
+  } focus:outline-none focus:ring-2 focus:ring-blue-500`;
+
+  return (
+    <form onSubmit={handleSubmit} className="w-full space-y-3">
+      <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        What&apos;s wrong with this snippet?
+      </p>
+      <select
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        className={fieldClass}
+        aria-label="Reason"
+      >
+        {REPORT_REASONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <textarea
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        maxLength={MAX_REPORT_NOTE_LENGTH}
+        rows={3}
+        placeholder="Anything the moderators should know (optional)"
+        className={`${fieldClass} resize-none`}
+      />
+      <div className="flex justify-end">
+        <motion.button
+          type="submit"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          disabled={isSending}
+          className="px-4 py-2 rounded-lg font-medium flex items-center gap-2 text-white bg-red-600 hover:bg-red-500 disabled:opacity-50"
+        >
+          <FiFlag size={16} />
+          <span>{isSending ? 'Sending...' : 'Send report'}</span>
+        </motion.button>
+      </div>
+    </form>
+  );
+};
+
+const ReportForm = memo(_ReportForm);
+ReportForm.displayName = 'ReportForm';
+
+export default ReportForm;
@@ -0,0 +1,230 @@
+import { memo, useEffect, useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import { FiRotateCcw, FiColumns, FiList } from 'react-icons/fi';
+import toast from 'react-hot-toast';
+import { getLineDiff, toSideBySide } from '../lib/diff';
+
+// Helper to describe who saved a revision
+function getAuthorLabel(revision) {
+  if (revision.byYou) return 'You';
+  if (revision.authorName) return revision.authorName;
+  return revision.byOwner ? 'Owner' : 'Anonymous';
+}
+
+const ROW_STYLES = {
+  light: { added: 'bg-green-100', removed: 'bg-red-100', context: '' },
+  dark: { added: 'bg-green-900/40', removed: 'bg-red-900/40', context: '' },
+};
+
+const ROW_MARKERS = { added: '+', removed: '-', context: ' ' };
+
+// Memoized DiffLine component
+const _DiffLine = ({ row, number, isDarkMode }) => {
+  const styles = ROW_STYLES[isDarkMode ? 'dark' : 'light'];
+  return (
+    <div className={`flex min-h-[1.25rem] ${row ? styles[row.type] : isDarkMode ? 'bg-gray-800/60' : 'bg-gray-100'}`}>
+      <span className={`shrink-0 w-10 pr-2 text-right select-none ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+        {number ?? ''}
+      </span>
+      {row && (
+        <>
+          <span className="shrink-0 w-4 select-none">{ROW_MARKERS[row.type]}</span>
+          <span className="pr-4 whitespace-pre-wrap break-words min-w-0">{row.content || ' '}</span>
+        </>
+      )}
+    </div>
+  );
+};
+
+const DiffLine = memo(_DiffLine);
+DiffLine.displayName = 'DiffLine';
+
+/*
+ * History panel for the share page: lists every revision, shows an inline or
+ * side-by-side diff between any two of them and lets the owner restore one.
+ *
+ * Encrypted items come back as ciphertext; `decryptRevision` turns each revision
+ * into plaintext with the key the page already unlocked.
+ */
+const _RevisionHistory = ({ id, isOwner, isDarkMode, refreshKey, decryptRevision, onRestored }) => {
+  const [revisions, setRevisions] = useState(null);
+  const [baseNumber, setBaseNumber] = useState(null);
+  const [compareNumber, setCompareNumber] = useState(null);
+  const [isSideBySide, setIsSideBySide] = useState(false);
+  const [restoringNumber, setRestoringNumber] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchRevisions = async () => {
+      try {
+        const response = await fetch(`/api/clipboard/${id}/revisions`);
+        if (!response.ok) throw new Error('Failed to fetch revisions');
+
+        const data = await response.json();
+        const decrypted = await Promise.all(data.revisions.map(async (revision) => {
+          if (!revision.encryption) return revision;
+          try {
+            return { ...revision, text: await decryptRevision(revision) };
+          } catch (error) {
+            console.error('Error:', error);
+            return { ...revision, text: null };
+          }
+        }));
+        if (cancelled) return;
+
+        const latest = decrypted[decrypted.length - 1];
+        const previous = decrypted[decrypted.length - 2] || latest;
+        setRevisions(decrypted);
+        setBaseNumber(previous.number);
+        setCompareNumber(latest.number);
+      } catch (error) {
+        console.error('Error:', error);
+        if (!cancelled) toast.error('Failed to load history');
+      }
+    };
+
+    fetchRevisions();
+    return () => {
+      cancelled = true;
+    };
+  }, [id, refreshKey, decryptRevision]);
+
+  const base = revisions?.find(revision => revision.number === baseNumber);
+  const compare = revisions?.find(revision => revision.number === compareNumber);
+  const rows = useMemo(
+    () => (base && compare ? getLineDiff(base.text, compare.text) : []),
+    [base, compare]
+  );
+  const pairs = useMemo(() => toSideBySide(rows), [rows]);
+
+  const handleRestore = async (number) => {
+    if (restoringNumber) return;
+
+    setRestoringNumber(number);
+    try {
+      const response = await fetch(`/api/clipboard/${id}/revisions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ revision: number }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to restore');
+
+      toast.success(`Restored revision ${number}`);
+      onRestored();
+    } catch (error) {
+      console.error('Error:', error);
+      toast.error('Failed to restore revision');
+    } finally {
+      setRestoringNumber(null);
+    }
+  };
+
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const selectClass = `px-3 py-2 rounded-lg focus:outline-none ${isDarkMode ? 'bg-gray-700/50' : 'bg-gray-50'}`;
+
+  if (!revisions) {
+    return <p className={`text-sm ${mutedClass}`}>Loading history...</p>;
+  }
+
+  const latestNumber = revisions[revisions.length - 1].number;
+  const hasUnreadable = base?.text === null || compare?.text === null;
+
+  return (
+    <div className="w-full space-y-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select value={baseNumber} onChange={(e) => setBaseNumber(Number(e.target.value))} className={selectClass}>
+          {revisions.map(revision => (
+            <option key={revision.number} value={revision.number}>Revision {revision.number}</option>
+          ))}
+        </select>
+        <span className={mutedClass}>to</span>
+        <select value={compareNumber} onChange={(e) => setCompareNumber(Number(e.target.value))} className={selectClass}>
+          {revisions.map(revision => (
+            <option key={revision.number} value={revision.number}>Revision {revision.number}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => setIsSideBySide(prev => !prev)}
+          className={`ml-auto flex items-center gap-1 px-3 py-2 rounded-lg ${
+            isDarkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+          }`}
+        >
+          {isSideBySide ? <FiList size={14} /> : <FiColumns size={14} />}
+          <span>{isSideBySide ? 'Inline' : 'Side by side'}</span>
+        </button>
+      </div>
+
+      {hasUnreadable ? (
+        <p className={`text-sm ${mutedClass}`}>This revision could not be decrypted with the current key.</p>
+      ) : baseNumber === compareNumber ? (
+        <p className={`text-sm ${mutedClass}`}>Pick two different revisions to compare them.</p>
+      ) : (
+        <div className={`py-2 rounded-lg font-mono text-sm overflow-x-auto ${
+          isDarkMode ? 'bg-gray-700/50' : 'bg-gray-50'
+        }`}>
+          {isSideBySide ? (
+            <div className="grid grid-cols-2 gap-x-2">
+              {pairs.map((pair, index) => (
+                <div key={index} className="contents">
+                  <DiffLine row={pair.left} number={pair.left?.oldNumber} isDarkMode={isDarkMode} />
+                  <DiffLine row={pair.right} number={pair.right?.newNumber} isDarkMode={isDarkMode} />
+                </div>
+              ))}
+            </div>
+          ) : (
+            rows.map((row, index) => (
+              <DiffLine
+                key={index}
+                row={row}
+                number={row.type === 'removed' ? row.oldNumber : row.newNumber}
+                isDarkMode={isDarkMode}
+              />
+            ))
+          )}
+        </div>
+      )}
+
+      <ul className="space-y-2">
+        {[...revisions].reverse().map(revision => (
+          <li
+            key={revision.number}
+            className={`flex items-center justify-between gap-4 p-3 rounded-lg text-sm ${
+              isDarkMode ? 'bg-gray-700/30' : 'bg-gray-50'
+            }`}
+          >
+            <div>
+              <span className="font-medium">Revision {revision.number}</span>
+              {revision.number === latestNumber && <span className={mutedClass}> (current)</span>}
+              <p className={`text-xs ${mutedClass}`}>
+                {getAuthorLabel(revision)} · {new Date(revision.createdAt).toLocaleString()}
+                {revision.restoredFrom && ` · restored from revision ${revision.restoredFrom}`}
+              </p>
+            </div>
+            {isOwner && revision.number !== latestNumber && (
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => handleRestore(revision.number)}
+                disabled={Boolean(restoringNumber)}
+                className={`px-3 py-1.5 rounded-lg font-medium flex items-center gap-2 ${
+                  isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-white hover:bg-gray-200'
+                }`}
+              >
+                <FiRotateCcw size={14} className={restoringNumber === revision.number ? 'animate-spin' : ''} />
+                <span>Restore this revision</span>
+              </motion.button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const RevisionHistory = memo(_RevisionHistory);
+RevisionHistory.displayName = 'RevisionHistory';
+
+export default RevisionHistory;
@@ -0,0 +1,134 @@
+import { memo, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { FiAlertTriangle, FiShield } from 'react-icons/fi';
+import { describeSecrets } from '../lib/secrets';
+
+const MAX_LINES = 12;
+
+// Helper to split the lines that contain findings (up to MAX_LINES) into plain and highlighted parts
+function getFlaggedLines(text, findings) {
+  const lines = text.split('\n');
+  const numbers = [...new Set(findings.flatMap(({ line, endLine }) => (
+    Array.from({ length: endLine - line + 1 }, (_, index) => line + index)
+  )))].sort((a, b) => a - b);
+
+  let offset = 0;
+  const lineStarts = lines.map((line) => {
+    const start = offset;
+    offset += line.length + 1;
+    return start;
+  });
+
+  const flagged = numbers.slice(0, MAX_LINES).map((number) => {
+    const lineStart = lineStarts[number - 1];
+    const content = lines[number - 1];
+    const ranges = findings
+      .map(({ start, end }) => [Math.max(start - lineStart, 0), Math.min(end - lineStart, content.length)])
+      .filter(([start, end]) => start < end)
+      .sort((a, b) => a[0] - b[0]);
+
+    const parts = [];
+    let index = 0;
+    ranges.forEach(([start, end]) => {
+      if (start > index) parts.push({ text: content.slice(index, start), secret: false });
+      parts.push({ text: content.slice(Math.max(start, index), end), secret: true });
+      index = Math.max(index, end);
+    });
+    if (index < content.length) parts.push({ text: content.slice(index), secret: false });
+
+    return { number, parts };
+  });
+  return { lines: flagged, hasMore: numbers.length > MAX_LINES };
+}
+
+/*
+ * Shown by the composer when the text looks like it contains secrets (see lib/secrets.js):
+ * lists what was found, shows the lines with the secrets highlighted, and offers
+ * to replace them with [REDACTED] before saving.
+ */
+const _SecretWarning = ({ text, findings, isDarkMode, isSaving, onRedact, onDismiss }) => {
+  const { lines, hasMore } = useMemo(() => getFlaggedLines(text, findings), [text, findings]);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      role="alert"
+      className={`mb-4 p-4 rounded-lg text-sm ${
+        isDarkMode ? 'bg-red-900/30 text-red-100' : 'bg-red-50 text-red-900'
+      }`}
+    >
+      <p className="flex items-center gap-2 font-medium">
+        <FiAlertTriangle size={16} />
+        <span>This looks like it contains secrets</span>
+      </p>
+      <p className="mt-1">
+        {describeSecrets(findings)}. Anyone with the link could read them. Redact them, or encrypt the snippet instead.
+      </p>
+
+      <div className={`mt-3 py-2 rounded-lg font-mono text-xs overflow-x-auto ${
+        isDarkMode ? 'bg-gray-900/60' : 'bg-white'
+      }`}>
+        {lines.map(({ number, parts }, index) => (
+          <div key={number}>
+            {index > 0 && number > lines[index - 1].number + 1 && (
+              <div className={`px-2 select-none ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>⋯</div>
+            )}
+            <div className="flex">
+              <span className={`shrink-0 w-10 pr-2 text-right select-none ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                {number}
+              </span>
+              <span className="pr-4 whitespace-pre-wrap break-all">
+                {parts.map((part, partIndex) => (
+                  part.secret ? (
+                    <mark
+                      key={partIndex}
+                      className={`rounded ${isDarkMode ? 'bg-red-500/40 text-red-50' : 'bg-red-200 text-red-900'}`}
+                    >
+                      {part.text}
+                    </mark>
+                  ) : (
+                    <span key={partIndex}>{part.text}</span>
+                  )
+                ))}
+              </span>
+            </div>
+          </div>
+        ))}
+        {hasMore && (
+          <div className={`px-2 select-none ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>⋯</div>
+        )}
+      </div>
+
+      <div className="mt-3 flex flex-wrap justify-end gap-2">
+        <motion.button
+          type="button"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={onDismiss}
+          className={`px-4 py-2 rounded-lg font-medium ${
+            isDarkMode ? 'bg-gray-700 hover:bg-gray-600 text-white' : 'bg-white hover:bg-gray-100 text-gray-900'
+          }`}
+        >
+          Keep editing
+        </motion.button>
+        <motion.button
+          type="button"
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={onRedact}
+          disabled={isSaving}
+          className="px-4 py-2 rounded-lg font-medium flex items-center gap-2 text-white bg-red-600 hover:bg-red-500"
+        >
+          <FiShield size={16} />
+          <span>{isSaving ? 'Saving...' : 'Redact and save'}</span>
+        </motion.button>
+      </div>
+    </motion.div>
+  );
+};
+
+const SecretWarning = memo(_SecretWarning);
+SecretWarning.displayName = 'SecretWarning';
+
+export default SecretWarning;
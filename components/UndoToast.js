@@ -0,0 +1,22 @@
+import toast from 'react-hot-toast';
+
+// Shows a toast with an "Undo" button; `onUndo` runs when it is clicked
+export function showUndoToast(message, onUndo, { duration = 10000 } = {}) {
+  return toast(
+    (t) => (
+      <span className="flex items-center gap-3">
+        <span>{message}</span>
+        <button
+          onClick={() => {
+            toast.dismiss(t.id);
+            onUndo();
+          }}
+          className="px-2 py-1 rounded-md text-sm font-medium text-blue-600 hover:bg-blue-50"
+        >
+          Undo
+        </button>
+      </span>
+    ),
+    { duration }
+  );
+}
@@ -0,0 +1,73 @@
+import { memo } from 'react';
+import { motion } from 'framer-motion';
+import Link from 'next/link';
+import { useSession, signIn, signOut } from 'next-auth/react';
+import { FiKey, FiLogIn, FiLogOut, FiSend, FiShield, FiUser } from 'react-icons/fi';
+
+// Shows who is signed in, with sign in / sign out actions, the way to their API tokens and webhooks and, for moderators, to /admin
+const _UserMenu = ({ isDarkMode }) => {
+  const { data: session, status } = useSession();
+
+  if (status === 'loading') return null;
+
+  const buttonClass = `px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-2 ${
+    isDarkMode ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-100 hover:bg-gray-200'
+  } transition-colors`;
+
+  if (!session?.user) {
+    return (
+      <motion.button
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        onClick={() => signIn('google')}
+        className={buttonClass}
+      >
+        <FiLogIn size={16} />
+        <span>Sign in</span>
+      </motion.button>
+    );
+  }
+
+  const { name, email, image, isAdmin } = session.user;
+
+  return (
+    <div className="flex items-center gap-2">
+      <div className="flex items-center gap-2" title={email || undefined}>
+        {image ? (
+          // eslint-disable-next-line @next/next/no-img-element
+          <img src={image} alt="" className="w-8 h-8 rounded-full" referrerPolicy="no-referrer" />
+        ) : (
+          <FiUser size={20} />
+        )}
+        <span className={`hidden sm:inline text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+          {name || email}
+        </span>
+      </div>
+      <Link href="/tokens" className={buttonClass} aria-label="API tokens" title="API tokens">
+        <FiKey size={16} />
+      </Link>
+      <Link href="/webhooks" className={buttonClass} aria-label="Webhooks" title="Webhooks">
+        <FiSend size={16} />
+      </Link>
+      {isAdmin && (
+        <Link href="/admin" className={buttonClass} aria-label="Moderation">
+          <FiShield size={16} />
+        </Link>
+      )}
+      <motion.button
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        onClick={() => signOut()}
+        className={buttonClass}
+        aria-label="Sign out"
+      >
+        <FiLogOut size={16} />
+      </motion.button>
+    </div>
+  );
+};
+
+const UserMenu = memo(_UserMenu);
+UserMenu.displayName = 'UserMenu';
+
+export default UserMenu;
@@ -0,0 +1,26 @@
+import { useEffect, useRef } from 'react';
+
+const EVENT_TYPES = ['created', 'updated', 'liked', 'deleted'];
+
+/*
+ * Subscribe to live clipboard changes from /api/events.
+ * `onEvent(type, data)` is called for every event; pass `id` to follow a single item.
+ * EventSource reconnects on its own when the connection drops.
+ */
+export default function useClipboardEvents(onEvent, { id = null, enabled = true } = {}) {
+  const onEventRef = useRef(onEvent);
+
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  }, [onEvent]);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const eventSource = new EventSource(id ? `/api/events?id=${encodeURIComponent(id)}` : '/api/events');
+    EVENT_TYPES.forEach((type) => {
+      eventSource.addEventListener(type, (e) => onEventRef.current(type, JSON.parse(e.data)));
+    });
+    return () => eventSource.close();
+  }, [id, enabled]);
+}
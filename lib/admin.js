@@ -0,0 +1,11 @@
+// Helper to read ADMIN_USER_IDS, the NextAuth user ids (comma separated) allowed into /admin
+export function getAdminUserIds() {
+  return (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+export function isAdminUserId(userId) {
+  return Boolean(userId) && getAdminUserIds().includes(userId);
+}
@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+import path from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { DATA_DIR } from './storage';
+import { createJsonFile } from './jsonFile';
+
+// How many days of views an item keeps, which is what the views chart covers
+export const ANALYTICS_DAYS = 30;
+
+// How many visitors an item remembers, to count each of them once a day
+export const MAX_ANALYTICS_VISITORS = 500;
+
+// How many referrer hosts an item keeps for each day
+const MAX_DAILY_REFERRERS = 50;
+
+const MAX_REFERRERS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000; // 1 day in milliseconds
+
+// How often analytics of items that are gone are looked for
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+/*
+ * Views and copies live in data/analytics.json rather than on the items, so counting one
+ * rewrites this file instead of the whole store. Counts are kept per day rather than per
+ * event, so an entry stays the same size however many views it gets:
+ *   { items: { [itemId]: { views, copies, days: { [YYYY-MM-DD]: { views, referrers: { [host]: count } } }, visitors: { [visitor]: YYYY-MM-DD } } } }
+ * `views` and `copies` are all-time totals. `days` covers the last ANALYTICS_DAYS days (direct
+ * views are kept under the host ''), and `visitors` holds the day each of the latest
+ * MAX_ANALYTICS_VISITORS visitors was last counted.
+ */
+const { load, mutate } = createJsonFile('analytics.json', () => ({ items: {} }));
+
+// Helper to get the secret visitor hashes are keyed with.
+// Without ANALYTICS_SECRET (or NEXTAUTH_SECRET) one is generated and kept in the data directory,
+// so the same visitor keeps the same hash across restarts.
+function getSecret() {
+  if (!globalThis.__analyticsSecret) {
+    let secret = process.env.ANALYTICS_SECRET || process.env.NEXTAUTH_SECRET;
+    if (!secret) {
+      const file = path.join(DATA_DIR, 'analytics.key');
+      if (existsSync(file)) {
+        secret = readFileSync(file, 'utf8').trim();
+      } else {
+        secret = crypto.randomBytes(32).toString('hex');
+        mkdirSync(DATA_DIR, { recursive: true });
+        writeFileSync(file, secret, { mode: 0o600 });
+      }
+    }
+    globalThis.__analyticsSecret = secret;
+  }
+  return globalThis.__analyticsSecret;
+}
+
+// Helper to turn the caller into an anonymous visitor id for one item.
+// The hash is keyed per item, so the same visitor can't be followed from one item to the next,
+// and nothing about the visitor (IP, cookie or account) is stored.
+export function hashVisitor(itemId, identity) {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`${itemId}:${identity.ownerId}`)
+    .digest('hex')
+    .slice(0, 16);
+}
+
+// Helper to reduce a referrer URL to its host; anything unparsable counts as direct
+export function getReferrerHost(referrer) {
+  if (!referrer || typeof referrer !== 'string') return null;
+  try {
+    const { protocol, hostname } = new URL(referrer);
+    return ['http:', 'https:'].includes(protocol) ? hostname : null;
+  } catch {
+    return null;
+  }
+}
+
+// Helper to get the UTC day (YYYY-MM-DD) a timestamp falls on
+function getDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// Helper to add a view to an entry's days and visitors. The visitor moves to the end,
+// so the visitors stay in the order they were last counted.
+function addView(entry, { visitor, at, referrer }) {
+  const day = getDay(at);
+  const current = entry.days[day] || { views: 0, referrers: {} };
+  const host = referrer || '';
+  const referrers = host in current.referrers || Object.keys(current.referrers).length < MAX_DAILY_REFERRERS
+    ? { ...current.referrers, [host]: (current.referrers[host] || 0) + 1 }
+    : current.referrers;
+
+  const visitors = { ...entry.visitors };
+  delete visitors[visitor];
+  visitors[visitor] = day;
+  return { ...entry, days: { ...entry.days, [day]: { views: current.views + 1, referrers } }, visitors };
+}
+
+// Helper to drop the days before the last ANALYTICS_DAYS, and the visitors counted longest ago
+function trimEntry(entry, now) {
+  const firstDay = getDay(now - (ANALYTICS_DAYS - 1) * DAY_MS);
+  return {
+    ...entry,
+    days: Object.fromEntries(Object.entries(entry.days).filter(([day]) => day >= firstDay)),
+    visitors: Object.fromEntries(Object.entries(entry.visitors)
+      .filter(([, day]) => day >= firstDay)
+      .slice(-MAX_ANALYTICS_VISITORS)),
+  };
+}
+
+// Helper to get what was recorded for an item. Entries written before the counts were kept per day,
+// and items from before analytics.json (which kept them on the item itself), list every event instead.
+function getEntry(data, item) {
+  const entry = data.items[item.id];
+  if (entry?.days) return entry;
+
+  const legacy = entry || { views: item.viewCount || 0, copies: item.copyCount || 0, events: item.analytics || [] };
+  return legacy.events
+    .filter(event => event.type === 'view')
+    .reduce(addView, { views: legacy.views, copies: legacy.copies, days: {}, visitors: {} });
+}
+
+// Helper to change an item's entry
+function setEntry(data, item, entry) {
+  return { ...data, items: { ...data.items, [item.id]: entry } };
+}
+
+// Helper to check whether a visitor was already counted for an item today
+function hasViewedToday(entry, visitor, now) {
+  return entry.visitors[visitor] === getDay(now);
+}
+
+/*
+ * Record a view. A visitor counts once per item per day, so a repeat view
+ * is only looked up and nothing is written.
+ */
+export async function recordView(item, { visitor, referrer }, now = Date.now()) {
+  if (hasViewedToday(getEntry(await load(), item), visitor, now)) return;
+
+  await mutate((data) => {
+    const entry = getEntry(data, item);
+    if (hasViewedToday(entry, visitor, now)) return data;
+    const viewed = addView(entry, { visitor, at: now, referrer: getReferrerHost(referrer) });
+    return setEntry(data, item, trimEntry({ ...viewed, views: viewed.views + 1 }, now));
+  });
+}
+
+// Record a copy of the item's text
+export async function recordCopy(item, now = Date.now()) {
+  await mutate((data) => {
+    const entry = getEntry(data, item);
+    return setEntry(data, item, trimEntry({ ...entry, copies: entry.copies + 1 }, now));
+  });
+}
+
+// The all-time view and copy counts of several items, as a Map from item id to { views, copies }
+export async function getCounts(items) {
+  const data = await load();
+  return new Map(items.map((item) => {
+    const { views, copies } = getEntry(data, item);
+    return [item.id, { views, copies }];
+  }));
+}
+
+/*
+ * Forget the analytics of items that expired or were deleted for good.
+ * Runs after store.purgeExpired, but only once every PURGE_INTERVAL_MS.
+ */
+export async function purgeAnalytics(store, now = Date.now()) {
+  const state = globalThis.__analyticsPurge || (globalThis.__analyticsPurge = { purgedAt: 0 });
+  if (now - state.purgedAt < PURGE_INTERVAL_MS) return 0;
+  state.purgedAt = now;
+
+  const gone = [];
+  for (const itemId of Object.keys((await load()).items)) {
+    if (!(await store.get(itemId))) gone.push(itemId);
+  }
+  if (!gone.length) return 0;
+
+  await mutate(data => ({
+    ...data,
+    items: Object.fromEntries(Object.entries(data.items).filter(([itemId]) => !gone.includes(itemId))),
+  }));
+  return gone.length;
+}
+
+/*
+ * Summarize an item's analytics for its owner:
+ *   views, copies    all-time totals
+ *   uniqueVisitors   distinct visitors over the last ANALYTICS_DAYS days (up to MAX_ANALYTICS_VISITORS)
+ *   days             views and unique visitors for each of those days; as a visitor is only
+ *                    counted once a day, the two are the same
+ *   referrers        where views came from, most first (null host means direct)
+ */
+export async function getAnalytics(item, now = Date.now()) {
+  const entry = trimEntry(getEntry(await load(), item), now);
+
+  const days = [];
+  for (let offset = ANALYTICS_DAYS - 1; offset >= 0; offset--) {
+    const date = getDay(now - offset * DAY_MS);
+    const views = entry.days[date]?.views || 0;
+    days.push({ date, views, uniqueVisitors: views });
+  }
+
+  const referrerCounts = new Map();
+  Object.values(entry.days).forEach((day) => {
+    Object.entries(day.referrers).forEach(([host, count]) => {
+      referrerCounts.set(host, (referrerCounts.get(host) || 0) + count);
+    });
+  });
+  const referrers = [...referrerCounts]
+    .map(([host, count]) => ({ host: host || null, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_REFERRERS);
+
+  return {
+    views: entry.views,
+    uniqueVisitors: Object.keys(entry.visitors).length,
+    copies: entry.copies,
+    days,
+    referrers,
+  };
+}
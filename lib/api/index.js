@@ -0,0 +1,146 @@
+import { getStore, purgeExpiredItems } from '../storage';
+import { getBearerToken, getIdentity } from '../identity';
+import { serializeItem } from '../items';
+import { checkRateLimit } from '../rateLimit';
+import { isBanned } from '../moderation';
+import { purgeAttachments } from '../attachments';
+import { purgeAnalytics } from '../analytics';
+import { publishExpired } from '../events';
+import { SnippetError } from '../snippets';
+import { schemas, validate } from './schemas';
+
+/*
+ * Shared plumbing for the versioned API under /api/v1. Unlike the routes the app
+ * itself calls, every error there is answered in one shape:
+ *
+ *   { error: { code, message, details? } }
+ *
+ * where `code` is stable for clients to check and `message` is for people.
+ */
+
+// The code for an error with no more specific one, by HTTP status
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  422: 'unprocessable_content',
+  429: 'rate_limited',
+  500: 'internal_error',
+};
+
+export class ApiError extends Error {
+  constructor(message, status = 400, { code = null, details = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || ERROR_CODES[status] || ERROR_CODES[500];
+    this.details = details;
+  }
+}
+
+export function sendApiError(res, error) {
+  return res.status(error.status).json({
+    error: {
+      code: error.code,
+      message: error.message,
+      ...(error.details && { details: error.details }),
+    },
+  });
+}
+
+// Helper to turn what lib/snippets throws into an ApiError. A conflict's `current`
+// item is serialized for the caller, like every other snippet the API sends.
+function fromSnippetError(error, identity) {
+  const { current, ...details } = error.details;
+  const allDetails = { ...details, ...(current && { current: serializeItem(current, identity) }) };
+  return new ApiError(error.message, error.status, {
+    code: error.code,
+    details: Object.keys(allDetails).length ? allDetails : null,
+  });
+}
+
+/*
+ * Resolve the caller like getIdentity, except that a token which doesn't match
+ * (mistyped, or revoked from the tokens page) is refused instead of quietly
+ * treating the request as anonymous.
+ */
+export async function getApiIdentity(req, res) {
+  const identity = await getIdentity(req, res);
+  if (getBearerToken(req) && !identity.tokenId) {
+    throw new ApiError('Invalid or revoked token', 401);
+  }
+  return identity;
+}
+
+/*
+ * Build a v1 route from its methods:
+ *
+ *   createApiHandler({
+ *     GET: { rateLimit: 'read', handle: async (req, res, { store, identity }) => ... },
+ *     POST: { rateLimit: 'create', write: true, body: 'SnippetCreate', handle: async (req, res, { store, identity, body }) => ... },
+ *   })
+ *
+ * `rateLimit` is the lib/rateLimit action the method counts against, `write` turns
+ * banned callers away, and `body` names the schema in schemas.js the request body is
+ * checked against. Handlers throw ApiError (or SnippetError) for anything the caller got wrong.
+ */
+export function createApiHandler(methods) {
+  return async function handler(req, res) {
+    const method = methods[req.method];
+    let identity = null;
+
+    try {
+      if (!method) {
+        res.setHeader('Allow', Object.keys(methods));
+        throw new ApiError(`Method ${req.method} Not Allowed`, 405);
+      }
+
+      const store = await getStore();
+      publishExpired(await purgeExpiredItems(store));
+      await purgeAttachments(store);
+      await purgeAnalytics(store);
+
+      identity = await getApiIdentity(req, res);
+
+      const limited = method.rateLimit && checkRateLimit(req, identity, method.rateLimit);
+      if (limited) {
+        res.setHeader('Retry-After', String(limited.retryAfter));
+        throw new ApiError('Too many requests, please slow down', 429, { details: { retryAfter: limited.retryAfter } });
+      }
+
+      if (method.write && await isBanned(identity)) {
+        throw new ApiError('You are not allowed to post or edit snippets', 403);
+      }
+
+      let body;
+      if (method.body) {
+        // Next would also parse form posts into an object; only JSON is accepted here
+        const isJson = /^application\/json\b/i.test(req.headers['content-type'] || '');
+        if (!isJson || !req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+          throw new ApiError('Send the request body as a JSON object', 415);
+        }
+        const fields = validate(schemas[method.body], req.body);
+        if (fields.length) {
+          throw new ApiError('The request body is not valid', 400, { code: 'validation_failed', details: { fields } });
+        }
+        body = req.body;
+      }
+
+      return await method.handle(req, res, { store, identity, body });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return sendApiError(res, error);
+      }
+      if (error instanceof SnippetError) {
+        return sendApiError(res, fromSnippetError(error, identity));
+      }
+      console.error('Error:', error);
+      return sendApiError(res, new ApiError('Internal server error', 500));
+    }
+  };
+}
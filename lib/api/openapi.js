@@ -0,0 +1,128 @@
+import { schemas } from './schemas';
+
+// What the error responses of the API mean; each is an Error object (see lib/api/index.js)
+const ERROR_RESPONSES = {
+  400: 'The request is not valid; `validation_failed` lists the fields in `details.fields`',
+  401: 'The token is unknown or was revoked',
+  403: 'The caller may not do this',
+  404: 'There is no such snippet, or the caller may not see it',
+  409: 'Someone else saved first; `details.current` is their version',
+  413: 'The text or an attachment is too large',
+  415: 'The body was not sent as JSON',
+  422: 'The text was refused: `secrets_found` or `content_rejected`',
+  429: 'Too many requests; retry after `details.retryAfter` seconds',
+};
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ content: { 'application/json': { schema } } });
+
+function responses(success, errors) {
+  return {
+    ...success,
+    ...Object.fromEntries(errors.map(status => [status, {
+      description: ERROR_RESPONSES[status],
+      ...json(ref('Error')),
+    }])),
+  };
+}
+
+const idParameter = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  schema: { type: 'string' },
+  description: 'The snippet id, as in its share link /share/{id}',
+};
+
+const ifMatchParameter = {
+  name: 'If-Match',
+  in: 'header',
+  schema: { type: 'string' },
+  description: 'The version the edit started from, instead of `baseVersion`',
+};
+
+const listParameters = [
+  { name: 'sort', in: 'query', schema: { type: 'string', enum: ['newest', 'likes'], default: 'newest' } },
+  { name: 'visibility', in: 'query', schema: schemas.Snippet.properties.visibility },
+  { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1 } },
+  { name: 'cursor', in: 'query', schema: { type: 'string' }, description: '`nextCursor` from the previous page' },
+];
+
+const PATHS = {
+  '/snippets': {
+    get: {
+      operationId: 'listSnippets',
+      summary: 'List public snippets and your own',
+      parameters: listParameters,
+      responses: responses({ 200: { description: 'One page of snippets', ...json(ref('SnippetList')) } }, [400, 401, 429]),
+    },
+    post: {
+      operationId: 'createSnippet',
+      summary: 'Create a snippet',
+      requestBody: { required: true, ...json(ref('SnippetCreate')) },
+      responses: responses(
+        { 201: { description: 'The new snippet', ...json(ref('Snippet')) } },
+        [400, 401, 403, 413, 415, 422, 429]
+      ),
+    },
+  },
+  '/snippets/{id}': {
+    parameters: [idParameter],
+    get: {
+      operationId: 'getSnippet',
+      summary: 'Read a snippet',
+      description: 'Counts as a view. Reading a burn-after-reading snippet deletes it, unless you created it.',
+      responses: responses({ 200: { description: 'The snippet', ...json(ref('Snippet')) } }, [401, 404, 429]),
+    },
+    patch: {
+      operationId: 'updateSnippet',
+      summary: 'Change a snippet',
+      description: 'A new text is saved as the next revision. Language, format, visibility, editing and expiry '
+        + 'can change along with it or on their own; only the owner can change the last three.',
+      parameters: [ifMatchParameter],
+      requestBody: { required: true, ...json(ref('SnippetUpdate')) },
+      responses: responses(
+        { 200: { description: 'The snippet as saved', ...json(ref('Snippet')) } },
+        [400, 401, 403, 404, 409, 413, 415, 422, 429]
+      ),
+    },
+    delete: {
+      operationId: 'deleteSnippet',
+      summary: 'Delete a snippet you created',
+      responses: responses({ 200: { description: 'Deleted', ...json(ref('Deleted')) } }, [401, 403, 404, 429]),
+    },
+  },
+  '/snippets/{id}/like': {
+    parameters: [idParameter],
+    post: {
+      operationId: 'toggleLike',
+      summary: 'Like a snippet, or take the like back',
+      responses: responses({ 200: { description: 'Whether you like it now', ...json(ref('Like')) } }, [401, 403, 404, 429]),
+    },
+  },
+};
+
+// The OpenAPI 3 description of /api/v1, served as /api/v1/openapi.json
+export function getOpenApiDocument() {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'textide API',
+      version: '1',
+      description: 'Create, read and manage snippets. Send a personal access token (created on the /tokens page) '
+        + 'as a bearer token to act as your account; without one, requests act as an anonymous visitor '
+        + 'identified by the textide_vid cookie.',
+    },
+    servers: [{ url: '/api/v1' }],
+    // Every operation also works anonymously, hence the empty requirement
+    security: [{}, { bearerToken: [] }, { visitorCookie: [] }],
+    paths: PATHS,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerToken: { type: 'http', scheme: 'bearer', description: 'A personal access token, txt_…' },
+        visitorCookie: { type: 'apiKey', in: 'cookie', name: 'textide_vid' },
+      },
+    },
+  };
+}
@@ -0,0 +1,252 @@
+import { AUTO_LANGUAGE, FORMAT_OPTIONS, LANGUAGE_OPTIONS } from '../languages';
+import { VISIBILITY_OPTIONS } from '../visibility';
+import { EXPIRY_OPTIONS } from '../expiry';
+import { MAX_BUNDLE_FILES, MAX_FILE_NAME_LENGTH } from '../bundles';
+import { MAX_ATTACHMENTS } from '../attachments/types';
+
+/*
+ * JSON schemas for the v1 API. Request bodies are checked against them with validate(),
+ * and the OpenAPI document (see openapi.js) is built from the same objects, so the
+ * two can't drift apart. Only the parts of JSON Schema used below are supported.
+ */
+const LANGUAGES = LANGUAGE_OPTIONS.map(option => option.value);
+const values = options => options.map(option => option.value);
+
+const FileInput = {
+  type: 'object',
+  required: ['name', 'text'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: MAX_FILE_NAME_LENGTH },
+    language: { type: 'string', enum: [AUTO_LANGUAGE, ...LANGUAGES], default: AUTO_LANGUAGE },
+    text: { type: 'string' },
+  },
+};
+
+const File = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    language: { type: 'string', enum: LANGUAGES },
+    text: { type: 'string' },
+  },
+};
+
+const Encryption = {
+  type: 'object',
+  description: 'How the text was encrypted in the browser. The key never reaches the server.',
+  required: ['alg', 'kdf', 'iv'],
+  properties: {
+    alg: { type: 'string', enum: ['AES-GCM'] },
+    kdf: { type: 'string', enum: ['none', 'PBKDF2'] },
+    iv: { type: 'string' },
+    salt: { type: 'string' },
+    iterations: { type: 'integer', minimum: 100000 },
+  },
+};
+
+export const schemas = {
+  SnippetCreate: {
+    type: 'object',
+    description: 'A new snippet: either a `text`, or `files` for a bundle.',
+    additionalProperties: false,
+    properties: {
+      text: { type: 'string' },
+      files: { type: 'array', minItems: 1, maxItems: MAX_BUNDLE_FILES, items: FileInput },
+      language: { type: 'string', enum: [AUTO_LANGUAGE, ...LANGUAGES], default: AUTO_LANGUAGE },
+      format: { type: 'string', enum: values(FORMAT_OPTIONS), default: 'code' },
+      visibility: { type: 'string', enum: values(VISIBILITY_OPTIONS), default: 'unlisted' },
+      expiresIn: { type: 'string', enum: values(EXPIRY_OPTIONS), default: '30d' },
+      editable: { type: 'boolean', default: false, description: 'Let anyone with the link edit it' },
+      burnAfterReading: { type: 'boolean', default: false },
+      forkedFrom: { type: 'string', nullable: true, description: 'The id of the snippet this is a copy of' },
+      encryption: { ...Encryption, description: 'Set when `text` is ciphertext encrypted by the client' },
+      attachments: {
+        type: 'array',
+        maxItems: MAX_ATTACHMENTS,
+        items: {
+          type: 'object',
+          required: ['name', 'data'],
+          properties: {
+            name: { type: 'string' },
+            type: { type: 'string' },
+            data: { type: 'string', format: 'byte' },
+          },
+        },
+      },
+    },
+  },
+
+  SnippetUpdate: {
+    type: 'object',
+    description: 'What to change. A new `text` (or new `files`, for a bundle) is saved as the next revision; '
+      + 'the other fields can be sent with it or on their own. Only the owner can change '
+      + '`visibility`, `editable` and `expiresIn`.',
+    additionalProperties: false,
+    properties: {
+      text: { type: 'string' },
+      files: { type: 'array', minItems: 1, maxItems: MAX_BUNDLE_FILES, items: FileInput },
+      language: { type: 'string', enum: LANGUAGES },
+      format: { type: 'string', enum: values(FORMAT_OPTIONS) },
+      visibility: { type: 'string', enum: values(VISIBILITY_OPTIONS) },
+      expiresIn: { type: 'string', enum: values(EXPIRY_OPTIONS), description: 'Counted from now' },
+      editable: { type: 'boolean', description: 'Let anyone with the link edit it' },
+      encryption: Encryption,
+      baseVersion: {
+        type: 'integer',
+        minimum: 1,
+        description: 'The version the edit started from. Saving fails with a conflict when the snippet has changed since.',
+      },
+    },
+  },
+
+  Snippet: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      text: { type: 'string', nullable: true, description: 'null for encrypted snippets in lists' },
+      encrypted: { type: 'boolean' },
+      encryption: { ...Encryption, nullable: true },
+      visibility: { type: 'string', enum: values(VISIBILITY_OPTIONS) },
+      language: { type: 'string', enum: LANGUAGES },
+      format: { type: 'string', enum: values(FORMAT_OPTIONS) },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time', nullable: true },
+      version: { type: 'integer' },
+      revisionCount: { type: 'integer' },
+      expiresAt: { type: 'string', format: 'date-time', nullable: true },
+      burnAfterReading: { type: 'boolean' },
+      likesCount: { type: 'integer' },
+      hasLiked: { type: 'boolean' },
+      editable: { type: 'boolean', description: 'Whether the caller can edit it' },
+      isOwner: { type: 'boolean' },
+      hidden: { type: 'boolean' },
+      attachments: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            type: { type: 'string' },
+            size: { type: 'integer' },
+          },
+        },
+      },
+      files: { type: 'array', nullable: true, items: File },
+      forkedFrom: { type: 'string', nullable: true },
+      burned: { type: 'boolean', description: 'Set when reading it deleted a burn-after-reading snippet' },
+    },
+  },
+
+  SnippetList: {
+    type: 'object',
+    properties: {
+      items: { type: 'array', items: { $ref: '#/components/schemas/Snippet' } },
+      nextCursor: { type: 'string', nullable: true, description: 'Pass as `cursor` to get the next page' },
+    },
+  },
+
+  Like: {
+    type: 'object',
+    properties: {
+      hasLiked: { type: 'boolean' },
+      likesCount: { type: 'integer' },
+    },
+  },
+
+  Deleted: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      undoUntil: { type: 'string', format: 'date-time', description: 'Until when the owner can restore it on its page' },
+    },
+  },
+
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', example: 'validation_failed' },
+          message: { type: 'string' },
+          details: {
+            type: 'object',
+            description: 'More about the error, e.g. `fields` with what is wrong with each field of the request',
+            additionalProperties: true,
+          },
+        },
+      },
+    },
+  },
+};
+
+// Helper to name the JSON type of a value the way schemas do
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, schema) {
+  const type = getType(value);
+  if (type === 'null') return Boolean(schema.nullable);
+  return type === schema.type || (schema.type === 'number' && type === 'integer');
+}
+
+/*
+ * Check a value against a schema. Returns what's wrong as [{ field, message }],
+ * empty when nothing is. `field` is a path like "files[1].name".
+ */
+export function validate(schema, value, field = '') {
+  const problems = [];
+  const report = message => problems.push({ field: field || 'body', message });
+
+  if (!matchesType(value, schema)) {
+    report(`must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+    return problems;
+  }
+  if (value === null) return problems;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    report(`must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) report('must not be empty');
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) report(`must be at most ${schema.maxLength} characters`);
+  }
+
+  if (schema.type === 'integer' && schema.minimum !== undefined && value < schema.minimum) {
+    report(`must be at least ${schema.minimum}`);
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) report(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) report(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => problems.push(...validate(schema.items, item, `${field}[${index}]`)));
+    }
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    const prefix = field ? `${field}.` : '';
+    (schema.required || []).forEach((name) => {
+      if (value[name] === undefined) problems.push({ field: `${prefix}${name}`, message: 'is required' });
+    });
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      if (properties[name]) {
+        if (propertyValue !== undefined) problems.push(...validate(properties[name], propertyValue, `${prefix}${name}`));
+      } else if (schema.additionalProperties === false) {
+        problems.push({ field: `${prefix}${name}`, message: 'is not allowed' });
+      }
+    });
+  }
+
+  return problems;
+}
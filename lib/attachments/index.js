@@ -0,0 +1,203 @@
+import { v4 as uuidv4 } from 'uuid';
+import { DATA_DIR } from '../storage';
+import { MAX_ATTACHMENT_NAME_LENGTH, MAX_ATTACHMENT_SIZE, MAX_ATTACHMENTS, MAX_ATTACHMENTS_SIZE, TEXT_TYPES } from './types';
+
+/*
+ * Attachment files are kept apart from the items, behind their own interface.
+ * Every adapter implements:
+ *
+ *   put(itemId, attachmentId, data)   stores a file (a Buffer)
+ *   get(itemId, attachmentId)         -> readable stream, or null when it's missing
+ *   removeAll(itemId)                 removes every file of an item
+ *   listItemIds()                     -> ids of the items that have files stored
+ *
+ * The item keeps the list of its attachments ({ id, name, type, size }), so
+ * expiring or deleting an item is what takes its attachments away: files are only
+ * served for items the caller can open, and purgeAttachments removes the rest.
+ */
+const adapters = {
+  local: () => import('./local'),
+};
+
+// Files of items that are gone are looked for at most this often
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// File signatures of the binary types; text is recognized by decoding it
+const SIGNATURES = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: [...Buffer.from('GIF87a')] },
+  { type: 'image/gif', bytes: [...Buffer.from('GIF89a')] },
+  { type: 'image/webp', bytes: [...Buffer.from('RIFF')], then: { offset: 8, bytes: [...Buffer.from('WEBP')] } },
+  { type: 'application/pdf', bytes: [...Buffer.from('%PDF-')] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x05, 0x06] },
+];
+
+export class AttachmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.status = status;
+  }
+}
+
+// Helper function to get the configured attachment store, shared like the item store
+export function getAttachmentStore() {
+  if (!globalThis.__attachmentStore) {
+    const driver = process.env.CLIPBOARD_ATTACHMENT_STORAGE || 'local';
+    const loadAdapter = adapters[driver];
+    if (!loadAdapter) {
+      throw new Error(`Unknown attachment storage driver: ${driver}`);
+    }
+    globalThis.__attachmentStore = loadAdapter()
+      .then(({ createAttachmentStore }) => createAttachmentStore({ dataDir: DATA_DIR }))
+      .catch((error) => {
+        // Allow the next request to retry instead of caching the failure
+        globalThis.__attachmentStore = null;
+        throw error;
+      });
+  }
+  return globalThis.__attachmentStore;
+}
+
+// Helper to check whether a buffer starts with a signature
+function matchesSignature(data, { bytes, then }) {
+  const matches = (offset, expected) => expected.every((byte, index) => data[offset + index] === byte);
+  return matches(0, bytes) && (!then || matches(then.offset, then.bytes));
+}
+
+// Helper to check whether a file is readable text: valid UTF-8 without NUL bytes
+function isText(data) {
+  if (data.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(data);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/*
+ * Work out what a file really is from its contents, never just from what the browser said,
+ * so nothing can be served as an image or a text file that isn't one.
+ * The declared type only tells apart the kinds of text. Returns null for types that aren't allowed.
+ */
+export function detectAttachmentType(data, declaredType) {
+  const signature = SIGNATURES.find(candidate => matchesSignature(data, candidate));
+  if (signature) return signature.type;
+  if (!isText(data)) return null;
+  return TEXT_TYPES.includes(declaredType) ? declaredType : 'text/plain';
+}
+
+// Helper to make an uploaded file name safe to store and send back in headers
+export function sanitizeAttachmentName(name) {
+  const cleaned = String(name || '')
+    .split(/[/\\]/).pop()
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u001f\u007f"]/g, '')
+    .trim()
+    .slice(0, MAX_ATTACHMENT_NAME_LENGTH);
+  return cleaned || 'file';
+}
+
+// Helper to build a Content-Disposition header that survives any file name
+export function getContentDisposition(name, download) {
+  const fallback = name.replace(/[^\x20-\x7e]/g, '_').replace(/[\\%]/g, '_');
+  return `${download ? 'attachment' : 'inline'}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+}
+
+/*
+ * Check the attachments of a new item, sent as [{ name, type, data }] with `data` base64 encoded.
+ * Returns them ready to store, as { id, name, type, size, data }.
+ * Throws an AttachmentError (with the status to answer with) for anything over the limits or not allowed.
+ */
+export function parseAttachments(input) {
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) {
+    throw new AttachmentError('Invalid attachments');
+  }
+  if (input.length > MAX_ATTACHMENTS) {
+    throw new AttachmentError(`At most ${MAX_ATTACHMENTS} attachments are allowed`);
+  }
+
+  let totalSize = 0;
+  return input.map((attachment) => {
+    const { name, type, data } = attachment || {};
+    if (typeof data !== 'string' || !data || data.length % 4 !== 0 || !BASE64_PATTERN.test(data)) {
+      throw new AttachmentError('Invalid attachment data');
+    }
+
+    // Checked on the encoded length first, so oversized files are never decoded
+    if (data.length * 3 / 4 > MAX_ATTACHMENT_SIZE + 2) {
+      throw new AttachmentError('Attachment is too large', 413);
+    }
+    const buffer = Buffer.from(data, 'base64');
+    if (buffer.length > MAX_ATTACHMENT_SIZE) {
+      throw new AttachmentError('Attachment is too large', 413);
+    }
+    totalSize += buffer.length;
+    if (totalSize > MAX_ATTACHMENTS_SIZE) {
+      throw new AttachmentError('Attachments are too large together', 413);
+    }
+
+    const detectedType = detectAttachmentType(buffer, type);
+    if (!detectedType) {
+      throw new AttachmentError('File type not allowed', 415);
+    }
+
+    return {
+      id: uuidv4(),
+      name: sanitizeAttachmentName(name),
+      type: detectedType,
+      size: buffer.length,
+      data: buffer,
+    };
+  });
+}
+
+// Helper to project an attachment for API responses and for the item itself
+export function serializeAttachment({ id, name, type, size }) {
+  return { id, name, type, size };
+}
+
+// Store the files of a new item. When one fails, the ones already written are removed again.
+export async function saveAttachments(itemId, attachments) {
+  const attachmentStore = await getAttachmentStore();
+  try {
+    for (const attachment of attachments) {
+      await attachmentStore.put(itemId, attachment.id, attachment.data);
+    }
+  } catch (error) {
+    await attachmentStore.removeAll(itemId).catch(() => {});
+    throw error;
+  }
+}
+
+export async function removeAttachments(itemId) {
+  const attachmentStore = await getAttachmentStore();
+  await attachmentStore.removeAll(itemId);
+}
+
+/*
+ * Remove the files of items that expired or were deleted for good.
+ * Runs after store.purgeExpired, but only looks at the disk once every PURGE_INTERVAL_MS.
+ * Deleted items keep their files until the undo window passes, so an undo brings them back.
+ */
+export async function purgeAttachments(store, now = Date.now()) {
+  const state = globalThis.__attachmentPurge || (globalThis.__attachmentPurge = { purgedAt: 0 });
+  if (now - state.purgedAt < PURGE_INTERVAL_MS) return 0;
+  state.purgedAt = now;
+
+  const attachmentStore = await getAttachmentStore();
+  let removed = 0;
+  for (const itemId of await attachmentStore.listItemIds()) {
+    if (!(await store.get(itemId))) {
+      await attachmentStore.removeAll(itemId);
+      removed++;
+    }
+  }
+  return removed;
+}
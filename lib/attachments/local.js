@@ -0,0 +1,56 @@
+import { createReadStream, promises as fs } from 'fs';
+import path from 'path';
+
+// Only ids the API generates ever reach the disk, but nothing else is let through either
+const SAFE_ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+// Keeps attachment files on the local disk, one directory per item:
+// data/attachments/<itemId>/<attachmentId>. Names and types live on the item itself.
+export function createAttachmentStore({ dataDir }) {
+  const root = path.join(dataDir, 'attachments');
+
+  // Helper function to get the path of an item's directory or one of its files
+  function getPath(itemId, attachmentId = null) {
+    if (!SAFE_ID_PATTERN.test(itemId) || (attachmentId !== null && !SAFE_ID_PATTERN.test(attachmentId))) {
+      throw new Error('Invalid attachment path');
+    }
+    return attachmentId === null ? path.join(root, itemId) : path.join(root, itemId, attachmentId);
+  }
+
+  return {
+    async put(itemId, attachmentId, data) {
+      const file = getPath(itemId, attachmentId);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+
+      // Written to a temp file first, so a half-written file is never served
+      const tempFile = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, data);
+      await fs.rename(tempFile, file);
+    },
+
+    async get(itemId, attachmentId) {
+      const file = getPath(itemId, attachmentId);
+      try {
+        await fs.access(file);
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+      return createReadStream(file);
+    },
+
+    async removeAll(itemId) {
+      await fs.rm(getPath(itemId), { recursive: true, force: true });
+    },
+
+    async listItemIds() {
+      try {
+        const entries = await fs.readdir(root, { withFileTypes: true });
+        return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+  };
+}
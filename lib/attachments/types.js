@@ -0,0 +1,39 @@
+// Attachment limits and file types, shared by the composer (before upload) and the API.
+
+// Largest single file, all files on one item together, and how many files an item can have
+export const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024; // 5 MB in bytes
+export const MAX_ATTACHMENTS_SIZE = 10 * 1024 * 1024; // 10 MB in bytes
+export const MAX_ATTACHMENTS = 5;
+
+export const MAX_ATTACHMENT_NAME_LENGTH = 255;
+
+// Images shown inline on the share page. SVG is left out on purpose: it can carry scripts.
+export const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// Text files shown inline; anything else that reads as text is stored as text/plain
+export const TEXT_TYPES = ['text/plain', 'text/markdown', 'text/csv', 'application/json'];
+
+// Everything else that can be attached, offered as a download only
+export const DOWNLOAD_TYPES = ['application/pdf', 'application/zip'];
+
+export const ATTACHMENT_TYPES = [...IMAGE_TYPES, ...TEXT_TYPES, ...DOWNLOAD_TYPES];
+
+export function isImageType(type) {
+  return IMAGE_TYPES.includes(type);
+}
+
+export function isTextType(type) {
+  return TEXT_TYPES.includes(type);
+}
+
+// Helper to get where an attachment is served from; `download` asks the browser to save it
+export function getAttachmentUrl(itemId, attachmentId, { download = false } = {}) {
+  return `/api/clipboard/${itemId}/attachments/${attachmentId}${download ? '?download=1' : ''}`;
+}
+
+// Helper to format a file size for people, e.g. "1.4 MB"
+export function formatBytes(size) {
+  if (size < 1024) return `${size} B`;
+  if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`;
+  return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,79 @@
+import { AUTO_LANGUAGE, LANGUAGE_OPTIONS, detectLanguage, getLanguageExtension, isValidLanguage } from './languages';
+
+// A bundle is an item with an ordered list of named files ({ name, language, text })
+// instead of a single text. Its `text` is kept as all files one after the other
+// (see formatBundleText), so search, the content filter and history work on bundles too.
+export const MAX_BUNDLE_FILES = 20;
+export const MAX_FILE_NAME_LENGTH = 100;
+
+// eslint-disable-next-line no-control-regex
+const INVALID_NAME_PATTERN = /[/\\\u0000-\u001f\u007f]/;
+
+export function isBundle(item) {
+  return Array.isArray(item?.files);
+}
+
+// Helper to check a file name, returning what's wrong with it or null
+export function getFileNameError(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) return 'Every file needs a name';
+  if (trimmed.length > MAX_FILE_NAME_LENGTH) return `File names can be at most ${MAX_FILE_NAME_LENGTH} characters`;
+  if (INVALID_NAME_PATTERN.test(trimmed)) return 'File names cannot contain slashes';
+  return null;
+}
+
+// Helper to guess a file's language from its extension, e.g. "Button.test.jsx" -> jsx
+export function getLanguageFromFileName(name) {
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : name.toLowerCase();
+  return LANGUAGE_OPTIONS.find(option => option.extension === extension)?.value || null;
+}
+
+// Helper to name a new file, e.g. "file2.js"
+export function getDefaultFileName(index, language) {
+  return `file${index + 1}.${getLanguageExtension(language)}`;
+}
+
+/*
+ * Check the files of a bundle as sent by a client: [{ name, language, text }].
+ * `language` can be AUTO_LANGUAGE. Returns what's wrong with them, or null.
+ */
+export function getBundleError(files) {
+  if (!Array.isArray(files) || !files.length) return 'A bundle needs at least one file';
+  if (files.length > MAX_BUNDLE_FILES) return `A bundle can have at most ${MAX_BUNDLE_FILES} files`;
+
+  const names = new Set();
+  for (const file of files) {
+    if (!file || typeof file.text !== 'string') return 'Every file needs a text';
+    const nameError = getFileNameError(file.name);
+    if (nameError) return nameError;
+    if (file.language !== undefined && file.language !== AUTO_LANGUAGE && !isValidLanguage(file.language)) {
+      return 'Invalid language';
+    }
+
+    const key = file.name.trim().toLowerCase();
+    if (names.has(key)) return `There are two files named ${file.name.trim()}`;
+    names.add(key);
+  }
+
+  if (!files.some(file => file.text.trim())) return 'Valid text is required';
+  return null;
+}
+
+// Helper to clean up checked files: trimmed names, and languages picked for AUTO from the name or the text
+export function normalizeBundleFiles(files) {
+  return files.map(({ name, language = AUTO_LANGUAGE, text }) => {
+    const trimmed = name.trim();
+    return {
+      name: trimmed,
+      language: language === AUTO_LANGUAGE
+        ? getLanguageFromFileName(trimmed) || detectLanguage(text)
+        : language,
+      text,
+    };
+  });
+}
+
+// The text a bundle is stored, searched and compared as: each file under a header with its name
+export function formatBundleText(files) {
+  return files.map(file => `==> ${file.name} <==\n${file.text}`).join('\n\n');
+}
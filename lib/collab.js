@@ -0,0 +1,284 @@
+import { getStore } from './storage';
+import { getVersion, reviseItem, VersionConflictError } from './revisions';
+import { applyOperation, getBaseLength, isNoop, transform, transformSelection } from './ot';
+import { openEventStream } from './sse';
+import { publishEvent } from './events';
+import { isTextTooLong } from './items';
+import { getSecretScanMode, redactSecrets, scanSecrets } from './secrets';
+
+// How long to wait after the last keystroke before saving a live session
+const SAVE_DELAY_MS = 2000;
+
+// How many past operations are kept to transform edits from slow clients
+const HISTORY_LIMIT = 500;
+
+const CURSOR_COLORS = ['#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
+
+/*
+ * Live editing sessions, one room per item, kept in memory on globalThis.
+ *
+ * The server is the single source of truth for the order of edits: each room
+ * holds the current text, a revision counter and the recent operations. Clients
+ * stream events over SSE and send their edits with the revision they were made
+ * against; the room transforms them past newer operations, applies them and
+ * broadcasts them. Everything lives in this Node process, so no broker is needed.
+ *
+ * The text is saved through the store like a PUT, a moment after typing stops
+ * and when the last editor leaves, so every burst of edits becomes one revision.
+ */
+const rooms = globalThis.__collabRooms || (globalThis.__collabRooms = new Map());
+
+export class CollabError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'CollabError';
+    this.status = status;
+  }
+}
+
+function broadcast(room, event, data, exceptClientId = null) {
+  room.clients.forEach((client) => {
+    if (client.id !== exceptClientId) client.stream.send(event, data);
+  });
+}
+
+// Helper to describe a client to the others in the room
+function describeClient(client) {
+  return { id: client.id, name: client.name, color: client.color, selection: client.selection };
+}
+
+function getRoom(item) {
+  let room = rooms.get(item.id);
+  if (!room) {
+    room = {
+      id: item.id,
+      text: item.text,
+      version: getVersion(item),
+      revision: 0,
+      history: [],
+      clients: new Map(),
+      guestCount: 0,
+      lastEditor: null,
+      isDirty: false,
+      saveTimer: null,
+      saving: Promise.resolve(),
+    };
+    rooms.set(item.id, room);
+  }
+  return room;
+}
+
+// Helper to get the operations applied since `revision`, or null when they are no longer kept
+function getOperationsSince(room, revision) {
+  const start = room.revision - room.history.length;
+  if (revision < start || revision > room.revision) return null;
+  return room.history.slice(revision - start);
+}
+
+// Replace the room's text, e.g. after a save conflict; clients drop their pending edits
+function resetRoom(room, item) {
+  clearTimeout(room.saveTimer);
+  room.text = item.text;
+  room.version = getVersion(item);
+  room.history = [];
+  room.revision++;
+  room.isDirty = false;
+  broadcast(room, 'reset', { revision: room.revision, text: room.text });
+}
+
+function closeRoom(room, reason) {
+  clearTimeout(room.saveTimer);
+  broadcast(room, 'closed', { reason });
+  room.clients.forEach(client => client.stream.end());
+  rooms.delete(room.id);
+}
+
+async function writeRoom(room) {
+  if (!room.isDirty) return;
+
+  // A document everyone cleared isn't saved, since items need text
+  if (!room.text.trim()) return;
+  room.isDirty = false;
+
+  // There is no request to refuse here, so secrets are always masked, unless scanning is off
+  const typedText = room.text;
+  const findings = getSecretScanMode() === 'off' ? [] : scanSecrets(typedText);
+  const text = findings.length ? redactSecrets(typedText, findings) : typedText;
+  const masked = text !== typedText;
+
+  try {
+    const store = await getStore();
+    const updatedItem = await store.update(room.id, current => reviseItem(current, {
+      text,
+      identity: room.lastEditor,
+      baseVersion: room.version,
+    }));
+    if (!updatedItem) {
+      closeRoom(room, 'deleted');
+      return;
+    }
+
+    if (masked) {
+      // Put everyone on the masked text
+      resetRoom(room, updatedItem);
+    } else {
+      room.version = getVersion(updatedItem);
+      broadcast(room, 'saved', { version: room.version, updatedAt: updatedItem.updatedAt });
+    }
+    publishEvent('updated', updatedItem);
+  } catch (error) {
+    if (!(error instanceof VersionConflictError)) {
+      room.isDirty = true;
+      console.error('Error saving live session:', error);
+      return;
+    }
+    // The item was saved outside this session; its text wins
+    resetRoom(room, error.item);
+  }
+}
+
+// Save the room's text, one save at a time
+export function saveRoom(room) {
+  clearTimeout(room.saveTimer);
+  room.saving = room.saving.then(() => writeRoom(room));
+  return room.saving;
+}
+
+function scheduleSave(room) {
+  clearTimeout(room.saveTimer);
+  room.saveTimer = setTimeout(() => saveRoom(room), SAVE_DELAY_MS);
+}
+
+/*
+ * Add a client to the room for `item` and start streaming events to `res`.
+ * Resolves once the client disconnects.
+ */
+export function joinRoom(item, identity, clientId, res) {
+  const room = getRoom(item);
+  const previous = room.clients.get(clientId);
+  if (previous) previous.stream.end();
+
+  const client = {
+    id: clientId,
+    ownerId: identity.ownerId,
+    identity,
+    name: identity.user?.name || previous?.name || `Guest ${++room.guestCount}`,
+    color: previous?.color || CURSOR_COLORS[room.clients.size % CURSOR_COLORS.length],
+    selection: null,
+    stream: openEventStream(res),
+  };
+  room.clients.set(clientId, client);
+
+  client.stream.send('init', {
+    revision: room.revision,
+    text: room.text,
+    self: describeClient(client),
+    clients: [...room.clients.values()].filter(other => other !== client).map(describeClient),
+  });
+  broadcast(room, 'join', describeClient(client), clientId);
+
+  return client.stream.closed.then(() => {
+    // A reconnect may already have replaced this client
+    if (room.clients.get(clientId) === client) {
+      room.clients.delete(clientId);
+      broadcast(room, 'leave', { id: clientId });
+    }
+    if (!room.clients.size) {
+      // Keep the room until it is saved, so someone rejoining right away gets the latest text
+      saveRoom(room).then(() => {
+        if (!room.clients.size && rooms.get(room.id) === room) rooms.delete(room.id);
+      });
+    }
+  });
+}
+
+// Helper to find a client of a live room, checking it belongs to the caller
+export function getClient(id, clientId, identity) {
+  const room = rooms.get(id);
+  const client = room?.clients.get(clientId);
+  if (!client) {
+    throw new CollabError('Not connected to this live session', 409);
+  }
+  if (client.ownerId !== identity.ownerId) {
+    throw new CollabError('Not authorized to edit this item', 403);
+  }
+  return { room, client };
+}
+
+/*
+ * Apply an edit made against `revision`. The sender gets an `ack` and everyone
+ * else the transformed operation, in the same order as the room applied them.
+ */
+export function receiveOperation(room, client, revision, ops, selection) {
+  const concurrent = getOperationsSince(room, revision);
+  if (!concurrent) {
+    // Too far behind to transform; start the client over from the current text
+    client.stream.send('reset', { revision: room.revision, text: room.text });
+    return;
+  }
+
+  let transformed = ops;
+  let nextSelection = selection;
+  try {
+    concurrent.forEach((applied) => {
+      [transformed] = transform(transformed, applied);
+      nextSelection = transformSelection(nextSelection, applied);
+    });
+  } catch {
+    transformed = null;
+  }
+
+  if (!transformed || getBaseLength(transformed) !== room.text.length) {
+    throw new CollabError('Operation does not match the document', 400);
+  }
+
+  const nextText = applyOperation(room.text, transformed);
+  if (isTextTooLong(nextText)) {
+    // Drop the edit and put the client back on the current text
+    client.stream.send('reset', { revision: room.revision, text: room.text });
+    throw new CollabError('Text is too long', 413);
+  }
+
+  room.text = nextText;
+  room.history.push(transformed);
+  if (room.history.length > HISTORY_LIMIT) room.history.shift();
+  room.revision++;
+  client.selection = nextSelection;
+
+  client.stream.send('ack', { revision: room.revision });
+  broadcast(room, 'operation', { clientId: client.id, ops: transformed, selection: nextSelection }, client.id);
+
+  if (!isNoop(transformed)) {
+    room.lastEditor = client.identity;
+    room.isDirty = true;
+    scheduleSave(room);
+  }
+}
+
+// Share a client's cursor, made against `revision`, with the others
+export function receiveSelection(room, client, revision, selection) {
+  const concurrent = getOperationsSince(room, revision);
+  if (!concurrent) return;
+
+  client.selection = concurrent.reduce(transformSelection, selection);
+  broadcast(room, 'cursor', { clientId: client.id, selection: client.selection }, client.id);
+}
+
+// Called when an item changes outside a live session (a PUT or a restored revision)
+export function notifyItemChanged(item) {
+  const room = rooms.get(item.id);
+  if (room && getVersion(item) !== room.version) resetRoom(room, item);
+}
+
+// Called when an item is deleted, to end its live session
+export function notifyItemDeleted(id) {
+  const room = rooms.get(id);
+  if (room) closeRoom(room, 'deleted');
+}
+
+// Helper to check whether an item can be edited live
+export function canEditLive(item) {
+  // Encrypted text can't be merged on the server, and burned items have nothing to edit.
+  // A bundle's text is built from its files, so bundles are edited a save at a time.
+  return !item.encrypted && !item.burnAfterReading && !item.files;
+}
@@ -0,0 +1,58 @@
+/*
+ * Content filters look at a new item before it is saved. Each one exports
+ * createFilter() returning an object with:
+ *
+ *   check({ text, encrypted, language, format }, { req, identity })
+ *     -> { action: 'allow' | 'flag' | 'reject', reasons: [string] }
+ *
+ * `reject` refuses the item; `flag` saves it but keeps it out of public lists
+ * and search until someone reviews it.
+ *
+ * CLIPBOARD_CONTENT_FILTER picks the filters to run, comma separated
+ * (default `rules`, `none` turns filtering off). Other filters can be added
+ * with registerContentFilter and then named there.
+ */
+const filters = {
+  rules: () => import('./rules'),
+};
+
+const SEVERITY = { allow: 0, flag: 1, reject: 2 };
+
+export function registerContentFilter(name, loadFilter) {
+  filters[name] = loadFilter;
+  globalThis.__contentFilters = null;
+}
+
+// Helper function to get the configured filters.
+// The instances live on globalThis so every API route shares them (and their memory of recent posts).
+function getFilters() {
+  if (!globalThis.__contentFilters) {
+    const names = (process.env.CLIPBOARD_CONTENT_FILTER || 'rules')
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => name && name !== 'none');
+
+    const unknown = names.find(name => !filters[name]);
+    if (unknown) {
+      throw new Error(`Unknown clipboard content filter: ${unknown}`);
+    }
+    globalThis.__contentFilters = Promise.all(names.map(name => filters[name]()))
+      .then(modules => modules.map(({ createFilter }) => createFilter()))
+      .catch((error) => {
+        // Allow the next request to retry instead of caching the failure
+        globalThis.__contentFilters = null;
+        throw error;
+      });
+  }
+  return globalThis.__contentFilters;
+}
+
+// Run every configured filter; the strictest verdict wins and all reasons are kept
+export async function checkContent(content, context) {
+  const results = await Promise.all((await getFilters()).map(filter => filter.check(content, context)));
+
+  return results.reduce((verdict, result) => ({
+    action: SEVERITY[result.action] > SEVERITY[verdict.action] ? result.action : verdict.action,
+    reasons: result.action === 'allow' ? verdict.reasons : [...verdict.reasons, ...result.reasons],
+  }), { action: 'allow', reasons: [] });
+}
@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"')\]]+/gi;
+
+// Links: flag a text that is mostly links, reject one that is little else
+const FLAG_LINKS = { count: 3, share: 0.3 };
+const REJECT_LINKS = { count: 10, share: 0.6 };
+
+// Repeats: the same text posted this many times within the window is rejected
+const REPEAT_LIMIT = 3;
+const REPEAT_WINDOW_MS = 10 * 60 * 1000; // 10 minutes in milliseconds
+
+// Helper to read CONTENT_FILTER_BLOCKED_WORDS, a comma separated list
+function getBlockedWords() {
+  return (process.env.CONTENT_FILTER_BLOCKED_WORDS || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Helper to escape a word for use in a regular expression
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Helper to measure how much of a text is links
+export function getLinkStats(text) {
+  const links = text.match(URL_PATTERN) || [];
+  const linkLength = links.reduce((sum, link) => sum + link.length, 0);
+  const length = text.replace(/\s+/g, '').length;
+  return { count: links.length, share: length ? linkLength / length : 0 };
+}
+
+/*
+ * The built-in rules-based filter:
+ *   - link density     texts made up mostly of links are flagged or rejected
+ *   - blocked words    any word from CONTENT_FILTER_BLOCKED_WORDS rejects the text
+ *   - repeated posts   the same text posted again and again in a short time is rejected
+ *
+ * Encrypted items are never inspected: their text is ciphertext.
+ */
+export function createFilter() {
+  const blockedWords = getBlockedWords();
+  const blockedPattern = blockedWords.length
+    ? new RegExp(`(^|[^\\p{L}\\p{N}])(${blockedWords.map(escapeRegExp).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'iu')
+    : null;
+  const recentPosts = new Map();
+
+  // Helper to count earlier posts of the same text and remember this one
+  function countRepeats(text, now) {
+    recentPosts.forEach((times, hash) => {
+      const recent = times.filter(time => now - time < REPEAT_WINDOW_MS);
+      if (recent.length) recentPosts.set(hash, recent);
+      else recentPosts.delete(hash);
+    });
+
+    const hash = crypto.createHash('sha256').update(text.trim().replace(/\s+/g, ' ')).digest('hex');
+    const times = recentPosts.get(hash) || [];
+    recentPosts.set(hash, [...times, now]);
+    return times.length;
+  }
+
+  return {
+    async check({ text, encrypted }) {
+      if (encrypted) return { action: 'allow', reasons: [] };
+
+      const rejected = [];
+      const flagged = [];
+
+      const links = getLinkStats(text);
+      if (links.count >= REJECT_LINKS.count && links.share >= REJECT_LINKS.share) {
+        rejected.push('Too many links');
+      } else if (links.count >= FLAG_LINKS.count && links.share >= FLAG_LINKS.share) {
+        flagged.push('Mostly links');
+      }
+
+      if (blockedPattern?.test(text)) {
+        rejected.push('Contains blocked words');
+      }
+
+      if (countRepeats(text, Date.now()) >= REPEAT_LIMIT) {
+        rejected.push('The same text was posted repeatedly');
+      }
+
+      if (rejected.length) return { action: 'reject', reasons: rejected };
+      if (flagged.length) return { action: 'flag', reasons: flagged };
+      return { action: 'allow', reasons: [] };
+    },
+  };
+}
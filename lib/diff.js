@@ -0,0 +1,69 @@
+import { diffLines } from 'diff';
+
+// Helper to split a diff part into its lines (the trailing newline doesn't start a new one)
+function splitLines(value) {
+  const lines = value.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Helper so a last line without a newline still matches the same line followed by more text
+function withTrailingNewline(text) {
+  if (!text) return '';
+  return text.endsWith('\n') ? text : `${text}\n`;
+}
+
+/*
+ * Line diff between two texts for the inline view.
+ * Each row is { type: 'context' | 'added' | 'removed', oldNumber, newNumber, content },
+ * where the line numbers refer to the old and new text (null when the line isn't in it).
+ */
+export function getLineDiff(oldText, newText) {
+  const rows = [];
+  let oldNumber = 1;
+  let newNumber = 1;
+
+  diffLines(withTrailingNewline(oldText), withTrailingNewline(newText)).forEach((part) => {
+    splitLines(part.value).forEach((content) => {
+      if (part.added) {
+        rows.push({ type: 'added', oldNumber: null, newNumber: newNumber++, content });
+      } else if (part.removed) {
+        rows.push({ type: 'removed', oldNumber: oldNumber++, newNumber: null, content });
+      } else {
+        rows.push({ type: 'context', oldNumber: oldNumber++, newNumber: newNumber++, content });
+      }
+    });
+  });
+
+  return rows;
+}
+
+// Helper to pair the rows of a line diff for the side-by-side view.
+// Removed lines sit next to the lines that replaced them; either side can be empty.
+export function toSideBySide(rows) {
+  const pairs = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      pairs.push({ left: removed[i] || null, right: added[i] || null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  rows.forEach((row) => {
+    if (row.type === 'removed') {
+      removed.push(row);
+    } else if (row.type === 'added') {
+      added.push(row);
+    } else {
+      flush();
+      pairs.push({ left: row, right: row });
+    }
+  });
+  flush();
+
+  return pairs;
+}
@@ -0,0 +1,129 @@
+// End-to-end encryption for snippets, done entirely in the browser with WebCrypto.
+// The server only ever receives the ciphertext and the parameters below; the key
+// lives in the share URL fragment (#key=...) or is derived from a password.
+
+const PBKDF2_ITERATIONS = 250000;
+
+// Helpers to convert between bytes and URL-safe base64
+export function toBase64Url(bytes) {
+  let binary = '';
+  new Uint8Array(bytes).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function randomBytes(length) {
+  return crypto.getRandomValues(new Uint8Array(length));
+}
+
+async function importRawKey(rawKey) {
+  return crypto.subtle.importKey('raw', fromBase64Url(rawKey), 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+async function deriveKey(password, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64Url(salt), iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/*
+ * Create a key for a new snippet.
+ * With a password the key is derived with PBKDF2 and only the salt is stored;
+ * without one a random key is generated and returned as `fragmentKey` for the share URL.
+ */
+export async function createKey({ password } = {}) {
+  if (password) {
+    const salt = toBase64Url(randomBytes(16));
+    return {
+      key: await deriveKey(password, salt, PBKDF2_ITERATIONS),
+      params: { alg: 'AES-GCM', kdf: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS },
+      fragmentKey: null,
+    };
+  }
+
+  const fragmentKey = toBase64Url(randomBytes(32));
+  return {
+    key: await importRawKey(fragmentKey),
+    params: { alg: 'AES-GCM', kdf: 'none' },
+    fragmentKey,
+  };
+}
+
+// Recreate the key for a stored snippet from the URL fragment key or the password
+export async function unlockKey(params, { fragmentKey, password }) {
+  if (params.kdf === 'PBKDF2') {
+    return deriveKey(password, params.salt, params.iterations);
+  }
+  return importRawKey(fragmentKey);
+}
+
+// Encrypt text with a fresh IV; returns the ciphertext and the encryption params to store
+export async function encryptText(text, key, params) {
+  const iv = randomBytes(12);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(text)
+  );
+  return {
+    text: toBase64Url(ciphertext),
+    encryption: { ...params, iv: toBase64Url(iv) },
+  };
+}
+
+// Decrypt a stored snippet; throws when the key or password is wrong
+export async function decryptText(ciphertext, key, encryption) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64Url(encryption.iv) },
+    key,
+    fromBase64Url(ciphertext)
+  );
+  return new TextDecoder().decode(plaintext);
+}
+
+// Helper to read the key from a share URL fragment like #key=...
+export function getFragmentKey(hash) {
+  return new URLSearchParams(hash.replace(/^#/, '')).get('key');
+}
+
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Server-side helper: returns only the known encryption params, or null when they are invalid
+export function normalizeEncryption(encryption) {
+  if (!encryption || typeof encryption !== 'object') return null;
+  if (encryption.alg !== 'AES-GCM') return null;
+  if (typeof encryption.iv !== 'string' || !BASE64URL_PATTERN.test(encryption.iv)) return null;
+
+  const { alg, kdf, iv, salt, iterations } = encryption;
+  if (kdf === 'none') return { alg, kdf, iv };
+
+  const validPbkdf2 = kdf === 'PBKDF2'
+    && typeof salt === 'string'
+    && BASE64URL_PATTERN.test(salt)
+    && Number.isInteger(iterations)
+    && iterations >= 100000;
+  return validPbkdf2 ? { alg, kdf, iv, salt, iterations } : null;
+}
+
+// Server-side check that the text is base64url ciphertext
+export function isCiphertext(text) {
+  return typeof text === 'string' && BASE64URL_PATTERN.test(text);
+}
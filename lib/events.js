@@ -0,0 +1,55 @@
+import { EventEmitter } from 'events';
+import { isOwner } from './identity';
+import { canView, isListed, serializeItem, serializeListItem } from './items';
+import { getExpiryTime } from './storage';
+import { queueWebhooks } from './webhooks';
+
+// Change notifications for clipboard items, shared by every API route in this process
+const emitter = globalThis.__clipboardEvents || (globalThis.__clipboardEvents = new EventEmitter());
+emitter.setMaxListeners(0);
+
+// Publish a change to an item: 'created', 'updated', 'liked', 'deleted' or 'expired'.
+// For deletes, pass the item as it was before. Webhooks that want the change hear about it too.
+export function publishEvent(type, item) {
+  emitter.emit('change', { type, item });
+  queueWebhooks(type, item).catch((error) => {
+    console.error('Error queueing webhooks:', error);
+  });
+}
+
+// Publish 'expired' for what store.purgeExpired removed. Deleted items that could no
+// longer be restored were already announced when they were deleted.
+export function publishExpired(items, now = Date.now()) {
+  items
+    .filter(item => !item.deletedAt && getExpiryTime(item) !== null && getExpiryTime(item) <= now)
+    .forEach(item => publishEvent('expired', item));
+}
+
+export function subscribe(listener) {
+  emitter.on('change', listener);
+  return () => emitter.off('change', listener);
+}
+
+/*
+ * Helper to turn a change into what one subscriber may see, or null to skip it.
+ *
+ * Subscribers following a single item (`itemId`) get its events as long as they
+ * could open it; the general stream only carries items that would show up in the
+ * subscriber's list, so unlisted and private ids never leak.
+ */
+export function getEventPayload({ type, item }, identity, itemId = null) {
+  if (itemId ? item.id !== itemId : !isListed({ ...item, deletedAt: null }, identity)) return null;
+  if (type === 'deleted' || type === 'expired') return { id: item.id };
+
+  // Burn-after-reading items are only ever sent by the request that burns them
+  if (!canView(item, identity) || (item.burnAfterReading && !isOwner(item, identity))) return null;
+
+  if (type === 'liked') {
+    return {
+      id: item.id,
+      likesCount: item.likesCount || 0,
+      hasLiked: item.likes?.includes(identity.ownerId) || false,
+    };
+  }
+  return { item: itemId ? serializeItem(item, identity) : serializeListItem(item, identity) };
+}
@@ -0,0 +1,31 @@
+// Expiry choices offered when creating an item. `ms: null` never expires.
+export const EXPIRY_OPTIONS = [
+  { value: '10m', label: '10 minutes', ms: 10 * 60 * 1000 },
+  { value: '1h', label: '1 hour', ms: 60 * 60 * 1000 },
+  { value: '1d', label: '1 day', ms: 24 * 60 * 60 * 1000 },
+  { value: '1w', label: '1 week', ms: 7 * 24 * 60 * 60 * 1000 },
+  { value: '30d', label: '30 days', ms: 30 * 24 * 60 * 60 * 1000 },
+  { value: 'never', label: 'Never', ms: null },
+];
+
+export const DEFAULT_EXPIRY = '30d';
+
+// Helper to turn an expiry choice into an expiresAt timestamp.
+// Returns undefined for unknown choices so callers can reject them.
+export function getExpiresAt(value = DEFAULT_EXPIRY, from = Date.now()) {
+  const option = EXPIRY_OPTIONS.find(option => option.value === value);
+  if (!option) return undefined;
+  return option.ms === null ? null : new Date(from + option.ms).toISOString();
+}
+
+// Helper to format the time left until expiresAt, e.g. "2d 3h" or "4m 10s"
+export function formatTimeLeft(expiresAt, now = Date.now()) {
+  const seconds = Math.max(0, Math.floor((new Date(expiresAt).getTime() - now) / 1000));
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (days) return `${days}d ${hours}h`;
+  if (hours) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${seconds % 60}s`;
+}
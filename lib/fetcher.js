@@ -0,0 +1,12 @@
+// Default fetcher for SWR: GET a URL and parse the JSON body, throwing on errors
+// (with the response status, for pages that treat 401 and 403 differently)
+export async function fetcher(url) {
+  const response = await fetch(url);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || 'Failed to fetch');
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
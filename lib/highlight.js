@@ -0,0 +1,71 @@
+import Prism from 'prismjs';
+import 'prismjs/components/prism-clike';
+import 'prismjs/components/prism-markup';
+import 'prismjs/components/prism-markup-templating';
+import 'prismjs/components/prism-css';
+import 'prismjs/components/prism-javascript';
+import 'prismjs/components/prism-jsx';
+import 'prismjs/components/prism-typescript';
+import 'prismjs/components/prism-tsx';
+import 'prismjs/components/prism-bash';
+import 'prismjs/components/prism-c';
+import 'prismjs/components/prism-cpp';
+import 'prismjs/components/prism-csharp';
+import 'prismjs/components/prism-diff';
+import 'prismjs/components/prism-docker';
+import 'prismjs/components/prism-go';
+import 'prismjs/components/prism-java';
+import 'prismjs/components/prism-json';
+import 'prismjs/components/prism-markdown';
+import 'prismjs/components/prism-php';
+import 'prismjs/components/prism-python';
+import 'prismjs/components/prism-ruby';
+import 'prismjs/components/prism-rust';
+import 'prismjs/components/prism-sql';
+import 'prismjs/components/prism-yaml';
+
+// Helper to flatten Prism's nested tokens into lines of { types, content } parts,
+// so each line can be rendered (and numbered) on its own without raw HTML
+function appendTokens(tokens, types, lines) {
+  tokens.forEach((token) => {
+    if (typeof token === 'string') {
+      token.split('\n').forEach((part, index) => {
+        if (index > 0) lines.push([]);
+        if (part) lines[lines.length - 1].push({ types, content: part });
+      });
+      return;
+    }
+
+    const alias = token.alias ? [].concat(token.alias) : [];
+    const nestedTypes = [...types, token.type, ...alias];
+    const content = Array.isArray(token.content) ? token.content : [token.content];
+    appendTokens(content, nestedTypes, lines);
+  });
+}
+
+// Split text into highlighted lines for the given Prism language
+export function highlightLines(text, language) {
+  const grammar = Prism.languages[language];
+  const tokens = grammar ? Prism.tokenize(text, grammar) : [text];
+  const lines = [[]];
+  appendTokens(tokens, [], lines);
+  return lines;
+}
+
+// Helpers for line anchors in the URL fragment, e.g. #L10 or #L10-L20.
+// The fragment can also hold other parameters (like an encryption key), so they are kept.
+export function parseLineRange(hash) {
+  const part = hash.replace(/^#/, '').split('&').find(value => /^L\d+(-L\d+)?$/.test(value));
+  if (!part) return null;
+
+  const [start, end = start] = part.split('-').map(value => parseInt(value.slice(1), 10));
+  return { start: Math.min(start, end), end: Math.max(start, end) };
+}
+
+export function formatLineRangeHash(hash, range) {
+  const parts = hash.replace(/^#/, '').split('&').filter(value => value && !/^L\d+(-L\d+)?$/.test(value));
+  if (range) {
+    parts.push(range.start === range.end ? `L${range.start}` : `L${range.start}-L${range.end}`);
+  }
+  return parts.length ? `#${parts.join('&')}` : '';
+}
@@ -0,0 +1,107 @@
+import { getServerSession } from 'next-auth/next';
+import { v4 as uuidv4 } from 'uuid';
+import { authOptions } from '../pages/api/auth/[...nextauth]';
+import { isAdminUserId } from './admin';
+import { findToken } from './tokens';
+
+const VISITOR_COOKIE = 'textide_vid';
+const ONE_YEAR_SECONDS = 365 * 24 * 60 * 60;
+const VISITOR_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+function isSecureRequest(req) {
+  return req.socket?.encrypted || req.headers['x-forwarded-proto'] === 'https';
+}
+
+// Helper to read the anonymous visitor cookie, issuing a new one when missing.
+// Resolves to { visitorId, isNew }, where isNew says the cookie was issued just now.
+function getVisitorCookie(req, res) {
+  const existing = req.cookies?.[VISITOR_COOKIE];
+  if (existing && VISITOR_ID_PATTERN.test(existing)) return { visitorId: existing, isNew: false };
+
+  const visitorId = uuidv4();
+  const cookie = [
+    `${VISITOR_COOKIE}=${visitorId}`,
+    'Path=/',
+    `Max-Age=${ONE_YEAR_SECONDS}`,
+    'HttpOnly',
+    'SameSite=Lax',
+    isSecureRequest(req) ? 'Secure' : null,
+  ].filter(Boolean).join('; ');
+
+  const previous = res.getHeader('Set-Cookie');
+  res.setHeader('Set-Cookie', [...(previous ? [].concat(previous) : []), cookie]);
+  return { visitorId, isNew: true };
+}
+
+// Helper to get the NextAuth session, falling back to anonymous on misconfiguration
+async function getSession(req, res) {
+  try {
+    return await getServerSession(req, res, authOptions);
+  } catch (error) {
+    console.error('Error reading session:', error);
+    return null;
+  }
+}
+
+// Helper to read the token from an "Authorization: Bearer <token>" header, or null
+export function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+/*
+ * Resolve who is making the request.
+ *
+ * `ownerId` is the value stored as an item's creatorId and used for likes:
+ * `user:<id>` for signed-in users and `visitor:<cookie>` for anonymous visitors.
+ * `anonymousIds` lists the ids this browser may have created items with before
+ * signing in, which is what a signed-in user can claim. Items from before the
+ * visitor cookie carry a base64 of IP and user agent as their creatorId; anyone
+ * can send those, so they aren't owned or claimable by anyone any more.
+ * `newVisitor` is set when an anonymous caller sent no cookie and was just given one:
+ * a client that drops cookies gets a fresh id on every request.
+ *
+ * A personal access token (see lib/tokens.js) stands for the user who created it,
+ * with `tokenId` set. Unknown or revoked tokens are ignored here; the v1 API turns
+ * them away with a 401 (see lib/api).
+ */
+export async function getIdentity(req, res) {
+  const token = getBearerToken(req);
+  const tokenRecord = token ? await findToken(token) : null;
+  if (tokenRecord) {
+    const ownerId = `user:${tokenRecord.userId}`;
+    return {
+      user: { id: tokenRecord.userId, name: null },
+      visitorId: null,
+      anonymousIds: [],
+      ownerId,
+      ownerIds: [ownerId],
+      tokenId: tokenRecord.id,
+    };
+  }
+
+  const session = await getSession(req, res);
+  const { visitorId, isNew } = getVisitorCookie(req, res);
+  const anonymousIds = [`visitor:${visitorId}`];
+  const user = session?.user?.id ? session.user : null;
+
+  return {
+    user,
+    visitorId,
+    anonymousIds,
+    ownerId: user ? `user:${user.id}` : anonymousIds[0],
+    ownerIds: user ? [`user:${user.id}`] : anonymousIds,
+    newVisitor: !user && isNew,
+  };
+}
+
+// Helper to check whether the caller created an item
+export function isOwner(item, identity) {
+  return identity.ownerIds.includes(item.creatorId);
+}
+
+// Helper to check whether the caller is signed in as one of ADMIN_USER_IDS.
+// Tokens are for snippets only, so they never carry moderator rights.
+export function isAdmin(identity) {
+  return !identity.tokenId && isAdminUserId(identity.user?.id);
+}
@@ -0,0 +1,187 @@
+import { isOwner } from './identity';
+import { getExpiryTime } from './storage';
+import { getVisibility } from './visibility';
+import { getRevisions, getVersion } from './revisions';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// How long shared caches may keep the raw text of a public item, in seconds
+const RAW_MAX_AGE = 60;
+
+// Longest text an item can hold, in characters (CLIPBOARD_MAX_TEXT_LENGTH overrides it)
+export const MAX_TEXT_LENGTH = parseInt(process.env.CLIPBOARD_MAX_TEXT_LENGTH, 10) || 100000;
+
+// Helper to check a text against MAX_TEXT_LENGTH.
+// Encrypted text is base64 ciphertext, so it gets the room that encoding takes.
+export function isTextTooLong(text, { encrypted = false } = {}) {
+  const limit = encrypted ? Math.ceil(MAX_TEXT_LENGTH * 4 / 3) + 1024 : MAX_TEXT_LENGTH;
+  return text.length > limit;
+}
+
+// Helper to check whether an item was deleted and is waiting for its undo window to pass
+export function isDeleted(item) {
+  return Boolean(item?.deletedAt);
+}
+
+// Helper to check whether the content filter held an item back from public lists
+export function isFlagged(item) {
+  return Boolean(item?.flaggedAt);
+}
+
+// Helper to check whether moderators, or enough reports, took an item down
+export function isHidden(item) {
+  return Boolean(item?.hiddenAt);
+}
+
+// Helper to check whether the caller may open an item by its id.
+// Hidden items are only left to their owner.
+export function canView(item, identity) {
+  if (!item || isDeleted(item)) return false;
+  if (isHidden(item)) return isOwner(item, identity);
+  return getVisibility(item) !== 'private' || isOwner(item, identity);
+}
+
+// Helper to check whether an item shows up in the caller's list:
+// public items plus the caller's own. Burn-after-reading items are only
+// listed for their owner, or listing would reveal them, and flagged or hidden
+// items stay out of everyone else's list until a moderator restores them.
+export function isListed(item, identity) {
+  if (isDeleted(item)) return false;
+  if (isOwner(item, identity)) return true;
+  return getVisibility(item) === 'public' && !item.burnAfterReading && !isFlagged(item) && !isHidden(item);
+}
+
+// Helper to check whether an item can be served away from its share page: as raw text,
+// a download or an embed. Burn-after-reading items are only read once, on their share page.
+export function canServeRaw(item, identity) {
+  return canView(item, identity) && (!item.burnAfterReading || isOwner(item, identity));
+}
+
+// Helper to set the Cache-Control header for an item served as raw text, a download or an embed.
+// Only items anyone could find are cached, never past their expiry; the rest must be fetched again.
+export function setCacheControl(res, item, now = Date.now()) {
+  if (getVisibility(item) !== 'public' || isFlagged(item) || isHidden(item)) {
+    res.setHeader('Cache-Control', 'private, no-cache');
+    return;
+  }
+
+  const expiresAt = getExpiryTime(item);
+  const secondsLeft = expiresAt === null ? RAW_MAX_AGE : Math.floor((expiresAt - now) / 1000);
+  res.setHeader('Cache-Control', `public, max-age=${Math.max(Math.min(RAW_MAX_AGE, secondsLeft), 0)}, must-revalidate`);
+  // A shared cache must never hand this visitor's cookies to everyone else
+  res.removeHeader('Set-Cookie');
+}
+
+// Helper to project an item for API responses.
+// Only these fields leave the server: never the likes array or the creatorId.
+export function serializeItem(item, identity) {
+  const owner = isOwner(item, identity);
+  const expiresAt = getExpiryTime(item);
+  return {
+    id: item.id,
+    text: item.text,
+    encrypted: Boolean(item.encrypted),
+    encryption: item.encryption || null,
+    visibility: getVisibility(item),
+    language: item.language || 'plaintext',
+    format: item.format || 'code',
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt || null,
+    version: getVersion(item),
+    revisionCount: getRevisions(item).length,
+    expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString(),
+    burnAfterReading: Boolean(item.burnAfterReading),
+    likesCount: item.likesCount || 0,
+    hasLiked: item.likes?.includes(identity.ownerId) || false,
+    editable: owner || item.editable === true,
+    isOwner: owner,
+    hidden: isHidden(item),
+    attachments: item.attachments || [],
+    files: item.files || null,
+    forkedFrom: item.forkedFrom || null,
+  };
+}
+
+// Helper for list responses: encrypted items never include their ciphertext there
+export function serializeListItem(item, identity) {
+  const serialized = serializeItem(item, identity);
+  if (!item.encrypted) return serialized;
+  return { ...serialized, text: null, encryption: null };
+}
+
+// What the snippet lists can be ordered by, highest key first; the id breaks ties
+export const SORT_KEYS = {
+  newest: item => [item.createdAt, item.id],
+  likes: item => [item.likesCount || 0, item.createdAt, item.id],
+};
+
+// Helper to compare two sort keys (arrays of numbers and strings), for ordering highest first
+export function compareKeys(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] > b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+// Helper to read a cursor back into the sort key it holds, or null
+export function parseCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    const isValid = Array.isArray(key) && key.length > 0
+      && key.every(value => typeof value === 'string' || typeof value === 'number');
+    return isValid ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+// Helper to read the `limit` query parameter as a page size
+export function getPageSize(limit) {
+  return Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+}
+
+// Helper to make the cursor for the page after `page`, or null when nothing comes after it
+export function getNextCursor(page, hasMore, getKey) {
+  return hasMore ? Buffer.from(JSON.stringify(getKey(page[page.length - 1]))).toString('base64url') : null;
+}
+
+/*
+ * Helper to read `limit` and `cursor` query parameters and return one page of items
+ * that are already ordered by `getKey`, highest first (see SORT_KEYS).
+ * The cursor is opaque to clients: it holds the key of the last item sent, so the next
+ * page carries on after that item even when others were added or liked in the meantime.
+ * Lists the store can page itself go through store.list with `after` and `limit` instead.
+ */
+export function paginate(items, { limit, cursor, getKey = SORT_KEYS.newest } = {}) {
+  const pageSize = getPageSize(limit);
+
+  // Find the first item after the cursor with a binary search, so only a few keys are built
+  const after = parseCursor(cursor);
+  let start = 0;
+  if (after) {
+    let end = items.length;
+    while (start < end) {
+      const middle = Math.floor((start + end) / 2);
+      if (compareKeys(getKey(items[middle]), after) > 0) end = middle;
+      else start = middle + 1;
+    }
+  }
+
+  const page = items.slice(start, start + pageSize);
+  return { items: page, nextCursor: getNextCursor(page, start + page.length < items.length, getKey) };
+}
+
+// Helper for the owner's own list: adds the stats only the owner gets to see
+// (`counts` as lib/analytics getCounts gives them)
+export function serializeOwnItem(item, identity, counts) {
+  return {
+    ...serializeListItem(item, identity),
+    viewCount: counts.views,
+    copyCount: counts.copies,
+    // `editable` is always true for the owner; this is the setting others get
+    editableByOthers: item.editable === true,
+    flagged: isFlagged(item),
+  };
+}
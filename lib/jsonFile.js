@@ -0,0 +1,124 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { DATA_DIR } from './storage';
+
+/*
+ * A small JSON document kept in DATA_DIR next to the items, such as moderation.json.
+ * Like the JSON store, the file is read once, changes run one at a time and every
+ * write goes to a synced temp file that replaces it atomically, keeping the previous
+ * version as <name>.bak. Returns { load, mutate }:
+ *
+ *   load()           -> the current data (createEmpty() while the file doesn't exist)
+ *   mutate(change)   applies change(data) -> next data and saves it, resolving to the next data
+ *
+ * An unreadable file is moved aside to <name>.corrupt-<timestamp> and the backup is
+ * restored. Unlike the store, these documents start over from createEmpty() when the
+ * backup is unusable too, so a broken file can't take every request down with it.
+ */
+export function createJsonFile(name, createEmpty) {
+  const key = `__jsonFile:${name}`;
+  const state = globalThis[key] || (globalThis[key] = { loading: null, queue: Promise.resolve() });
+  const file = path.join(DATA_DIR, name);
+  const backupFile = `${file}.bak`;
+
+  // Helper function to parse the file or its backup, returning null when it doesn't exist
+  const readFile = async (target) => {
+    let data;
+    try {
+      data = await fs.readFile(target, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const parsed = JSON.parse(data);
+    if (!parsed || typeof parsed !== 'object') {
+      throw new Error(`${target} does not contain an object`);
+    }
+    return parsed;
+  };
+
+  const write = async (data) => {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    const tempFile = `${file}.${process.pid}.tmp`;
+    try {
+      const handle = await fs.open(tempFile, 'w');
+      try {
+        await handle.writeFile(JSON.stringify(data, null, 2));
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+
+      // Keep the last good version before replacing it
+      await fs.copyFile(file, backupFile).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+      await fs.rename(tempFile, file);
+    } catch (error) {
+      await fs.rm(tempFile, { force: true });
+      throw error;
+    }
+  };
+
+  const read = async () => {
+    let corruptError = null;
+    try {
+      const data = await readFile(file);
+      if (data) return data;
+    } catch (error) {
+      corruptError = error;
+    }
+
+    const backup = await readFile(backupFile).catch((error) => {
+      console.error(`Backup of ${name} is unreadable:`, error);
+      return null;
+    });
+    if (!corruptError && !backup) return createEmpty();
+
+    if (corruptError) {
+      // Keep the broken file around for inspection
+      const corruptFile = `${file}.corrupt-${Date.now()}`;
+      console.error(`${name} is unreadable, moving it to ${corruptFile}:`, corruptError);
+      await fs.rename(file, corruptFile);
+    }
+
+    if (backup) {
+      console.warn(`Restoring ${name} from ${backupFile}`);
+    } else {
+      console.error(`${name} has no usable backup, starting over`);
+    }
+    const data = backup || createEmpty();
+    await write(data);
+    return data;
+  };
+
+  const load = () => {
+    if (!state.loading) {
+      state.loading = read().catch((error) => {
+        state.loading = null;
+        throw error;
+      });
+    }
+    return state.loading;
+  };
+
+  // Changes that hand back the data they were given are not written
+  const mutate = (change) => {
+    const run = state.queue.then(async () => {
+      const current = await load();
+      const next = change(current);
+      if (next !== current) {
+        await write(next);
+        state.loading = Promise.resolve(next);
+      }
+      return next;
+    });
+
+    // Keep the queue going even when this change fails
+    state.queue = run.catch(() => {});
+    return run;
+  };
+
+  return { load, mutate };
+}
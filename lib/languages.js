@@ -0,0 +1,101 @@
+// Languages offered in the composer. `value` is the Prism grammar name.
+export const LANGUAGE_OPTIONS = [
+  { value: 'plaintext', label: 'Plain text', extension: 'txt' },
+  { value: 'bash', label: 'Bash', extension: 'sh' },
+  { value: 'c', label: 'C', extension: 'c' },
+  { value: 'cpp', label: 'C++', extension: 'cpp' },
+  { value: 'csharp', label: 'C#', extension: 'cs' },
+  { value: 'css', label: 'CSS', extension: 'css' },
+  { value: 'diff', label: 'Diff', extension: 'diff' },
+  { value: 'docker', label: 'Dockerfile', extension: 'dockerfile' },
+  { value: 'go', label: 'Go', extension: 'go' },
+  { value: 'markup', label: 'HTML / XML', extension: 'html' },
+  { value: 'java', label: 'Java', extension: 'java' },
+  { value: 'javascript', label: 'JavaScript', extension: 'js' },
+  { value: 'jsx', label: 'JSX', extension: 'jsx' },
+  { value: 'json', label: 'JSON', extension: 'json' },
+  { value: 'markdown', label: 'Markdown', extension: 'md' },
+  { value: 'php', label: 'PHP', extension: 'php' },
+  { value: 'python', label: 'Python', extension: 'py' },
+  { value: 'ruby', label: 'Ruby', extension: 'rb' },
+  { value: 'rust', label: 'Rust', extension: 'rs' },
+  { value: 'sql', label: 'SQL', extension: 'sql' },
+  { value: 'tsx', label: 'TSX', extension: 'tsx' },
+  { value: 'typescript', label: 'TypeScript', extension: 'ts' },
+  { value: 'yaml', label: 'YAML', extension: 'yaml' },
+];
+
+export const AUTO_LANGUAGE = 'auto';
+
+// How an item is displayed: plain text, highlighted code, or rendered Markdown
+export const FORMAT_OPTIONS = [
+  { value: 'code', label: 'Code' },
+  { value: 'plain', label: 'Plain text' },
+  { value: 'markdown', label: 'Markdown' },
+];
+
+export const DEFAULT_FORMAT = 'code';
+
+export function isValidFormat(value) {
+  return FORMAT_OPTIONS.some(option => option.value === value);
+}
+
+export function isValidLanguage(value) {
+  return LANGUAGE_OPTIONS.some(option => option.value === value);
+}
+
+export function getLanguageLabel(value) {
+  return LANGUAGE_OPTIONS.find(option => option.value === value)?.label || 'Plain text';
+}
+
+// Helper to get the file extension for a language, e.g. "py" for python
+export function getLanguageExtension(value) {
+  return LANGUAGE_OPTIONS.find(option => option.value === value)?.extension || 'txt';
+}
+
+// Weighted patterns used to guess a language; the best score wins
+const DETECTION_RULES = {
+  bash: [[/^#!\/(usr\/)?bin\/(env )?(ba|z)?sh/, 10], [/^\s*(sudo|apt(-get)?|npm|yarn|cd|export|echo|curl) /m, 2], [/\$\{?\w+\}?/, 1], [/\bfi$|\bdone$|\bthen$/m, 2]],
+  c: [[/#include\s*<\w+\.h>/, 5], [/\bprintf\s*\(/, 2], [/\bint main\s*\(/, 2], [/\bmalloc\s*\(/, 2]],
+  cpp: [[/#include\s*<\w+>/, 4], [/\bstd::/, 5], [/\bcout\s*<</, 4], [/\btemplate\s*</, 3]],
+  csharp: [[/\busing System/, 6], [/\bnamespace \w+/, 2], [/\bConsole\.WriteLine\(/, 5], [/\bpublic (async )?(void|Task|string|int) \w+\(/, 1]],
+  css: [[/^\s*[.#]?[\w-]+(\s*[,>+~]\s*[.#]?[\w-]+)*\s*\{\s*$/m, 3], [/^\s*[\w-]+\s*:\s*[^;{}]+;\s*$/m, 2], [/@media\s/, 3]],
+  diff: [[/^(---|\+\+\+) \S+/m, 5], [/^@@ -\d+,\d+ \+\d+,\d+ @@/m, 10]],
+  docker: [[/^FROM \S+/m, 6], [/^(RUN|CMD|ENTRYPOINT|COPY|WORKDIR|EXPOSE) /m, 3]],
+  go: [[/^package \w+/m, 6], [/\bfunc (\(\w+ \*?\w+\) )?\w+\(/, 4], [/\bfmt\.\w+\(/, 4], [/:=/, 1]],
+  markup: [[/^\s*<(!DOCTYPE|html|\?xml)/i, 10], [/<\/(div|span|p|body|head|a|ul|li)>/, 3]],
+  java: [[/\bpublic (final )?class \w+/, 4], [/\bSystem\.out\.println\(/, 6], [/\bimport java\./, 6], [/@Override/, 3]],
+  javascript: [[/\b(const|let|var) \w+ = /, 2], [/=>/, 1], [/\bfunction\s*\w*\s*\(/, 2], [/\bconsole\.log\(/, 3], [/\brequire\(['"]/, 3], [/^import .+ from ['"]/m, 3], [/\bmodule\.exports\b/, 4]],
+  jsx: [[/return\s*\(\s*</, 4], [/<\/?[A-Z]\w*[\s/>]/, 3], [/className=/, 3]],
+  markdown: [[/^#{1,6} \S/m, 3], [/^\s*[-*] \S/m, 1], [/^```/m, 3], [/\[[^\]]+\]\([^)]+\)/, 2], [/^\s*\d+\. \S/m, 1]],
+  php: [[/<\?php/, 10], [/\$\w+\s*=/, 1], [/\becho\s+\$/, 3]],
+  python: [[/^\s*def \w+\(.*\):\s*$/m, 4], [/^\s*(from \w[\w.]* )?import \w+/m, 1], [/\bself\./, 2], [/^\s*if __name__ == ['"]__main__['"]:/m, 8], [/\bprint\(/, 1], [/^\s*class \w+(\(.*\))?:\s*$/m, 4]],
+  ruby: [[/^\s*def \w+(\(.*\))?\s*$/m, 2], [/^\s*end\s*$/m, 2], [/\bputs\b/, 3], [/\brequire ['"]/, 2], [/\.each do \|/, 4]],
+  rust: [[/\bfn \w+\(/, 3], [/\blet mut\b/, 4], [/\bimpl\b/, 2], [/\bprintln!\(/, 6], [/\buse \w+::/, 3]],
+  sql: [[/\bSELECT\b[\s\S]+\bFROM\b/i, 5], [/\bINSERT INTO\b/i, 5], [/\bCREATE TABLE\b/i, 5], [/\bUPDATE \w+ SET\b/i, 5], [/\bDELETE FROM\b/i, 5]],
+  typescript: [[/\binterface \w+\s*\{/, 4], [/:\s*(string|number|boolean|void|any)\b/, 3], [/\btype \w+ = /, 3], [/\bas const\b/, 3], [/<\w+>\(/, 1]],
+  yaml: [[/^\w[\w-]*:\s*$/m, 2], [/^\w[\w-]*: \S/m, 2], [/^\s+- \w/m, 1], [/^---\s*$/m, 2]],
+};
+
+// Helper to guess the language of a snippet, falling back to plain text
+export function detectLanguage(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return 'plaintext';
+
+  if (/^[[{]/.test(trimmed)) {
+    try {
+      JSON.parse(trimmed);
+      return 'json';
+    } catch {
+      // Not JSON, keep scoring
+    }
+  }
+
+  let best = { language: 'plaintext', score: 0 };
+  Object.entries(DETECTION_RULES).forEach(([language, rules]) => {
+    const score = rules.reduce((total, [pattern, weight]) => total + (pattern.test(text) ? weight : 0), 0);
+    if (score > best.score) best = { language, score };
+  });
+
+  return best.score >= 3 ? best.language : 'plaintext';
+}
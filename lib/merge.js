@@ -0,0 +1,124 @@
+import { diffArrays } from 'diff';
+
+// Helper to split text into lines for merging
+function toLines(text) {
+  return (text || '').split('\n');
+}
+
+// Helper to list the changes from `base` to `other` as hunks that replace
+// base lines [start, end) with `lines` (start === end is a pure insertion)
+function getHunks(base, other) {
+  const hunks = [];
+  let index = 0;
+  let current = null;
+
+  diffArrays(base, other).forEach((part) => {
+    if (!part.added && !part.removed) {
+      if (current) hunks.push(current);
+      current = null;
+      index += part.count;
+      return;
+    }
+
+    if (!current) current = { start: index, end: index, lines: [] };
+    if (part.removed) {
+      index += part.count;
+      current.end = index;
+    } else {
+      current.lines.push(...part.value);
+    }
+  });
+  if (current) hunks.push(current);
+
+  return hunks;
+}
+
+// Helper to apply one side's hunks to the base lines of a region
+function applyHunks(base, start, end, hunks) {
+  const lines = [];
+  let index = start;
+  hunks.forEach((hunk) => {
+    lines.push(...base.slice(index, hunk.start), ...hunk.lines);
+    index = hunk.end;
+  });
+  lines.push(...base.slice(index, end));
+  return lines;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+/*
+ * Three-way merge of two edits made from the same original text (diff3 style).
+ *
+ * Returns chunks in order: { type: 'merged', lines } for text both sides agree on
+ * or that only one side changed, and { type: 'conflict', base, mine, theirs } where
+ * both sides changed the same lines differently.
+ */
+export function mergeText(baseText, mineText, theirsText) {
+  const base = toLines(baseText);
+  const hunks = [
+    ...getHunks(base, toLines(mineText)).map(hunk => ({ ...hunk, side: 'mine' })),
+    ...getHunks(base, toLines(theirsText)).map(hunk => ({ ...hunk, side: 'theirs' })),
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const chunks = [];
+  const pushMerged = (lines) => {
+    if (!lines.length) return;
+    const last = chunks[chunks.length - 1];
+    if (last?.type === 'merged') {
+      last.lines.push(...lines);
+    } else {
+      chunks.push({ type: 'merged', lines: [...lines] });
+    }
+  };
+
+  let index = 0;
+  let i = 0;
+  while (i < hunks.length) {
+    // Group hunks that touch the same base lines into one region
+    const region = [hunks[i]];
+    let { start, end } = hunks[i];
+    i++;
+    while (i < hunks.length && hunks[i].start <= end) {
+      end = Math.max(end, hunks[i].end);
+      region.push(hunks[i]);
+      i++;
+    }
+
+    pushMerged(base.slice(index, start));
+    index = end;
+
+    const mineHunks = region.filter(hunk => hunk.side === 'mine');
+    const theirsHunks = region.filter(hunk => hunk.side === 'theirs');
+    const mine = applyHunks(base, start, end, mineHunks);
+    const theirs = applyHunks(base, start, end, theirsHunks);
+
+    if (!theirsHunks.length || sameLines(mine, theirs)) {
+      pushMerged(mine);
+    } else if (!mineHunks.length) {
+      pushMerged(theirs);
+    } else {
+      chunks.push({ type: 'conflict', base: base.slice(start, end), mine, theirs });
+    }
+  }
+  pushMerged(base.slice(index));
+
+  return chunks;
+}
+
+// Helper to join merge chunks back into text, resolving each conflict with
+// the matching entry of `choices` ('mine', 'theirs' or 'both')
+export function resolveMerge(chunks, choices) {
+  let conflictIndex = 0;
+  const lines = chunks.flatMap((chunk) => {
+    if (chunk.type === 'merged') return chunk.lines;
+
+    const choice = choices[conflictIndex++];
+    if (choice === 'theirs') return chunk.theirs;
+    if (choice === 'both') return [...chunk.mine, ...chunk.theirs];
+    return chunk.mine;
+  });
+  return lines.join('\n');
+}
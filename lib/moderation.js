@@ -0,0 +1,117 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createJsonFile } from './jsonFile';
+import { isFlagged, isHidden } from './items';
+
+// How many reports from different signed-in users hide an item until a moderator looks at it
+export const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) || 3;
+
+// How many audit log entries are kept
+const MAX_AUDIT_ENTRIES = 1000;
+
+// Longest excerpt of an item's text shown in the moderation queue
+const MAX_EXCERPT_LENGTH = 2000;
+
+/*
+ * Bans and the audit log live in data/moderation.json, next to the items:
+ *   { bans: [{ visitorId, note, createdAt, actor }], audit: [{ id, action, itemId, visitorId, note, createdAt, actor }] }
+ * `actor` is { id, name } for a moderator, or null when the system acted (auto-hide).
+ */
+const { load, mutate } = createJsonFile('moderation.json', () => ({ bans: [], audit: [] }));
+
+// Helper to describe who took a moderation action
+export function getActor(identity) {
+  return identity ? { id: identity.user.id, name: identity.user.name || null } : null;
+}
+
+// Record a moderation action in the audit log
+export function logAction({ action, itemId = null, visitorId = null, note = null, identity = null }) {
+  return mutate(data => ({
+    ...data,
+    audit: [
+      { id: uuidv4(), action, itemId, visitorId, note, createdAt: new Date().toISOString(), actor: getActor(identity) },
+      ...data.audit,
+    ].slice(0, MAX_AUDIT_ENTRIES),
+  }));
+}
+
+export async function getModeration() {
+  return load();
+}
+
+export function banVisitor(visitorId, { note = null, identity }) {
+  return mutate(data => ({
+    ...data,
+    bans: [
+      { visitorId, note, createdAt: new Date().toISOString(), actor: getActor(identity) },
+      ...data.bans.filter(ban => ban.visitorId !== visitorId),
+    ],
+  }));
+}
+
+export function unbanVisitor(visitorId) {
+  return mutate(data => ({ ...data, bans: data.bans.filter(ban => ban.visitorId !== visitorId) }));
+}
+
+// Helper to check whether any id the caller creates items with was banned
+export async function isBanned(identity) {
+  const { bans } = await load();
+  const ids = new Set([...identity.ownerIds, ...identity.anonymousIds]);
+  return bans.some(ban => ids.has(ban.visitorId));
+}
+
+// Helper to turn away a banned caller
+export function sendBanned(res) {
+  return res.status(403).json({ error: 'You are not allowed to post or edit snippets' });
+}
+
+/*
+ * Changes that add a report to an item, for store.update.
+ * Each visitor (as its per-item hash) counts once; their later reports replace the earlier one.
+ * Anonymous visitors are free to make up, so only reports from signed-in users count toward
+ * REPORT_HIDE_THRESHOLD; anonymous ones just put the item in the moderation queue.
+ */
+export function addReport(item, { reporter, signedIn, reason, note }) {
+  const reports = [
+    ...(item.reports || []).filter(report => report.reporter !== reporter),
+    { reporter, signedIn, reason, note, createdAt: new Date().toISOString() },
+  ];
+
+  const signedInReports = reports.filter(report => report.signedIn).length;
+  const shouldHide = !isHidden(item) && signedInReports >= REPORT_HIDE_THRESHOLD;
+  return {
+    reports,
+    ...(shouldHide && { hiddenAt: new Date().toISOString(), hiddenReason: 'reports' }),
+  };
+}
+
+// Helper to check whether an item needs a moderator: reported, flagged or hidden
+export function needsReview(item) {
+  return Boolean(item.reports?.length) || isFlagged(item) || isHidden(item);
+}
+
+// Helper to project an item for the moderation queue. Reporters stay anonymous.
+// `counts` are its views and copies, as lib/analytics getCounts gives them.
+export function serializeQueueItem(item, bans, counts) {
+  return {
+    id: item.id,
+    text: item.encrypted ? null : item.text.slice(0, MAX_EXCERPT_LENGTH),
+    encrypted: Boolean(item.encrypted),
+    visibility: item.visibility || 'unlisted',
+    createdAt: item.createdAt,
+    creatorId: item.creatorId,
+    creatorBanned: bans.some(ban => ban.visitorId === item.creatorId),
+    reports: (item.reports || []).map(({ signedIn, reason, note, createdAt }) => ({
+      signedIn: Boolean(signedIn),
+      reason,
+      note,
+      createdAt,
+    })),
+    flagged: isFlagged(item),
+    flagReasons: item.flagReasons || [],
+    hidden: isHidden(item),
+    hiddenAt: item.hiddenAt || null,
+    hiddenReason: item.hiddenReason || null,
+    likesCount: item.likesCount || 0,
+    viewCount: counts.views,
+  };
+}
@@ -0,0 +1,246 @@
+/*
+ * Operational transformation for plain text, used by live editing.
+ *
+ * An operation is an array of components that walks over the whole document:
+ * a positive number retains that many characters, a negative number deletes
+ * that many, and a string inserts it. Clients send operations against the
+ * revision they last saw; the server transforms them past anything that was
+ * applied in between, so everyone converges on the same text.
+ */
+
+const isRetain = component => typeof component === 'number' && component > 0;
+const isDelete = component => typeof component === 'number' && component < 0;
+const isInsert = component => typeof component === 'string';
+
+// Helpers to append a component, merging it with the previous one when possible.
+// Inserts always go before deletes, so equal edits have a single representation.
+function retain(ops, count) {
+  if (!count) return;
+  if (isRetain(ops[ops.length - 1])) {
+    ops[ops.length - 1] += count;
+  } else {
+    ops.push(count);
+  }
+}
+
+function insert(ops, text) {
+  if (!text) return;
+  const last = ops[ops.length - 1];
+  if (isInsert(last)) {
+    ops[ops.length - 1] += text;
+  } else if (isDelete(last)) {
+    if (isInsert(ops[ops.length - 2])) {
+      ops[ops.length - 2] += text;
+    } else {
+      ops[ops.length - 1] = text;
+      ops.push(last);
+    }
+  } else {
+    ops.push(text);
+  }
+}
+
+function remove(ops, count) {
+  if (!count) return;
+  if (isDelete(ops[ops.length - 1])) {
+    ops[ops.length - 1] -= count;
+  } else {
+    ops.push(-count);
+  }
+}
+
+// Helper to check that a value received over the network is a well-formed operation
+export function isOperation(ops) {
+  return Array.isArray(ops) && ops.every(component => (
+    (Number.isInteger(component) && component !== 0) || (typeof component === 'string' && component.length > 0)
+  ));
+}
+
+// Length of the text an operation applies to
+export function getBaseLength(ops) {
+  return ops.reduce((length, component) => (
+    isInsert(component) ? length : length + Math.abs(component)
+  ), 0);
+}
+
+// Helper to check whether an operation changes anything
+export function isNoop(ops) {
+  return ops.every(isRetain);
+}
+
+// Apply an operation to text; throws when it was made for a different text
+export function applyOperation(text, ops) {
+  if (getBaseLength(ops) !== text.length) {
+    throw new Error('Operation does not match the document length');
+  }
+
+  let result = '';
+  let index = 0;
+  ops.forEach((component) => {
+    if (isRetain(component)) {
+      result += text.slice(index, index + component);
+      index += component;
+    } else if (isInsert(component)) {
+      result += component;
+    } else {
+      index -= component;
+    }
+  });
+  return result;
+}
+
+// Helper to build the operation that turns `oldText` into `newText`.
+// A textarea edit only touches one place, so a shared prefix and suffix is enough.
+export function getOperation(oldText, newText) {
+  let start = 0;
+  const maxStart = Math.min(oldText.length, newText.length);
+  while (start < maxStart && oldText[start] === newText[start]) start++;
+
+  let end = 0;
+  const maxEnd = maxStart - start;
+  while (end < maxEnd && oldText[oldText.length - 1 - end] === newText[newText.length - 1 - end]) end++;
+
+  const ops = [];
+  retain(ops, start);
+  insert(ops, newText.slice(start, newText.length - end));
+  remove(ops, oldText.length - start - end);
+  retain(ops, end);
+  return ops;
+}
+
+// Helper to iterate over an operation while splitting components as needed
+function createReader(ops) {
+  let index = 0;
+  let current = ops[0];
+  return {
+    peek: () => current,
+    take(count) {
+      const component = current;
+      if (count === undefined || component === undefined) {
+        current = ops[++index];
+        return component;
+      }
+      if (isInsert(component)) {
+        current = component.length > count ? component.slice(count) : ops[++index];
+        return component.slice(0, count);
+      }
+      const length = Math.abs(component);
+      const sign = Math.sign(component);
+      if (length > count) {
+        current = sign * (length - count);
+        return sign * count;
+      }
+      current = ops[++index];
+      return component;
+    },
+  };
+}
+
+// Helper to get how many characters a component spans in the text it applies to
+const spanOf = component => (isInsert(component) ? component.length : Math.abs(component));
+
+/*
+ * Combine `a` then `b` into a single operation with the same effect.
+ * Used by clients to buffer edits while an earlier one is waiting for the server.
+ */
+export function compose(a, b) {
+  const result = [];
+  const first = createReader(a);
+  const second = createReader(b);
+
+  while (first.peek() !== undefined || second.peek() !== undefined) {
+    const x = first.peek();
+    const y = second.peek();
+
+    if (isDelete(x)) {
+      remove(result, -first.take());
+    } else if (isInsert(y)) {
+      insert(result, second.take());
+    } else if (x === undefined || y === undefined) {
+      throw new Error('Operations cannot be composed');
+    } else {
+      const count = Math.min(spanOf(x), spanOf(y));
+      const left = first.take(count);
+      const right = second.take(count);
+      if (isRetain(right)) {
+        if (isRetain(left)) retain(result, count);
+        else insert(result, left);
+      } else if (isRetain(left)) {
+        // left retains and right deletes
+        remove(result, count);
+      }
+      // left inserts and right deletes cancel out
+    }
+  }
+  return result;
+}
+
+/*
+ * Transform two operations made against the same text so they can be applied
+ * one after the other: returns [a', b'] with apply(apply(t, a), b') equal to
+ * apply(apply(t, b), a'). When both insert at the same spot, `a` goes first.
+ */
+export function transform(a, b) {
+  const aPrime = [];
+  const bPrime = [];
+  const first = createReader(a);
+  const second = createReader(b);
+
+  while (first.peek() !== undefined || second.peek() !== undefined) {
+    const x = first.peek();
+    const y = second.peek();
+
+    if (isInsert(x)) {
+      insert(aPrime, x);
+      retain(bPrime, x.length);
+      first.take();
+    } else if (isInsert(y)) {
+      retain(aPrime, y.length);
+      insert(bPrime, y);
+      second.take();
+    } else if (x === undefined || y === undefined) {
+      throw new Error('Operations cannot be transformed');
+    } else {
+      const count = Math.min(Math.abs(x), Math.abs(y));
+      first.take(count);
+      second.take(count);
+      if (isRetain(x) && isRetain(y)) {
+        retain(aPrime, count);
+        retain(bPrime, count);
+      } else if (isDelete(x) && isRetain(y)) {
+        remove(aPrime, count);
+      } else if (isRetain(x) && isDelete(y)) {
+        remove(bPrime, count);
+      }
+      // both delete the same characters: nothing left to do
+    }
+  }
+  return [aPrime, bPrime];
+}
+
+// Move a cursor position past an operation made by someone else
+export function transformIndex(index, ops) {
+  let remaining = index;
+  let result = index;
+  for (const component of ops) {
+    if (isRetain(component)) {
+      remaining -= component;
+    } else if (isInsert(component)) {
+      result += component.length;
+    } else {
+      result -= Math.min(remaining, -component);
+      remaining += component;
+    }
+    if (remaining < 0) break;
+  }
+  return result;
+}
+
+// Helper to move a { anchor, head } selection past an operation
+export function transformSelection(selection, ops) {
+  if (!selection) return selection;
+  return {
+    anchor: transformIndex(selection.anchor, ops),
+    head: transformIndex(selection.head, ops),
+  };
+}
@@ -0,0 +1,111 @@
+// Default limits per action: `capacity` requests at once, refilled evenly over `seconds`.
+// Override one with RATE_LIMIT_<ACTION>=<capacity>/<seconds> (e.g. RATE_LIMIT_CREATE=5/60), or `off`.
+const DEFAULT_LIMITS = {
+  create: { capacity: 10, seconds: 60 },
+  edit: { capacity: 60, seconds: 60 },
+  like: { capacity: 30, seconds: 60 },
+  read: { capacity: 120, seconds: 60 },
+};
+
+// Buckets are forgotten once they have refilled, but only checked for that this often
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const LIMIT_PATTERN = /^(\d+)\s*\/\s*(\d+)$/;
+
+// Token buckets for every caller, shared by every API route in this process
+const state = globalThis.__rateLimits || (globalThis.__rateLimits = { buckets: new Map(), prunedAt: Date.now() });
+
+// Helper to read the limit for an action, or null when it's turned off
+export function getLimit(action) {
+  const configured = process.env[`RATE_LIMIT_${action.toUpperCase()}`];
+  if (!configured) return DEFAULT_LIMITS[action];
+  if (configured === 'off') return null;
+
+  const match = configured.match(LIMIT_PATTERN);
+  if (!match || !Number(match[1]) || !Number(match[2])) {
+    console.warn(`Ignoring invalid RATE_LIMIT_${action.toUpperCase()}: ${configured}`);
+    return DEFAULT_LIMITS[action];
+  }
+  return { capacity: Number(match[1]), seconds: Number(match[2]) };
+}
+
+// Helper to read how many reverse proxies in front of the app to trust (TRUST_PROXY, 0 by default)
+function getTrustedHops() {
+  const hops = Number(process.env.TRUST_PROXY || 0);
+  return Number.isInteger(hops) && hops > 0 ? hops : 0;
+}
+
+/*
+ * Get the caller's IP address. X-Forwarded-For is written by whoever sends the request,
+ * so it's only read when TRUST_PROXY says how many proxies of ours append to it: the
+ * client is then the address that many hops back from the connection, and anything a
+ * client put further left is ignored. Without it, the connection's address is used.
+ */
+export function getClientIp(req) {
+  const remoteAddress = req.socket?.remoteAddress || 'unknown';
+  const hops = getTrustedHops();
+  if (!hops || !req.headers['x-forwarded-for']) return remoteAddress;
+
+  const chain = String(req.headers['x-forwarded-for'])
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+  const addresses = [...chain, remoteAddress];
+  return addresses[Math.max(0, addresses.length - 1 - hops)];
+}
+
+// Helper to drop buckets that are full again, so idle callers don't pile up in memory
+function prune(now) {
+  if (now - state.prunedAt < PRUNE_INTERVAL_MS) return;
+  state.prunedAt = now;
+  state.buckets.forEach((bucket, key) => {
+    if (bucket.tokens + (now - bucket.updatedAt) * bucket.rate >= bucket.capacity) {
+      state.buckets.delete(key);
+    }
+  });
+}
+
+// Helper to refill a bucket for the time that passed
+function refill(key, limit, now) {
+  const rate = limit.capacity / (limit.seconds * 1000);
+  const bucket = state.buckets.get(key) || { tokens: limit.capacity, updatedAt: now };
+  return {
+    tokens: Math.min(limit.capacity, bucket.tokens + (now - bucket.updatedAt) * rate),
+    updatedAt: now,
+    capacity: limit.capacity,
+    rate,
+  };
+}
+
+/*
+ * Take one token for `action` from both the caller's IP bucket and their visitor bucket.
+ * The visitor id alone is easy to change by dropping the cookie, and the IP alone is
+ * shared behind NATs, so a request has to get past both.
+ *
+ * Returns null when the request may go ahead, or { retryAfter } in seconds when it
+ * has to wait. Nothing is taken from either bucket when one of them is empty.
+ */
+export function checkRateLimit(req, identity, action, now = Date.now()) {
+  const limit = getLimit(action);
+  if (!limit) return null;
+
+  prune(now);
+  const keys = [`${action}:ip:${getClientIp(req)}`, `${action}:visitor:${identity.ownerId}`];
+  const buckets = keys.map(key => refill(key, limit, now));
+
+  const empty = buckets.filter(bucket => bucket.tokens < 1);
+  if (empty.length) {
+    keys.forEach((key, index) => state.buckets.set(key, buckets[index]));
+    const waitMs = Math.max(...empty.map(bucket => (1 - bucket.tokens) / bucket.rate));
+    return { retryAfter: Math.ceil(waitMs / 1000) };
+  }
+
+  keys.forEach((key, index) => state.buckets.set(key, { ...buckets[index], tokens: buckets[index].tokens - 1 }));
+  return null;
+}
+
+// Helper to answer a request that went over its limit
+export function sendRateLimited(res, { retryAfter }) {
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: 'Too many requests, please slow down', retryAfter });
+}
@@ -0,0 +1,19 @@
+// Why a visitor can report an item
+export const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'abuse', label: 'Harassment or hate' },
+  { value: 'illegal', label: 'Illegal content' },
+  { value: 'malware', label: 'Malware or phishing' },
+  { value: 'personal-data', label: 'Personal data or leaked secrets' },
+  { value: 'other', label: 'Something else' },
+];
+
+export const MAX_REPORT_NOTE_LENGTH = 500;
+
+export function isValidReportReason(value) {
+  return REPORT_REASONS.some(option => option.value === value);
+}
+
+export function getReportReasonLabel(value) {
+  return REPORT_REASONS.find(option => option.value === value)?.label || value;
+}
@@ -0,0 +1,102 @@
+import { isOwner } from './identity';
+
+// Oldest revisions are dropped past this, so a busy editable item can't grow forever
+export const MAX_REVISIONS = 100;
+
+/*
+ * Every saved version of an item's text, oldest first; the last one is the current text.
+ *
+ * Items that were never edited don't store any revisions: their single revision is
+ * derived from the item itself, so only edited items pay for the extra copies.
+ * Encrypted items keep the ciphertext and params of each version, which the
+ * browser decrypts with the same key as the item. Bundles also keep the files
+ * of each version, so restoring one brings its files back as they were.
+ */
+export function getRevisions(item) {
+  if (item.revisions?.length) return item.revisions;
+  return [{
+    number: 1,
+    text: item.text,
+    encryption: item.encrypted ? item.encryption : null,
+    ...(item.files && { files: item.files }),
+    authorId: item.creatorId,
+    authorName: null,
+    createdAt: item.createdAt,
+  }];
+}
+
+// An item's version is the number of its latest revision; every save bumps it
+export function getVersion(item) {
+  const revisions = getRevisions(item);
+  return revisions[revisions.length - 1].number;
+}
+
+// Helper to read a version sent as an If-Match header, e.g. "3".
+// Next.js replaces ETag response headers with its own body hash, so clients
+// take the version from the `version` field of an item instead.
+export function parseIfMatch(header) {
+  if (!header || header.trim() === '*') return null;
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(header.split(',')[0].trim());
+  return match ? parseInt(match[1], 10) : NaN;
+}
+
+// Thrown from inside store.update when the caller edited an older version
+export class VersionConflictError extends Error {
+  constructor(item) {
+    super('Item was changed since it was loaded');
+    this.name = 'VersionConflictError';
+    this.item = item;
+  }
+}
+
+// Helper to build the changes that save new text as the next revision.
+// Pass it to store.update as a function so concurrent edits never lose a revision.
+// With a `baseVersion` it throws a VersionConflictError when the item has moved on,
+// which rolls the update back.
+export function reviseItem(item, { text, encryption, files = null, identity, restoredFrom = null, baseVersion = null }) {
+  const revisions = getRevisions(item);
+  if (baseVersion !== null && baseVersion !== revisions[revisions.length - 1].number) {
+    throw new VersionConflictError(item);
+  }
+
+  const updatedAt = new Date().toISOString();
+  const revision = {
+    number: revisions[revisions.length - 1].number + 1,
+    text,
+    encryption: item.encrypted ? encryption : null,
+    ...(files && { files }),
+    authorId: identity.ownerId,
+    authorName: identity.user?.name || null,
+    createdAt: updatedAt,
+    restoredFrom,
+  };
+
+  return {
+    text,
+    ...(item.encrypted && { encryption }),
+    ...(files && { files }),
+    updatedAt,
+    revisions: [...revisions, revision].slice(-MAX_REVISIONS),
+  };
+}
+
+// Helper to project a revision for API responses; author ids never leave the server
+export function serializeRevision(revision, item, identity) {
+  return {
+    number: revision.number,
+    text: revision.text,
+    encryption: revision.encryption || null,
+    files: revision.files || null,
+    createdAt: revision.createdAt,
+    authorName: revision.authorName,
+    byOwner: revision.authorId === item.creatorId,
+    byYou: identity.ownerIds.includes(revision.authorId),
+    restoredFrom: revision.restoredFrom || null,
+  };
+}
+
+// Helper to check whether the caller may see an item's history
+export function canViewRevisions(item, identity) {
+  // Burn-after-reading items would otherwise stay readable through their history
+  return !item.burnAfterReading || isOwner(item, identity);
+}
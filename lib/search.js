@@ -0,0 +1,148 @@
+import { getVisibility } from './visibility';
+import { compareKeys, SORT_KEYS } from './items';
+
+export const SEARCH_SORT_OPTIONS = ['relevance', 'newest', 'likes', 'edited'];
+
+const MAX_QUERY_TERMS = 10;
+const SNIPPET_RADIUS = 80;
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+// Helper to split text into lowercase word tokens
+export function tokenize(text) {
+  return (text || '').toLowerCase().match(TOKEN_PATTERN) || [];
+}
+
+// Helper to turn a search query into its distinct terms
+export function getQueryTerms(query) {
+  return [...new Set(tokenize(query))].slice(0, MAX_QUERY_TERMS);
+}
+
+// Helper to check whether an item can show up in search: public, readable, not burned on view
+// and not held back by the content filter or moderators
+export function isSearchable(item) {
+  return !item.deletedAt && !item.burnAfterReading && !item.flaggedAt && !item.hiddenAt
+    && getVisibility(item) === 'public';
+}
+
+/*
+ * Score an item's text against the query terms.
+ * Every term has to match the start of some word (so "reac" finds "React");
+ * the score counts the matches, with whole-word matches worth more.
+ * Returns 0 when a term is missing.
+ */
+export function scoreText(text, terms) {
+  if (!terms.length) return 1;
+
+  const tokens = tokenize(text);
+  let score = 0;
+  for (const term of terms) {
+    let termScore = 0;
+    tokens.forEach((token) => {
+      if (token === term) termScore += 2;
+      else if (token.startsWith(term)) termScore += 1;
+    });
+    if (!termScore) return 0;
+    score += termScore;
+  }
+  return score;
+}
+
+// Helper to get when an item was last changed
+function getEditedTime(item) {
+  return new Date(item.updatedAt || item.createdAt).getTime();
+}
+
+// Helper to score an item against the query terms; encrypted items can't be read, so they all score 1
+function scoreItem(item, terms) {
+  return item.encrypted ? 1 : scoreText(item.text, terms);
+}
+
+// The key each sort orders results by, highest first, with ties newest first
+const SEARCH_KEYS = {
+  relevance: (item, score) => [score, item.createdAt, item.id],
+  newest: SORT_KEYS.newest,
+  likes: SORT_KEYS.likes,
+  edited: item => [getEditedTime(item), item.createdAt, item.id],
+};
+
+// Helper to get the sort a search uses: relevance when there is a query, newest otherwise
+function getSearchOrder(terms, sort) {
+  return sort || (terms.length ? 'relevance' : 'newest');
+}
+
+// Helper to get the key search results are ordered by, for paginate
+export function getSearchKey({ terms = [], sort }) {
+  const order = getSearchOrder(terms, sort);
+  return item => SEARCH_KEYS[order](item, order === 'relevance' ? scoreItem(item, terms) : null);
+}
+
+/*
+ * Filter and rank items for a search.
+ *   terms     query terms (see getQueryTerms); encrypted items never match one
+ *   language  only items highlighted as this language
+ *   from, to  creation date range (Date objects)
+ *   minLikes  minimum likesCount
+ *   sort      relevance (the default with a query), newest, likes or edited
+ */
+export function searchItems(items, { terms = [], language, from, to, minLikes = 0, sort }) {
+  const order = getSearchOrder(terms, sort);
+  const results = [];
+  items.forEach((item) => {
+    if (!isSearchable(item)) return;
+    if (terms.length && item.encrypted) return;
+    if (language && (item.language || 'plaintext') !== language) return;
+    if ((item.likesCount || 0) < minLikes) return;
+
+    const createdAt = new Date(item.createdAt).getTime();
+    if (from && createdAt < from.getTime()) return;
+    if (to && createdAt > to.getTime()) return;
+
+    const score = scoreItem(item, terms);
+    if (score) results.push({ item, key: SEARCH_KEYS[order](item, score) });
+  });
+
+  results.sort((a, b) => compareKeys(a.key, b.key));
+  return results.map(result => result.item);
+}
+
+/*
+ * Helper to cut a short excerpt around the first match and mark the matches in it.
+ * Returns parts like [{ text: 'const ', match: false }, { text: 'React', match: true }],
+ * so the page can highlight them without rendering HTML.
+ */
+export function getSnippet(text, terms) {
+  if (!text) return [];
+
+  const lower = text.toLowerCase();
+  const matches = [];
+  if (terms.length) {
+    for (const found of lower.matchAll(TOKEN_PATTERN)) {
+      const term = terms.find(candidate => found[0].startsWith(candidate));
+      if (term) matches.push({ start: found.index, end: found.index + term.length });
+    }
+  }
+
+  const firstMatch = matches[0]?.start ?? 0;
+  let start = Math.max(0, firstMatch - SNIPPET_RADIUS);
+  const end = Math.min(text.length, start + SNIPPET_RADIUS * 3);
+  // Start at a line or word boundary when one is close
+  if (start > 0) {
+    const boundary = text.slice(start, firstMatch).search(/\s/);
+    if (boundary !== -1) start += boundary + 1;
+  }
+
+  const parts = [];
+  let index = start;
+  matches
+    .filter(match => match.start >= start && match.end <= end)
+    .forEach((match) => {
+      if (match.start > index) parts.push({ text: text.slice(index, match.start), match: false });
+      parts.push({ text: text.slice(match.start, match.end), match: true });
+      index = match.end;
+    });
+  if (index < end) parts.push({ text: text.slice(index, end), match: false });
+
+  if (start > 0) parts.unshift({ text: '…', match: false });
+  if (end < text.length) parts.push({ text: '…', match: false });
+  return parts;
+}
@@ -0,0 +1,207 @@
+// Secret detection, shared by the composer (before submit) and the API (on POST and PUT).
+//
+// Every rule's pattern has two groups: what leads up to the secret, and the secret
+// itself, so a finding can be redacted without losing the key name around it.
+export const SECRET_RULES = [
+  {
+    id: 'private-key',
+    label: 'Private key',
+    pattern: /(-----BEGIN [A-Z ]*PRIVATE KEY(?: BLOCK)?-----)([\s\S]*?)(?=-----END [A-Z ]*PRIVATE KEY(?: BLOCK)?-----|$)/g,
+  },
+  {
+    id: 'aws-access-key',
+    label: 'AWS access key ID',
+    pattern: /()\b((?:AKIA|ASIA)[0-9A-Z]{16})\b/g,
+  },
+  {
+    id: 'aws-secret-key',
+    label: 'AWS secret access key',
+    pattern: /(aws[\w-]{0,20}?(?:secret|private)?[\w-]{0,20}?(?:key|token)["']?\s*[=:]\s*["']?)([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+  },
+  {
+    id: 'github-token',
+    label: 'GitHub token',
+    pattern: /()\b(gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g,
+  },
+  {
+    id: 'slack-token',
+    label: 'Slack token',
+    pattern: /()\b(xox[abposr]-[A-Za-z0-9-]{10,})/g,
+  },
+  {
+    id: 'stripe-key',
+    label: 'Stripe secret key',
+    pattern: /()\b((?:sk|rk)_live_[0-9A-Za-z]{16,})/g,
+  },
+  {
+    id: 'google-api-key',
+    label: 'Google API key',
+    pattern: /()\b(AIza[0-9A-Za-z_-]{35})/g,
+  },
+  {
+    id: 'jwt',
+    label: 'JSON Web Token',
+    pattern: /()\b(eyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,})/g,
+  },
+  {
+    id: 'connection-string',
+    label: 'Connection string password',
+    pattern: /(\b(?:postgres(?:ql)?|mysql|mariadb|mongodb(?:\+srv)?|rediss?|amqps?|mssql|sqlserver):\/\/[^\s:@/]+:)([^\s@/]+)(?=@)/gi,
+  },
+  {
+    // Anything assigned to a key, secret, token or password, when the value looks random enough.
+    // The key name is anchored and capped so a long run of dashes can't backtrack for seconds.
+    id: 'generic-secret',
+    label: 'Possible secret',
+    pattern: /(\b[A-Za-z0-9_-]{0,40}?(?:api[_-]?key|secret|token|passw(?:or)?d|pwd|credential|private[_-]?key)[A-Za-z0-9_-]{0,40}["']?\s*[:=]\s*["']?)([^\s"'`,;()]{8,})/gim,
+    check: looksRandom,
+  },
+];
+
+export const REDACTED = '[REDACTED]';
+
+// Values that are clearly not real secrets: placeholders, references and property access
+const PLACEHOLDER_PATTERN = /^(?:your|my|example|sample|changeme|placeholder|dummy|test|xxx|\*|<|\$\{?|%|\{\{|process\.env|env\.|os\.environ|getenv|null|undefined|true|false)/i;
+const MEMBER_ACCESS_PATTERN = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+$/;
+
+// Helper to measure how random a string looks, in bits per character (Shannon entropy)
+export function getEntropy(value) {
+  const counts = new Map();
+  for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+
+  let entropy = 0;
+  counts.forEach((count) => {
+    const share = count / value.length;
+    entropy -= share * Math.log2(share);
+  });
+  return entropy;
+}
+
+// Helper to tell a random-looking value from a word, a placeholder or a code reference
+function looksRandom(value) {
+  if (PLACEHOLDER_PATTERN.test(value) || MEMBER_ACCESS_PATTERN.test(value)) return false;
+  // Short values need a mix of letters and digits or symbols to count
+  if (value.length < 16 && !(/[A-Za-z]/.test(value) && /[^A-Za-z]/.test(value))) return false;
+  return getEntropy(value) >= (value.length >= 16 ? 3.5 : 3);
+}
+
+// Helper to find where every line of a text starts, for getLineNumber
+function getLineStarts(text) {
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    starts.push(i + 1);
+  }
+  return starts;
+}
+
+// Helper to get the (1-based) line an index falls on, by binary search over the line starts
+function getLineNumber(lineStarts, index) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (lineStarts[middle] <= index) low = middle;
+    else high = middle - 1;
+  }
+  return low + 1;
+}
+
+// Helper to merge a rule's matches (in order, not overlapping each other) into the findings
+// so far (sorted, not overlapping), leaving out the ones a more specific rule already found
+function mergeFindings(findings, matches) {
+  const merged = [];
+  let next = 0;
+  matches.forEach((match) => {
+    while (next < findings.length && findings[next].end <= match.start) merged.push(findings[next++]);
+    if (next < findings.length && findings[next].start < match.end) return;
+    merged.push(match);
+  });
+  return [...merged, ...findings.slice(next)];
+}
+
+/*
+ * Find everything in `text` that looks like a secret.
+ * Returns findings sorted by position, each with the rule that matched, where the
+ * secret starts and ends (character offsets) and the lines it covers:
+ *   { ruleId, label, start, end, line, endLine }
+ */
+export function scanSecrets(text) {
+  if (!text) return [];
+
+  let findings = [];
+  SECRET_RULES.forEach((rule) => {
+    const matches = [];
+    for (const match of text.matchAll(rule.pattern)) {
+      const [, prefix, secret] = match;
+      // Text that was already redacted is left alone
+      const value = secret?.trim();
+      if (!value || value === REDACTED || (rule.check && !rule.check(secret))) continue;
+
+      const start = match.index + prefix.length;
+      matches.push({ ruleId: rule.id, label: rule.label, start, end: start + secret.length });
+    }
+    // A secret found by a more specific rule isn't reported again
+    findings = mergeFindings(findings, matches);
+  });
+
+  const lineStarts = getLineStarts(text);
+  return findings
+    .map((finding) => {
+      // Lines are counted without the line breaks around multi-line secrets
+      const value = text.slice(finding.start, finding.end);
+      const leading = value.length - value.trimStart().length;
+      const trailing = value.length - value.trimEnd().length;
+      return {
+        ...finding,
+        line: getLineNumber(lineStarts, finding.start + leading),
+        endLine: getLineNumber(lineStarts, finding.end - trailing),
+      };
+    });
+}
+
+// Replace every finding with REDACTED, keeping the whitespace around multi-line secrets
+export function redactSecrets(text, findings = scanSecrets(text)) {
+  const parts = [];
+  let index = 0;
+  [...findings].sort((a, b) => a.start - b.start).forEach(({ start, end }) => {
+    const value = text.slice(start, end);
+    const leading = value.slice(0, value.length - value.trimStart().length);
+    const trailing = value.trimStart() ? value.slice(value.trimEnd().length) : '';
+    parts.push(text.slice(index, start), leading, REDACTED, trailing);
+    index = end;
+  });
+  parts.push(text.slice(index));
+  return parts.join('');
+}
+
+// Helper to describe findings without repeating the secrets, e.g. for API errors
+export function summarizeSecrets(findings) {
+  return findings.map(({ ruleId, label, line, endLine }) => ({ ruleId, label, line, endLine }));
+}
+
+// Helper to list findings for people, e.g. "GitHub token (line 3), Private key (lines 5-9)"
+export function describeSecrets(findings) {
+  return findings
+    .map(({ label, line, endLine }) => `${label} (${line === endLine ? `line ${line}` : `lines ${line}-${endLine}`})`)
+    .join(', ');
+}
+
+// Helper to read CLIPBOARD_SECRET_SCAN on the server: block (default), mask or off
+export function getSecretScanMode() {
+  const mode = process.env.CLIPBOARD_SECRET_SCAN || 'block';
+  return ['block', 'mask', 'off'].includes(mode) ? mode : 'block';
+}
+
+/*
+ * Server-side check before plain text is stored, following CLIPBOARD_SECRET_SCAN.
+ * Returns the text to store, the findings, and whether the text has to be refused:
+ * `block` refuses any text with findings, `mask` stores it redacted.
+ */
+export function checkSecrets(text) {
+  const mode = getSecretScanMode();
+  const findings = mode === 'off' ? [] : scanSecrets(text);
+  if (!findings.length || mode === 'block') {
+    return { text, findings, blocked: findings.length > 0 };
+  }
+  return { text: redactSecrets(text, findings), findings, blocked: false };
+}
@@ -0,0 +1,494 @@
+import { UNDO_WINDOW_MS } from './storage';
+import { isOwner } from './identity';
+import { canView, getNextCursor, getPageSize, isDeleted, isTextTooLong, parseCursor, SORT_KEYS } from './items';
+import { DEFAULT_VISIBILITY, getVisibility, isValidVisibility } from './visibility';
+import { getExpiresAt } from './expiry';
+import { isCiphertext, normalizeEncryption } from './encryption';
+import { AUTO_LANGUAGE, DEFAULT_FORMAT, detectLanguage, isValidFormat, isValidLanguage } from './languages';
+import { getVersion, reviseItem, VersionConflictError } from './revisions';
+import { notifyItemChanged, notifyItemDeleted } from './collab';
+import { publishEvent } from './events';
+import { hashVisitor, recordView } from './analytics';
+import { checkContent } from './contentFilter';
+import { checkSecrets, describeSecrets, redactSecrets, summarizeSecrets } from './secrets';
+import { formatBundleText, getBundleError, isBundle, normalizeBundleFiles } from './bundles';
+import { AttachmentError, parseAttachments, saveAttachments, serializeAttachment } from './attachments';
+import { isTextType } from './attachments/types';
+
+/*
+ * What the snippet endpoints do, shared by /api/clipboard and the versioned /api/v1/snippets.
+ * Every function takes the store and the caller's identity, and throws a SnippetError
+ * for anything the caller got wrong; each API turns those into its own error format.
+ */
+
+const BURN_FORK_ERROR = 'Burn-after-reading snippets can\'t be forked';
+
+// `details` are sent along with the message, e.g. the secrets that were found
+export class SnippetError extends Error {
+  constructor(message, status = 400, { code = null, ...details } = {}) {
+    super(message);
+    this.name = 'SnippetError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Helper to refuse text that looks like it contains secrets
+function secretsFound(findings) {
+  return new SnippetError(`This text looks like it contains secrets: ${describeSecrets(findings)}`, 422, {
+    code: 'secrets_found',
+    secrets: summarizeSecrets(findings),
+  });
+}
+
+// Helper to run the secret check over a bundle. Findings are reported against the combined
+// text, whose headers say which file they are in; masking is done file by file.
+function checkBundleSecrets(files) {
+  const combined = checkSecrets(formatBundleText(files));
+  if (!combined.findings.length || combined.blocked) return { ...combined, files };
+
+  const masked = files.map(file => ({ ...file, text: redactSecrets(file.text) }));
+  return { ...combined, text: formatBundleText(masked), files: masked };
+}
+
+// Helper to run the secret check over the text files among the attachments, e.g. a dropped .env file.
+// Findings say which file they are in; in mask mode the file is stored redacted.
+function checkAttachmentSecrets(attachments) {
+  const checked = attachments.map((attachment) => {
+    if (!isTextType(attachment.type)) return { attachment, findings: [], blocked: false };
+    const result = checkSecrets(attachment.data.toString('utf8'));
+    const findings = result.findings.map(finding => ({ ...finding, label: `${finding.label} in ${attachment.name}` }));
+    if (!findings.length || result.blocked) return { attachment, findings, blocked: result.blocked };
+
+    const data = Buffer.from(result.text, 'utf8');
+    return { attachment: { ...attachment, data, size: data.length }, findings, blocked: false };
+  });
+
+  return {
+    attachments: checked.map(({ attachment }) => attachment),
+    findings: checked.flatMap(({ findings }) => findings),
+    blocked: checked.some(({ blocked }) => blocked),
+  };
+}
+
+// Helper to check the files of a bundle sent to create or update, returning them normalized
+function parseBundle(files) {
+  if (files === undefined) return null;
+  const error = getBundleError(files);
+  if (error) throw new SnippetError(error);
+  return normalizeBundleFiles(files);
+}
+
+// Helper to check the settings only the owner can change, returning them as changes for the item
+function parseSettings({ visibility, editable, expiresIn }) {
+  const changes = {};
+  if (visibility !== undefined) {
+    if (!isValidVisibility(visibility)) throw new SnippetError('Invalid visibility');
+    changes.visibility = visibility;
+  }
+  if (editable !== undefined) {
+    if (typeof editable !== 'boolean') throw new SnippetError('Invalid editable value');
+    changes.editable = editable;
+  }
+  if (expiresIn !== undefined) {
+    const expiresAt = getExpiresAt(expiresIn);
+    if (expiresAt === undefined) throw new SnippetError('Invalid expiry option');
+    changes.expiresAt = expiresAt;
+  }
+  return changes;
+}
+
+// Public items plus the caller's own, newest first or most liked first, a page at a time.
+// The store does the filtering, sorting and paging; resolves to { items, nextCursor }.
+export async function listSnippets(store, identity, { sort = 'newest', visibility, limit, cursor } = {}) {
+  if (!['newest', 'likes'].includes(sort) || (visibility && !isValidVisibility(visibility))) {
+    throw new SnippetError('Invalid query');
+  }
+
+  // One more than a page, to know whether another one follows
+  const pageSize = getPageSize(limit);
+  const items = await store.list({
+    listedFor: identity.ownerIds,
+    visibility,
+    sort,
+    after: parseCursor(cursor),
+    limit: pageSize + 1,
+  });
+  const page = items.slice(0, pageSize);
+  return { items: page, nextCursor: getNextCursor(page, items.length > pageSize, SORT_KEYS[sort]) };
+}
+
+/*
+ * Open an item by its id, as its share page does. Resolves to { item, burned }:
+ * a burn-after-reading item is deleted as it's read by anyone but its owner.
+ * Views from everyone but the owner are counted once per visitor a day.
+ */
+export async function readSnippet(store, id, identity, { referrer } = {}) {
+  const item = await store.get(id);
+  if (!canView(item, identity)) {
+    throw new SnippetError('Item not found', 404);
+  }
+
+  if (item.burnAfterReading && !isOwner(item, identity)) {
+    // Only the first visitor to remove the item gets to read it
+    const burned = await store.delete(id);
+    if (!burned) {
+      throw new SnippetError('Item not found', 404);
+    }
+    publishEvent('deleted', item);
+    return { item, burned: true };
+  }
+
+  if (!isOwner(item, identity)) {
+    await recordView(item, { visitor: hashVisitor(id, identity), referrer });
+  }
+  return { item, burned: false };
+}
+
+/*
+ * Open an item to start a fork from. Unlike readSnippet this neither counts a view nor
+ * burns anything: burn-after-reading items can't be forked at all, since the fork
+ * would keep a copy of what was meant to be read once.
+ */
+export async function getForkSource(store, id, identity) {
+  const item = await store.get(id);
+  if (!canView(item, identity)) {
+    throw new SnippetError('Item not found', 404);
+  }
+  if (item.burnAfterReading) {
+    throw new SnippetError(BURN_FORK_ERROR);
+  }
+  return item;
+}
+
+// Create an item from what a client posted. Attachments arrive base64 encoded (see lib/attachments).
+export async function createSnippet(store, input, { req, identity }) {
+  const {
+    text: textInput = '',
+    files: fileInput,
+    forkedFrom,
+    attachments: attachmentInput,
+    editable = false,
+    expiresIn,
+    burnAfterReading = false,
+    encryption,
+    visibility = DEFAULT_VISIBILITY,
+    language = AUTO_LANGUAGE,
+    format = DEFAULT_FORMAT,
+  } = input;
+
+  // Bundles send their files instead of a text
+  const files = parseBundle(fileInput);
+  if (files && encryption) {
+    throw new SnippetError('Bundles cannot be encrypted');
+  }
+  const text = files ? formatBundleText(files) : textInput;
+
+  // Text can only be left empty when files are attached
+  const hasAttachments = Array.isArray(attachmentInput) && attachmentInput.length > 0;
+  if (typeof text !== 'string' || (!text.trim() && !hasAttachments)) {
+    throw new SnippetError('Valid text is required');
+  }
+
+  if (isTextTooLong(text, { encrypted: Boolean(encryption) })) {
+    throw new SnippetError('Text is too long', 413);
+  }
+
+  if (!isValidVisibility(visibility)) {
+    throw new SnippetError('Invalid visibility');
+  }
+
+  if (language !== AUTO_LANGUAGE && !isValidLanguage(language)) {
+    throw new SnippetError('Invalid language');
+  }
+
+  if (!isValidFormat(format)) {
+    throw new SnippetError('Invalid format');
+  }
+
+  // Encrypted items arrive as ciphertext; the key never reaches the server
+  const encryptionParams = encryption ? normalizeEncryption(encryption) : null;
+  if (encryption && (!encryptionParams || !isCiphertext(text))) {
+    throw new SnippetError('Invalid encrypted payload');
+  }
+
+  // Files can't be encrypted in the browser yet, and a burned item would take them along before they could be downloaded
+  if (hasAttachments && (encryptionParams || burnAfterReading === true)) {
+    throw new SnippetError('Attachments are not available for encrypted or burn-after-reading snippets');
+  }
+
+  let parsedAttachments;
+  try {
+    parsedAttachments = parseAttachments(attachmentInput);
+  } catch (error) {
+    if (!(error instanceof AttachmentError)) throw error;
+    throw new SnippetError(error.message, error.status);
+  }
+
+  const createdAt = new Date();
+  const expiresAt = getExpiresAt(expiresIn, createdAt.getTime());
+  if (expiresAt === undefined) {
+    throw new SnippetError('Invalid expiry option');
+  }
+
+  // Forks link back to where they came from, but only when that is public:
+  // a public fork would otherwise give away the link to an unlisted item
+  let source = null;
+  if (forkedFrom !== undefined && forkedFrom !== null) {
+    source = typeof forkedFrom === 'string' ? await store.get(forkedFrom) : null;
+    if (!canView(source, identity)) {
+      throw new SnippetError('Invalid fork source');
+    }
+    if (source.burnAfterReading) {
+      throw new SnippetError(BURN_FORK_ERROR);
+    }
+  }
+
+  // Plain text is checked for leaked keys and tokens; encrypted text can't be read here
+  const secrets = encryptionParams
+    ? { text, blocked: false }
+    : files ? checkBundleSecrets(files) : checkSecrets(text.trim());
+  if (secrets.blocked) {
+    throw secretsFound(secrets.findings);
+  }
+
+  // Text files are attached as they are, so they get the same check as the text
+  const { attachments, ...attachmentSecrets } = checkAttachmentSecrets(parsedAttachments);
+  if (attachmentSecrets.blocked) {
+    throw secretsFound(attachmentSecrets.findings);
+  }
+
+  // Spam and abuse checks: rejected items are never stored, flagged ones stay out of public lists.
+  // The text files are checked along with the text.
+  const attachmentTexts = attachments
+    .filter(attachment => isTextType(attachment.type))
+    .map(attachment => attachment.data.toString('utf8'));
+  const verdict = await checkContent(
+    { text: [text, ...attachmentTexts].join('\n\n'), encrypted: Boolean(encryptionParams), language, format },
+    { req, identity }
+  );
+  if (verdict.action === 'reject') {
+    throw new SnippetError(`Content rejected: ${verdict.reasons.join(', ')}`, 422, {
+      code: 'content_rejected',
+      reasons: verdict.reasons,
+    });
+  }
+
+  const newItem = await store.create({
+    text: secrets.text,
+    encrypted: Boolean(encryptionParams),
+    encryption: encryptionParams,
+    visibility,
+    // Ciphertext can't be inspected, so encrypted items are only highlighted when the browser says how.
+    // A bundle is listed with the language of its first file, and every file is shown as code.
+    language: files
+      ? secrets.files[0].language
+      : language === AUTO_LANGUAGE
+        ? (encryptionParams ? 'plaintext' : detectLanguage(text))
+        : language,
+    format: files ? DEFAULT_FORMAT : format,
+    ...(files && { files: secrets.files }),
+    forkedFrom: source && getVisibility(source) === 'public' ? source.id : null,
+    createdAt: createdAt.toISOString(),
+    expiresAt,
+    burnAfterReading: burnAfterReading === true,
+    likes: [],
+    likesCount: 0,
+    creatorId: identity.ownerId,
+    editable: editable === true,
+    attachments: attachments.map(serializeAttachment),
+    ...(verdict.action === 'flag' && {
+      flaggedAt: createdAt.toISOString(),
+      flagReasons: verdict.reasons,
+    }),
+  });
+
+  if (attachments.length) {
+    try {
+      await saveAttachments(newItem.id, attachments);
+    } catch (error) {
+      // Without its files the item isn't what was posted
+      await store.delete(newItem.id);
+      throw error;
+    }
+  }
+
+  publishEvent('created', newItem);
+  return newItem;
+}
+
+/*
+ * Change an item. A new text (or new files, for a bundle) is saved as its next revision;
+ * `language` and `format` can change with it or on their own, and the owner can also
+ * change `visibility`, `editable` and `expiresIn`, which don't make a revision.
+ * With a `baseVersion` the save is refused with a 409 when someone else saved first;
+ * the error's `current` holds their version, for the caller to serialize and merge.
+ */
+export async function updateSnippet(store, id, input, identity) {
+  const { files: fileInput, encryption, language, format, baseVersion = null } = input;
+
+  // Bundles are saved as their files, from which the text is built again
+  const files = parseBundle(fileInput);
+  const text = files ? formatBundleText(files) : input.text;
+  const hasText = text !== undefined;
+  if (hasText && (!text || typeof text !== 'string' || !text.trim())) {
+    throw new SnippetError('Valid text is required');
+  }
+
+  if (hasText && isTextTooLong(text, { encrypted: Boolean(encryption) })) {
+    throw new SnippetError('Text is too long', 413);
+  }
+
+  if (baseVersion !== null && !Number.isInteger(baseVersion)) {
+    throw new SnippetError('Invalid version');
+  }
+
+  if (language !== undefined && !isValidLanguage(language)) {
+    throw new SnippetError('Invalid language');
+  }
+
+  if (format !== undefined && !isValidFormat(format)) {
+    throw new SnippetError('Invalid format');
+  }
+
+  const settings = parseSettings(input);
+  if (!hasText && language === undefined && format === undefined && !Object.keys(settings).length) {
+    throw new SnippetError('Nothing to change');
+  }
+
+  const item = await store.get(id);
+  if (!canView(item, identity)) {
+    throw new SnippetError('Item not found', 404);
+  }
+
+  // Only the creator can edit, unless the item is editable by everyone
+  if (!isOwner(item, identity) && item.editable !== true) {
+    throw new SnippetError('Not authorized to edit this item', 403);
+  }
+
+  // Who can see and edit an item, and for how long, stays the creator's call
+  if (Object.keys(settings).length && !isOwner(item, identity)) {
+    throw new SnippetError('Only the owner can change visibility, editing or expiry', 403);
+  }
+
+  if (hasText && isBundle(item) !== Boolean(files)) {
+    throw new SnippetError(isBundle(item) ? 'Valid files are required' : 'Only bundles have files');
+  }
+
+  // A bundle's language is its first file's, and its files are always shown as code
+  if (!files && isBundle(item) && (language !== undefined || format !== undefined)) {
+    throw new SnippetError('A bundle takes its language from its files');
+  }
+
+  // Encrypted items are re-encrypted in the browser with a fresh IV on every edit
+  const encryptionParams = hasText && item.encrypted ? normalizeEncryption(encryption) : null;
+  if (hasText && item.encrypted && (!encryptionParams || !isCiphertext(text))) {
+    throw new SnippetError('Invalid encrypted payload');
+  }
+
+  const secrets = !hasText || item.encrypted
+    ? { text, blocked: false }
+    : files ? checkBundleSecrets(files) : checkSecrets(text.trim());
+  if (secrets.blocked) {
+    throw secretsFound(secrets.findings);
+  }
+
+  // Every edit of the text is kept as a revision so earlier text can be compared and restored
+  let updatedItem;
+  try {
+    updatedItem = await store.update(id, (current) => {
+      if (!hasText && baseVersion !== null && baseVersion !== getVersion(current)) {
+        throw new VersionConflictError(current);
+      }
+      return {
+        ...(hasText && reviseItem(current, {
+          text: secrets.text,
+          encryption: encryptionParams,
+          files: secrets.files || null,
+          identity,
+          baseVersion,
+        })),
+        ...(files ? { language: secrets.files[0].language } : {
+          ...(language && { language }),
+          ...(format && { format }),
+        }),
+        ...settings,
+      };
+    });
+  } catch (error) {
+    if (!(error instanceof VersionConflictError)) throw error;
+    throw new SnippetError('Item was changed by someone else', 409, { code: 'version_conflict', current: error.item });
+  }
+
+  // Anyone editing live picks up the new text
+  notifyItemChanged(updatedItem);
+  publishEvent('updated', updatedItem);
+  return updatedItem;
+}
+
+// Like an item, or take the like back. Resolves to { hasLiked, likesCount }.
+// Anonymous callers need a visitor cookie from an earlier request.
+export async function toggleSnippetLike(store, id, identity) {
+  const item = await store.get(id);
+  if (!canView(item, identity)) {
+    throw new SnippetError('Item not found', 404);
+  }
+
+  // Each cookieless request would count as another visitor and like it again
+  if (identity.newVisitor) {
+    throw new SnippetError('Likes need cookies: send the visitor cookie you were given, or sign in', 403, {
+      code: 'cookie_required',
+    });
+  }
+
+  const result = await store.toggleLike(id, identity.ownerId);
+  if (!result) {
+    throw new SnippetError('Item not found', 404);
+  }
+
+  const likedItem = await store.get(id);
+  if (likedItem) publishEvent('liked', likedItem);
+  return result;
+}
+
+// Soft delete: keep a tombstone so the owner can undo until the window passes.
+// Resolves to the time the delete can be undone until.
+export async function deleteSnippet(store, id, identity) {
+  const item = await store.get(id);
+  if (!canView(item, identity)) {
+    throw new SnippetError('Item not found', 404);
+  }
+
+  if (!isOwner(item, identity)) {
+    throw new SnippetError('Not authorized to delete this item', 403);
+  }
+
+  const deletedAt = new Date();
+  await store.update(id, { deletedAt: deletedAt.toISOString() });
+  notifyItemDeleted(id);
+  publishEvent('deleted', item);
+
+  return new Date(deletedAt.getTime() + UNDO_WINDOW_MS).toISOString();
+}
+
+// Undo a soft delete while the tombstone is still there. Resolves to the restored item.
+// Attachments are only removed once the undo window has passed, so they come back with it.
+export async function restoreSnippet(store, id, identity) {
+  const item = await store.get(id);
+  if (!item) {
+    throw new SnippetError('Item not found', 404);
+  }
+
+  if (!isDeleted(item)) {
+    throw new SnippetError('Item is not deleted');
+  }
+
+  if (!isOwner(item, identity)) {
+    throw new SnippetError('Not authorized to restore this item', 403);
+  }
+
+  const restoredItem = await store.update(id, { deletedAt: null });
+  publishEvent('updated', restoredItem);
+  return restoredItem;
+}
@@ -0,0 +1,34 @@
+// Comment lines sent now and then so proxies don't close idle streams
+const KEEPALIVE_MS = 25000;
+
+/*
+ * Start a server-sent events response.
+ * Returns `send(event, data)`, `end()` and `closed`, a promise that resolves
+ * once the client disconnects (or the stream is ended).
+ */
+export function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the response from being buffered by compression
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+  });
+
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_MS);
+  const closed = new Promise((resolve) => {
+    res.on('close', () => {
+      clearInterval(keepalive);
+      resolve();
+    });
+  });
+
+  return {
+    send(event, data) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      res.end();
+    },
+    closed,
+  };
+}
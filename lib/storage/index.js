@@ -0,0 +1,99 @@
+import path from 'path';
+
+// Where the storage adapters keep their files
+export const DATA_DIR = process.env.CLIPBOARD_DATA_DIR || path.join(process.cwd(), 'data');
+
+// How long an item is kept when it has no expiresAt (created before expiry options existed)
+export const THIRTY_DAYS_MS = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
+
+// How long a deleted item can still be restored
+export const UNDO_WINDOW_MS = 5 * 60 * 1000; // 5 minutes in milliseconds
+
+// How often expired items are looked for
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+const ID_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+// Helper function to generate short ID
+export function generateShortId() {
+  let id = '';
+  for (let i = 0; i < 6; i++) {
+    id += ID_CHARS[Math.floor(Math.random() * ID_CHARS.length)];
+  }
+  return id;
+}
+
+// Helper function to get when an item expires (null means never)
+export function getExpiryTime(item) {
+  if (item.expiresAt === undefined) {
+    return new Date(item.createdAt).getTime() + THIRTY_DAYS_MS;
+  }
+  return item.expiresAt === null ? null : new Date(item.expiresAt).getTime();
+}
+
+// Helper function to check whether an item is past its expiry,
+// or was deleted and can no longer be restored
+export function isExpired(item, now = Date.now()) {
+  const expiresAt = getExpiryTime(item);
+  if (expiresAt !== null && expiresAt <= now) return true;
+
+  return Boolean(item.deletedAt) && (now - new Date(item.deletedAt).getTime()) >= UNDO_WINDOW_MS;
+}
+
+/*
+ * Every adapter implements the same asynchronous interface:
+ *
+ *   create(item)               -> stored item (an id is generated when missing)
+ *   get(id)                    -> item or null (expired items are never returned)
+ *   update(id, changes)        -> updated item or null; `changes` can also be a
+ *                                 function of the current item, run atomically
+ *   list(query)                -> unexpired items, newest first; `query` can narrow them:
+ *                                   listedFor   owner ids: only what isListed shows them
+ *                                   ownedBy     owner ids: only items one of them created
+ *                                   visibility  only items with this visibility
+ *                                   sort        'newest' (default) or 'likes', as in SORT_KEYS
+ *                                   after       a sort key: only the items that come after it
+ *                                   limit       at most this many items
+ *   delete(id)                 -> true when something was removed
+ *   toggleLike(id, visitorId)  -> { hasLiked, likesCount } or null
+ *   purgeExpired(now)          -> the removed items
+ *
+ * Deleting through the API only marks an item with `deletedAt` (a tombstone);
+ * purgeExpired removes tombstones once the undo window has passed.
+ */
+const adapters = {
+  json: () => import('./json'),
+  sqlite: () => import('./sqlite'),
+};
+
+// Helper function to get the configured store.
+// The instance lives on globalThis so every API route shares the same one.
+export function getStore() {
+  if (!globalThis.__clipboardStore) {
+    const driver = process.env.CLIPBOARD_STORAGE || 'json';
+    const loadAdapter = adapters[driver];
+    if (!loadAdapter) {
+      throw new Error(`Unknown clipboard storage driver: ${driver}`);
+    }
+    globalThis.__clipboardStore = loadAdapter()
+      .then(({ createStore }) => createStore({ dataDir: DATA_DIR }))
+      .catch((error) => {
+        // Allow the next request to retry instead of caching the failure
+        globalThis.__clipboardStore = null;
+        throw error;
+      });
+  }
+  return globalThis.__clipboardStore;
+}
+
+/*
+ * Remove expired items and tombstones, resolving to what was removed (see publishExpired).
+ * API routes call this on every request, but the store is only looked at once every
+ * PURGE_INTERVAL_MS; in between, get and list already leave expired items out.
+ */
+export async function purgeExpiredItems(store, now = Date.now()) {
+  const state = globalThis.__clipboardPurge || (globalThis.__clipboardPurge = { purgedAt: 0 });
+  if (now - state.purgedAt < PURGE_INTERVAL_MS) return [];
+  state.purgedAt = now;
+  return store.purgeExpired(now);
+}
@@ -0,0 +1,215 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { generateShortId, isExpired } from './index';
+import { compareKeys, isListed, SORT_KEYS } from '../items';
+import { getVisibility } from '../visibility';
+
+// Helper to run a list query (see lib/storage/index.js) over the items in memory
+function queryItems(items, { listedFor, ownedBy, visibility, sort = 'newest', after, limit } = {}, now = Date.now()) {
+  const getKey = SORT_KEYS[sort];
+  const matching = items
+    .filter(item => !isExpired(item, now)
+      && (!listedFor || isListed(item, { ownerIds: listedFor }))
+      && (!ownedBy || ownedBy.includes(item.creatorId))
+      && (!visibility || getVisibility(item) === visibility)
+      && (!after || compareKeys(getKey(item), after) > 0))
+    .sort((a, b) => compareKeys(getKey(a), getKey(b)));
+  return limit ? matching.slice(0, limit) : matching;
+}
+
+// Stores every item in a single JSON array (data/clipboard.json).
+// The file is read once and then served from memory; only mutations touch the disk.
+//
+// Mutations run one at a time through a queue, so two requests arriving together
+// can never overwrite each other's changes. Every write goes to a temp file that is
+// renamed over clipboard.json, and the previous version is kept as clipboard.json.bak.
+export function createStore({ dataDir }) {
+  const file = path.join(dataDir, 'clipboard.json');
+  const backupFile = `${file}.bak`;
+  let items = null;
+  let loading = null;
+  let queue = Promise.resolve();
+
+  // Helper function to read clipboard data
+  function load() {
+    if (!loading) {
+      loading = readItems().catch((error) => {
+        loading = null;
+        throw error;
+      });
+    }
+    return loading;
+  }
+
+  // Helper function to parse a data file, returning null when it doesn't exist
+  async function readFile(target) {
+    let data;
+    try {
+      data = await fs.readFile(target, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const parsed = JSON.parse(data);
+    if (!Array.isArray(parsed)) {
+      throw new Error(`${target} does not contain an array`);
+    }
+    return parsed;
+  }
+
+  async function readItems() {
+    // Create data directory if it doesn't exist
+    await fs.mkdir(dataDir, { recursive: true });
+
+    let corruptError = null;
+    try {
+      const data = await readFile(file);
+      if (data) {
+        items = data;
+        return items;
+      }
+    } catch (error) {
+      corruptError = error;
+    }
+
+    const backup = await readFile(backupFile).catch((error) => {
+      console.error('Clipboard backup is unreadable:', error);
+      return null;
+    });
+
+    if (corruptError) {
+      if (!backup) {
+        // Refuse to start from an empty list rather than overwrite the broken file
+        console.error('Clipboard data is unreadable and no usable backup exists:', corruptError);
+        throw new Error('Clipboard data is corrupt');
+      }
+
+      // Keep the broken file around for inspection
+      const corruptFile = `${file}.corrupt-${Date.now()}`;
+      console.error(`Clipboard data is unreadable, moving it to ${corruptFile}:`, corruptError);
+      await fs.rename(file, corruptFile);
+    }
+
+    if (backup) {
+      console.warn(`Restoring clipboard data from ${backupFile}`);
+    }
+    items = backup || [];
+    await writeItems(items);
+    return items;
+  }
+
+  // Helper function to write clipboard data atomically
+  async function writeItems(data) {
+    const tempFile = `${file}.${process.pid}.tmp`;
+    try {
+      const handle = await fs.open(tempFile, 'w');
+      try {
+        await handle.writeFile(JSON.stringify(data, null, 2));
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+
+      // Keep the last good version before replacing it
+      await fs.copyFile(file, backupFile).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+      await fs.rename(tempFile, file);
+    } catch (error) {
+      console.error('Error writing clipboard data:', error);
+      await fs.rm(tempFile, { force: true });
+      throw new Error('Failed to write data');
+    }
+  }
+
+  // Helper function to run a change against the current items.
+  // `change` returns the next items and the value to resolve with; the in-memory
+  // copy is only replaced once the new data is safely on disk.
+  function mutate(change) {
+    const run = queue.then(async () => {
+      const current = await load();
+      const [nextItems, result] = change(current);
+      if (nextItems !== current) {
+        await writeItems(nextItems);
+        items = nextItems;
+        loading = Promise.resolve(items);
+      }
+      return result;
+    });
+
+    // Keep the queue going even when this mutation fails
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    create(item) {
+      return mutate((current) => {
+        // Generate a unique short ID
+        let id = item.id;
+        while (!id || current.some(existing => existing.id === id)) {
+          id = generateShortId();
+        }
+
+        const newItem = { ...item, id };
+        return [[newItem, ...current], newItem];
+      });
+    },
+
+    async get(id) {
+      const current = await load();
+      const item = current.find(item => item.id === id);
+      return item && !isExpired(item) ? item : null;
+    },
+
+    update(id, changes) {
+      return mutate((current) => {
+        const itemIndex = current.findIndex(item => item.id === id);
+        if (itemIndex === -1) return [current, null];
+
+        const item = current[itemIndex];
+        const nextChanges = typeof changes === 'function' ? changes(item) : changes;
+        const updatedItem = { ...item, ...nextChanges, id };
+        const nextItems = [...current];
+        nextItems[itemIndex] = updatedItem;
+        return [nextItems, updatedItem];
+      });
+    },
+
+    async list(query) {
+      return queryItems(await load(), query);
+    },
+
+    delete(id) {
+      return mutate((current) => {
+        const remaining = current.filter(item => item.id !== id);
+        if (remaining.length === current.length) return [current, false];
+        return [remaining, true];
+      });
+    },
+
+    toggleLike(id, visitorId) {
+      return mutate((current) => {
+        const itemIndex = current.findIndex(item => item.id === id);
+        if (itemIndex === -1) return [current, null];
+
+        const likes = current[itemIndex].likes || [];
+        const hasLiked = likes.includes(visitorId);
+        const nextLikes = hasLiked ? likes.filter(like => like !== visitorId) : [...likes, visitorId];
+
+        const nextItems = [...current];
+        nextItems[itemIndex] = { ...current[itemIndex], likes: nextLikes, likesCount: nextLikes.length };
+        return [nextItems, { hasLiked: !hasLiked, likesCount: nextLikes.length }];
+      });
+    },
+
+    purgeExpired(now = Date.now()) {
+      return mutate((current) => {
+        const remaining = current.filter(item => !isExpired(item, now));
+        const removed = current.filter(item => isExpired(item, now));
+        return [removed.length ? remaining : current, removed];
+      });
+    },
+  };
+}
@@ -0,0 +1,232 @@
+import path from 'path';
+import { existsSync, mkdirSync, readFileSync } from 'fs';
+import Database from 'better-sqlite3';
+import { generateShortId, getExpiryTime, isExpired, UNDO_WINDOW_MS } from './index';
+import { isListed } from '../items';
+import { getVisibility } from '../visibility';
+
+// Columns kept next to the JSON of each item, added to databases created before them
+const COLUMNS = {
+  expires_at: 'INTEGER',
+  deleted_at: 'INTEGER',
+  visibility: 'TEXT',
+  owner_id: 'TEXT',
+  likes_count: 'INTEGER NOT NULL DEFAULT 0',
+  listed: 'INTEGER NOT NULL DEFAULT 0',
+};
+
+// The columns each sort orders by, highest first (the same keys as SORT_KEYS in lib/items)
+const SORT_COLUMNS = {
+  newest: ['created_at', 'id'],
+  likes: ['likes_count', 'created_at', 'id'],
+};
+
+// Helper to get the column values of an item. Times are milliseconds, and `listed` says
+// whether the item shows up in everyone's list (see isListed) apart from being deleted.
+function getColumns(item) {
+  return {
+    id: item.id,
+    createdAt: new Date(item.createdAt).getTime(),
+    expiresAt: getExpiryTime(item),
+    deletedAt: item.deletedAt ? new Date(item.deletedAt).getTime() : null,
+    visibility: getVisibility(item),
+    ownerId: item.creatorId ?? null,
+    likesCount: item.likesCount || 0,
+    listed: isListed({ ...item, deletedAt: null }, { ownerIds: [] }) ? 1 : 0,
+    data: JSON.stringify(item),
+  };
+}
+
+// Helper to turn the sort key held by a cursor into values for the sort columns, or null when it doesn't fit
+function getCursorValues(columns, after) {
+  if (after.length !== columns.length) return null;
+  const values = columns.map((column, index) => (column === 'created_at' ? new Date(after[index]).getTime() : after[index]));
+  return values.some(value => Number.isNaN(value)) ? null : values;
+}
+
+// Stores items in an embedded SQLite database (data/clipboard.db).
+// Each row keeps the full item as JSON next to the columns we filter and sort on,
+// so lists are filtered, sorted and paged in SQL and only the rows sent are parsed.
+export function createStore({ dataDir }) {
+  mkdirSync(dataDir, { recursive: true });
+
+  const db = new Database(process.env.CLIPBOARD_SQLITE_FILE || path.join(dataDir, 'clipboard.db'));
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS clipboard_items (
+      id TEXT PRIMARY KEY,
+      created_at INTEGER NOT NULL,
+      data TEXT NOT NULL
+    );
+  `);
+
+  // Databases from before the columns get them, filled in from each item's JSON
+  const existing = db.prepare('PRAGMA table_info(clipboard_items)').all().map(column => column.name);
+  const missing = Object.keys(COLUMNS).filter(column => !existing.includes(column));
+  if (missing.length) {
+    db.transaction(() => {
+      missing.forEach(column => db.exec(`ALTER TABLE clipboard_items ADD COLUMN ${column} ${COLUMNS[column]}`));
+      const fill = db.prepare(`
+        UPDATE clipboard_items
+        SET expires_at = @expiresAt, deleted_at = @deletedAt, visibility = @visibility,
+          owner_id = @ownerId, likes_count = @likesCount, listed = @listed
+        WHERE id = @id
+      `);
+      db.prepare('SELECT data FROM clipboard_items').all()
+        .forEach(row => fill.run(getColumns(JSON.parse(row.data))));
+    })();
+  }
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS clipboard_items_created_at ON clipboard_items (created_at, id);
+    CREATE INDEX IF NOT EXISTS clipboard_items_likes ON clipboard_items (likes_count, created_at, id);
+    CREATE INDEX IF NOT EXISTS clipboard_items_expires_at ON clipboard_items (expires_at);
+    CREATE INDEX IF NOT EXISTS clipboard_items_deleted_at ON clipboard_items (deleted_at);
+    CREATE INDEX IF NOT EXISTS clipboard_items_owner_id ON clipboard_items (owner_id, created_at);
+    CREATE INDEX IF NOT EXISTS clipboard_items_visibility ON clipboard_items (visibility, created_at);
+  `);
+
+  const statements = {
+    count: db.prepare('SELECT COUNT(*) AS count FROM clipboard_items'),
+    get: db.prepare('SELECT data FROM clipboard_items WHERE id = ?'),
+    insert: db.prepare(`
+      INSERT INTO clipboard_items (id, created_at, expires_at, deleted_at, visibility, owner_id, likes_count, listed, data)
+      VALUES (@id, @createdAt, @expiresAt, @deletedAt, @visibility, @ownerId, @likesCount, @listed, @data)
+    `),
+    update: db.prepare(`
+      UPDATE clipboard_items
+      SET expires_at = @expiresAt, deleted_at = @deletedAt, visibility = @visibility,
+        owner_id = @ownerId, likes_count = @likesCount, listed = @listed, data = @data
+      WHERE id = @id
+    `),
+    delete: db.prepare('DELETE FROM clipboard_items WHERE id = ?'),
+    purge: db.prepare(`
+      DELETE FROM clipboard_items
+      WHERE expires_at <= @now OR deleted_at <= @deletedBefore
+      RETURNING data
+    `),
+  };
+
+  // List queries are built from the options they use, and prepared once for each shape
+  const listStatements = new Map();
+
+  function read(id) {
+    const row = statements.get.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  function write(item) {
+    const { createdAt, ...columns } = getColumns(item);
+    statements.update.run(columns);
+    return item;
+  }
+
+  // Helper to run a list query (see lib/storage/index.js) in SQL
+  function list({ listedFor, ownedBy, visibility, sort = 'newest', after, limit } = {}, now = Date.now()) {
+    const columns = SORT_COLUMNS[sort];
+    const conditions = [
+      '(expires_at IS NULL OR expires_at > @now)',
+      '(deleted_at IS NULL OR deleted_at > @deletedBefore)',
+    ];
+    const params = { now, deletedBefore: now - UNDO_WINDOW_MS };
+
+    if (listedFor) {
+      conditions.push('deleted_at IS NULL AND (listed = 1 OR owner_id IN (SELECT value FROM json_each(@listedFor)))');
+      params.listedFor = JSON.stringify(listedFor);
+    }
+    if (ownedBy) {
+      conditions.push('owner_id IN (SELECT value FROM json_each(@ownedBy))');
+      params.ownedBy = JSON.stringify(ownedBy);
+    }
+    if (visibility) {
+      conditions.push('visibility = @visibility');
+      params.visibility = visibility;
+    }
+    const cursor = after && getCursorValues(columns, after);
+    if (cursor) {
+      conditions.push(`(${columns.join(', ')}) < (${columns.map((column, index) => `@after${index}`).join(', ')})`);
+      cursor.forEach((value, index) => { params[`after${index}`] = value; });
+    }
+
+    let sql = `SELECT data FROM clipboard_items WHERE ${conditions.join(' AND ')}`
+      + ` ORDER BY ${columns.map(column => `${column} DESC`).join(', ')}`;
+    if (limit) {
+      sql += ' LIMIT @limit';
+      params.limit = limit;
+    }
+
+    if (!listStatements.has(sql)) listStatements.set(sql, db.prepare(sql));
+    return listStatements.get(sql).all(params).map(row => JSON.parse(row.data));
+  }
+
+  const create = db.transaction((item) => {
+    // Generate a unique short ID
+    let id = item.id;
+    while (!id || statements.get.get(id)) {
+      id = generateShortId();
+    }
+
+    const newItem = { ...item, id };
+    statements.insert.run(getColumns(newItem));
+    return newItem;
+  });
+
+  const update = db.transaction((id, changes) => {
+    const item = read(id);
+    if (!item) return null;
+    const nextChanges = typeof changes === 'function' ? changes(item) : changes;
+    return write({ ...item, ...nextChanges, id });
+  });
+
+  const toggleLike = db.transaction((id, visitorId) => {
+    const item = read(id);
+    if (!item) return null;
+
+    const likes = item.likes || [];
+    const hasLiked = likes.includes(visitorId);
+    item.likes = hasLiked ? likes.filter(like => like !== visitorId) : [...likes, visitorId];
+    item.likesCount = item.likes.length;
+    write(item);
+
+    return { hasLiked: !hasLiked, likesCount: item.likesCount };
+  });
+
+  // Import the existing JSON file the first time the database is used
+  const legacyFile = path.join(dataDir, 'clipboard.json');
+  if (statements.count.get().count === 0 && existsSync(legacyFile)) {
+    const importItems = db.transaction((items) => items.forEach(create));
+    importItems(JSON.parse(readFileSync(legacyFile, 'utf8')));
+  }
+
+  return {
+    async create(item) {
+      return create(item);
+    },
+
+    async get(id) {
+      const item = read(id);
+      return item && !isExpired(item) ? item : null;
+    },
+
+    async update(id, changes) {
+      return update(id, changes);
+    },
+
+    async list(query) {
+      return list(query);
+    },
+
+    async delete(id) {
+      return statements.delete.run(id).changes > 0;
+    },
+
+    async toggleLike(id, visitorId) {
+      return toggleLike(id, visitorId);
+    },
+
+    async purgeExpired(now = Date.now()) {
+      return statements.purge.all({ now, deletedBefore: now - UNDO_WINDOW_MS }).map(row => JSON.parse(row.data));
+    },
+  };
+}
@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { createJsonFile } from './jsonFile';
+
+// Personal access tokens look like "txt_" followed by 32 random characters
+export const TOKEN_PREFIX = 'txt_';
+export const MAX_TOKENS_PER_USER = 20;
+export const MAX_TOKEN_NAME_LENGTH = 100;
+
+// When a token was last used is only written down this often
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+/*
+ * Personal access tokens let scripts act as a signed-in user (see getIdentity).
+ * They live in data/tokens.json:
+ *   { tokens: [{ id, userId, name, hash, hint, createdAt, lastUsedAt }] }
+ * Only a SHA-256 hash of each token is kept; the token itself is shown once, when it's created.
+ */
+const { load, mutate } = createJsonFile('tokens.json', () => ({ tokens: [] }));
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+export function isTokenFormat(value) {
+  return typeof value === 'string' && value.startsWith(TOKEN_PREFIX) && value.length === TOKEN_PREFIX.length + 32;
+}
+
+// Helper to project a token for API responses: never the hash
+export function serializeToken({ id, name, hint, createdAt, lastUsedAt }) {
+  return { id, name, hint, createdAt, lastUsedAt };
+}
+
+export async function listTokens(userId) {
+  const { tokens } = await load();
+  return tokens.filter(token => token.userId === userId);
+}
+
+// Create a token for a user. Returns { token, record }; the token can't be looked up again.
+export async function createToken(userId, name) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id: uuidv4(),
+    userId,
+    name,
+    hash: hashToken(token),
+    hint: `${token.slice(0, TOKEN_PREFIX.length + 4)}…`,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+  };
+
+  let created = false;
+  await mutate((data) => {
+    if (data.tokens.filter(existing => existing.userId === userId).length >= MAX_TOKENS_PER_USER) return data;
+    created = true;
+    return { ...data, tokens: [...data.tokens, record] };
+  });
+  return created ? { token, record } : null;
+}
+
+// Revoke one of a user's tokens. Resolves to false when the user has no such token.
+export async function revokeToken(userId, id) {
+  let revoked = false;
+  await mutate((data) => {
+    const tokens = data.tokens.filter(token => !(token.id === id && token.userId === userId));
+    revoked = tokens.length < data.tokens.length;
+    return { ...data, tokens };
+  });
+  return revoked;
+}
+
+// Find the token a request was made with, or null for unknown and revoked tokens
+export async function findToken(token, now = Date.now()) {
+  if (!isTokenFormat(token)) return null;
+
+  const hash = hashToken(token);
+  const { tokens } = await load();
+  const record = tokens.find(candidate => candidate.hash === hash);
+  if (!record) return null;
+
+  if (!record.lastUsedAt || now - new Date(record.lastUsedAt).getTime() >= LAST_USED_INTERVAL_MS) {
+    const lastUsedAt = new Date(now).toISOString();
+    await mutate(data => ({
+      ...data,
+      tokens: data.tokens.map(candidate => (candidate.id === record.id ? { ...candidate, lastUsedAt } : candidate)),
+    }));
+  }
+  return record;
+}
@@ -0,0 +1,20 @@
+// Who can find an item:
+//   public   - listed for everyone
+//   unlisted - readable by anyone with the link, never listed
+//   private  - only the owner can read it
+export const VISIBILITY_OPTIONS = [
+  { value: 'public', label: 'Public' },
+  { value: 'unlisted', label: 'Unlisted' },
+  { value: 'private', label: 'Private' },
+];
+
+export const DEFAULT_VISIBILITY = 'unlisted';
+
+// Helper to get an item's visibility; items created before visibility existed are unlisted
+export function getVisibility(item) {
+  return item.visibility || DEFAULT_VISIBILITY;
+}
+
+export function isValidVisibility(value) {
+  return VISIBILITY_OPTIONS.some(option => option.value === value);
+}
@@ -0,0 +1,435 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { v4 as uuidv4 } from 'uuid';
+import { createJsonFile } from './jsonFile';
+import { canView, isListed, serializeItem } from './items';
+import { getVersion } from './revisions';
+import { getStore } from './storage';
+
+// What a webhook can be told about: the same changes the event stream carries, plus expiry
+export const WEBHOOK_EVENTS = ['created', 'updated', 'liked', 'deleted', 'expired'];
+
+export const MAX_WEBHOOKS_PER_OWNER = 10;
+
+// How long to wait before each retry of a failed delivery; after the last one it's given up.
+// WEBHOOK_RETRY_DELAYS_MS overrides them, as milliseconds separated by commas.
+const RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 60 * 60 * 1000];
+
+// How many deliveries are kept in the log of each webhook
+const MAX_DELIVERIES_PER_WEBHOOK = 50;
+
+// How long a receiver gets to answer, and how much of its answer is kept in the log
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const MAX_RESPONSE_EXCERPT = 500;
+
+/*
+ * Outgoing webhooks, kept in data/webhooks.json:
+ *
+ *   webhooks:   [{ id, ownerId, url, events, secret, active, createdAt }]
+ *   deliveries: [{ id, webhookId, event, itemId, body, status, attempts, nextAttemptAt, createdAt, redeliveryOf }]
+ *
+ * A webhook with an ownerId hears about that owner's snippets; one with ownerId null
+ * (only admins can add them) hears about the snippets anyone could find in the public list.
+ * Each change is POSTed as JSON, signed with the webhook's secret (see signPayload), and
+ * retried with the delays above until the receiver answers with a 2xx. `status` is
+ * pending, succeeded or failed.
+ *
+ * The logged body leaves out the snippet's text and files: they are read from the store
+ * when the delivery is sent, so a burned or deleted snippet's text doesn't outlive it here.
+ */
+const { load, mutate } = createJsonFile('webhooks.json', () => ({ webhooks: [], deliveries: [] }));
+
+// The retry timer, shared by every API route in this process
+const state = globalThis.__webhookDispatch || (globalThis.__webhookDispatch = { timer: null, running: false, started: false });
+
+// Private, loopback and other non-public addresses a webhook can't reach, unless WEBHOOK_ALLOW_PRIVATE_URLS is set
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Helper to check a resolved address against PRIVATE_ADDRESSES
+function isPrivateAddress(address) {
+  // IPv4 addresses written as IPv6 (::ffff:10.0.0.1) are checked as what they are
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  return PRIVATE_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+// Helper to read the retry delays, from WEBHOOK_RETRY_DELAYS_MS when it's set
+function getRetryDelays() {
+  const configured = process.env.WEBHOOK_RETRY_DELAYS_MS;
+  if (!configured) return RETRY_DELAYS_MS;
+
+  const delays = configured.split(',').map(delay => Number(delay.trim()));
+  if (!delays.every(delay => Number.isInteger(delay) && delay >= 0)) {
+    console.warn(`Ignoring invalid WEBHOOK_RETRY_DELAYS_MS: ${configured}`);
+    return RETRY_DELAYS_MS;
+  }
+  return delays;
+}
+
+/*
+ * Resolve a webhook's host to the address to connect to. Every address the name
+ * resolves to is checked, so a name can't pass with one public address and then be
+ * connected to on another. Resolves to { address, family }, or { error } saying why
+ * the host can't be used.
+ */
+async function resolveWebhookHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch {
+    return { error: `Could not find ${host}` };
+  }
+
+  if (!addresses.length) return { error: `Could not find ${host}` };
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS !== 'true' && addresses.some(({ address }) => isPrivateAddress(address))) {
+    return { error: 'Webhook URLs cannot point at private or local addresses' };
+  }
+  return addresses[0];
+}
+
+// Helper to check a webhook URL, looking up its host; resolves to what's wrong with it or null
+export async function getWebhookUrlError(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'Enter a valid URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'Webhook URLs must use http or https';
+  if (url.username || url.password) return 'Webhook URLs cannot contain credentials';
+
+  const { error } = await resolveWebhookHost(url.hostname);
+  return error || null;
+}
+
+export function isValidEventList(events) {
+  return Array.isArray(events) && events.length > 0 && events.every(event => WEBHOOK_EVENTS.includes(event));
+}
+
+/*
+ * The signature sent as X-Textide-Signature: "sha256=" and the HMAC-SHA256, keyed with
+ * the webhook's secret, of the X-Textide-Timestamp header, a dot and the raw body.
+ * Receivers should compute the same and compare in constant time, and can turn away
+ * timestamps that are too old to stop replays.
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Helper to project a webhook for API responses: the secret is only sent when it's created
+export function serializeWebhook({ id, ownerId, url, events, active, createdAt }) {
+  return { id, url, events, active, createdAt, global: ownerId === null };
+}
+
+// Helper to project a delivery for the log; the body shows what was sent, apart from the snippet's text
+export function serializeDelivery({ id, event, itemId, body, status, attempts, nextAttemptAt, createdAt, redeliveryOf }) {
+  return { id, event, itemId, body, status, attempts, nextAttemptAt, createdAt, redeliveryOf };
+}
+
+// Helper to check whether the caller manages a webhook: its owner, or an admin for global ones
+function canManage(webhook, identity, admin) {
+  return webhook.ownerId === null ? admin : webhook.ownerId === identity.ownerId;
+}
+
+// The caller's webhooks, and for admins the global ones too
+export async function listWebhooks(identity, { admin = false } = {}) {
+  startDispatch();
+  const { webhooks } = await load();
+  return webhooks.filter(webhook => canManage(webhook, identity, admin));
+}
+
+export async function getWebhook(id, identity, { admin = false } = {}) {
+  const { webhooks } = await load();
+  const webhook = webhooks.find(candidate => candidate.id === id);
+  return webhook && canManage(webhook, identity, admin) ? webhook : null;
+}
+
+// Add a webhook for the caller's snippets, or for every snippet with `global`.
+// Resolves to null when the owner already has MAX_WEBHOOKS_PER_OWNER.
+export async function createWebhook({ url, events, global = false }, identity) {
+  const webhook = {
+    id: uuidv4(),
+    ownerId: global ? null : identity.ownerId,
+    url,
+    events,
+    secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+    active: true,
+    createdAt: new Date().toISOString(),
+  };
+
+  let created = false;
+  await mutate((data) => {
+    if (data.webhooks.filter(existing => existing.ownerId === webhook.ownerId).length >= MAX_WEBHOOKS_PER_OWNER) return data;
+    created = true;
+    return { ...data, webhooks: [...data.webhooks, webhook] };
+  });
+  return created ? webhook : null;
+}
+
+// Change the url, events or whether a webhook is active
+export async function updateWebhook(id, changes) {
+  const next = await mutate(data => ({
+    ...data,
+    webhooks: data.webhooks.map(webhook => (webhook.id === id ? { ...webhook, ...changes, id } : webhook)),
+  }));
+  return next.webhooks.find(webhook => webhook.id === id) || null;
+}
+
+// Remove a webhook along with its delivery log; pending retries are dropped
+export function deleteWebhook(id) {
+  return mutate(data => ({
+    webhooks: data.webhooks.filter(webhook => webhook.id !== id),
+    deliveries: data.deliveries.filter(delivery => delivery.webhookId !== id),
+  }));
+}
+
+// A webhook's delivery log, newest first
+export async function listDeliveries(webhookId) {
+  const { deliveries } = await load();
+  return deliveries.filter(delivery => delivery.webhookId === webhookId);
+}
+
+// Helper to add deliveries to the front of the log, trimming each webhook's log to its limit
+function addDeliveries(data, added) {
+  const counts = {};
+  const deliveries = [...added, ...data.deliveries].filter((delivery) => {
+    counts[delivery.webhookId] = (counts[delivery.webhookId] || 0) + 1;
+    // Pending deliveries are never dropped before they're sent
+    return delivery.status === 'pending' || counts[delivery.webhookId] <= MAX_DELIVERIES_PER_WEBHOOK;
+  });
+  return { ...data, deliveries };
+}
+
+// Helper to get who a webhook sees snippets as: its owner, or for global webhooks anyone at all
+function getWebhookIdentity(webhook) {
+  return { ownerId: webhook.ownerId, ownerIds: webhook.ownerId ? [webhook.ownerId] : [] };
+}
+
+// Helper to check whether a webhook may hear about an item. Global webhooks only get what
+// the public list shows, so private, unlisted and burn-after-reading snippets never reach them.
+function canNotify(webhook, item) {
+  if (webhook.ownerId !== null) return webhook.ownerId === item.creatorId;
+  return isListed({ ...item, deletedAt: null }, getWebhookIdentity(webhook));
+}
+
+// Helper to take the text and files out of a body before it is logged
+function removeText(body) {
+  const { snippet: { text, files, ...snippet }, ...payload } = JSON.parse(body);
+  return JSON.stringify({ ...payload, snippet });
+}
+
+// Helper to build the body to send: the logged one, with the snippet's text and files put back
+// as long as it's still there, visible to the webhook and at the version that was logged
+async function getDeliveryBody(webhook, delivery) {
+  const payload = JSON.parse(delivery.body);
+  const identity = getWebhookIdentity(webhook);
+  const item = await (await getStore()).get(delivery.itemId);
+  if (!item || !canView(item, identity) || !canNotify(webhook, item) || getVersion(item) !== payload.snippet.version) {
+    return delivery.body;
+  }
+
+  const { text, files } = serializeItem(item, identity);
+  return JSON.stringify({ ...payload, snippet: { ...payload.snippet, text, files } });
+}
+
+function createDelivery(webhookId, { event, itemId, body, redeliveryOf = null }, now = Date.now()) {
+  return {
+    id: uuidv4(),
+    webhookId,
+    event,
+    itemId,
+    body,
+    status: 'pending',
+    attempts: [],
+    nextAttemptAt: new Date(now).toISOString(),
+    createdAt: new Date(now).toISOString(),
+    redeliveryOf,
+  };
+}
+
+/*
+ * Queue a change to an item for every active webhook that wants it, for publishEvent.
+ * Owners get their snippets as they would see them; global webhooks as anyone else would.
+ */
+export async function queueWebhooks(type, item) {
+  const { webhooks } = await load();
+  const matching = webhooks.filter(webhook => webhook.active
+    && webhook.events.includes(type)
+    && canNotify(webhook, item));
+  if (!matching.length) return;
+
+  const now = Date.now();
+  const deliveries = matching.map((webhook) => {
+    const body = removeText(JSON.stringify({
+      event: type,
+      createdAt: new Date(now).toISOString(),
+      snippet: serializeItem(item, getWebhookIdentity(webhook)),
+    }));
+    return createDelivery(webhook.id, { event: type, itemId: item.id, body }, now);
+  });
+
+  await mutate(data => addDeliveries(data, deliveries));
+  startDispatch();
+  dispatchSoon(0);
+}
+
+// Send a delivery again, as a new entry in the log with the same body (and the text, when it's still there)
+export async function redeliver(webhookId, deliveryId) {
+  const { deliveries } = await load();
+  const original = deliveries.find(delivery => delivery.id === deliveryId && delivery.webhookId === webhookId);
+  if (!original) return null;
+
+  const delivery = createDelivery(webhookId, { ...original, redeliveryOf: original.id });
+  await mutate(data => addDeliveries(data, [delivery]));
+  dispatchSoon(0);
+  return delivery;
+}
+
+/*
+ * Helper to POST a body to a URL over a connection to `address`, the one its host was
+ * checked to resolve to, so a DNS answer that changes in between can't send it elsewhere.
+ * TLS is still verified against the host name. Redirects aren't followed: they could point
+ * anywhere. Resolves to { statusCode, response } with the start of the answer.
+ */
+function postTo(url, { address, family }, { headers, body }) {
+  const client = url.protocol === 'https:' ? https : http;
+  const lookup = (hostname, options, callback) => (
+    options.all ? callback(null, [{ address, family }]) : callback(null, address, family)
+  );
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    }, (response) => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        text += chunk;
+        // The rest of a long answer isn't kept, so it isn't waited for either
+        if (text.length >= MAX_RESPONSE_EXCERPT) response.destroy();
+      });
+      response.on('close', () => resolve({ statusCode: response.statusCode, response: text.slice(0, MAX_RESPONSE_EXCERPT) || null }));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Helper to POST one delivery, returning the attempt to record.
+// The host is looked up and checked again first: where it points may have changed since it was saved.
+async function attemptDelivery(webhook, delivery) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const startedAt = Date.now();
+  const attempt = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, response: null, durationMs: 0 };
+
+  try {
+    const url = new URL(webhook.url);
+    const target = await resolveWebhookHost(url.hostname);
+    if (target.error) {
+      attempt.error = target.error;
+    } else {
+      const body = await getDeliveryBody(webhook, delivery);
+      Object.assign(attempt, await postTo(url, target, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'textide-webhooks',
+          'X-Textide-Event': delivery.event,
+          'X-Textide-Delivery': delivery.id,
+          'X-Textide-Timestamp': timestamp,
+          'X-Textide-Signature': signPayload(webhook.secret, timestamp, body),
+        },
+        body,
+      }));
+    }
+  } catch (error) {
+    attempt.error = ['TimeoutError', 'AbortError'].includes(error.name) ? 'Timed out' : error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  return attempt;
+}
+
+// Helper to record an attempt, scheduling the next one when it failed and retries are left
+function recordAttempt(delivery, attempt) {
+  const attempts = [...delivery.attempts, attempt];
+  const succeeded = attempt.statusCode >= 200 && attempt.statusCode < 300;
+  const delay = getRetryDelays()[attempts.length - 1];
+
+  if (succeeded || delay === undefined) {
+    return { ...delivery, attempts, status: succeeded ? 'succeeded' : 'failed', nextAttemptAt: null };
+  }
+  return { ...delivery, attempts, nextAttemptAt: new Date(Date.now() + delay).toISOString() };
+}
+
+// Send every delivery that is due, one at a time, then wait for the next one
+async function dispatch() {
+  if (state.running) return;
+  state.running = true;
+
+  try {
+    const { webhooks, deliveries } = await load();
+    const now = Date.now();
+    const due = deliveries
+      .filter(delivery => delivery.status === 'pending' && new Date(delivery.nextAttemptAt).getTime() <= now)
+      .reverse();
+
+    for (const delivery of due) {
+      const webhook = webhooks.find(candidate => candidate.id === delivery.webhookId);
+      const attempt = webhook
+        ? await attemptDelivery(webhook, delivery)
+        : { at: new Date().toISOString(), statusCode: null, error: 'Webhook was removed', response: null, durationMs: 0 };
+
+      await mutate(data => ({
+        ...data,
+        deliveries: data.deliveries.map(current => (
+          current.id === delivery.id ? recordAttempt(current, attempt) : current
+        )),
+      }));
+    }
+  } catch (error) {
+    console.error('Error delivering webhooks:', error);
+  } finally {
+    state.running = false;
+  }
+
+  const { deliveries } = await load().catch(() => ({ deliveries: [] }));
+  const next = Math.min(...deliveries
+    .filter(delivery => delivery.status === 'pending')
+    .map(delivery => new Date(delivery.nextAttemptAt).getTime()));
+  if (Number.isFinite(next)) dispatchSoon(next - Date.now());
+}
+
+// Helper to (re)arm the timer; it doesn't keep the process alive
+function dispatchSoon(delay) {
+  clearTimeout(state.timer);
+  state.timer = setTimeout(dispatch, Math.min(Math.max(delay, 0), 2 ** 31 - 1));
+  state.timer.unref?.();
+}
+
+// Helper to pick up retries that were pending when the server last stopped.
+// Logs written before bodies left the text out are cleaned up first.
+function startDispatch() {
+  if (state.started) return;
+  state.started = true;
+  mutate(data => ({ ...data, deliveries: data.deliveries.map(delivery => ({ ...delivery, body: removeText(delivery.body) })) }))
+    .catch((error) => {
+      console.error('Error cleaning the webhook log:', error);
+    })
+    .finally(() => dispatchSoon(0));
+}
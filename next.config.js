@@ -1,6 +1,13 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
+  // Short links for using a snippet outside the app; the query (e.g. ?file=) is passed along
+  async rewrites() {
+    return [
+      { source: '/raw/:id', destination: '/api/clipboard/:id/raw' },
+      { source: '/download/:id', destination: '/api/clipboard/:id/raw?download=1' },
+    ];
+  },
 }
 
 module.exports = nextConfig
@@ -0,0 +1,357 @@
+import { useState, useCallback, useEffect, memo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  FiSun, FiMoon, FiFlag, FiAlertTriangle, FiEyeOff, FiEye, FiTrash2, FiSlash, FiLock, FiHeart, FiRotateCcw,
+} from 'react-icons/fi';
+import toast, { Toaster } from 'react-hot-toast';
+import Link from 'next/link';
+import useSWR from 'swr';
+import { signIn } from 'next-auth/react';
+import UserMenu from '../components/UserMenu';
+import { fetcher } from '../lib/fetcher';
+import { getReportReasonLabel } from '../lib/reports';
+
+const MODERATION_URL = '/api/admin/moderation';
+
+const AUDIT_ACTION_LABELS = {
+  hide: 'Hid',
+  restore: 'Restored',
+  delete: 'Deleted',
+  ban: 'Banned',
+  unban: 'Unbanned',
+  'auto-hide': 'Hid after reports',
+};
+
+// Helper to count reports per reason, e.g. "Spam ×2, Something else"
+function summarizeReports(reports) {
+  const counts = reports.reduce((acc, { reason }) => ({ ...acc, [reason]: (acc[reason] || 0) + 1 }), {});
+  return Object.entries(counts)
+    .map(([reason, count]) => `${getReportReasonLabel(reason)}${count > 1 ? ` ×${count}` : ''}`)
+    .join(', ');
+}
+
+// Memoized QueueItem component
+const _QueueItem = ({ item, isWorking, onAction, isDarkMode }) => {
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const buttonClass = `px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-2 ${
+    isDarkMode ? 'bg-gray-700/50 hover:bg-gray-700' : 'bg-gray-100 hover:bg-gray-200'
+  } transition-colors disabled:opacity-50`;
+  const notes = item.reports.filter(report => report.note);
+
+  return (
+    <motion.div
+      layout
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, x: -20 }}
+      className={`p-4 rounded-xl shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}
+    >
+      <div className={`flex flex-wrap items-center gap-x-4 gap-y-1 text-xs ${mutedClass}`}>
+        <Link href={`/share/${item.id}`} className="font-mono text-blue-500 hover:underline">
+          {item.id}
+        </Link>
+        <span>{new Date(item.createdAt).toLocaleString()}</span>
+        <span className="flex items-center gap-1" title="Views">
+          <FiEye size={12} />
+          {item.viewCount}
+        </span>
+        <span className="flex items-center gap-1" title="Likes">
+          <FiHeart size={12} />
+          {item.likesCount}
+        </span>
+        {item.hidden && (
+          <span className="flex items-center gap-1 text-yellow-500">
+            <FiEyeOff size={12} />
+            {item.hiddenReason === 'reports' ? 'Hidden after reports' : 'Hidden by a moderator'}
+          </span>
+        )}
+        {item.creatorBanned && (
+          <span className="flex items-center gap-1 text-red-500">
+            <FiSlash size={12} />
+            Creator banned
+          </span>
+        )}
+      </div>
+
+      {item.encrypted ? (
+        <p className={`mt-3 flex items-center gap-2 text-sm ${mutedClass}`}>
+          <FiLock size={14} />
+          <span>Encrypted snippet, the text can&apos;t be read here</span>
+        </p>
+      ) : (
+        <pre className={`mt-3 p-3 rounded-lg font-mono text-sm whitespace-pre-wrap break-words max-h-48 overflow-auto ${
+          isDarkMode ? 'bg-gray-900/60' : 'bg-gray-50'
+        }`}>
+          {item.text}
+        </pre>
+      )}
+
+      <div className="mt-3 space-y-1 text-sm">
+        {item.reports.length > 0 && (
+          <p className="flex items-center gap-2">
+            <FiFlag size={14} className="text-red-500" />
+            <span>
+              {item.reports.length} {item.reports.length === 1 ? 'report' : 'reports'}: {summarizeReports(item.reports)}
+              {item.reports.some(report => !report.signedIn) && (
+                <span className="text-gray-500">
+                  {' '}({item.reports.filter(report => !report.signedIn).length} anonymous)
+                </span>
+              )}
+            </span>
+          </p>
+        )}
+        {item.flagged && (
+          <p className="flex items-center gap-2">
+            <FiAlertTriangle size={14} className="text-yellow-500" />
+            <span>Flagged by the spam filter: {item.flagReasons.join(', ')}</span>
+          </p>
+        )}
+        {notes.map((report, index) => (
+          <p key={index} className={`pl-6 italic ${mutedClass}`}>
+            &ldquo;{report.note}&rdquo;
+          </p>
+        ))}
+      </div>
+
+      <div className="mt-4 flex flex-wrap justify-end gap-2">
+        {!item.hidden && (
+          <button onClick={() => onAction('hide', item)} disabled={isWorking} className={buttonClass}>
+            <FiEyeOff size={14} />
+            <span>Hide</span>
+          </button>
+        )}
+        <button
+          onClick={() => onAction('restore', item)}
+          disabled={isWorking}
+          className={buttonClass}
+          title="Clear the reports and flags and show the snippet again"
+        >
+          <FiRotateCcw size={14} />
+          <span>Restore</span>
+        </button>
+        <button onClick={() => onAction('delete', item)} disabled={isWorking} className={`${buttonClass} hover:text-red-500`}>
+          <FiTrash2 size={14} />
+          <span>Delete</span>
+        </button>
+        {!item.creatorBanned && (
+          <button onClick={() => onAction('ban', item)} disabled={isWorking} className={`${buttonClass} hover:text-red-500`}>
+            <FiSlash size={14} />
+            <span>Ban creator</span>
+          </button>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+const QueueItem = memo(_QueueItem);
+QueueItem.displayName = 'QueueItem';
+
+// Moderation queue for the users listed in ADMIN_USER_IDS: reports, bans and the audit log
+export default function AdminPage() {
+  const [isDarkMode, setIsDarkMode] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const { data, error, mutate } = useSWR(MODERATION_URL, fetcher, {
+    onError: (error) => {
+      if ([401, 403].includes(error.status)) return;
+      console.error('Error:', error);
+      toast.error('Failed to load the moderation queue', { id: 'moderation' });
+    },
+  });
+
+  useEffect(() => {
+    // Check system preference for dark mode
+    if (window.matchMedia('(prefers-color-scheme: dark)').matches) {
+      setIsDarkMode(true);
+    }
+  }, []);
+
+  const toggleTheme = useCallback(() => {
+    setIsDarkMode(prev => !prev);
+  }, []);
+
+  // Run one moderation action; the note is asked for where it helps the audit log
+  const runAction = useCallback(async (action, { id, visitorId }) => {
+    if (action === 'delete' && !window.confirm('Delete this snippet for good? The owner can\'t undo this.')) return;
+
+    let note = '';
+    if (['hide', 'delete', 'ban'].includes(action)) {
+      note = window.prompt('Note for the audit log (optional)');
+      if (note === null) return;
+    }
+
+    setIsWorking(true);
+    try {
+      const response = await fetch(MODERATION_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, id, visitorId, note }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Request failed');
+
+      toast.success(`${AUDIT_ACTION_LABELS[action]} ${visitorId && !id ? 'visitor' : 'snippet'}`);
+      mutate();
+    } catch (error) {
+      console.error('Error:', error);
+      toast.error(error.message || 'Failed to moderate');
+    } finally {
+      setIsWorking(false);
+    }
+  }, [mutate]);
+
+  const handleItemAction = useCallback((action, item) => (
+    action === 'ban' ? runAction('ban', { visitorId: item.creatorId }) : runAction(action, { id: item.id })
+  ), [runAction]);
+
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-600';
+  const cardClass = `p-4 rounded-xl shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`;
+
+  let content;
+  if (error?.status === 401) {
+    content = (
+      <p className={`text-sm ${mutedClass}`}>
+        <button onClick={() => signIn('google')} className="text-blue-500 hover:underline">Sign in</button>
+        {' '}with a moderator account to review reports.
+      </p>
+    );
+  } else if (error?.status === 403) {
+    content = <p className={`text-sm ${mutedClass}`}>Only moderators can see this page.</p>;
+  } else if (!data) {
+    content = <p className={`text-sm ${mutedClass}`}>Loading...</p>;
+  } else {
+    content = (
+      <>
+        <section className="space-y-3">
+          <h3 className="font-semibold">Queue ({data.items.length})</h3>
+          {!data.items.length ? (
+            <p className={`text-sm ${mutedClass}`}>Nothing to review.</p>
+          ) : (
+            <AnimatePresence>
+              {data.items.map(item => (
+                <QueueItem
+                  key={item.id}
+                  item={item}
+                  isWorking={isWorking}
+                  onAction={handleItemAction}
+                  isDarkMode={isDarkMode}
+                />
+              ))}
+            </AnimatePresence>
+          )}
+        </section>
+
+        <section className="space-y-3">
+          <h3 className="font-semibold">Banned visitors ({data.bans.length})</h3>
+          {!data.bans.length ? (
+            <p className={`text-sm ${mutedClass}`}>Nobody is banned.</p>
+          ) : (
+            <div className={`${cardClass} divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+              {data.bans.map(ban => (
+                <div key={ban.visitorId} className="py-2 flex flex-wrap items-center gap-3 text-sm">
+                  <span className="font-mono break-all">{ban.visitorId}</span>
+                  <span className={`text-xs ${mutedClass}`}>
+                    {new Date(ban.createdAt).toLocaleString()}
+                    {ban.actor && ` by ${ban.actor.name || ban.actor.id}`}
+                    {ban.note && ` · ${ban.note}`}
+                  </span>
+                  <button
+                    onClick={() => runAction('unban', { visitorId: ban.visitorId })}
+                    disabled={isWorking}
+                    className="ml-auto text-blue-500 hover:underline disabled:opacity-50"
+                  >
+                    Unban
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+
+        <section className="space-y-3">
+          <h3 className="font-semibold">Audit log</h3>
+          {!data.audit.length ? (
+            <p className={`text-sm ${mutedClass}`}>No moderation actions yet.</p>
+          ) : (
+            <div className={`${cardClass} overflow-x-auto`}>
+              <table className="w-full text-sm text-left">
+                <thead className={`text-xs ${mutedClass}`}>
+                  <tr>
+                    <th className="py-2 pr-4 font-medium">When</th>
+                    <th className="py-2 pr-4 font-medium">Who</th>
+                    <th className="py-2 pr-4 font-medium">Action</th>
+                    <th className="py-2 pr-4 font-medium">Target</th>
+                    <th className="py-2 font-medium">Note</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.audit.map(entry => (
+                    <tr key={entry.id} className={`border-t ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                      <td className="py-2 pr-4 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</td>
+                      <td className="py-2 pr-4">{entry.actor ? entry.actor.name || entry.actor.id : 'System'}</td>
+                      <td className="py-2 pr-4">{AUDIT_ACTION_LABELS[entry.action] || entry.action}</td>
+                      <td className="py-2 pr-4 font-mono text-xs break-all">{entry.itemId || entry.visitorId}</td>
+                      <td className={`py-2 ${mutedClass}`}>{entry.note}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+      </>
+    );
+  }
+
+  return (
+    <div
+      className={`min-h-screen flex flex-col ${
+        isDarkMode ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-900'
+      } transition-colors duration-500`}
+    >
+      <Toaster position="top-right" />
+
+      {/* Header */}
+      <motion.header
+        initial={{ opacity: 0, y: -50 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className={`sticky top-0 z-50 w-full px-4 py-3 ${
+          isDarkMode
+            ? 'bg-gray-900/80 border-gray-800'
+            : 'bg-white/80 border-gray-200'
+        } backdrop-blur-xl border-b flex items-center justify-between`}
+      >
+        <h1 className="text-xl sm:text-2xl md:text-3xl font-bold">
+          <Link href="/">
+            <span className="bg-clip-text text-transparent bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 transition-colors duration-300">
+              textide
+            </span>
+          </Link>
+        </h1>
+        <div className="flex items-center gap-3">
+          <UserMenu isDarkMode={isDarkMode} />
+          <motion.button
+            whileHover={{ rotate: 180 }}
+            onClick={toggleTheme}
+            className={`p-2 rounded-full ${
+              isDarkMode ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-100 hover:bg-gray-200'
+            } transition-colors`}
+            aria-label="Toggle theme"
+          >
+            {isDarkMode ? <FiSun size={20} /> : <FiMoon size={20} />}
+          </motion.button>
+        </div>
+      </motion.header>
+
+      {/* Main Content */}
+      <main className="flex-1 p-4 lg:p-6">
+        <div className="max-w-4xl mx-auto space-y-8">
+          <h2 className="text-lg font-semibold">Moderation</h2>
+          {content}
+        </div>
+      </main>
+    </div>
+  );
+}
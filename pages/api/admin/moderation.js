@@ -0,0 +1,106 @@
+import { getStore } from '../../../lib/storage';
+import { getIdentity, isAdmin } from '../../../lib/identity';
+import { isHidden } from '../../../lib/items';
+import { banVisitor, getModeration, logAction, needsReview, serializeQueueItem, unbanVisitor } from '../../../lib/moderation';
+import { notifyItemDeleted } from '../../../lib/collab';
+import { publishEvent } from '../../../lib/events';
+import { removeAttachments } from '../../../lib/attachments';
+import { getCounts } from '../../../lib/analytics';
+
+const ITEM_ACTIONS = ['hide', 'restore', 'delete'];
+const VISITOR_ACTIONS = ['ban', 'unban'];
+const MAX_NOTE_LENGTH = 500;
+
+/*
+ * The moderation queue, for the NextAuth users listed in ADMIN_USER_IDS.
+ *
+ *   GET   reported, flagged and hidden items (most reported first), bans and the audit log
+ *   POST  { action, id?, visitorId?, note? } where action is one of
+ *           hide, restore, delete  (an item, by id)
+ *           ban, unban             (a creator, by visitorId)
+ *
+ * Every action is written to the audit log with the moderator who took it.
+ */
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const identity = await getIdentity(req, res);
+    if (!identity.user) {
+      return res.status(401).json({ error: 'Sign in required' });
+    }
+    if (!isAdmin(identity)) {
+      return res.status(403).json({ error: 'Not authorized to moderate' });
+    }
+
+    const store = await getStore();
+
+    if (req.method === 'GET') {
+      const { bans, audit } = await getModeration();
+      const queue = (await store.list())
+        .filter(item => !item.deletedAt && needsReview(item))
+        .sort((a, b) => (b.reports?.length || 0) - (a.reports?.length || 0));
+      const counts = await getCounts(queue);
+      const items = queue.map(item => serializeQueueItem(item, bans, counts.get(item.id)));
+
+      return res.status(200).json({ items, bans, audit });
+    }
+
+    const { action, id, visitorId, note = '' } = req.body || {};
+    const isItemAction = ITEM_ACTIONS.includes(action);
+    if (
+      (!isItemAction && !VISITOR_ACTIONS.includes(action))
+      || (isItemAction && (!id || typeof id !== 'string'))
+      || (!isItemAction && (!visitorId || typeof visitorId !== 'string'))
+      || typeof note !== 'string' || note.length > MAX_NOTE_LENGTH
+    ) {
+      return res.status(400).json({ error: 'Invalid request' });
+    }
+    const entry = { action, note: note.trim() || null, identity };
+
+    if (!isItemAction) {
+      if (action === 'ban') await banVisitor(visitorId, entry);
+      else await unbanVisitor(visitorId);
+      await logAction({ ...entry, visitorId });
+      return res.status(200).json({ visitorId, banned: action === 'ban' });
+    }
+
+    const item = await store.get(id);
+    if (!item || item.deletedAt) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    if (action === 'delete') {
+      // Moderators delete for good: there is no tombstone for the owner to undo
+      await store.delete(id);
+      await removeAttachments(id);
+      notifyItemDeleted(id);
+      publishEvent('deleted', item);
+      await logAction({ ...entry, itemId: id, visitorId: item.creatorId });
+      return res.status(200).json({ id, deleted: true });
+    }
+
+    const updatedItem = await store.update(id, action === 'hide'
+      ? { hiddenAt: new Date().toISOString(), hiddenReason: 'moderator' }
+      // Restoring clears the reports and the content filter's flag along with the hiding
+      : { hiddenAt: null, hiddenReason: null, reports: [], flaggedAt: null, flagReasons: null });
+
+    if (action === 'hide' && !isHidden(item)) {
+      notifyItemDeleted(id);
+      publishEvent('deleted', item);
+    } else if (action === 'restore') {
+      publishEvent('updated', updatedItem);
+    }
+    await logAction({ ...entry, itemId: id, visitorId: item.creatorId });
+
+    const { bans } = await getModeration();
+    const counts = await getCounts([updatedItem]);
+    return res.status(200).json({ item: serializeQueueItem(updatedItem, bans, counts.get(updatedItem.id)) });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -1,5 +1,6 @@
 import NextAuth from 'next-auth';
 import GoogleProvider from 'next-auth/providers/google';
+import { isAdminUserId } from '../../../lib/admin';
 
 export const authOptions = {
   providers: [
@@ -11,6 +12,8 @@ export const authOptions = {
   callbacks: {
     async session({ session, token }) {
       session.user.id = token.sub;
+      // Lets the page show the admin link; every admin route still checks on the server
+      session.user.isAdmin = isAdminUserId(token.sub);
       return session;
     },
   },
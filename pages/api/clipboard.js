@@ -1,198 +1,139 @@
-import { promises as fs } from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-// Get the absolute path to the project directory
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '../../data');
-const CLIPBOARD_FILE = path.join(DATA_DIR, 'clipboard.json');
-const THIRTY_DAYS_MS = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
-
-// Helper function to generate short ID
-function generateShortId() {
-  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let id = '';
-  for (let i = 0; i < 6; i++) {
-    id += chars[Math.floor(Math.random() * chars.length)];
-  }
-  return id;
-}
-
-// Helper function to read clipboard data
-async function readClipboardData() {
-  try {
-    // Create data directory if it doesn't exist
-    await fs.mkdir(DATA_DIR, { recursive: true });
-    
-    // Create empty file if it doesn't exist
-    try {
-      await fs.access(CLIPBOARD_FILE);
-    } catch {
-      await fs.writeFile(CLIPBOARD_FILE, '[]');
-    }
-
-    const data = await fs.readFile(CLIPBOARD_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Error reading clipboard data:', error);
-    return [];
-  }
-}
-
-// Helper function to write clipboard data
-async function writeClipboardData(data) {
-  try {
-    // Create data directory if it doesn't exist
-    await fs.mkdir(DATA_DIR, { recursive: true });
-    
-    await fs.writeFile(CLIPBOARD_FILE, JSON.stringify(data, null, 2));
-  } catch (error) {
-    console.error('Error writing clipboard data:', error);
-    throw new Error('Failed to write data');
-  }
-}
-
-// Helper function to clean expired items
-async function cleanExpiredItems(clipboards) {
-  const now = Date.now();
-  return clipboards.filter(item => {
-    const createdAt = new Date(item.createdAt).getTime();
-    return (now - createdAt) < THIRTY_DAYS_MS;
+import { getStore, purgeExpiredItems } from '../../lib/storage';
+import { getIdentity, isOwner } from '../../lib/identity';
+import { canView, serializeItem, serializeListItem } from '../../lib/items';
+import { parseIfMatch } from '../../lib/revisions';
+import { publishExpired } from '../../lib/events';
+import { purgeAnalytics, recordCopy } from '../../lib/analytics';
+import { checkRateLimit, sendRateLimited } from '../../lib/rateLimit';
+import { isBanned, sendBanned } from '../../lib/moderation';
+import { purgeAttachments } from '../../lib/attachments';
+import {
+  createSnippet,
+  deleteSnippet,
+  listSnippets,
+  restoreSnippet,
+  SnippetError,
+  toggleSnippetLike,
+  updateSnippet,
+} from '../../lib/snippets';
+
+// Helper to send a SnippetError the way this API always has: the message as `error`, with any details alongside
+function sendSnippetError(res, error, identity) {
+  const { current, ...details } = error.details;
+  return res.status(error.status).json({
+    error: error.message,
+    ...details,
+    // Someone saved in between; send their version so the client can merge
+    ...(current && { current: serializeItem(current, identity) }),
   });
 }
 
-// Helper to get unique identifier from request
-function getVisitorId(req) {
-  const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
-  const userAgent = req.headers['user-agent'];
-  return Buffer.from(`${ip}-${userAgent}`).toString('base64');
-}
+// New items can bring their attachments along, base64 encoded (see lib/attachments/types.js for the limits)
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '15mb' },
+  },
+};
+
+// Which rate limit each method counts against (see lib/rateLimit.js)
+const RATE_LIMIT_ACTIONS = { GET: 'read', POST: 'create', PUT: 'edit', DELETE: 'edit' };
 
 export default async function handler(req, res) {
   const { method } = req;
+  let identity;
 
   try {
-    let clipboards = await readClipboardData();
-    
-    // Clean expired items on every request
-    clipboards = await cleanExpiredItems(clipboards);
+    const store = await getStore();
+
+    // Clean expired items (at most once a minute, see purgeExpiredItems)
+    publishExpired(await purgeExpiredItems(store));
+    await purgeAttachments(store);
+    await purgeAnalytics(store);
     
-    const visitorId = getVisitorId(req);
+    identity = await getIdentity(req, res);
+
+    // Likes and copies share the like limit; undoing a delete counts as an edit
+    const rateLimitAction = method === 'PATCH'
+      ? (req.body?.action === 'restore' ? 'edit' : 'like')
+      : RATE_LIMIT_ACTIONS[method];
+    const limited = rateLimitAction && checkRateLimit(req, identity, rateLimitAction);
+    if (limited) {
+      return sendRateLimited(res, limited);
+    }
+
+    // Banned visitors can still read, like and delete, but not post, edit or bring items back
+    const isWrite = ['POST', 'PUT'].includes(method) || (method === 'PATCH' && req.body?.action === 'restore');
+    if (isWrite && await isBanned(identity)) {
+      return sendBanned(res);
+    }
 
     switch (method) {
       case 'GET': {
-        // Add hasLiked field for each item
-        const enrichedClipboards = clipboards.map(item => ({
-          ...item,
-          hasLiked: item.likes?.includes(visitorId) || false,
-          editable: item.creatorId === visitorId || item.editable === true,
-        }));
-        return res.status(200).json(enrichedClipboards);
+        const { sort, visibility, limit, cursor } = req.query;
+        const page = await listSnippets(store, identity, { sort, visibility, limit, cursor });
+
+        // Add hasLiked, editable and isOwner fields for each item
+        return res.status(200).json({
+          items: page.items.map(item => serializeListItem(item, identity)),
+          nextCursor: page.nextCursor,
+        });
       }
 
       case 'POST': {
-        const { text, editable = false } = req.body;
-        
-        if (!text || typeof text !== 'string' || !text.trim()) {
-          return res.status(400).json({ error: 'Valid text is required' });
-        }
-
-        // Generate a unique short ID
-        let id;
-        do {
-          id = generateShortId();
-        } while (clipboards.some(item => item.id === id));
-
-        const newItem = {
-          id,
-          text: text.trim(),
-          createdAt: new Date().toISOString(),
-          likes: [],
-          likesCount: 0,
-          creatorId: visitorId,
-          editable: editable === true,
-        };
-
-        clipboards.unshift(newItem);
-        await writeClipboardData(clipboards);
-
-        return res.status(201).json({
-          ...newItem,
-          hasLiked: false,
-          editable: true,
-        });
+        const newItem = await createSnippet(store, req.body, { req, identity });
+        return res.status(201).json(serializeItem(newItem, identity));
       }
 
       case 'PUT': {
-        const { id, text } = req.body;
-        if (!id || !text || typeof text !== 'string' || !text.trim()) {
+        if (!req.body.id) {
           return res.status(400).json({ error: 'Valid ID and text are required' });
         }
 
-        const itemIndex = clipboards.findIndex(item => item.id === id);
-        if (itemIndex === -1) {
-          return res.status(404).json({ error: 'Item not found' });
-        }
-
-        // Check if the visitor is the creator or item is editable
-        const canEdit = clipboards[itemIndex].creatorId === visitorId || 
-                       clipboards[itemIndex].editable === true;
-                       
-        if (!canEdit) {
-          return res.status(403).json({ error: 'Not authorized to edit this item' });
-        }
-
-        clipboards[itemIndex] = {
-          ...clipboards[itemIndex],
-          text: text.trim(),
-          updatedAt: new Date().toISOString(),
-        };
-
-        await writeClipboardData(clipboards);
-
-        return res.status(200).json({
-          ...clipboards[itemIndex],
-          hasLiked: clipboards[itemIndex].likes?.includes(visitorId) || false,
-          editable: true,
-        });
+        // The version the edit started from, as If-Match or baseVersion; without one the edit always applies
+        const baseVersion = req.body.baseVersion ?? parseIfMatch(req.headers['if-match']);
+        const updatedItem = await updateSnippet(store, req.body.id, { ...req.body, baseVersion }, identity);
+        return res.status(200).json(serializeItem(updatedItem, identity));
       }
 
       case 'PATCH': {
         const { id, action } = req.body;
-        if (!id || action !== 'like') {
+        if (!id || !['like', 'restore', 'copy'].includes(action)) {
           return res.status(400).json({ error: 'Invalid request' });
         }
 
-        const itemIndex = clipboards.findIndex(item => item.id === id);
-        if (itemIndex === -1) {
+        const item = await store.get(id);
+        if (!item) {
           return res.status(404).json({ error: 'Item not found' });
         }
 
-        const likes = clipboards[itemIndex].likes || [];
-        const hasLiked = likes.includes(visitorId);
+        if (action === 'restore') {
+          const restoredItem = await restoreSnippet(store, id, identity);
+          return res.status(200).json(serializeItem(restoredItem, identity));
+        }
 
-        if (hasLiked) {
-          // Unlike
-          clipboards[itemIndex].likes = likes.filter(id => id !== visitorId);
-        } else {
-          // Like
-          clipboards[itemIndex].likes = [...likes, visitorId];
+        if (!canView(item, identity)) {
+          return res.status(404).json({ error: 'Item not found' });
         }
 
-        clipboards[itemIndex].likesCount = clipboards[itemIndex].likes.length;
-        await writeClipboardData(clipboards);
+        if (action === 'copy') {
+          // Copies of the owner's own text aren't counted, like their views
+          if (!isOwner(item, identity)) {
+            await recordCopy(item);
+          }
+          return res.status(200).json({ copied: true });
+        }
 
-        return res.status(200).json({
-          hasLiked: !hasLiked,
-          likesCount: clipboards[itemIndex].likesCount,
-        });
+        return res.status(200).json(await toggleSnippetLike(store, id, identity));
       }
 
       case 'DELETE': {
         const { id } = req.body;
-        const filteredData = clipboards.filter((item) => item.id !== id);
-        await writeClipboardData(filteredData);
-        return res.status(200).json({ message: 'Deleted' });
+        if (!id) {
+          return res.status(400).json({ error: 'Valid ID is required' });
+        }
+
+        const undoUntil = await deleteSnippet(store, id, identity);
+        return res.status(200).json({ message: 'Deleted', id, undoUntil });
       }
 
       default:
@@ -200,6 +141,9 @@ export default async function handler(req, res) {
         return res.status(405).json({ error: `Method ${method} Not Allowed` });
     }
   } catch (error) {
+    if (error instanceof SnippetError) {
+      return sendSnippetError(res, error, identity);
+    }
     console.error('Error:', error);
     return res.status(500).json({ error: 'Internal server error' });
   }
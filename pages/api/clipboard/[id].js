@@ -1,48 +1,48 @@
-import { promises as fs } from 'fs';
-import path from 'path';
-
-const CLIPBOARD_FILE = path.join(process.cwd(), 'data', 'clipboard.json');
-
-// Helper function to read clipboard data
-async function readClipboardData() {
-  try {
-    const data = await fs.readFile(CLIPBOARD_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return [];
-  }
-}
-
-// Helper to get unique identifier from request
-function getVisitorId(req) {
-  const ip = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
-  const userAgent = req.headers['user-agent'];
-  return Buffer.from(`${ip}-${userAgent}`).toString('base64');
-}
-
+import { getStore } from '../../../lib/storage';
+import { getIdentity } from '../../../lib/identity';
+import { serializeItem } from '../../../lib/items';
+import { getForkSource, readSnippet, SnippetError } from '../../../lib/snippets';
+import { checkRateLimit, sendRateLimited } from '../../../lib/rateLimit';
+
+/*
+ * Open an item for its share page, which counts a view and burns burn-after-reading items.
+ * With ?fork=1 it is only loaded to start a copy from: no view, nothing burned, and
+ * burn-after-reading items are refused.
+ */
 export default async function handler(req, res) {
-  const { id } = req.query;
+  const { id, fork } = req.query;
 
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
-    const clipboards = await readClipboardData();
-    const item = clipboards.find(item => item.id === id);
+    const store = await getStore();
+    const identity = await getIdentity(req, res);
 
-    if (!item) {
-      return res.status(404).json({ error: 'Item not found' });
+    const limited = checkRateLimit(req, identity, 'read');
+    if (limited) {
+      return sendRateLimited(res, limited);
     }
 
-    // Add hasLiked field for the current visitor
-    const visitorId = getVisitorId(req);
-    const enrichedItem = {
-      ...item,
-      hasLiked: item.likes?.includes(visitorId) || false,
-    };
+    // The share page passes its own document.referrer, since the request's Referer is the page itself
+    let result;
+    try {
+      result = fork
+        ? { item: await getForkSource(store, id, identity), burned: false }
+        : await readSnippet(store, id, identity, { referrer: req.query.referrer });
+    } catch (error) {
+      if (!(error instanceof SnippetError)) throw error;
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const { item, burned } = result;
+    if (burned) {
+      return res.status(200).json({ ...serializeItem(item, identity), editable: false, burned: true });
+    }
 
-    return res.status(200).json(enrichedItem);
+    // Add hasLiked, editable and isOwner fields for the current visitor
+    return res.status(200).json(serializeItem(item, identity));
   } catch (error) {
     console.error('Error:', error);
     return res.status(500).json({ error: 'Internal server error' });
@@ -0,0 +1,39 @@
+import { getStore } from '../../../../lib/storage';
+import { getIdentity, isOwner } from '../../../../lib/identity';
+import { canView } from '../../../../lib/items';
+import { getAnalytics } from '../../../../lib/analytics';
+import { checkRateLimit, sendRateLimited } from '../../../../lib/rateLimit';
+
+// Views, visitors, copies and referrers for an item, for its owner only
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const store = await getStore();
+    const item = await store.get(id);
+    const identity = await getIdentity(req, res);
+
+    const limited = checkRateLimit(req, identity, 'read');
+    if (limited) {
+      return sendRateLimited(res, limited);
+    }
+
+    if (!canView(item, identity)) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    if (!isOwner(item, identity)) {
+      return res.status(403).json({ error: 'Not authorized to view analytics for this item' });
+    }
+
+    return res.status(200).json(await getAnalytics(item));
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
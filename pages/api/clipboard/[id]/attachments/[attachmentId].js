@@ -0,0 +1,64 @@
+import { pipeline } from 'stream/promises';
+import { getStore } from '../../../../../lib/storage';
+import { getIdentity } from '../../../../../lib/identity';
+import { canView } from '../../../../../lib/items';
+import { checkRateLimit, sendRateLimited } from '../../../../../lib/rateLimit';
+import { getAttachmentStore, getContentDisposition } from '../../../../../lib/attachments';
+import { isImageType, isTextType } from '../../../../../lib/attachments/types';
+
+// Files are streamed from disk, so Next.js doesn't need to warn about large responses
+export const config = {
+  api: {
+    responseLimit: false,
+  },
+};
+
+// Serve one attachment of an item, to anyone who can open the item
+export default async function handler(req, res) {
+  const { id, attachmentId, download } = req.query;
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const store = await getStore();
+    const item = await store.get(id);
+    const identity = await getIdentity(req, res);
+
+    const limited = checkRateLimit(req, identity, 'read');
+    if (limited) {
+      return sendRateLimited(res, limited);
+    }
+
+    // Expired, deleted, hidden and private items take their attachments with them
+    const attachment = canView(item, identity) && item.attachments?.find(candidate => candidate.id === attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    const attachmentStore = await getAttachmentStore();
+    const stream = await attachmentStore.get(id, attachment.id);
+    if (!stream) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    // Only images and text are shown in the browser; everything else is always downloaded
+    const isPreviewable = isImageType(attachment.type) || isTextType(attachment.type);
+    res.setHeader('Content-Type', isTextType(attachment.type) ? `${attachment.type}; charset=utf-8` : attachment.type);
+    res.setHeader('Content-Length', String(attachment.size));
+    res.setHeader('Content-Disposition', getContentDisposition(attachment.name, Boolean(download) || !isPreviewable));
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Content-Security-Policy', "default-src 'none'; sandbox");
+    res.setHeader('Cache-Control', 'private, no-cache');
+
+    await pipeline(stream, res);
+  } catch (error) {
+    console.error('Error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+    res.destroy();
+  }
+}
@@ -0,0 +1,92 @@
+import { getStore } from '../../../../lib/storage';
+import { getIdentity, isOwner } from '../../../../lib/identity';
+import { canView } from '../../../../lib/items';
+import { canEditLive, CollabError, getClient, joinRoom, receiveOperation, receiveSelection, saveRoom } from '../../../../lib/collab';
+import { isOperation } from '../../../../lib/ot';
+import { isBanned, sendBanned } from '../../../../lib/moderation';
+
+const CLIENT_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+// Helper to check a { anchor, head } selection sent by a client
+function isSelection(selection) {
+  return Boolean(selection)
+    && Number.isInteger(selection.anchor) && selection.anchor >= 0
+    && Number.isInteger(selection.head) && selection.head >= 0;
+}
+
+/*
+ * Live editing for an item.
+ *   GET  ?clientId=...  joins the item's session and streams events (SSE)
+ *   POST { clientId, action: 'operation' | 'cursor' | 'save', revision, ops, selection }
+ */
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const store = await getStore();
+    const item = await store.get(id);
+    const identity = await getIdentity(req, res);
+
+    if (!canView(item, identity)) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    if (!isOwner(item, identity) && item.editable !== true) {
+      return res.status(403).json({ error: 'Not authorized to edit this item' });
+    }
+
+    if (await isBanned(identity)) {
+      return sendBanned(res);
+    }
+
+    if (!canEditLive(item)) {
+      return res.status(400).json({ error: 'Live editing is not available for this item' });
+    }
+
+    const clientId = req.method === 'GET' ? req.query.clientId : req.body.clientId;
+    if (typeof clientId !== 'string' || !CLIENT_ID_PATTERN.test(clientId)) {
+      return res.status(400).json({ error: 'Valid client ID is required' });
+    }
+
+    if (req.method === 'GET') {
+      return await joinRoom(item, identity, clientId, res);
+    }
+
+    const { action, revision, ops, selection = null } = req.body;
+    const { room, client } = getClient(id, clientId, identity);
+
+    if (action === 'save') {
+      await saveRoom(room);
+      return res.status(200).json({ saved: true });
+    }
+
+    if (!Number.isInteger(revision) || (selection !== null && !isSelection(selection))) {
+      return res.status(400).json({ error: 'Invalid request' });
+    }
+
+    if (action === 'operation') {
+      if (!isOperation(ops)) {
+        return res.status(400).json({ error: 'Invalid operation' });
+      }
+      receiveOperation(room, client, revision, ops, selection);
+    } else if (action === 'cursor' && selection) {
+      receiveSelection(room, client, revision, selection);
+    } else {
+      return res.status(400).json({ error: 'Invalid request' });
+    }
+
+    // The outcome is delivered on the event stream, in order with everyone else's edits
+    return res.status(202).json({ accepted: true });
+  } catch (error) {
+    if (error instanceof CollabError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,65 @@
+import { getStore } from '../../../../lib/storage';
+import { getIdentity } from '../../../../lib/identity';
+import { canServeRaw, setCacheControl } from '../../../../lib/items';
+import { getLanguageExtension } from '../../../../lib/languages';
+import { checkRateLimit, sendRateLimited } from '../../../../lib/rateLimit';
+import { getContentDisposition } from '../../../../lib/attachments';
+
+// Helper to name a download after the item and its language, e.g. "aB3xY9.py"
+function getDownloadName(item) {
+  if (item.files) return `${item.id}.txt`;
+  return `${item.id}.${item.format === 'markdown' ? 'md' : getLanguageExtension(item.language)}`;
+}
+
+/*
+ * Serve an item's text as plain text, or one file of a bundle with ?file=<name>.
+ * Also answers /raw/<id>, and /download/<id> with ?download=1 (see next.config.js).
+ */
+export default async function handler(req, res) {
+  const { id, file, download } = req.query;
+
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const store = await getStore();
+    const item = await store.get(id);
+    const identity = await getIdentity(req, res);
+
+    const limited = checkRateLimit(req, identity, 'read');
+    if (limited) {
+      return sendRateLimited(res, limited);
+    }
+
+    if (!canServeRaw(item, identity)) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    // Ciphertext is only any use to the browser holding the key
+    if (item.encrypted) {
+      return res.status(400).json({ error: 'Encrypted snippets have no raw text' });
+    }
+
+    let text = item.text;
+    let name = getDownloadName(item);
+    if (file !== undefined) {
+      const match = item.files?.find(candidate => candidate.name === file);
+      if (!match) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      ({ text, name } = match);
+    }
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', getContentDisposition(name, Boolean(download)));
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    setCacheControl(res, item);
+    res.setHeader('Last-Modified', new Date(item.updatedAt || item.createdAt).toUTCString());
+    return res.status(200).send(text);
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
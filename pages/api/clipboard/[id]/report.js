@@ -0,0 +1,71 @@
+import { getStore } from '../../../../lib/storage';
+import { getIdentity, isOwner } from '../../../../lib/identity';
+import { canView, isHidden } from '../../../../lib/items';
+import { hashVisitor } from '../../../../lib/analytics';
+import { checkRateLimit, sendRateLimited } from '../../../../lib/rateLimit';
+import { isValidReportReason, MAX_REPORT_NOTE_LENGTH } from '../../../../lib/reports';
+import { addReport, isBanned, logAction, sendBanned } from '../../../../lib/moderation';
+import { notifyItemDeleted } from '../../../../lib/collab';
+import { publishEvent } from '../../../../lib/events';
+
+// Report an item to the moderators. Enough reports from signed-in users hide it until one of them reviews it.
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const store = await getStore();
+    const item = await store.get(id);
+    const identity = await getIdentity(req, res);
+
+    // Reports share the like limit
+    const limited = checkRateLimit(req, identity, 'like');
+    if (limited) {
+      return sendRateLimited(res, limited);
+    }
+
+    if (await isBanned(identity)) {
+      return sendBanned(res);
+    }
+
+    const { reason, note = '' } = req.body || {};
+    if (!isValidReportReason(reason) || typeof note !== 'string' || note.length > MAX_REPORT_NOTE_LENGTH) {
+      return res.status(400).json({ error: 'Invalid report' });
+    }
+
+    if (!canView(item, identity)) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    if (isOwner(item, identity)) {
+      return res.status(400).json({ error: 'You cannot report your own item' });
+    }
+
+    // Reporters are kept as their per-item visitor hash, like views
+    const reporter = hashVisitor(id, identity);
+    const reportedItem = await store.update(id, current => addReport(current, {
+      reporter,
+      signedIn: Boolean(identity.user),
+      reason,
+      note: note.trim() || null,
+    }));
+    if (!reportedItem) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    if (isHidden(reportedItem) && !isHidden(item)) {
+      await logAction({ action: 'auto-hide', itemId: id, note: `${reportedItem.reports.filter(report => report.signedIn).length} reports` });
+      notifyItemDeleted(id);
+      publishEvent('deleted', item);
+    }
+
+    return res.status(200).json({ reported: true });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,82 @@
+import { getStore } from '../../../../lib/storage';
+import { getIdentity, isOwner } from '../../../../lib/identity';
+import { canView, serializeItem } from '../../../../lib/items';
+import { canViewRevisions, getRevisions, reviseItem, serializeRevision } from '../../../../lib/revisions';
+import { notifyItemChanged } from '../../../../lib/collab';
+import { publishEvent } from '../../../../lib/events';
+import { checkRateLimit, sendRateLimited } from '../../../../lib/rateLimit';
+import { isBanned, sendBanned } from '../../../../lib/moderation';
+
+// Lists an item's revisions (GET) and lets the owner restore one of them (POST)
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const store = await getStore();
+    const item = await store.get(id);
+    const identity = await getIdentity(req, res);
+
+    const limited = checkRateLimit(req, identity, req.method === 'GET' ? 'read' : 'edit');
+    if (limited) {
+      return sendRateLimited(res, limited);
+    }
+
+    if (req.method === 'POST' && await isBanned(identity)) {
+      return sendBanned(res);
+    }
+
+    if (!canView(item, identity) || !canViewRevisions(item, identity)) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        revisions: getRevisions(item).map(revision => serializeRevision(revision, item, identity)),
+      });
+    }
+
+    const { revision: number } = req.body;
+    if (!Number.isInteger(number)) {
+      return res.status(400).json({ error: 'Valid revision number is required' });
+    }
+
+    if (!isOwner(item, identity)) {
+      return res.status(403).json({ error: 'Not authorized to restore this item' });
+    }
+
+    const revisions = getRevisions(item);
+    const revision = revisions.find(existing => existing.number === number);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    if (revision === revisions[revisions.length - 1]) {
+      return res.status(400).json({ error: 'Revision is already current' });
+    }
+
+    // Restoring saves the old text as a new revision, so nothing in between is lost.
+    // A bundle takes back the language of its first file with its files.
+    const updatedItem = await store.update(id, current => ({
+      ...reviseItem(current, {
+        text: revision.text,
+        files: revision.files || null,
+        encryption: revision.encryption,
+        identity,
+        restoredFrom: number,
+      }),
+      ...(revision.files && { language: revision.files[0].language }),
+    }));
+
+    notifyItemChanged(updatedItem);
+    publishEvent('updated', updatedItem);
+
+    return res.status(200).json(serializeItem(updatedItem, identity));
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
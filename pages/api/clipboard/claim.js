@@ -0,0 +1,39 @@
+import { getStore } from '../../../lib/storage';
+import { getIdentity } from '../../../lib/identity';
+
+// Moves the items this browser created anonymously to the signed-in user
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const identity = await getIdentity(req, res);
+    if (!identity.user) {
+      return res.status(401).json({ error: 'Sign in to claim items' });
+    }
+
+    const store = await getStore();
+    const unclaimed = await store.list({ ownedBy: identity.anonymousIds });
+
+    // Revisions this browser wrote move along, so they still show up as the owner's
+    const claimAuthor = revision => (
+      identity.anonymousIds.includes(revision.authorId)
+        ? { ...revision, authorId: identity.ownerId, authorName: identity.user.name || null }
+        : revision
+    );
+
+    for (const item of unclaimed) {
+      await store.update(item.id, current => ({
+        creatorId: identity.ownerId,
+        ...(current.revisions && { revisions: current.revisions.map(claimAuthor) }),
+      }));
+    }
+
+    return res.status(200).json({ claimed: unclaimed.length });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,97 @@
+import { getStore, purgeExpiredItems } from '../../../lib/storage';
+import { getIdentity, isOwner } from '../../../lib/identity';
+import { isDeleted, serializeItem, serializeOwnItem } from '../../../lib/items';
+import { publishExpired } from '../../../lib/events';
+import { checkRateLimit, sendRateLimited } from '../../../lib/rateLimit';
+import { isBanned, sendBanned } from '../../../lib/moderation';
+import { purgeAttachments } from '../../../lib/attachments';
+import { getCounts, purgeAnalytics } from '../../../lib/analytics';
+import { deleteSnippet, restoreSnippet, SnippetError, updateSnippet } from '../../../lib/snippets';
+
+const BULK_ACTIONS = ['delete', 'restore', 'expiry', 'editable', 'visibility'];
+const MAX_BULK_ITEMS = 100;
+
+// The updateSnippet setting each of the other actions changes
+const SETTINGS = { expiry: 'expiresIn', editable: 'editable', visibility: 'visibility' };
+
+/*
+ * The caller's own items.
+ *   GET                              every item the caller created, with its stats
+ *   POST { ids, action, value }      applies one action to several items at once:
+ *        delete | restore            soft delete, or undo it within the undo window
+ *                                    (attachments are removed once the window has passed)
+ *        expiry                      value is an expiry option such as '1d' or 'never'
+ *        editable                    value is true or false
+ *        visibility                  value is 'public', 'unlisted' or 'private'
+ */
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const store = await getStore();
+    publishExpired(await purgeExpiredItems(store));
+    await purgeAttachments(store);
+    await purgeAnalytics(store);
+    const identity = await getIdentity(req, res);
+
+    const limited = checkRateLimit(req, identity, req.method === 'GET' ? 'read' : 'edit');
+    if (limited) {
+      return sendRateLimited(res, limited);
+    }
+
+    // Banned visitors can still delete their items, but not change or restore them
+    if (req.method === 'POST' && req.body?.action !== 'delete' && await isBanned(identity)) {
+      return sendBanned(res);
+    }
+
+    if (req.method === 'GET') {
+      const items = (await store.list({ ownedBy: identity.ownerIds })).filter(item => !isDeleted(item));
+      const counts = await getCounts(items);
+      return res.status(200).json({ items: items.map(item => serializeOwnItem(item, identity, counts.get(item.id))) });
+    }
+
+    const { ids, action, value } = req.body;
+    if (
+      !Array.isArray(ids) || !ids.length || ids.length > MAX_BULK_ITEMS
+      || !ids.every(id => typeof id === 'string')
+      || !BULK_ACTIONS.includes(action)
+    ) {
+      return res.status(400).json({ error: 'Invalid request' });
+    }
+
+    // Check every item first, so the action applies to all of them or none
+    const items = await Promise.all([...new Set(ids)].map(id => store.get(id)));
+    if (items.some(item => !item || !isOwner(item, identity))) {
+      return res.status(404).json({ error: 'Item not found' });
+    }
+    if (action === 'restore' ? items.some(item => !isDeleted(item)) : items.some(isDeleted)) {
+      return res.status(400).json({ error: action === 'restore' ? 'Item is not deleted' : 'Item is deleted' });
+    }
+
+    // Each item goes through lib/snippets, like a single delete or edit would
+    if (action === 'delete') {
+      let undoUntil;
+      for (const item of items) {
+        undoUntil = await deleteSnippet(store, item.id, identity);
+      }
+      return res.status(200).json({ ids: items.map(item => item.id), undoUntil });
+    }
+
+    const updatedItems = [];
+    for (const item of items) {
+      updatedItems.push(action === 'restore'
+        ? await restoreSnippet(store, item.id, identity)
+        : await updateSnippet(store, item.id, { [SETTINGS[action]]: value }, identity));
+    }
+    return res.status(200).json({ items: updatedItems.map(item => serializeItem(item, identity)) });
+  } catch (error) {
+    if (error instanceof SnippetError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,85 @@
+import { getStore } from '../../../lib/storage';
+import { getIdentity } from '../../../lib/identity';
+import { paginate, serializeListItem } from '../../../lib/items';
+import { isValidLanguage } from '../../../lib/languages';
+import { getQueryTerms, getSearchKey, getSnippet, searchItems, SEARCH_SORT_OPTIONS } from '../../../lib/search';
+import { checkRateLimit, sendRateLimited } from '../../../lib/rateLimit';
+
+const MAX_QUERY_LENGTH = 200;
+
+// Helper to parse an optional date query parameter; returns undefined when it is invalid
+function parseDate(value, endOfDay = false) {
+  if (!value) return null;
+  // Plain dates (YYYY-MM-DD) cover the whole day
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/*
+ * Search public snippets.
+ * Query: q, language, from, to, minLikes, sort (relevance|newest|likes|edited), limit, cursor.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const { q = '', language, from, to, minLikes = '0', sort, limit, cursor } = req.query;
+
+    if (typeof q !== 'string' || q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ error: 'Invalid query' });
+    }
+
+    if (language && !isValidLanguage(language)) {
+      return res.status(400).json({ error: 'Invalid language' });
+    }
+
+    if (sort && !SEARCH_SORT_OPTIONS.includes(sort)) {
+      return res.status(400).json({ error: 'Invalid sort' });
+    }
+
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to, true);
+    if (fromDate === undefined || toDate === undefined) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    const minLikesCount = Number(minLikes);
+    if (!Number.isInteger(minLikesCount) || minLikesCount < 0) {
+      return res.status(400).json({ error: 'Invalid minimum likes' });
+    }
+
+    const store = await getStore();
+    const identity = await getIdentity(req, res);
+
+    const limited = checkRateLimit(req, identity, 'read');
+    if (limited) {
+      return sendRateLimited(res, limited);
+    }
+    const terms = getQueryTerms(q);
+
+    const results = searchItems(await store.list(), {
+      terms,
+      language,
+      from: fromDate,
+      to: toDate,
+      minLikes: minLikesCount,
+      sort,
+    });
+
+    const page = paginate(results, { limit, cursor, getKey: getSearchKey({ terms, sort }) });
+    return res.status(200).json({
+      items: page.items.map((item) => {
+        const serialized = serializeListItem(item, identity);
+        return { ...serialized, snippet: getSnippet(serialized.text, terms) };
+      }),
+      total: results.length,
+      nextCursor: page.nextCursor,
+    });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,33 @@
+import { getIdentity } from '../../lib/identity';
+import { getEventPayload, subscribe } from '../../lib/events';
+import { openEventStream } from '../../lib/sse';
+
+/*
+ * Server-sent events for clipboard changes: created, updated, liked, deleted and expired.
+ * Without a query it streams changes to listed items; `?id=...` follows a single item.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const identity = await getIdentity(req, res);
+    const itemId = typeof req.query.id === 'string' ? req.query.id : null;
+
+    const stream = openEventStream(res);
+    const unsubscribe = subscribe((event) => {
+      const payload = getEventPayload(event, identity, itemId);
+      if (payload) stream.send(event.type, payload);
+    });
+
+    await stream.closed;
+    unsubscribe();
+  } catch (error) {
+    console.error('Error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
@@ -0,0 +1,25 @@
+import { getIdentity } from '../../../lib/identity';
+import { revokeToken } from '../../../lib/tokens';
+
+// Revoke one of the signed-in user's tokens. Requests made with it fail from then on.
+export default async function handler(req, res) {
+  if (req.method !== 'DELETE') {
+    res.setHeader('Allow', ['DELETE']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const identity = await getIdentity(req, res);
+    if (!identity.user || identity.tokenId) {
+      return res.status(401).json({ error: 'Sign in required' });
+    }
+
+    if (!await revokeToken(identity.user.id, req.query.id)) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    return res.status(200).json({ message: 'Revoked', id: req.query.id });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,53 @@
+import { getIdentity } from '../../../lib/identity';
+import { checkRateLimit, sendRateLimited } from '../../../lib/rateLimit';
+import { createToken, listTokens, MAX_TOKEN_NAME_LENGTH, MAX_TOKENS_PER_USER, serializeToken } from '../../../lib/tokens';
+
+/*
+ * The signed-in user's personal access tokens, for the /tokens page.
+ *
+ *   GET   the tokens, newest first (never the tokens themselves)
+ *   POST  { name } creates one; the response is the only time `token` is sent
+ *
+ * Tokens can't be managed with a token: only the browser session can.
+ */
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const identity = await getIdentity(req, res);
+    if (!identity.user || identity.tokenId) {
+      return res.status(401).json({ error: 'Sign in required' });
+    }
+
+    if (req.method === 'GET') {
+      const tokens = await listTokens(identity.user.id);
+      return res.status(200).json({
+        tokens: tokens.map(serializeToken).reverse(),
+        limit: MAX_TOKENS_PER_USER,
+      });
+    }
+
+    const limited = checkRateLimit(req, identity, 'edit');
+    if (limited) {
+      return sendRateLimited(res, limited);
+    }
+
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > MAX_TOKEN_NAME_LENGTH) {
+      return res.status(400).json({ error: `Give the token a name of at most ${MAX_TOKEN_NAME_LENGTH} characters` });
+    }
+
+    const created = await createToken(identity.user.id, name);
+    if (!created) {
+      return res.status(400).json({ error: `You can have at most ${MAX_TOKENS_PER_USER} tokens; revoke one first` });
+    }
+
+    return res.status(201).json({ ...serializeToken(created.record), token: created.token });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,12 @@
+import { getOpenApiDocument } from '../../../lib/api/openapi';
+
+// The OpenAPI document for this version of the API, built from the schemas the routes validate with
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET']);
+    return res.status(405).json({ error: { code: 'method_not_allowed', message: `Method ${req.method} Not Allowed` } });
+  }
+
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.status(200).json(getOpenApiDocument());
+}
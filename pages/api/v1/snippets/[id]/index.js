@@ -0,0 +1,43 @@
+import { createApiHandler } from '../../../../../lib/api';
+import { serializeItem } from '../../../../../lib/items';
+import { parseIfMatch } from '../../../../../lib/revisions';
+import { deleteSnippet, readSnippet, updateSnippet } from '../../../../../lib/snippets';
+
+/*
+ * GET     read a snippet, as its share page does: this counts a view, and reading a
+ *         burn-after-reading snippet deletes it (the response then has `burned: true`)
+ * PATCH   change it (SnippetUpdate): a new text or new files are saved as the next
+ *         revision, and the owner can change its visibility, editing and expiry;
+ *         the version it started from can also be sent as If-Match
+ * DELETE  delete it; the owner can restore it on its page for a while
+ */
+export default createApiHandler({
+  GET: {
+    rateLimit: 'read',
+    async handle(req, res, { store, identity }) {
+      const { item, burned } = await readSnippet(store, req.query.id, identity);
+      return res.status(200).json(burned
+        ? { ...serializeItem(item, identity), editable: false, burned: true }
+        : serializeItem(item, identity));
+    },
+  },
+
+  PATCH: {
+    rateLimit: 'edit',
+    write: true,
+    body: 'SnippetUpdate',
+    async handle(req, res, { store, identity, body }) {
+      const baseVersion = body.baseVersion ?? parseIfMatch(req.headers['if-match']);
+      const item = await updateSnippet(store, req.query.id, { ...body, baseVersion }, identity);
+      return res.status(200).json(serializeItem(item, identity));
+    },
+  },
+
+  DELETE: {
+    rateLimit: 'edit',
+    async handle(req, res, { store, identity }) {
+      const undoUntil = await deleteSnippet(store, req.query.id, identity);
+      return res.status(200).json({ id: req.query.id, undoUntil });
+    },
+  },
+});
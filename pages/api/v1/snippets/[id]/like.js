@@ -0,0 +1,12 @@
+import { createApiHandler } from '../../../../../lib/api';
+import { toggleSnippetLike } from '../../../../../lib/snippets';
+
+// POST  like a snippet, or take the like back when the caller already likes it
+export default createApiHandler({
+  POST: {
+    rateLimit: 'like',
+    async handle(req, res, { store, identity }) {
+      return res.status(200).json(await toggleSnippetLike(store, req.query.id, identity));
+    },
+  },
+});
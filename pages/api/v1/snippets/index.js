@@ -0,0 +1,39 @@
+import { createApiHandler } from '../../../../lib/api';
+import { serializeItem, serializeListItem } from '../../../../lib/items';
+import { createSnippet, listSnippets } from '../../../../lib/snippets';
+
+// New snippets can bring their attachments along, base64 encoded (see lib/attachments/types.js for the limits)
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '15mb' },
+  },
+};
+
+/*
+ * GET   public snippets and the caller's own, a page at a time (?sort, ?visibility, ?limit, ?cursor)
+ * POST  create a snippet (SnippetCreate in lib/api/schemas.js)
+ */
+export default createApiHandler({
+  GET: {
+    rateLimit: 'read',
+    async handle(req, res, { store, identity }) {
+      const { sort, visibility, limit, cursor } = req.query;
+      const page = await listSnippets(store, identity, { sort, visibility, limit, cursor });
+      return res.status(200).json({
+        items: page.items.map(item => serializeListItem(item, identity)),
+        nextCursor: page.nextCursor,
+      });
+    },
+  },
+
+  POST: {
+    rateLimit: 'create',
+    write: true,
+    body: 'SnippetCreate',
+    async handle(req, res, { store, identity, body }) {
+      const item = await createSnippet(store, body, { req, identity });
+      res.setHeader('Location', `/api/v1/snippets/${item.id}`);
+      return res.status(201).json(serializeItem(item, identity));
+    },
+  },
+});
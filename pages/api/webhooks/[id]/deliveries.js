@@ -0,0 +1,48 @@
+import { getIdentity, isAdmin } from '../../../../lib/identity';
+import { checkRateLimit, sendRateLimited } from '../../../../lib/rateLimit';
+import { getWebhook, listDeliveries, redeliver, serializeDelivery } from '../../../../lib/webhooks';
+
+/*
+ * A webhook's delivery log.
+ *
+ *   GET   the latest deliveries, newest first, with every attempt
+ *   POST  { deliveryId } sends a delivery again, as a new entry with the same body
+ */
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const identity = await getIdentity(req, res);
+    if (!identity.user || identity.tokenId) {
+      return res.status(401).json({ error: 'Sign in required' });
+    }
+
+    const webhook = await getWebhook(req.query.id, identity, { admin: isAdmin(identity) });
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    if (req.method === 'GET') {
+      const deliveries = await listDeliveries(webhook.id);
+      return res.status(200).json({ deliveries: deliveries.map(serializeDelivery) });
+    }
+
+    const limited = checkRateLimit(req, identity, 'edit');
+    if (limited) {
+      return sendRateLimited(res, limited);
+    }
+
+    const { deliveryId } = req.body || {};
+    const delivery = typeof deliveryId === 'string' && await redeliver(webhook.id, deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    return res.status(201).json(serializeDelivery(delivery));
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
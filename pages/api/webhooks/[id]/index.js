@@ -0,0 +1,62 @@
+import { getIdentity, isAdmin } from '../../../../lib/identity';
+import {
+  deleteWebhook,
+  getWebhook,
+  getWebhookUrlError,
+  isValidEventList,
+  serializeWebhook,
+  updateWebhook,
+  WEBHOOK_EVENTS,
+} from '../../../../lib/webhooks';
+
+/*
+ * One of the caller's webhooks (or a global one, for admins).
+ *
+ *   PATCH   { url?, events?, active? } changes it; inactive webhooks are skipped
+ *   DELETE  removes it along with its delivery log
+ */
+export default async function handler(req, res) {
+  if (!['PATCH', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', ['PATCH', 'DELETE']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const identity = await getIdentity(req, res);
+    if (!identity.user || identity.tokenId) {
+      return res.status(401).json({ error: 'Sign in required' });
+    }
+
+    const webhook = await getWebhook(req.query.id, identity, { admin: isAdmin(identity) });
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    if (req.method === 'DELETE') {
+      await deleteWebhook(webhook.id);
+      return res.status(200).json({ message: 'Deleted', id: webhook.id });
+    }
+
+    const { url, events, active } = req.body || {};
+    const urlError = url !== undefined && await getWebhookUrlError(url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+    if (events !== undefined && !isValidEventList(events)) {
+      return res.status(400).json({ error: `Pick at least one of ${WEBHOOK_EVENTS.join(', ')}` });
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({ error: 'Invalid request' });
+    }
+
+    const updated = await updateWebhook(webhook.id, {
+      ...(url !== undefined && { url }),
+      ...(events !== undefined && { events: [...new Set(events)] }),
+      ...(active !== undefined && { active }),
+    });
+    return res.status(200).json(serializeWebhook(updated));
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,69 @@
+import { getIdentity, isAdmin } from '../../../lib/identity';
+import { checkRateLimit, sendRateLimited } from '../../../lib/rateLimit';
+import {
+  createWebhook,
+  getWebhookUrlError,
+  isValidEventList,
+  listWebhooks,
+  MAX_WEBHOOKS_PER_OWNER,
+  serializeWebhook,
+  WEBHOOK_EVENTS,
+} from '../../../lib/webhooks';
+
+/*
+ * The signed-in user's webhooks, for the /webhooks page. Admins also see and add global ones.
+ *
+ *   GET   the webhooks (never their secrets)
+ *   POST  { url, events, global? } adds one; the response is the only time `secret` is sent
+ */
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'POST']);
+    return res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+  }
+
+  try {
+    const identity = await getIdentity(req, res);
+    if (!identity.user || identity.tokenId) {
+      return res.status(401).json({ error: 'Sign in required' });
+    }
+    const admin = isAdmin(identity);
+
+    if (req.method === 'GET') {
+      const webhooks = await listWebhooks(identity, { admin });
+      return res.status(200).json({
+        webhooks: webhooks.map(serializeWebhook),
+        events: WEBHOOK_EVENTS,
+        limit: MAX_WEBHOOKS_PER_OWNER,
+        canAddGlobal: admin,
+      });
+    }
+
+    const limited = checkRateLimit(req, identity, 'edit');
+    if (limited) {
+      return sendRateLimited(res, limited);
+    }
+
+    const { url, events, global = false } = req.body || {};
+    const urlError = await getWebhookUrlError(url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+    if (!isValidEventList(events)) {
+      return res.status(400).json({ error: `Pick at least one of ${WEBHOOK_EVENTS.join(', ')}` });
+    }
+    if (global && !admin) {
+      return res.status(403).json({ error: 'Only moderators can add webhooks for every snippet' });
+    }
+
+    const webhook = await createWebhook({ url, events: [...new Set(events)], global: global === true }, identity);
+    if (!webhook) {
+      return res.status(400).json({ error: `You can have at most ${MAX_WEBHOOKS_PER_OWNER} webhooks; remove one first` });
+    }
+
+    return res.status(201).json({ ...serializeWebhook(webhook), secret: webhook.secret });
+  } catch (error) {
+    console.error('Error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,265 @@
+import { useState, useCallback, useEffect, memo } from 'react';
+import { motion } from 'framer-motion';
+import { FiSun, FiMoon, FiSearch, FiHeart, FiLock, FiCode, FiCalendar } from 'react-icons/fi';
+import toast, { Toaster } from 'react-hot-toast';
+import Link from 'next/link';
+import useSWRInfinite from 'swr/infinite';
+import UserMenu from '../components/UserMenu';
+import { fetcher } from '../lib/fetcher';
+import { LANGUAGE_OPTIONS, getLanguageLabel } from '../lib/languages';
+
+const PAGE_SIZE = 20;
+const SEARCH_DELAY_MS = 300;
+
+const SORT_OPTIONS = [
+  { value: '', label: 'Best match' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'likes', label: 'Most liked' },
+  { value: 'edited', label: 'Recently edited' },
+];
+
+// Memoized SearchResult component
+const _SearchResult = ({ item, isDarkMode }) => (
+  <Link href={`/share/${item.id}`}>
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className={`p-4 rounded-xl shadow-lg ${
+        isDarkMode ? 'bg-gray-800 hover:bg-gray-700/80' : 'bg-white hover:bg-gray-50'
+      } transition-colors`}
+    >
+      {item.encrypted ? (
+        <p className={`flex items-center gap-2 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          <FiLock size={14} />
+          <span>Encrypted snippet</span>
+        </p>
+      ) : (
+        <p className="font-mono text-sm whitespace-pre-wrap break-words max-h-32 overflow-hidden">
+          {item.snippet.map((part, index) => (
+            part.match ? (
+              <mark
+                key={index}
+                className={`rounded px-0.5 ${isDarkMode ? 'bg-yellow-500/30 text-yellow-100' : 'bg-yellow-200 text-gray-900'}`}
+              >
+                {part.text}
+              </mark>
+            ) : (
+              <span key={index}>{part.text}</span>
+            )
+          ))}
+        </p>
+      )}
+      <div className={`mt-3 flex flex-wrap items-center gap-4 text-xs ${
+        isDarkMode ? 'text-gray-400' : 'text-gray-500'
+      }`}>
+        <span className="flex items-center gap-1">
+          <FiCode size={12} />
+          {item.format === 'markdown' ? 'Markdown' : getLanguageLabel(item.language)}
+        </span>
+        <span className="flex items-center gap-1">
+          <FiCalendar size={12} />
+          {new Date(item.createdAt).toLocaleDateString()}
+          {item.updatedAt && ` · edited ${new Date(item.updatedAt).toLocaleDateString()}`}
+        </span>
+        <span className="flex items-center gap-1">
+          <FiHeart size={12} className={item.hasLiked ? 'fill-current text-red-500' : ''} />
+          {item.likesCount}
+        </span>
+      </div>
+    </motion.div>
+  </Link>
+);
+
+const SearchResult = memo(_SearchResult);
+SearchResult.displayName = 'SearchResult';
+
+// Browse and search public snippets
+export default function BrowsePage() {
+  const [isDarkMode, setIsDarkMode] = useState(false);
+  const [query, setQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [language, setLanguage] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [minLikes, setMinLikes] = useState('');
+  const [sort, setSort] = useState('');
+
+  useEffect(() => {
+    // Check system preference for dark mode
+    if (window.matchMedia('(prefers-color-scheme: dark)').matches) {
+      setIsDarkMode(true);
+    }
+  }, []);
+
+  useEffect(() => {
+    // Wait for a pause in typing before searching
+    const timer = setTimeout(() => setDebouncedQuery(query.trim()), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  // Build the search URL for a page; the cursor of the previous page leads to the next
+  const getKey = useCallback((pageIndex, previousPage) => {
+    if (previousPage && !previousPage.nextCursor) return null;
+
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+    if (debouncedQuery) params.set('q', debouncedQuery);
+    if (language) params.set('language', language);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (minLikes) params.set('minLikes', minLikes);
+    if (sort) params.set('sort', sort);
+    if (previousPage) params.set('cursor', previousPage.nextCursor);
+    return `/api/clipboard/search?${params}`;
+  }, [debouncedQuery, language, from, to, minLikes, sort]);
+
+  const { data, size, setSize, isValidating } = useSWRInfinite(getKey, fetcher, {
+    onError: (error) => {
+      console.error('Error:', error);
+      toast.error(error.message || 'Search failed', { id: 'search' });
+    },
+  });
+
+  const items = data ? data.flatMap(page => page.items) : [];
+  const total = data?.[0]?.total ?? 0;
+  const hasMore = Boolean(data?.[data.length - 1]?.nextCursor);
+  const isLoadingMore = isValidating && data && size > data.length;
+
+  const toggleTheme = useCallback(() => {
+    setIsDarkMode(prev => !prev);
+  }, []);
+
+  const inputClass = `px-3 py-2 rounded-lg text-sm focus:outline-none ${
+    isDarkMode ? 'bg-gray-700/50' : 'bg-gray-50'
+  }`;
+  const labelClass = `flex flex-col gap-1 text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`;
+
+  return (
+    <div
+      className={`min-h-screen flex flex-col ${
+        isDarkMode ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-900'
+      } transition-colors duration-500`}
+    >
+      <Toaster position="top-right" />
+
+      {/* Header */}
+      <motion.header
+        initial={{ opacity: 0, y: -50 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className={`sticky top-0 z-50 w-full px-4 py-3 ${
+          isDarkMode
+            ? 'bg-gray-900/80 border-gray-800'
+            : 'bg-white/80 border-gray-200'
+        } backdrop-blur-xl border-b flex items-center justify-between`}
+      >
+        <h1 className="text-xl sm:text-2xl md:text-3xl font-bold">
+          <Link href="/">
+            <span className="bg-clip-text text-transparent bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 transition-colors duration-300">
+              textide
+            </span>
+          </Link>
+        </h1>
+        <div className="flex items-center gap-3">
+          <UserMenu isDarkMode={isDarkMode} />
+          <motion.button
+            whileHover={{ rotate: 180 }}
+            onClick={toggleTheme}
+            className={`p-2 rounded-full ${
+              isDarkMode ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-100 hover:bg-gray-200'
+            } transition-colors`}
+            aria-label="Toggle theme"
+          >
+            {isDarkMode ? <FiSun size={20} /> : <FiMoon size={20} />}
+          </motion.button>
+        </div>
+      </motion.header>
+
+      {/* Main Content */}
+      <main className="flex-1 p-4 lg:p-6">
+        <div className="max-w-4xl mx-auto space-y-6">
+          <div className={`p-4 rounded-xl shadow-lg space-y-4 ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+            <label className={`flex items-center gap-2 px-3 rounded-lg ${
+              isDarkMode ? 'bg-gray-700/50' : 'bg-gray-50'
+            }`}>
+              <FiSearch size={18} className={isDarkMode ? 'text-gray-400' : 'text-gray-500'} />
+              <span className="sr-only">Search</span>
+              <input
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search public snippets..."
+                autoFocus
+                className="flex-1 py-3 bg-transparent focus:outline-none"
+              />
+            </label>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+              <label className={labelClass}>
+                Language
+                <select value={language} onChange={(e) => setLanguage(e.target.value)} className={inputClass}>
+                  <option value="">Any language</option>
+                  {LANGUAGE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className={labelClass}>
+                From
+                <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className={inputClass} />
+              </label>
+              <label className={labelClass}>
+                To
+                <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className={inputClass} />
+              </label>
+              <label className={labelClass}>
+                Minimum likes
+                <input
+                  type="number"
+                  min="0"
+                  value={minLikes}
+                  onChange={(e) => setMinLikes(e.target.value)}
+                  className={inputClass}
+                />
+              </label>
+              <label className={labelClass}>
+                Sort by
+                <select value={sort} onChange={(e) => setSort(e.target.value)} className={inputClass}>
+                  {SORT_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          </div>
+
+          <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            {!data
+              ? 'Searching...'
+              : `${total} ${total === 1 ? 'snippet' : 'snippets'}${debouncedQuery ? ` matching "${debouncedQuery}"` : ''}`}
+          </p>
+
+          <div className="space-y-3">
+            {items.map(item => (
+              <SearchResult key={item.id} item={item} isDarkMode={isDarkMode} />
+            ))}
+          </div>
+
+          {hasMore && (
+            <div className="flex justify-center">
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setSize(size + 1)}
+                disabled={isLoadingMore}
+                className={`px-4 py-2 rounded-lg font-medium ${
+                  isDarkMode ? 'bg-gray-800 hover:bg-gray-700' : 'bg-white hover:bg-gray-200'
+                } shadow`}
+              >
+                {isLoadingMore ? 'Loading...' : 'Load more'}
+              </motion.button>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
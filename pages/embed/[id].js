@@ -0,0 +1,147 @@
+import { memo, useEffect, useMemo } from 'react';
+import Head from 'next/head';
+import { getStore } from '../../lib/storage';
+import { getIdentity } from '../../lib/identity';
+import { canServeRaw, setCacheControl } from '../../lib/items';
+import { checkRateLimit } from '../../lib/rateLimit';
+import { highlightLines } from '../../lib/highlight';
+import { getLanguageLabel } from '../../lib/languages';
+
+// Memoized EmbedFile component: one highlighted, numbered file
+const _EmbedFile = ({ file, isDarkMode }) => {
+  const lines = useMemo(() => highlightLines(file.text, file.language), [file.text, file.language]);
+
+  return (
+    <div className="font-mono text-sm overflow-x-auto py-2">
+      {lines.map((parts, index) => (
+        <div key={index} className="flex">
+          <span className={`shrink-0 w-12 pr-4 text-right select-none ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+            {index + 1}
+          </span>
+          <span className="pr-4 whitespace-pre">
+            {parts.length ? parts.map((part, partIndex) => (
+              <span key={partIndex} className={part.types.length ? `token ${part.types.join(' ')}` : undefined}>
+                {part.content}
+              </span>
+            )) : ' '}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const EmbedFile = memo(_EmbedFile);
+EmbedFile.displayName = 'EmbedFile';
+
+/*
+ * A snippet on its own, to be shown in an iframe on other sites (see public/embed.js).
+ * It tells the page around it how tall it is, so the iframe can fit it without scrolling.
+ */
+export default function EmbedPage({ snippet, error, theme }) {
+  const isDarkMode = theme === 'dark';
+
+  useEffect(() => {
+    if (window.parent === window) return;
+
+    const postHeight = () => {
+      window.parent.postMessage({
+        type: 'textide:embed',
+        id: snippet?.id || null,
+        height: document.documentElement.scrollHeight,
+      }, '*');
+    };
+    postHeight();
+
+    const observer = new ResizeObserver(postHeight);
+    observer.observe(document.body);
+    return () => observer.disconnect();
+  }, [snippet]);
+
+  return (
+    <div className={`min-h-0 rounded-lg border overflow-hidden ${
+      isDarkMode ? 'bg-gray-800 text-gray-100 border-gray-700 code-dark' : 'bg-white text-gray-900 border-gray-200 code-light'
+    }`}>
+      <Head>
+        <title>{snippet ? 'Snippet - textide' : 'textide'}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      {error ? (
+        <p className="p-4 text-sm">{error}</p>
+      ) : snippet.files.map((file, index) => (
+        <div key={index} className={index > 0 ? `border-t ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}` : ''}>
+          {file.name && (
+            <div className={`px-4 py-2 text-xs font-mono ${isDarkMode ? 'bg-gray-700/50' : 'bg-gray-50'}`}>
+              {file.name}
+            </div>
+          )}
+          <EmbedFile file={file} isDarkMode={isDarkMode} />
+        </div>
+      ))}
+
+      <div className={`px-4 py-2 flex items-center justify-between text-xs border-t ${
+        isDarkMode ? 'border-gray-700 text-gray-400' : 'border-gray-200 text-gray-500'
+      }`}>
+        <span>{snippet?.files ? getLanguageLabel(snippet.files[0].language) : ''}</span>
+        <span className="flex items-center gap-3">
+          {snippet?.files && (
+            <a href={`/raw/${snippet.id}`} target="_blank" rel="noopener noreferrer" className="hover:underline">
+              Raw
+            </a>
+          )}
+          <a
+            href={snippet ? `/share/${snippet.id}` : '/'}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="font-medium hover:underline"
+          >
+            textide
+          </a>
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// Embeds are rendered on the server, so the host page doesn't wait for the snippet to load
+export async function getServerSideProps({ req, res, params, query }) {
+  const theme = query.theme === 'dark' ? 'dark' : 'light';
+
+  const store = await getStore();
+  const item = await store.get(params.id);
+  const identity = await getIdentity(req, res);
+
+  const limited = checkRateLimit(req, identity, 'read');
+  if (limited) {
+    res.statusCode = 429;
+    res.setHeader('Retry-After', String(limited.retryAfter));
+    return { props: { snippet: null, error: 'Too many requests, please try again in a moment', theme } };
+  }
+
+  // Expired, deleted and hidden items aren't embedded, nor burn-after-reading ones or someone else's private ones
+  if (!canServeRaw(item, identity)) {
+    return { notFound: true };
+  }
+
+  setCacheControl(res, item);
+
+  if (item.encrypted) {
+    return {
+      props: { snippet: { id: item.id, files: null }, error: 'This snippet is encrypted and can only be read on its own page.', theme },
+    };
+  }
+
+  // A single text is shown like a bundle with one unnamed file
+  const language = item.format === 'markdown' ? 'markdown' : item.format === 'plain' ? 'plaintext' : item.language;
+  return {
+    props: {
+      snippet: {
+        id: item.id,
+        files: item.files || [{ name: null, language: language || 'plaintext', text: item.text }],
+      },
+      error: null,
+      theme,
+    },
+  };
+}
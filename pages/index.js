@@ -1,12 +1,47 @@
 import { useState, useCallback, useRef, useEffect, memo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { FiSun, FiMoon, FiCopy, FiHeart, FiShare2, FiExternalLink, FiX } from 'react-icons/fi';
+import { FiSun, FiMoon, FiCopy, FiHeart, FiShare2, FiExternalLink, FiX, FiTrash2, FiClock, FiLock, FiEye, FiCode, FiFileText, FiSearch, FiFolder, FiPaperclip, FiPlus, FiGitBranch } from 'react-icons/fi';
 import toast, { Toaster } from 'react-hot-toast';
 import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { useSession } from 'next-auth/react';
+import useSWR from 'swr';
+import UserMenu from '../components/UserMenu';
+import MarkdownView from '../components/MarkdownView';
+import { showUndoToast } from '../components/UndoToast';
+import SecretWarning from '../components/SecretWarning';
+import PendingAttachments from '../components/PendingAttachments';
+import BundleEditor from '../components/BundleEditor';
+import useClipboardEvents from '../hooks/useClipboardEvents';
+import { fetcher } from '../lib/fetcher';
+import { EXPIRY_OPTIONS, DEFAULT_EXPIRY } from '../lib/expiry';
+import { createKey, encryptText } from '../lib/encryption';
+import { VISIBILITY_OPTIONS, DEFAULT_VISIBILITY } from '../lib/visibility';
+import { redactSecrets, scanSecrets } from '../lib/secrets';
+import { LANGUAGE_OPTIONS, AUTO_LANGUAGE, FORMAT_OPTIONS, DEFAULT_FORMAT, detectLanguage } from '../lib/languages';
+import {
+  ATTACHMENT_TYPES, MAX_ATTACHMENT_SIZE, MAX_ATTACHMENTS, MAX_ATTACHMENTS_SIZE, formatBytes, isImageType,
+} from '../lib/attachments/types';
+import { formatBundleText, getDefaultFileName } from '../lib/bundles';
+
+// Helper to read a file for upload: its contents as base64, without the data URL prefix
+function readAttachment(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve({
+      name: file.name,
+      type: file.type,
+      data: reader.result.slice(reader.result.indexOf(',') + 1),
+    });
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
 
 // Memoized ClipboardItem component
 const _ClipboardItem = ({ item, isDarkMode, onOpen }) => {
   const [isLiking, setIsLiking] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
 
   // Function to truncate text
   const truncateText = (text, maxLength = 100) => {
@@ -38,6 +73,47 @@ const _ClipboardItem = ({ item, isDarkMode, onOpen }) => {
     }
   };
 
+  const handleRestore = async () => {
+    try {
+      const response = await fetch('/api/clipboard', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: item.id, action: 'restore' }),
+      });
+
+      if (!response.ok) throw new Error('Failed to restore');
+
+      toast.success('Restored');
+      onOpen(true);
+    } catch (error) {
+      console.error('Error:', error);
+      toast.error('Failed to restore');
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.stopPropagation();
+    if (isDeleting) return;
+
+    setIsDeleting(true);
+    try {
+      const response = await fetch('/api/clipboard', {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: item.id }),
+      });
+
+      if (!response.ok) throw new Error('Failed to delete');
+
+      showUndoToast('Deleted', handleRestore);
+      onOpen(true);
+    } catch (error) {
+      console.error('Error:', error);
+      toast.error('Failed to delete');
+      setIsDeleting(false);
+    }
+  };
+
   return (
     <motion.div
       layout
@@ -50,9 +126,18 @@ const _ClipboardItem = ({ item, isDarkMode, onOpen }) => {
         isDarkMode ? 'bg-gray-800 hover:bg-gray-700' : 'bg-white hover:bg-gray-50'
       } shadow-lg transition-colors`}
     >
-      <p className="mb-3 font-mono text-sm line-clamp-2 break-all">
-        {truncateText(item.text)}
-      </p>
+      {item.encrypted ? (
+        <p className={`mb-3 text-sm flex items-center gap-2 ${
+          isDarkMode ? 'text-gray-400' : 'text-gray-500'
+        }`}>
+          <FiLock size={14} />
+          <span>Encrypted snippet</span>
+        </p>
+      ) : (
+        <p className="mb-3 font-mono text-sm line-clamp-2 break-all">
+          {truncateText(item.text)}
+        </p>
+      )}
       <div className="flex items-center justify-between text-sm">
         <motion.button
           whileHover={{ scale: 1.1 }}
@@ -70,9 +155,41 @@ const _ClipboardItem = ({ item, isDarkMode, onOpen }) => {
           />
           <span>{item.likesCount || 0}</span>
         </motion.button>
-        <span className={isDarkMode ? 'text-gray-400' : 'text-gray-500'}>
-          {new Date(item.createdAt).toLocaleDateString()}
-        </span>
+        <div className="flex items-center gap-3">
+          {item.files && (
+            <span
+              className={`flex items-center gap-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}
+              title="Files"
+            >
+              <FiFileText size={14} />
+              {item.files.length}
+            </span>
+          )}
+          {item.attachments?.length > 0 && (
+            <span
+              className={`flex items-center gap-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}
+              title="Attachments"
+            >
+              <FiPaperclip size={14} />
+              {item.attachments.length}
+            </span>
+          )}
+          <span className={isDarkMode ? 'text-gray-400' : 'text-gray-500'}>
+            {new Date(item.createdAt).toLocaleDateString()}
+          </span>
+          {item.isOwner && (
+            <motion.button
+              whileHover={{ scale: 1.1 }}
+              whileTap={{ scale: 0.9 }}
+              onClick={handleDelete}
+              disabled={isDeleting}
+              className={`${isDarkMode ? 'text-gray-400' : 'text-gray-500'} hover:text-red-500`}
+              aria-label="Delete"
+            >
+              <FiTrash2 className={isDeleting ? 'animate-pulse' : ''} />
+            </motion.button>
+          )}
+        </div>
       </div>
     </motion.div>
   );
@@ -81,6 +198,84 @@ const _ClipboardItem = ({ item, isDarkMode, onOpen }) => {
 const ClipboardItem = memo(_ClipboardItem);
 ClipboardItem.displayName = 'ClipboardItem';
 
+// Memoized ToggleSwitch component
+const _ToggleSwitch = ({ label, checked, onChange, isDarkMode }) => (
+  <motion.button
+    type="button"
+    whileHover={{ scale: 1.02 }}
+    whileTap={{ scale: 0.98 }}
+    onClick={() => onChange(!checked)}
+    className={`group flex items-center gap-3 px-4 py-2 rounded-lg transition-colors ${
+      isDarkMode 
+        ? 'hover:bg-gray-700/50' 
+        : 'hover:bg-gray-100'
+    }`}
+  >
+    <div className="relative">
+      <div
+        className={`w-10 h-6 rounded-full transition-colors ${
+          checked
+            ? 'bg-blue-500'
+            : isDarkMode
+            ? 'bg-gray-600'
+            : 'bg-gray-300'
+        }`}
+      />
+      <div
+        className={`absolute left-1 top-1 w-4 h-4 rounded-full bg-white transition-transform transform ${
+          checked ? 'translate-x-4' : 'translate-x-0'
+        }`}
+      />
+    </div>
+    <span className={`text-sm ${
+      checked 
+        ? isDarkMode ? 'text-blue-400' : 'text-blue-600'
+        : isDarkMode ? 'text-gray-400' : 'text-gray-600'
+    } group-hover:text-opacity-75 transition-colors`}>
+      {label}
+    </span>
+  </motion.button>
+);
+
+const ToggleSwitch = memo(_ToggleSwitch);
+ToggleSwitch.displayName = 'ToggleSwitch';
+
+// Memoized OptionSelect component
+const _OptionSelect = ({ icon: Icon, label, value, options, onChange, isDarkMode }) => (
+  <label className={`flex items-center gap-2 text-sm ${
+    isDarkMode ? 'text-gray-400' : 'text-gray-600'
+  }`}>
+    <Icon size={16} />
+    <span className="sr-only">{label}</span>
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className={`px-3 py-2 rounded-lg focus:outline-none ${
+        isDarkMode ? 'bg-gray-700/50' : 'bg-gray-50'
+      }`}
+    >
+      {options.map(option => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+  </label>
+);
+
+const OptionSelect = memo(_OptionSelect);
+OptionSelect.displayName = 'OptionSelect';
+
+const LANGUAGE_SELECT_OPTIONS = [
+  { value: AUTO_LANGUAGE, label: 'Auto-detect' },
+  ...LANGUAGE_OPTIONS,
+];
+
+const EXPIRY_SELECT_OPTIONS = EXPIRY_OPTIONS.map(option => ({
+  value: option.value,
+  label: option.value === 'never' ? 'Never expires' : `Expires in ${option.label}`,
+}));
+
 // Memoized HistoryList component
 const _HistoryList = ({ items = [], onItemClick, isDarkMode }) => {
   // Get top 3 most liked items
@@ -118,56 +313,298 @@ const _HistoryList = ({ items = [], onItemClick, isDarkMode }) => {
 const HistoryList = memo(_HistoryList);
 HistoryList.displayName = 'HistoryList';
 
+const TOP_ITEMS_URL = '/api/clipboard?visibility=public&sort=likes&limit=3';
+
 // Main component
 export default function Home() {
   const [text, setText] = useState('');
   const [isEditable, setIsEditable] = useState(false);
+  const [expiresIn, setExpiresIn] = useState(DEFAULT_EXPIRY);
+  const [burnAfterReading, setBurnAfterReading] = useState(false);
+  const [isEncrypted, setIsEncrypted] = useState(false);
+  const [password, setPassword] = useState('');
+  const [visibility, setVisibility] = useState(DEFAULT_VISIBILITY);
+  const [language, setLanguage] = useState(AUTO_LANGUAGE);
+  const [format, setFormat] = useState(DEFAULT_FORMAT);
   const [isLoading, setIsLoading] = useState(false);
-  const [clipboards, setClipboards] = useState(null);
   const [isDarkMode, setIsDarkMode] = useState(false);
   const [lastSavedItem, setLastSavedItem] = useState(null);
+  const [secretFindings, setSecretFindings] = useState(null);
+  const [files, setFiles] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  // The files being written when the snippet is a bundle, or null for a single text
+  const [bundle, setBundle] = useState(null);
+  const [forkedFrom, setForkedFrom] = useState(null);
   const textareaRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const fileKeyRef = useRef(0);
+  const forkIdRef = useRef(null);
+  const { status: sessionStatus } = useSession();
+  const router = useRouter();
 
   // Fetch clipboard data
-  const fetchClipboards = useCallback(async () => {
-    try {
-      const response = await fetch('/api/clipboard');
-      if (!response.ok) throw new Error('Failed to fetch');
-      const data = await response.json();
-      setClipboards(data);
-    } catch (error) {
+  const { data: topItems, error: topItemsError, mutate: fetchClipboards } = useSWR(TOP_ITEMS_URL, fetcher, {
+    onError: (error) => {
       console.error('Error:', error);
-      toast.error('Failed to load data');
-    }
-  }, []);
+      toast.error('Failed to load data', { id: 'top-items' });
+    },
+  });
+  const clipboards = topItems?.items;
+
+  // Any change to a listed item can reorder the top list, so reload it
+  useClipboardEvents(useCallback(() => {
+    fetchClipboards();
+  }, [fetchClipboards]));
 
   useEffect(() => {
     // Check system preference for dark mode
     if (window.matchMedia('(prefers-color-scheme: dark)').matches) {
       setIsDarkMode(true);
     }
-    // Initial fetch
-    fetchClipboards();
-  }, [fetchClipboards]);
+  }, []);
+
+  useEffect(() => {
+    if (sessionStatus !== 'authenticated') return;
+
+    // Move anything created anonymously in this browser to the signed-in account
+    const claimItems = async () => {
+      try {
+        const response = await fetch('/api/clipboard/claim', { method: 'POST' });
+        if (!response.ok) throw new Error('Failed to claim');
+        const data = await response.json();
+        if (data.claimed > 0) {
+          toast.success(`${data.claimed} snippet${data.claimed === 1 ? '' : 's'} added to your account`);
+          fetchClipboards();
+        }
+      } catch (error) {
+        console.error('Error:', error);
+      }
+    };
+    claimItems();
+  }, [sessionStatus, fetchClipboards]);
+
+  useEffect(() => {
+    const forkId = router.query.fork;
+    if (!router.isReady || typeof forkId !== 'string' || forkIdRef.current === forkId) return;
+    forkIdRef.current = forkId;
+
+    // Start from a copy of another snippet (/?fork=<id>); saving it links back to the original
+    const loadFork = async () => {
+      try {
+        // ?fork=1 loads it without counting a view, and refuses burn-after-reading snippets
+        const response = await fetch(`/api/clipboard/${encodeURIComponent(forkId)}?fork=1`);
+        const data = await response.json();
+        if (response.status === 400) {
+          toast.error(data.error);
+          return;
+        }
+        if (!response.ok) throw new Error('Failed to fetch');
+        if (data.encrypted) {
+          toast.error('Encrypted snippets can\'t be forked');
+          return;
+        }
+
+        if (data.files) {
+          setBundle(data.files.length > 1 ? data.files : null);
+          setText(data.files.length > 1 ? '' : data.files[0].text);
+          setLanguage(data.files[0].language);
+        } else {
+          setBundle(null);
+          setText(data.text);
+          setLanguage(data.language);
+          setFormat(data.format);
+        }
+        setSecretFindings(null);
+        setForkedFrom({ id: data.id, visibility: data.visibility });
+      } catch (error) {
+        console.error('Error:', error);
+        toast.error('Failed to load the snippet to fork');
+      } finally {
+        router.replace('/', undefined, { shallow: true });
+      }
+    };
+    loadFork();
+  }, [router]);
 
   const handleTextChange = useCallback((e) => {
     setText(e.target.value);
+    setSecretFindings(null);
+  }, []);
+
+  // Turn the text into the first file of a bundle and open a second one
+  const startBundle = useCallback(() => {
+    const firstLanguage = language === AUTO_LANGUAGE ? (text.trim() ? detectLanguage(text) : 'plaintext') : language;
+    setBundle([
+      { name: getDefaultFileName(0, firstLanguage), language, text },
+      { name: getDefaultFileName(1, 'plaintext'), language: AUTO_LANGUAGE, text: '' },
+    ]);
+    setFormat(DEFAULT_FORMAT);
+    setText('');
+  }, [language, text]);
+
+  // Down to one file, the composer goes back to a single text
+  const handleBundleChange = useCallback((nextFiles) => {
+    if (nextFiles.length === 1) {
+      setText(nextFiles[0].text);
+      setLanguage(nextFiles[0].language);
+      setBundle(null);
+    } else {
+      setBundle(nextFiles);
+    }
+    setSecretFindings(null);
   }, []);
 
+  // Queue files for the next save, checking the limits the server enforces
+  const addFiles = useCallback((incoming) => {
+    let totalSize = files.reduce((sum, { file }) => sum + file.size, 0);
+    const accepted = [];
+
+    for (const file of incoming) {
+      if (files.length + accepted.length >= MAX_ATTACHMENTS) {
+        toast.error(`At most ${MAX_ATTACHMENTS} files can be attached`);
+        break;
+      }
+      // Unknown types are left to the server, which checks the contents
+      if (file.type && !ATTACHMENT_TYPES.includes(file.type) && !file.type.startsWith('text/')) {
+        toast.error(`${file.name} can't be attached`);
+        continue;
+      }
+      if (!file.size || file.size > MAX_ATTACHMENT_SIZE) {
+        toast.error(file.size ? `${file.name} is larger than ${formatBytes(MAX_ATTACHMENT_SIZE)}` : `${file.name} is empty`);
+        continue;
+      }
+      if (totalSize + file.size > MAX_ATTACHMENTS_SIZE) {
+        toast.error(`Attachments can't add up to more than ${formatBytes(MAX_ATTACHMENTS_SIZE)}`);
+        break;
+      }
+
+      totalSize += file.size;
+      fileKeyRef.current += 1;
+      accepted.push({
+        key: fileKeyRef.current,
+        file,
+        previewUrl: isImageType(file.type) ? URL.createObjectURL(file) : null,
+      });
+    }
+
+    if (accepted.length) setFiles(prev => [...prev, ...accepted]);
+  }, [files]);
+
+  const removeFile = useCallback((key) => {
+    setFiles((prev) => {
+      const removed = prev.find(entry => entry.key === key);
+      if (removed?.previewUrl) URL.revokeObjectURL(removed.previewUrl);
+      return prev.filter(entry => entry.key !== key);
+    });
+  }, []);
+
+  const clearFiles = useCallback(() => {
+    setFiles((prev) => {
+      prev.forEach(({ previewUrl }) => previewUrl && URL.revokeObjectURL(previewUrl));
+      return [];
+    });
+  }, []);
+
+  // Pasting a screenshot or a copied file attaches it; pasted text still goes into the textarea
+  const handlePaste = useCallback((e) => {
+    const pasted = [...e.clipboardData.files];
+    if (!pasted.length || e.clipboardData.types.includes('text/plain')) return;
+    e.preventDefault();
+    addFiles(pasted);
+  }, [addFiles]);
+
+  const handleDragOver = useCallback((e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    setIsDragging(true);
+  }, []);
+
+  const handleDragLeave = useCallback((e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false);
+  }, []);
+
+  const handleDrop = useCallback((e) => {
+    if (!e.dataTransfer.files.length) return;
+    e.preventDefault();
+    setIsDragging(false);
+    addFiles([...e.dataTransfer.files]);
+  }, [addFiles]);
+
+  // Everything that's being saved, as one text: the bundle's files are checked together
+  const content = bundle ? formatBundleText(bundle) : text;
+  const hasText = bundle ? bundle.some(file => file.text.trim()) : Boolean(text.trim());
+
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!text.trim() || isLoading) return;
+    if ((!hasText && !files.length) || isLoading) return;
+
+    if (bundle && isEncrypted) {
+      toast.error('Snippets with several files can\'t be encrypted yet');
+      return;
+    }
+
+    if (files.length && (isEncrypted || burnAfterReading)) {
+      toast.error('Files can\'t be attached to encrypted or burn-after-reading snippets');
+      return;
+    }
 
+    // Warn before plain text with keys or tokens in it is published; encrypted text stays unreadable
+    if (!isEncrypted) {
+      const findings = scanSecrets(content);
+      if (findings.length) {
+        setSecretFindings(findings);
+        return;
+      }
+    }
+
+    await saveText(text, bundle);
+  };
+
+  const handleRedactAndSave = async () => {
+    if (isLoading) return;
+
+    // Each file of a bundle is redacted on its own, so the offsets stay right
+    const redacted = bundle ? text : redactSecrets(text, secretFindings);
+    const redactedFiles = bundle && bundle.map(file => ({ ...file, text: redactSecrets(file.text) }));
+    setText(redacted);
+    setBundle(redactedFiles);
+    setSecretFindings(null);
+    await saveText(redacted, redactedFiles);
+  };
+
+  const saveText = async (textToSave, filesToSave) => {
     setIsLoading(true);
     try {
+      // Detect the language before encrypting, since the server can't see the text afterwards.
+      // Bundles leave AUTO to the server, which also looks at the file names.
+      const itemLanguage = language === AUTO_LANGUAGE && !filesToSave ? detectLanguage(textToSave) : language;
+
+      // Encrypt in the browser; only the ciphertext is sent to the server
+      let payload = filesToSave ? { files: filesToSave } : { text: textToSave };
+      let fragmentKey = null;
+      if (isEncrypted) {
+        const created = await createKey({ password });
+        payload = await encryptText(textToSave, created.key, created.params);
+        fragmentKey = created.fragmentKey;
+      }
+
+      const attachments = files.length ? await Promise.all(files.map(({ file }) => readAttachment(file))) : undefined;
+
       const response = await fetch('/api/clipboard', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({ 
-          text,
-          editable: isEditable 
+          ...payload,
+          attachments,
+          forkedFrom: forkedFrom?.id,
+          editable: isEditable,
+          expiresIn,
+          burnAfterReading,
+          visibility,
+          language: itemLanguage,
+          format,
         }),
       });
 
@@ -178,14 +615,21 @@ export default function Home() {
       }
 
       setText('');
+      setBundle(null);
+      setForkedFrom(null);
+      setPassword('');
+      clearFiles();
       
-      // Add new item to the list
-      setClipboards(prev => [data, ...(prev || [])]);
+      // New public items may belong in the top list
+      if (data.visibility === 'public') {
+        fetchClipboards();
+      }
 
-      // Set last saved item for success actions
+      // Set last saved item for success actions.
+      // The key stays in the fragment, which browsers never send to the server.
       setLastSavedItem({
         id: data.id,
-        shareLink: `${window.location.origin}/share/${data.id}`
+        shareLink: `${window.location.origin}/share/${data.id}${fragmentKey ? `#key=${fragmentKey}` : ''}`
       });
 
       toast.success('Saved successfully!');
@@ -225,7 +669,7 @@ export default function Home() {
   }, []);
 
   // Loading state
-  if (!clipboards) {
+  if (!clipboards && !topItemsError) {
     return (
       <div className="min-h-screen flex flex-col justify-center items-center bg-gray-900">
         <p className="text-lg font-bold text-white">Loading...</p>
@@ -255,16 +699,37 @@ export default function Home() {
             </span>
           </Link>
         </h1>
-        <motion.button
-          whileHover={{ rotate: 180 }}
-          onClick={toggleTheme}
-          className={`p-2 rounded-full ${
-            isDarkMode ? 'bg-gray-700' : 'bg-gray-200'
-          } hover:bg-opacity-80`}
-          aria-label="Toggle theme"
-        >
-          {isDarkMode ? <FiSun size={20} /> : <FiMoon size={20} />}
-        </motion.button>
+        <div className="flex items-center gap-3">
+          <Link
+            href="/browse"
+            className={`px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-2 ${
+              isDarkMode ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-100 hover:bg-gray-200'
+            } transition-colors`}
+          >
+            <FiSearch size={16} />
+            <span>Browse</span>
+          </Link>
+          <Link
+            href="/mine"
+            className={`px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-2 ${
+              isDarkMode ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-100 hover:bg-gray-200'
+            } transition-colors`}
+          >
+            <FiFolder size={16} />
+            <span>My snippets</span>
+          </Link>
+          <UserMenu isDarkMode={isDarkMode} />
+          <motion.button
+            whileHover={{ rotate: 180 }}
+            onClick={toggleTheme}
+            className={`p-2 rounded-full ${
+              isDarkMode ? 'bg-gray-700' : 'bg-gray-200'
+            } hover:bg-opacity-80`}
+            aria-label="Toggle theme"
+          >
+            {isDarkMode ? <FiSun size={20} /> : <FiMoon size={20} />}
+          </motion.button>
+        </div>
       </motion.header>
 
       {/* Main Content */}
@@ -277,64 +742,229 @@ export default function Home() {
                 isDarkMode ? 'bg-gray-800' : 'bg-white'
               } shadow-lg`}
             >
-              <div className="flex items-center justify-between mb-4">
-                <motion.button
-                  type="button"
-                  whileHover={{ scale: 1.02 }}
-                  whileTap={{ scale: 0.98 }}
-                  onClick={() => setIsEditable(!isEditable)}
-                  className={`group flex items-center gap-3 px-4 py-2 rounded-lg transition-colors ${
-                    isDarkMode 
-                      ? 'hover:bg-gray-700/50' 
-                      : 'hover:bg-gray-100'
-                  }`}
-                >
-                  <div className="relative">
-                    <div
-                      className={`w-10 h-6 rounded-full transition-colors ${
-                        isEditable
-                          ? 'bg-blue-500'
-                          : isDarkMode
-                          ? 'bg-gray-600'
-                          : 'bg-gray-300'
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                <div className="flex flex-wrap items-center gap-2">
+                  <ToggleSwitch
+                    label="Allow Editing"
+                    checked={isEditable}
+                    onChange={setIsEditable}
+                    isDarkMode={isDarkMode}
+                  />
+                  <ToggleSwitch
+                    label="Burn after reading"
+                    checked={burnAfterReading}
+                    onChange={setBurnAfterReading}
+                    isDarkMode={isDarkMode}
+                  />
+                  <ToggleSwitch
+                    label="Encrypt"
+                    checked={isEncrypted}
+                    onChange={setIsEncrypted}
+                    isDarkMode={isDarkMode}
+                  />
+                </div>
+                <div className="flex flex-wrap items-center gap-3">
+                  {/* Every file of a bundle has its own language and is shown as code */}
+                  {!bundle && (
+                    <>
+                      <OptionSelect
+                        icon={FiFileText}
+                        label="Format"
+                        value={format}
+                        options={FORMAT_OPTIONS}
+                        onChange={setFormat}
+                        isDarkMode={isDarkMode}
+                      />
+                      <OptionSelect
+                        icon={FiCode}
+                        label="Language"
+                        value={language}
+                        options={LANGUAGE_SELECT_OPTIONS}
+                        onChange={setLanguage}
+                        isDarkMode={isDarkMode}
+                      />
+                    </>
+                  )}
+                  <OptionSelect
+                    icon={FiEye}
+                    label="Visibility"
+                    value={visibility}
+                    options={VISIBILITY_OPTIONS}
+                    onChange={setVisibility}
+                    isDarkMode={isDarkMode}
+                  />
+                  <OptionSelect
+                    icon={FiClock}
+                    label="Expires after"
+                    value={expiresIn}
+                    options={EXPIRY_SELECT_OPTIONS}
+                    onChange={setExpiresIn}
+                    isDarkMode={isDarkMode}
+                  />
+                </div>
+              </div>
+
+              {forkedFrom && (
+                <div className={`mb-4 p-3 rounded-lg text-sm flex items-center gap-2 ${
+                  isDarkMode ? 'bg-gray-700/50 text-gray-300' : 'bg-gray-50 text-gray-600'
+                }`}>
+                  <FiGitBranch size={16} className="shrink-0" />
+                  <span className="flex-1">
+                    {forkedFrom.visibility === 'public'
+                      ? <>Forking <Link href={`/share/${forkedFrom.id}`} className="underline">a snippet</Link>. Your copy will link back to it.</>
+                      : 'Forking a snippet. It isn\'t public, so your copy won\'t link back to it.'}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => setForkedFrom(null)}
+                    className={`p-1 rounded-full ${isDarkMode ? 'hover:bg-gray-600' : 'hover:bg-gray-200'}`}
+                    aria-label="Don't link back to the original"
+                  >
+                    <FiX size={14} />
+                  </button>
+                </div>
+              )}
+
+              {isEncrypted && (
+                <div className={`mb-4 p-3 rounded-lg text-sm ${
+                  isDarkMode ? 'bg-gray-700/50 text-gray-300' : 'bg-gray-50 text-gray-600'
+                }`}>
+                  <label className="flex flex-wrap items-center gap-2">
+                    <FiLock size={16} />
+                    <span>Password (optional)</span>
+                    <input
+                      type="password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      autoComplete="new-password"
+                      className={`flex-1 min-w-[12rem] px-3 py-1.5 rounded-lg focus:outline-none ${
+                        isDarkMode ? 'bg-gray-800' : 'bg-white'
                       }`}
                     />
-                    <div
-                      className={`absolute left-1 top-1 w-4 h-4 rounded-full bg-white transition-transform transform ${
-                        isEditable ? 'translate-x-4' : 'translate-x-0'
-                      }`}
+                  </label>
+                  <p className="mt-2">
+                    {password
+                      ? 'Readers will need this password. It is never sent to the server.'
+                      : 'A random key is added to the share link after #. Anyone with the full link can read it.'}
+                  </p>
+                </div>
+              )}
+
+              <motion.form
+                onSubmit={handleSubmit}
+                onDragOver={handleDragOver}
+                onDragLeave={handleDragLeave}
+                onDrop={handleDrop}
+                className={`w-full rounded-lg ${isDragging ? 'ring-2 ring-blue-500 ring-offset-4' : ''} ${
+                  isDarkMode ? 'ring-offset-gray-800' : 'ring-offset-white'
+                }`}
+              >
+                {bundle ? (
+                  <div className="mb-4">
+                    <BundleEditor
+                      files={bundle}
+                      onChange={handleBundleChange}
+                      isDarkMode={isDarkMode}
+                      textareaProps={{
+                        onPaste: handlePaste,
+                        onKeyDown: (e) => {
+                          if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                            handleSubmit(e);
+                          }
+                        },
+                        placeholder: 'Type or paste this file here...',
+                      }}
                     />
                   </div>
-                  <span className={`text-sm ${
-                    isEditable 
-                      ? isDarkMode ? 'text-blue-400' : 'text-blue-600'
-                      : isDarkMode ? 'text-gray-400' : 'text-gray-600'
-                  } group-hover:text-opacity-75 transition-colors`}>
-                    Allow Editing
-                  </span>
-                </motion.button>
-              </div>
-
-              <motion.form onSubmit={handleSubmit} className="w-full">
-                <div className="mb-4">
-                  <textarea
-                    ref={textareaRef}
-                    value={text}
-                    onChange={handleTextChange}
-                    onKeyDown={(e) => {
-                      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
-                        handleSubmit(e);
-                      }
+                ) : (
+                  <div className={`mb-4 ${format === 'markdown' ? 'grid grid-cols-1 md:grid-cols-2 gap-4' : ''}`}>
+                    <textarea
+                      ref={textareaRef}
+                      value={text}
+                      onChange={handleTextChange}
+                      onPaste={handlePaste}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                          handleSubmit(e);
+                        }
+                      }}
+                      placeholder="Type or paste your text here, or drop files to attach them..."
+                      className={`w-full p-4 rounded-lg font-mono text-sm min-h-[200px] resize-y ${
+                        isDarkMode
+                          ? 'bg-gray-700/50 focus:bg-gray-700/70'
+                          : 'bg-gray-50 focus:bg-gray-100'
+                      } focus:outline-none transition-colors`}
+                    />
+                    {format === 'markdown' && (
+                      <div
+                        className={`p-4 rounded-lg min-h-[200px] overflow-auto ${
+                          isDarkMode ? 'bg-gray-700/30' : 'bg-gray-50/50 border border-gray-100'
+                        }`}
+                        aria-label="Markdown preview"
+                      >
+                        {text.trim() ? (
+                          <MarkdownView text={text} isDarkMode={isDarkMode} />
+                        ) : (
+                          <p className={`text-sm ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                            Preview
+                          </p>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
+                {secretFindings && (
+                  <SecretWarning
+                    text={content}
+                    findings={secretFindings}
+                    isDarkMode={isDarkMode}
+                    isSaving={isLoading}
+                    onRedact={handleRedactAndSave}
+                    onDismiss={() => setSecretFindings(null)}
+                  />
+                )}
+                {files.length > 0 && (
+                  <PendingAttachments files={files} isDarkMode={isDarkMode} onRemove={removeFile} />
+                )}
+                <div className="flex items-center justify-between gap-2">
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    multiple
+                    onChange={(e) => {
+                      addFiles([...e.target.files]);
+                      e.target.value = '';
                     }}
-                    placeholder="Type or paste your text here..."
-                    className={`w-full p-4 rounded-lg font-mono text-sm min-h-[200px] resize-y ${
-                      isDarkMode
-                        ? 'bg-gray-700/50 focus:bg-gray-700/70'
-                        : 'bg-gray-50 focus:bg-gray-100'
-                    } focus:outline-none transition-colors`}
+                    className="hidden"
                   />
-                </div>
-                <div className="flex justify-end">
+                  <div className="flex items-center gap-2">
+                    <motion.button
+                      type="button"
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => fileInputRef.current?.click()}
+                      className={`px-4 py-2 rounded-lg text-sm font-medium flex items-center gap-2 ${
+                        isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'
+                      } transition-colors`}
+                    >
+                      <FiPaperclip size={16} />
+                      <span>Attach</span>
+                    </motion.button>
+                    {!bundle && (
+                      <motion.button
+                        type="button"
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={startBundle}
+                        className={`px-4 py-2 rounded-lg text-sm font-medium flex items-center gap-2 ${
+                          isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'
+                        } transition-colors`}
+                      >
+                        <FiPlus size={16} />
+                        <span>Add file</span>
+                      </motion.button>
+                    )}
+                  </div>
                   <motion.button
                     type="submit"
                     whileHover={{ scale: 1.05 }}
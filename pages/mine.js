@@ -0,0 +1,361 @@
+import { useState, useCallback, useEffect, memo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  FiSun, FiMoon, FiEye, FiCopy, FiHeart, FiLock, FiClock, FiEdit2, FiTrash2, FiGlobe, FiLink, FiUnlock, FiAlertTriangle,
+  FiEyeOff, FiPaperclip, FiFileText,
+} from 'react-icons/fi';
+import toast, { Toaster } from 'react-hot-toast';
+import Link from 'next/link';
+import useSWR from 'swr';
+import UserMenu from '../components/UserMenu';
+import { showUndoToast } from '../components/UndoToast';
+import useClipboardEvents from '../hooks/useClipboardEvents';
+import { fetcher } from '../lib/fetcher';
+import { EXPIRY_OPTIONS, formatTimeLeft } from '../lib/expiry';
+import { VISIBILITY_OPTIONS } from '../lib/visibility';
+import { getLanguageLabel } from '../lib/languages';
+
+const MINE_URL = '/api/clipboard/mine';
+
+const VISIBILITY_ICONS = { public: FiGlobe, unlisted: FiLink, private: FiLock };
+
+// Helper to describe when an item was last changed
+function formatLastEdit(item) {
+  return item.updatedAt
+    ? `Edited ${new Date(item.updatedAt).toLocaleString()}`
+    : `Created ${new Date(item.createdAt).toLocaleString()}`;
+}
+
+// Memoized MyItemRow component
+const _MyItemRow = ({ item, isSelected, onToggle, isDarkMode }) => {
+  const VisibilityIcon = VISIBILITY_ICONS[item.visibility];
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+
+  return (
+    <motion.div
+      layout
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, x: -20 }}
+      className={`p-4 rounded-xl shadow-lg flex items-start gap-4 ${
+        isSelected
+          ? isDarkMode ? 'bg-blue-900/30 ring-1 ring-blue-500' : 'bg-blue-50 ring-1 ring-blue-400'
+          : isDarkMode ? 'bg-gray-800' : 'bg-white'
+      } transition-colors`}
+    >
+      <input
+        type="checkbox"
+        checked={isSelected}
+        onChange={() => onToggle(item.id)}
+        className="mt-1 w-4 h-4 accent-blue-500"
+        aria-label={`Select ${item.id}`}
+      />
+      <div className="flex-1 min-w-0">
+        <Link href={`/share/${item.id}`} className="block hover:opacity-80 transition-opacity">
+          {item.encrypted ? (
+            <p className={`flex items-center gap-2 text-sm ${mutedClass}`}>
+              <FiLock size={14} />
+              <span>Encrypted snippet</span>
+            </p>
+          ) : (
+            <p className="font-mono text-sm whitespace-pre-wrap break-words max-h-16 overflow-hidden">
+              {item.text}
+            </p>
+          )}
+        </Link>
+        <div className={`mt-3 flex flex-wrap items-center gap-x-4 gap-y-1 text-xs ${mutedClass}`}>
+          <span className="flex items-center gap-1" title="Visibility">
+            <VisibilityIcon size={12} />
+            {VISIBILITY_OPTIONS.find(option => option.value === item.visibility).label}
+          </span>
+          <span className="flex items-center gap-1" title="Views">
+            <FiEye size={12} />
+            {item.viewCount}
+          </span>
+          <span className="flex items-center gap-1" title="Copies">
+            <FiCopy size={12} />
+            {item.copyCount}
+          </span>
+          <span className="flex items-center gap-1" title="Likes">
+            <FiHeart size={12} />
+            {item.likesCount}
+          </span>
+          <span className="flex items-center gap-1">
+            <FiEdit2 size={12} />
+            {formatLastEdit(item)}
+          </span>
+          <span className="flex items-center gap-1">
+            <FiClock size={12} />
+            {item.burnAfterReading
+              ? 'Burns after reading'
+              : item.expiresAt ? `Expires in ${formatTimeLeft(item.expiresAt)}` : 'Never expires'}
+          </span>
+          <span>{item.format === 'markdown' ? 'Markdown' : getLanguageLabel(item.language)}</span>
+          {item.files && (
+            <span className="flex items-center gap-1" title="Files">
+              <FiFileText size={12} />
+              {item.files.length}
+            </span>
+          )}
+          {item.attachments.length > 0 && (
+            <span className="flex items-center gap-1" title="Attachments">
+              <FiPaperclip size={12} />
+              {item.attachments.length}
+            </span>
+          )}
+          {item.flagged && (
+            <span
+              className="flex items-center gap-1 text-yellow-500"
+              title="The spam filter kept this snippet out of public lists and search"
+            >
+              <FiAlertTriangle size={12} />
+              Held for review
+            </span>
+          )}
+          {item.hidden && (
+            <span
+              className="flex items-center gap-1 text-yellow-500"
+              title="Reports hid this snippet from everyone else until a moderator reviews it"
+            >
+              <FiEyeOff size={12} />
+              Hidden
+            </span>
+          )}
+          {item.editableByOthers && (
+            <span className="flex items-center gap-1">
+              <FiUnlock size={12} />
+              Editable by anyone
+            </span>
+          )}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+const MyItemRow = memo(_MyItemRow);
+MyItemRow.displayName = 'MyItemRow';
+
+// Dashboard of everything the current visitor or signed-in user created
+export default function MinePage() {
+  const [isDarkMode, setIsDarkMode] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const { data, mutate } = useSWR(MINE_URL, fetcher, {
+    onError: (error) => {
+      console.error('Error:', error);
+      toast.error('Failed to load your snippets', { id: 'mine' });
+    },
+  });
+  const items = data?.items || [];
+
+  useEffect(() => {
+    // Check system preference for dark mode
+    if (window.matchMedia('(prefers-color-scheme: dark)').matches) {
+      setIsDarkMode(true);
+    }
+  }, []);
+
+  useEffect(() => {
+    // Forget selected items that are gone (deleted, expired or burned)
+    if (!data) return;
+    setSelected(prev => prev.filter(id => data.items.some(item => item.id === id)));
+  }, [data]);
+
+  // Likes, edits and deletes from other tabs and visitors show up right away
+  useClipboardEvents(useCallback(() => mutate(), [mutate]));
+
+  const toggleTheme = useCallback(() => {
+    setIsDarkMode(prev => !prev);
+  }, []);
+
+  const toggleItem = useCallback((id) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter(existing => existing !== id) : [...prev, id]));
+  }, []);
+
+  const allSelected = items.length > 0 && selected.length === items.length;
+  const toggleAll = () => setSelected(allSelected ? [] : items.map(item => item.id));
+
+  // Run one action against several items
+  const runBulkAction = async (ids, action, value) => {
+    const response = await fetch(MINE_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids, action, value }),
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Request failed');
+    return result;
+  };
+
+  const applyToSelected = async (action, value, successMessage) => {
+    if (!selected.length || isWorking) return;
+
+    const ids = selected;
+    setIsWorking(true);
+    try {
+      await runBulkAction(ids, action, value);
+      if (action === 'delete') {
+        setSelected([]);
+        showUndoToast(successMessage, async () => {
+          try {
+            await runBulkAction(ids, 'restore');
+            toast.success('Restored');
+            mutate();
+          } catch (error) {
+            console.error('Error:', error);
+            toast.error('Failed to restore');
+          }
+        });
+      } else {
+        toast.success(successMessage);
+      }
+      mutate();
+    } catch (error) {
+      console.error('Error:', error);
+      toast.error(error.message || 'Failed to update snippets');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const count = selected.length;
+  const countLabel = `${count} ${count === 1 ? 'snippet' : 'snippets'}`;
+  const controlClass = `px-3 py-2 rounded-lg text-sm font-medium ${
+    isDarkMode ? 'bg-gray-700/50 hover:bg-gray-700' : 'bg-gray-100 hover:bg-gray-200'
+  } transition-colors disabled:opacity-50`;
+
+  return (
+    <div
+      className={`min-h-screen flex flex-col ${
+        isDarkMode ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-900'
+      } transition-colors duration-500`}
+    >
+      <Toaster position="top-right" />
+
+      {/* Header */}
+      <motion.header
+        initial={{ opacity: 0, y: -50 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className={`sticky top-0 z-50 w-full px-4 py-3 ${
+          isDarkMode
+            ? 'bg-gray-900/80 border-gray-800'
+            : 'bg-white/80 border-gray-200'
+        } backdrop-blur-xl border-b flex items-center justify-between`}
+      >
+        <h1 className="text-xl sm:text-2xl md:text-3xl font-bold">
+          <Link href="/">
+            <span className="bg-clip-text text-transparent bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 transition-colors duration-300">
+              textide
+            </span>
+          </Link>
+        </h1>
+        <div className="flex items-center gap-3">
+          <UserMenu isDarkMode={isDarkMode} />
+          <motion.button
+            whileHover={{ rotate: 180 }}
+            onClick={toggleTheme}
+            className={`p-2 rounded-full ${
+              isDarkMode ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-100 hover:bg-gray-200'
+            } transition-colors`}
+            aria-label="Toggle theme"
+          >
+            {isDarkMode ? <FiSun size={20} /> : <FiMoon size={20} />}
+          </motion.button>
+        </div>
+      </motion.header>
+
+      {/* Main Content */}
+      <main className="flex-1 p-4 lg:p-6">
+        <div className="max-w-4xl mx-auto space-y-6">
+          <h2 className="text-lg font-semibold">My snippets</h2>
+
+          {/* Bulk actions */}
+          <div className={`sticky top-20 z-40 p-4 rounded-xl shadow-lg flex flex-wrap items-center gap-3 ${
+            isDarkMode ? 'bg-gray-800' : 'bg-white'
+          }`}>
+            <label className="flex items-center gap-2 text-sm mr-auto">
+              <input
+                type="checkbox"
+                checked={allSelected}
+                onChange={toggleAll}
+                disabled={!items.length}
+                className="w-4 h-4 accent-blue-500"
+              />
+              <span>{count ? `${countLabel} selected` : 'Select all'}</span>
+            </label>
+            <select
+              value=""
+              onChange={(e) => applyToSelected('visibility', e.target.value, `Updated ${countLabel}`)}
+              disabled={!count || isWorking}
+              className={controlClass}
+              aria-label="Change visibility"
+            >
+              <option value="" disabled>Visibility...</option>
+              {VISIBILITY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              value=""
+              onChange={(e) => applyToSelected('expiry', e.target.value, `Updated ${countLabel}`)}
+              disabled={!count || isWorking}
+              className={controlClass}
+              aria-label="Change expiry"
+            >
+              <option value="" disabled>Expires in...</option>
+              {EXPIRY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              value=""
+              onChange={(e) => applyToSelected('editable', e.target.value === 'true', `Updated ${countLabel}`)}
+              disabled={!count || isWorking}
+              className={controlClass}
+              aria-label="Change who can edit"
+            >
+              <option value="" disabled>Editing...</option>
+              <option value="true">Anyone can edit</option>
+              <option value="false">Only me</option>
+            </select>
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => applyToSelected('delete', null, `Deleted ${countLabel}`)}
+              disabled={!count || isWorking}
+              className={`${controlClass} flex items-center gap-2 hover:text-red-500`}
+            >
+              <FiTrash2 size={14} />
+              <span>Delete</span>
+            </motion.button>
+          </div>
+
+          {!data ? (
+            <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>Loading...</p>
+          ) : !items.length ? (
+            <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              You haven&apos;t saved anything yet. <Link href="/" className="text-blue-500 hover:underline">Create a snippet</Link>
+            </p>
+          ) : (
+            <div className="space-y-3">
+              <AnimatePresence>
+                {items.map(item => (
+                  <MyItemRow
+                    key={item.id}
+                    item={item}
+                    isSelected={selected.includes(item.id)}
+                    onToggle={toggleItem}
+                    isDarkMode={isDarkMode}
+                  />
+                ))}
+              </AnimatePresence>
+            </div>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -1,36 +1,357 @@
-import { useState, useCallback, useEffect, memo } from 'react';
+import { useState, useCallback, useEffect, useMemo, useRef, memo } from 'react';
 import { useRouter } from 'next/router';
 import { motion } from 'framer-motion';
-import { FiSun, FiMoon, FiCopy, FiHeart, FiEdit, FiSave, FiX } from 'react-icons/fi';
+import { FiSun, FiMoon, FiCopy, FiHeart, FiEdit, FiSave, FiX, FiTrash2, FiRotateCcw, FiClock, FiAlertTriangle, FiLock, FiUnlock, FiAlignLeft, FiCode, FiEye, FiGitCommit, FiBarChart2, FiFlag, FiEyeOff, FiGitBranch, FiFileText, FiColumns, FiList, FiDownload, FiExternalLink } from 'react-icons/fi';
 import toast, { Toaster } from 'react-hot-toast';
 import Link from 'next/link';
+import UserMenu from '../../components/UserMenu';
+import { showUndoToast } from '../../components/UndoToast';
+import MarkdownView from '../../components/MarkdownView';
+import RevisionHistory from '../../components/RevisionHistory';
+import MergeConflict from '../../components/MergeConflict';
+import CollabEditor from '../../components/CollabEditor';
+import AnalyticsPanel from '../../components/AnalyticsPanel';
+import ReportForm from '../../components/ReportForm';
+import AttachmentList from '../../components/AttachmentList';
+import BundleEditor from '../../components/BundleEditor';
+import useClipboardEvents from '../../hooks/useClipboardEvents';
+import { formatTimeLeft } from '../../lib/expiry';
+import { decryptText, encryptText, getFragmentKey, unlockKey } from '../../lib/encryption';
+import { highlightLines, parseLineRange, formatLineRangeHash } from '../../lib/highlight';
+import { getLanguageLabel } from '../../lib/languages';
+import { mergeText } from '../../lib/merge';
 
-// Memoized TextContent component
-const _TextContent = ({ text, isDarkMode, isEditing, onTextChange }) => (
-  <div className="w-full">
-    {isEditing ? (
-      <textarea
-        value={text}
-        onChange={(e) => onTextChange(e.target.value)}
-        className={`w-full p-4 rounded-lg font-mono text-sm min-h-[200px] resize-y ${
-          isDarkMode ? 'bg-gray-700/50 focus:bg-gray-700/70' : 'bg-gray-50 focus:bg-gray-100'
-        } focus:outline-none transition-colors`}
-      />
-    ) : (
-      <div
-        className={`w-full p-4 rounded-lg font-mono text-sm whitespace-pre-wrap break-words ${
-          isDarkMode ? 'bg-gray-700/50' : 'bg-gray-50'
-        }`}
-      >
-        {text}
+// Memoized TextContent component.
+// Line anchors (#L10) belong to the page, so only one TextContent on it should set `linkLines`.
+const _TextContent = ({ text, language, format, isDarkMode, isEditing, onTextChange, editor, linkLines = true }) => {
+  const [isWrapped, setIsWrapped] = useState(true);
+  const [isRaw, setIsRaw] = useState(false);
+  const [selectedRange, setSelectedRange] = useState(null);
+  const hasScrolledRef = useRef(false);
+  const isMarkdown = format === 'markdown';
+  const showRendered = isMarkdown && !isRaw;
+  const codeLanguage = isMarkdown ? 'markdown' : format === 'plain' ? 'plaintext' : language;
+  const lines = useMemo(() => highlightLines(text || '', codeLanguage), [text, codeLanguage]);
+
+  useEffect(() => {
+    if (!linkLines) return;
+
+    // Line anchors (#L10 or #L10-L20) can be shared, so follow the URL fragment
+    const readHash = () => setSelectedRange(parseLineRange(window.location.hash));
+    readHash();
+    window.addEventListener('hashchange', readHash);
+    return () => window.removeEventListener('hashchange', readHash);
+  }, [linkLines]);
+
+  useEffect(() => {
+    if (!selectedRange || hasScrolledRef.current || isEditing || showRendered) return;
+    hasScrolledRef.current = true;
+    document.getElementById(`L${selectedRange.start}`)?.scrollIntoView({ block: 'center' });
+  }, [selectedRange, isEditing, showRendered]);
+
+  const handleLineClick = useCallback((e, lineNumber) => {
+    e.preventDefault();
+
+    // Shift-click extends the current selection into a range
+    const range = e.shiftKey && selectedRange
+      ? {
+          start: Math.min(selectedRange.start, lineNumber),
+          end: Math.max(selectedRange.start, lineNumber),
+        }
+      : { start: lineNumber, end: lineNumber };
+
+    setSelectedRange(range);
+    const { pathname, search, hash } = window.location;
+    window.history.replaceState(null, '', `${pathname}${search}${formatLineRangeHash(hash, range)}`);
+  }, [selectedRange]);
+
+  if (isEditing) {
+    return (
+      <div className={`w-full ${isMarkdown ? 'grid grid-cols-1 lg:grid-cols-2 gap-4' : ''}`}>
+        {editor || (
+          <textarea
+            value={text}
+            onChange={(e) => onTextChange(e.target.value)}
+            className={`w-full p-4 rounded-lg font-mono text-sm min-h-[200px] resize-y ${
+              isDarkMode ? 'bg-gray-700/50 focus:bg-gray-700/70' : 'bg-gray-50 focus:bg-gray-100'
+            } focus:outline-none transition-colors`}
+          />
+        )}
+        {isMarkdown && (
+          <div className={`p-4 rounded-lg min-h-[200px] overflow-auto ${
+            isDarkMode ? 'bg-gray-700/30' : 'bg-gray-50/50 border border-gray-100'
+          }`}>
+            <MarkdownView text={text} isDarkMode={isDarkMode} />
+          </div>
+        )}
       </div>
-    )}
-  </div>
-);
+    );
+  }
+
+  const toolbarButtonClass = `flex items-center gap-1 px-2 py-1 rounded-md ${
+    isDarkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+  }`;
+
+  return (
+    <div className="w-full">
+      <div className={`flex items-center justify-between mb-2 text-xs ${
+        isDarkMode ? 'text-gray-400' : 'text-gray-500'
+      }`}>
+        <span>{isMarkdown ? 'Markdown' : format === 'plain' ? 'Plain text' : getLanguageLabel(language)}</span>
+        <div className="flex items-center gap-1">
+          {isMarkdown && (
+            <button onClick={() => setIsRaw(prev => !prev)} className={toolbarButtonClass}>
+              {isRaw ? <FiEye size={12} /> : <FiCode size={12} />}
+              <span>{isRaw ? 'Rendered' : 'Raw'}</span>
+            </button>
+          )}
+          {!showRendered && (
+            <button onClick={() => setIsWrapped(prev => !prev)} className={toolbarButtonClass}>
+              <FiAlignLeft size={12} />
+              <span>{isWrapped ? 'Wrap: on' : 'Wrap: off'}</span>
+            </button>
+          )}
+        </div>
+      </div>
+      {showRendered ? (
+        <div className={`w-full p-4 rounded-lg ${isDarkMode ? 'bg-gray-700/50' : 'bg-gray-50'}`}>
+          <MarkdownView text={text} isDarkMode={isDarkMode} />
+        </div>
+      ) : (
+        <div
+          className={`w-full py-4 rounded-lg font-mono text-sm ${
+            isWrapped ? '' : 'overflow-x-auto'
+          } ${isDarkMode ? 'bg-gray-700/50 code-dark' : 'bg-gray-50 code-light'}`}
+        >
+          {lines.map((parts, index) => {
+            const lineNumber = index + 1;
+            const isSelected = selectedRange
+              && lineNumber >= selectedRange.start
+              && lineNumber <= selectedRange.end;
+
+            return (
+              <div
+                key={lineNumber}
+                id={linkLines ? `L${lineNumber}` : undefined}
+                className={`flex ${
+                  isSelected ? (isDarkMode ? 'bg-yellow-500/20' : 'bg-yellow-100') : ''
+                }`}
+              >
+                {linkLines ? (
+                  <a
+                    href={`#L${lineNumber}`}
+                    onClick={(e) => handleLineClick(e, lineNumber)}
+                    className={`shrink-0 w-12 pr-4 text-right select-none ${
+                      isDarkMode ? 'text-gray-500 hover:text-gray-300' : 'text-gray-400 hover:text-gray-600'
+                    }`}
+                  >
+                    {lineNumber}
+                  </a>
+                ) : (
+                  <span className={`shrink-0 w-12 pr-4 text-right select-none ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                    {lineNumber}
+                  </span>
+                )}
+                <span className={`pr-4 ${isWrapped ? 'whitespace-pre-wrap break-words min-w-0' : 'whitespace-pre'}`}>
+                  {parts.length ? parts.map((part, partIndex) => (
+                    <span key={partIndex} className={part.types.length ? `token ${part.types.join(' ')}` : undefined}>
+                      {part.content}
+                    </span>
+                  )) : ' '}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
 
 const TextContent = memo(_TextContent);
 TextContent.displayName = 'TextContent';
 
+/*
+ * The files of a bundle, one tab at a time or all stacked up.
+ * Every file can be copied on its own or opened as plain text.
+ */
+const _BundleViewer = ({ itemId, files, isDarkMode, showRaw, onCopy }) => {
+  const [isStacked, setIsStacked] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const shown = isStacked ? files : [files[Math.min(activeIndex, files.length - 1)]];
+
+  const buttonClass = `flex items-center gap-1 px-2 py-1 rounded-md ${
+    isDarkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'
+  }`;
+
+  return (
+    <div className="w-full">
+      <div className="flex flex-wrap items-end justify-between gap-2 mb-3">
+        <div className="flex flex-wrap gap-1" role="tablist">
+          {!isStacked && files.map((file, index) => (
+            <button
+              key={file.name}
+              role="tab"
+              aria-selected={index === activeIndex}
+              onClick={() => setActiveIndex(index)}
+              className={`px-3 py-1.5 rounded-lg text-sm font-mono ${
+                index === activeIndex
+                  ? isDarkMode ? 'bg-gray-700' : 'bg-gray-200'
+                  : isDarkMode ? 'text-gray-400 hover:bg-gray-700/50' : 'text-gray-500 hover:bg-gray-100'
+              }`}
+            >
+              {file.name}
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={() => setIsStacked(prev => !prev)}
+          className={`${buttonClass} text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}
+        >
+          {isStacked ? <FiColumns size={12} /> : <FiList size={12} />}
+          <span>{isStacked ? 'Tabs' : `Show all ${files.length} files`}</span>
+        </button>
+      </div>
+      <div className="space-y-6">
+        {shown.map(file => (
+          <div key={file.name}>
+            <div className={`flex items-center gap-2 mb-2 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+              <FiFileText size={14} className="shrink-0" />
+              <span className="font-mono font-medium truncate">{file.name}</span>
+              <div className={`ml-auto flex items-center gap-1 text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                <button onClick={() => onCopy(file.text)} className={buttonClass}>
+                  <FiCopy size={12} />
+                  <span>Copy</span>
+                </button>
+                {showRaw && (
+                  <>
+                    <a
+                      href={`/raw/${itemId}?file=${encodeURIComponent(file.name)}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className={buttonClass}
+                    >
+                      <FiCode size={12} />
+                      <span>Raw</span>
+                    </a>
+                    <a href={`/download/${itemId}?file=${encodeURIComponent(file.name)}`} className={buttonClass}>
+                      <FiDownload size={12} />
+                      <span>Download</span>
+                    </a>
+                  </>
+                )}
+              </div>
+            </div>
+            <TextContent
+              text={file.text}
+              language={file.language}
+              format="code"
+              isDarkMode={isDarkMode}
+              linkLines={false}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const BundleViewer = memo(_BundleViewer);
+BundleViewer.displayName = 'BundleViewer';
+
+// Memoized ExpiryCountdown component
+const _ExpiryCountdown = ({ expiresAt, onExpire }) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!expiresAt) return;
+
+    const timer = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= new Date(expiresAt).getTime()) {
+        clearInterval(timer);
+        onExpire();
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [expiresAt, onExpire]);
+
+  return (
+    <span className="flex items-center gap-1">
+      <FiClock size={14} />
+      {expiresAt ? `Expires in ${formatTimeLeft(expiresAt, now)}` : 'Never expires'}
+    </span>
+  );
+};
+
+const ExpiryCountdown = memo(_ExpiryCountdown);
+ExpiryCountdown.displayName = 'ExpiryCountdown';
+
+// Memoized PasswordPrompt component
+const _PasswordPrompt = ({ isDarkMode, needsPassword, error, onUnlock }) => {
+  const [password, setPassword] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!password || isUnlocking) return;
+
+    setIsUnlocking(true);
+    await onUnlock({ password });
+    setIsUnlocking(false);
+  };
+
+  return (
+    <div
+      className={`w-full p-6 rounded-lg text-sm ${
+        isDarkMode ? 'bg-gray-700/50 text-gray-300' : 'bg-gray-50 text-gray-600'
+      }`}
+    >
+      <p className="flex items-center gap-2 mb-4">
+        <FiLock size={16} />
+        <span>
+          {needsPassword
+            ? 'This snippet is encrypted. Enter the password to read it.'
+            : 'This snippet is encrypted and the link is missing its key. Ask the sender for the full link.'}
+        </span>
+      </p>
+      {needsPassword && (
+        <form onSubmit={handleSubmit} className="flex flex-wrap gap-2">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            autoFocus
+            className={`flex-1 min-w-[12rem] px-3 py-2 rounded-lg focus:outline-none ${
+              isDarkMode ? 'bg-gray-800' : 'bg-white'
+            }`}
+          />
+          <motion.button
+            type="submit"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            disabled={isUnlocking}
+            className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
+              isDarkMode
+                ? 'bg-blue-600 hover:bg-blue-500'
+                : 'bg-blue-500 hover:bg-blue-400'
+            } text-white`}
+          >
+            <FiUnlock size={16} />
+            <span>{isUnlocking ? 'Unlocking...' : 'Unlock'}</span>
+          </motion.button>
+        </form>
+      )}
+      {error && <p className="mt-3 text-red-500">{error}</p>}
+    </div>
+  );
+};
+
+const PasswordPrompt = memo(_PasswordPrompt);
+PasswordPrompt.displayName = 'PasswordPrompt';
+
 export default function SharePage() {
   const router = useRouter();
   const { id } = router.query;
@@ -43,18 +364,42 @@ export default function SharePage() {
   const [error, setError] = useState(null);
   const [isEditing, setIsEditing] = useState(false);
   const [editedText, setEditedText] = useState('');
+  const [editedFiles, setEditedFiles] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [undoUntil, setUndoUntil] = useState(null);
+  const loadedIdRef = useRef(null);
+  const [cryptoKey, setCryptoKey] = useState(null);
+  const [decryptedText, setDecryptedText] = useState(null);
+  const [decryptError, setDecryptError] = useState(null);
+  const triedFragmentRef = useRef(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [isStatsOpen, setIsStatsOpen] = useState(false);
+  const [isReportOpen, setIsReportOpen] = useState(false);
+  const [hasReported, setHasReported] = useState(false);
+  const [editBase, setEditBase] = useState(null);
+  const [conflict, setConflict] = useState(null);
 
   // Fetch clipboard data
   const fetchClipboardItem = useCallback(async () => {
     if (!id) return;
     
     try {
-      const response = await fetch(`/api/clipboard/${id}`);
+      // Tell the server where the visitor came from, for the owner's stats
+      const query = document.referrer ? `?referrer=${encodeURIComponent(document.referrer)}` : '';
+      const response = await fetch(`/api/clipboard/${id}${query}`);
+      if (response.status === 404) {
+        setError('This snippet does not exist or has expired');
+        return;
+      }
+      if (response.status === 429) {
+        setError('Too many requests, please try again in a moment');
+        return;
+      }
       if (!response.ok) throw new Error('Failed to fetch');
       const data = await response.json();
       setItem(data);
-      setEditedText(data.text);
+      if (!data.encrypted) setEditedText(data.text);
       setHasLiked(data.hasLiked || false);
       setLikesCount(data.likesCount || 0);
     } catch (err) {
@@ -73,21 +418,125 @@ export default function SharePage() {
   }, []);
 
   useEffect(() => {
+    // Burn-after-reading items can only be fetched once, so never load the same id twice
+    if (!id || loadedIdRef.current === id) return;
+    loadedIdRef.current = id;
     fetchClipboardItem();
-  }, [fetchClipboardItem]);
+  }, [id, fetchClipboardItem]);
+
+  // Follow this item so likes and edits from others show up without reloading
+  const handleItemEvent = useCallback((type, data) => {
+    if (type === 'liked') {
+      setLikesCount(data.likesCount);
+      setHasLiked(data.hasLiked);
+    } else if (type === 'updated' && !isEditing) {
+      // While editing, the live session or the merge on save takes care of changes
+      setItem(prev => ({ ...prev, ...data.item }));
+      if (!data.item.encrypted) setEditedText(data.item.text);
+    } else if (type === 'deleted' && !item?.isOwner) {
+      setError('This snippet has been deleted');
+    }
+  }, [isEditing, item]);
+
+  useClipboardEvents(handleItemEvent, { id, enabled: Boolean(item) && !item.burned });
+
+  const handleExpire = useCallback(() => {
+    setIsEditing(false);
+    setError('This snippet has expired');
+  }, []);
 
   const toggleTheme = useCallback(() => {
     setIsDarkMode(prev => !prev);
   }, []);
 
-  const handleCopy = useCallback(async () => {
+  // Decrypt an encrypted item locally with the key from the URL fragment or a password
+  const handleUnlock = useCallback(async (keyOptions) => {
+    if (!item?.encrypted) return;
+
+    try {
+      const key = await unlockKey(item.encryption, keyOptions);
+      const plaintext = await decryptText(item.text, key, item.encryption);
+      setCryptoKey(key);
+      setDecryptedText(plaintext);
+      setEditedText(plaintext);
+      setDecryptError(null);
+    } catch (err) {
+      console.error('Error:', err);
+      setDecryptError('Could not decrypt this snippet. Check the password or link.');
+    }
+  }, [item]);
+
+  useEffect(() => {
+    if (!item?.encrypted) return;
+
+    // After a save the item is refetched; decrypt it again with the key we already have
+    if (cryptoKey) {
+      decryptText(item.text, cryptoKey, item.encryption)
+        .then((plaintext) => {
+          setDecryptedText(plaintext);
+          setEditedText(plaintext);
+        })
+        .catch((err) => {
+          console.error('Error:', err);
+          setDecryptError('Could not decrypt this snippet. Check the password or link.');
+        });
+      return;
+    }
+
+    const fragmentKey = getFragmentKey(window.location.hash);
+    if (fragmentKey && !triedFragmentRef.current) {
+      triedFragmentRef.current = true;
+      handleUnlock({ fragmentKey });
+    }
+  }, [item, cryptoKey, handleUnlock]);
+
+  // Revisions of encrypted items share the item's key, each with its own IV
+  const decryptRevision = useCallback(
+    revision => decryptText(revision.text, cryptoKey, revision.encryption),
+    [cryptoKey]
+  );
+
+  const displayedText = item?.encrypted ? decryptedText : item?.text;
+  const isLocked = Boolean(item?.encrypted) && decryptedText === null;
+
+  // Copy the whole text, or one file of a bundle, and count it for the owner
+  const copyText = useCallback(async (textToCopy) => {
     try {
-      await navigator.clipboard.writeText(item?.text || '');
+      await navigator.clipboard.writeText(textToCopy || '');
       toast.success('Copied to clipboard!');
     } catch (error) {
       toast.error('Failed to copy');
+      return;
     }
-  }, [item?.text]);
+
+    // Count the copy for the owner's stats; a failure here doesn't concern the visitor
+    if (!item.isOwner && !item.burned) {
+      fetch('/api/clipboard', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id, action: 'copy' }),
+      }).catch((error) => console.error('Error:', error));
+    }
+  }, [id, item]);
+
+  const handleCopy = useCallback(() => copyText(displayedText), [copyText, displayedText]);
+
+  // The snippet other sites paste in to show this one (see public/embed.js)
+  const handleCopyEmbed = useCallback(async () => {
+    const theme = isDarkMode ? ' data-theme="dark"' : '';
+    const code = `<script src="${window.location.origin}/embed.js" data-snippet="${id}"${theme} async></script>`;
+    try {
+      await navigator.clipboard.writeText(code);
+      toast.success('Embed code copied!');
+    } catch (error) {
+      toast.error('Failed to copy');
+    }
+  }, [id, isDarkMode]);
+
+  // Forking starts a new snippet in the composer with a copy of this one
+  const handleFork = useCallback(() => {
+    router.push(`/?fork=${id}`);
+  }, [router, id]);
 
   const handleLike = useCallback(async () => {
     if (!id || isLiking) return;
@@ -100,44 +549,158 @@ export default function SharePage() {
         body: JSON.stringify({ id, action: 'like' }),
       });
 
-      if (!response.ok) throw new Error('Failed to update like');
-
       const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to update like');
+
       setHasLiked(data.hasLiked);
       setLikesCount(data.likesCount);
       toast.success(data.hasLiked ? 'Added to favorites!' : 'Removed from favorites');
     } catch (error) {
       console.error('Error:', error);
-      toast.error('Failed to update like');
+      toast.error(error.message || 'Failed to update like');
     } finally {
       setIsLiking(false);
     }
   }, [id, isLiking]);
 
+  const handleReported = useCallback(() => {
+    setIsReportOpen(false);
+    setHasReported(true);
+  }, []);
+
+  // Remember the version and text an edit starts from, to detect and merge concurrent saves
+  const startEditing = () => {
+    setEditBase({ version: item.version, text: displayedText });
+    setEditedFiles(item.files);
+    setConflict(null);
+    setIsEditing(true);
+  };
+
+  const stopEditing = useCallback(() => {
+    setIsEditing(false);
+    setEditBase(null);
+    setConflict(null);
+  }, []);
+
+  // Live editing saves on the server; leaving it just picks up the saved item
+  const handleLiveDone = useCallback(async () => {
+    stopEditing();
+    await fetchClipboardItem();
+    toast.success('Changes saved successfully!');
+  }, [stopEditing, fetchClipboardItem]);
+
+  const handleLiveClosed = useCallback(() => {
+    stopEditing();
+    setError('This snippet does not exist or has expired');
+  }, [stopEditing]);
+
+  const handleResolveConflict = useCallback((text) => {
+    setEditedText(text);
+    setEditBase(conflict.server);
+    setConflict(null);
+  }, [conflict]);
+
   const handleSave = async () => {
     if (!id || isSaving || !item.editable) return;
 
     setIsSaving(true);
     try {
+      // Encrypted items are re-encrypted locally before they are sent, and bundles send their files
+      const payload = item.encrypted
+        ? await encryptText(editedText, cryptoKey, item.encryption)
+        : item.files ? { files: editedFiles } : { text: editedText };
+
       const response = await fetch('/api/clipboard', {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ id, text: editedText }),
+        body: JSON.stringify({ id, ...payload, baseVersion: editBase?.version }),
       });
 
-      if (!response.ok) throw new Error('Failed to save');
+      if (response.status === 409) {
+        const { current } = await response.json();
+
+        // Files can't be merged line by line; saving again replaces the other changes
+        if (item.files) {
+          setEditBase({ version: current.version, text: current.text });
+          toast.error('This snippet was changed by someone else. Save again to replace their changes.');
+          return;
+        }
+
+        // Someone saved first: merge their text with ours instead of overwriting it
+        const serverText = current.encrypted
+          ? await decryptText(current.text, cryptoKey, current.encryption)
+          : current.text;
+        setConflict({
+          chunks: mergeText(editBase.text, editedText, serverText),
+          mine: editedText,
+          server: { version: current.version, text: serverText },
+        });
+        toast.error('This snippet was changed by someone else');
+        return;
+      }
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to save changes');
+      }
 
       await fetchClipboardItem();
-      setIsEditing(false);
+      stopEditing();
       toast.success('Changes saved successfully!');
     } catch (error) {
       console.error('Error:', error);
-      toast.error('Failed to save changes');
+      toast.error(error.message || 'Failed to save changes');
     } finally {
       setIsSaving(false);
     }
   };
 
+  const handleRestore = useCallback(async () => {
+    if (!id) return;
+
+    try {
+      const response = await fetch('/api/clipboard', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id, action: 'restore' }),
+      });
+
+      if (!response.ok) throw new Error('Failed to restore');
+
+      setUndoUntil(null);
+      await fetchClipboardItem();
+      toast.success('Restored');
+    } catch (error) {
+      console.error('Error:', error);
+      toast.error('Failed to restore');
+    }
+  }, [id, fetchClipboardItem]);
+
+  const handleDelete = async () => {
+    if (!id || isDeleting || !item.isOwner) return;
+
+    setIsDeleting(true);
+    try {
+      const response = await fetch('/api/clipboard', {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to delete');
+
+      setIsEditing(false);
+      setUndoUntil(data.undoUntil);
+      showUndoToast('Deleted', handleRestore);
+    } catch (error) {
+      console.error('Error:', error);
+      toast.error('Failed to delete');
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
   // Error and loading states
   if (error) {
     return (
@@ -181,16 +744,19 @@ export default function SharePage() {
     </span>
   </Link>
 </h1>
-        <motion.button
-          whileHover={{ rotate: 180 }}
-          onClick={toggleTheme}
-          className={`p-2 rounded-full ${
-            isDarkMode ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-100 hover:bg-gray-200'
-          } transition-colors`}
-          aria-label="Toggle theme"
-        >
-          {isDarkMode ? <FiSun size={20} /> : <FiMoon size={20} />}
-        </motion.button>
+        <div className="flex items-center gap-3">
+          <UserMenu isDarkMode={isDarkMode} />
+          <motion.button
+            whileHover={{ rotate: 180 }}
+            onClick={toggleTheme}
+            className={`p-2 rounded-full ${
+              isDarkMode ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-100 hover:bg-gray-200'
+            } transition-colors`}
+            aria-label="Toggle theme"
+          >
+            {isDarkMode ? <FiSun size={20} /> : <FiMoon size={20} />}
+          </motion.button>
+        </div>
       </motion.header>
 
       {/* Main Content */}
@@ -201,120 +767,367 @@ export default function SharePage() {
           transition={{ duration: 0.5 }}
           className="max-w-4xl mx-auto"
         >
-          <div
-            className={`p-6 rounded-xl ${
-              isDarkMode ? 'bg-gray-800' : 'bg-white'
-            } shadow-lg`}
-          >
-            {/* Actions */}
-            <div className="flex items-center justify-between mb-6">
-              <div className="flex items-center gap-2">
-                <motion.button
-                  whileHover={{ scale: 1.05 }}
-                  whileTap={{ scale: 0.95 }}
-                  onClick={handleCopy}
-                  className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
-                    isDarkMode
-                      ? 'bg-gray-700 hover:bg-gray-600'
-                      : 'bg-gray-100 hover:bg-gray-200'
-                  }`}
-                >
-                  <FiCopy size={16} />
-                  <span>Copy</span>
-                </motion.button>
-                <motion.button
-                  whileHover={{ scale: 1.05 }}
-                  whileTap={{ scale: 0.95 }}
-                  onClick={handleLike}
-                  disabled={isLiking}
-                  className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
-                    hasLiked
-                      ? 'bg-red-500 hover:bg-red-600 text-white'
-                      : isDarkMode
-                      ? 'bg-gray-700 hover:bg-gray-600'
-                      : 'bg-gray-100 hover:bg-gray-200'
-                  }`}
-                >
-                  <FiHeart
-                    className={`${hasLiked ? 'fill-current' : ''} ${
-                      isLiking ? 'animate-pulse' : ''
+          {undoUntil ? (
+            <div
+              className={`p-6 rounded-xl ${
+                isDarkMode ? 'bg-gray-800' : 'bg-white'
+              } shadow-lg flex items-center justify-between gap-4`}
+            >
+              <p className={isDarkMode ? 'text-gray-300' : 'text-gray-700'}>
+                This snippet was deleted. You can undo until{' '}
+                {new Date(undoUntil).toLocaleTimeString()}.
+              </p>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={handleRestore}
+                className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
+                  isDarkMode
+                    ? 'bg-blue-600 hover:bg-blue-500'
+                    : 'bg-blue-500 hover:bg-blue-400'
+                } text-white`}
+              >
+                <FiRotateCcw size={16} />
+                <span>Undo</span>
+              </motion.button>
+            </div>
+          ) : (
+            <div
+              className={`p-6 rounded-xl ${
+                isDarkMode ? 'bg-gray-800' : 'bg-white'
+              } shadow-lg`}
+            >
+              {/* Actions */}
+              <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+                <div className="flex flex-wrap items-center gap-2">
+                  <motion.button
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={handleCopy}
+                    className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
+                      isDarkMode
+                        ? 'bg-gray-700 hover:bg-gray-600'
+                        : 'bg-gray-100 hover:bg-gray-200'
                     }`}
-                  />
-                  <span>{likesCount}</span>
-                </motion.button>
-                {item.editable && (
-                  isEditing ? (
-                    <>
+                  >
+                    <FiCopy size={16} />
+                    <span>Copy</span>
+                  </motion.button>
+                  {!item.burned && (
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={handleLike}
+                      disabled={isLiking}
+                      className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
+                        hasLiked
+                          ? 'bg-red-500 hover:bg-red-600 text-white'
+                          : isDarkMode
+                          ? 'bg-gray-700 hover:bg-gray-600'
+                          : 'bg-gray-100 hover:bg-gray-200'
+                      }`}
+                    >
+                      <FiHeart
+                        className={`${hasLiked ? 'fill-current' : ''} ${
+                          isLiking ? 'animate-pulse' : ''
+                        }`}
+                      />
+                      <span>{likesCount}</span>
+                    </motion.button>
+                  )}
+                  {item.editable && !isLocked && (
+                    isEditing ? (item.encrypted || item.files) && (
+                      <>
+                        <motion.button
+                          whileHover={{ scale: 1.05 }}
+                          whileTap={{ scale: 0.95 }}
+                          onClick={handleSave}
+                          disabled={isSaving}
+                          className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
+                            isDarkMode
+                              ? 'bg-green-600 hover:bg-green-500'
+                              : 'bg-green-500 hover:bg-green-400'
+                          } text-white`}
+                        >
+                          {isSaving ? (
+                            <>
+                              <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                              <span>Saving...</span>
+                            </>
+                          ) : (
+                            <>
+                              <FiSave size={16} />
+                              <span>Save</span>
+                            </>
+                          )}
+                        </motion.button>
+                        <motion.button
+                          whileHover={{ scale: 1.05 }}
+                          whileTap={{ scale: 0.95 }}
+                          onClick={() => {
+                            stopEditing();
+                            setEditedText(displayedText);
+                          }}
+                          className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
+                            isDarkMode
+                              ? 'bg-gray-700 hover:bg-gray-600'
+                              : 'bg-gray-100 hover:bg-gray-200'
+                          }`}
+                        >
+                          <FiX size={16} />
+                          <span>Cancel</span>
+                        </motion.button>
+                      </>
+                    ) : (
                       <motion.button
                         whileHover={{ scale: 1.05 }}
                         whileTap={{ scale: 0.95 }}
-                        onClick={handleSave}
-                        disabled={isSaving}
+                        onClick={startEditing}
                         className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
                           isDarkMode
-                            ? 'bg-green-600 hover:bg-green-500'
-                            : 'bg-green-500 hover:bg-green-400'
+                            ? 'bg-blue-600 hover:bg-blue-500'
+                            : 'bg-blue-500 hover:bg-blue-400'
                         } text-white`}
                       >
-                        {isSaving ? (
-                          <>
-                            <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-                            <span>Saving...</span>
-                          </>
-                        ) : (
-                          <>
-                            <FiSave size={16} />
-                            <span>Save</span>
-                          </>
-                        )}
+                        <FiEdit size={16} />
+                        <span>Edit</span>
                       </motion.button>
-                      <motion.button
+                    )
+                  )}
+                  {!item.encrypted && !item.burnAfterReading && !isEditing && (
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={handleFork}
+                      className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
+                        isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'
+                      }`}
+                    >
+                      <FiGitBranch size={16} />
+                      <span>Fork</span>
+                    </motion.button>
+                  )}
+                  {/* Raw text, downloads and embeds are served by the server, which can't read encrypted text */}
+                  {!item.encrypted && !item.burned && !isEditing && (
+                    <>
+                      <motion.a
                         whileHover={{ scale: 1.05 }}
                         whileTap={{ scale: 0.95 }}
-                        onClick={() => {
-                          setIsEditing(false);
-                          setEditedText(item.text);
-                        }}
+                        href={`/raw/${id}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
                         className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
-                          isDarkMode
-                            ? 'bg-gray-700 hover:bg-gray-600'
-                            : 'bg-gray-100 hover:bg-gray-200'
+                          isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'
                         }`}
                       >
-                        <FiX size={16} />
-                        <span>Cancel</span>
-                      </motion.button>
+                        <FiCode size={16} />
+                        <span>Raw</span>
+                      </motion.a>
+                      <motion.a
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        href={`/download/${id}`}
+                        className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
+                          isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'
+                        }`}
+                      >
+                        <FiDownload size={16} />
+                        <span>Download</span>
+                      </motion.a>
+                      {item.visibility !== 'private' && !item.burnAfterReading && (
+                        <motion.button
+                          whileHover={{ scale: 1.05 }}
+                          whileTap={{ scale: 0.95 }}
+                          onClick={handleCopyEmbed}
+                          className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
+                            isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'
+                          }`}
+                        >
+                          <FiExternalLink size={16} />
+                          <span>Embed</span>
+                        </motion.button>
+                      )}
                     </>
-                  ) : (
+                  )}
+                  {!item.burned && !isLocked && !isEditing && (
                     <motion.button
                       whileHover={{ scale: 1.05 }}
                       whileTap={{ scale: 0.95 }}
-                      onClick={() => setIsEditing(true)}
+                      onClick={() => setIsHistoryOpen(prev => !prev)}
+                      className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
+                        isHistoryOpen
+                          ? isDarkMode ? 'bg-gray-600' : 'bg-gray-300'
+                          : isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'
+                      }`}
+                    >
+                      <FiGitCommit size={16} />
+                      <span>History ({item.revisionCount})</span>
+                    </motion.button>
+                  )}
+                  {item.isOwner && !item.burned && !isEditing && (
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => setIsStatsOpen(prev => !prev)}
+                      className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
+                        isStatsOpen
+                          ? isDarkMode ? 'bg-gray-600' : 'bg-gray-300'
+                          : isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'
+                      }`}
+                    >
+                      <FiBarChart2 size={16} />
+                      <span>Stats</span>
+                    </motion.button>
+                  )}
+                  {!item.isOwner && !item.burned && !isEditing && (
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => setIsReportOpen(prev => !prev)}
+                      disabled={hasReported}
+                      className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 disabled:opacity-50 ${
+                        isReportOpen
+                          ? isDarkMode ? 'bg-gray-600' : 'bg-gray-300'
+                          : isDarkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-100 hover:bg-gray-200'
+                      }`}
+                    >
+                      <FiFlag size={16} />
+                      <span>{hasReported ? 'Reported' : 'Report'}</span>
+                    </motion.button>
+                  )}
+                  {item.isOwner && !isEditing && (
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={handleDelete}
+                      disabled={isDeleting}
                       className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
                         isDarkMode
-                          ? 'bg-blue-600 hover:bg-blue-500'
-                          : 'bg-blue-500 hover:bg-blue-400'
-                      } text-white`}
+                          ? 'bg-gray-700 hover:bg-red-600'
+                          : 'bg-gray-100 hover:bg-red-500 hover:text-white'
+                      }`}
                     >
-                      <FiEdit size={16} />
-                      <span>Edit</span>
+                      <FiTrash2 size={16} className={isDeleting ? 'animate-pulse' : ''} />
+                      <span>Delete</span>
                     </motion.button>
-                  )
-                )}
-              </div>
-              <div className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                {new Date(item.createdAt).toLocaleDateString()}
+                  )}
+                </div>
+                <div className={`text-sm flex items-center gap-3 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                  {item.forkedFrom && (
+                    <Link href={`/share/${item.forkedFrom}`} className="flex items-center gap-1 hover:underline" title="Open the snippet this was forked from">
+                      <FiGitBranch size={14} />
+                      <span>Forked</span>
+                    </Link>
+                  )}
+                  <span>{new Date(item.createdAt).toLocaleDateString()}</span>
+                  {!item.burned && (
+                    <ExpiryCountdown expiresAt={item.expiresAt} onExpire={handleExpire} />
+                  )}
+                </div>
               </div>
-            </div>
 
-            {/* Text Content */}
-            <TextContent 
-              text={isEditing ? editedText : item.text}
-              isDarkMode={isDarkMode}
-              isEditing={isEditing}
-              onTextChange={setEditedText}
-            />
-          </div>
+              {item.burned && (
+                <div className={`mb-4 p-3 rounded-lg text-sm flex items-center gap-2 ${
+                  isDarkMode ? 'bg-yellow-900/40 text-yellow-200' : 'bg-yellow-50 text-yellow-800'
+                }`}>
+                  <FiAlertTriangle size={16} />
+                  <span>This snippet was set to burn after reading and has now been deleted. Copy it before you leave this page.</span>
+                </div>
+              )}
+
+              {item.hidden && (
+                <div className={`mb-4 p-3 rounded-lg text-sm flex items-center gap-2 ${
+                  isDarkMode ? 'bg-yellow-900/40 text-yellow-200' : 'bg-yellow-50 text-yellow-800'
+                }`}>
+                  <FiEyeOff size={16} />
+                  <span>This snippet was reported and is hidden from everyone else until a moderator reviews it.</span>
+                </div>
+              )}
+
+              {conflict && isEditing && (
+                <MergeConflict
+                  key={conflict.server.version}
+                  chunks={conflict.chunks}
+                  mine={conflict.mine}
+                  theirs={conflict.server.text}
+                  isDarkMode={isDarkMode}
+                  onResolve={handleResolveConflict}
+                />
+              )}
+
+              {/* Text Content */}
+              {isLocked ? (
+                <PasswordPrompt
+                  isDarkMode={isDarkMode}
+                  needsPassword={item.encryption?.kdf === 'PBKDF2'}
+                  error={decryptError}
+                  onUnlock={handleUnlock}
+                />
+              ) : item.files ? (
+                isEditing && editedFiles ? (
+                  <BundleEditor files={editedFiles} onChange={setEditedFiles} isDarkMode={isDarkMode} />
+                ) : (
+                  <BundleViewer
+                    itemId={id}
+                    files={item.files}
+                    isDarkMode={isDarkMode}
+                    showRaw={!item.burned}
+                    onCopy={copyText}
+                  />
+                )
+              ) : (isEditing || displayedText || !item.attachments.length) && (
+                <TextContent 
+                  text={isEditing ? editedText : displayedText}
+                  language={item.language || 'plaintext'}
+                  format={item.format || 'code'}
+                  isDarkMode={isDarkMode}
+                  isEditing={isEditing}
+                  onTextChange={setEditedText}
+                  editor={isEditing && !item.encrypted && (
+                    // Unencrypted items are edited live with everyone else who has them open
+                    <CollabEditor
+                      id={id}
+                      isDarkMode={isDarkMode}
+                      onTextChange={setEditedText}
+                      onDone={handleLiveDone}
+                      onClosed={handleLiveClosed}
+                    />
+                  )}
+                />
+              )}
+
+              {item.attachments.length > 0 && !isLocked && (
+                <div className={displayedText || isEditing ? 'mt-6' : ''}>
+                  <AttachmentList itemId={id} attachments={item.attachments} isDarkMode={isDarkMode} />
+                </div>
+              )}
+
+              {isHistoryOpen && !item.burned && !isLocked && !isEditing && (
+                <div className={`mt-6 pt-6 border-t ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                  <RevisionHistory
+                    id={id}
+                    isOwner={item.isOwner}
+                    isDarkMode={isDarkMode}
+                    refreshKey={item.updatedAt}
+                    decryptRevision={decryptRevision}
+                    onRestored={fetchClipboardItem}
+                  />
+                </div>
+              )}
+
+              {isStatsOpen && item.isOwner && !item.burned && !isEditing && (
+                <div className={`mt-6 pt-6 border-t ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                  <AnalyticsPanel id={id} isDarkMode={isDarkMode} />
+                </div>
+              )}
+
+              {isReportOpen && !item.isOwner && !item.burned && !isEditing && (
+                <div className={`mt-6 pt-6 border-t ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                  <ReportForm id={id} isDarkMode={isDarkMode} onReported={handleReported} />
+                </div>
+              )}
+            </div>
+          )}
         </motion.div>
 
         {/* Footer */}
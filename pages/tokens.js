@@ -0,0 +1,274 @@
+import { useState, useCallback, useEffect, memo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FiSun, FiMoon, FiKey, FiTrash2, FiCopy, FiPlus } from 'react-icons/fi';
+import toast, { Toaster } from 'react-hot-toast';
+import Link from 'next/link';
+import useSWR from 'swr';
+import { signIn } from 'next-auth/react';
+import UserMenu from '../components/UserMenu';
+import { fetcher } from '../lib/fetcher';
+
+const TOKENS_URL = '/api/tokens';
+const MAX_TOKEN_NAME_LENGTH = 100;
+
+// Memoized TokenRow component
+const _TokenRow = ({ token, isWorking, onRevoke, isDarkMode }) => {
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+
+  return (
+    <motion.div
+      layout
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, x: -20 }}
+      className="py-3 flex flex-wrap items-center gap-3 text-sm"
+    >
+      <FiKey size={14} className={mutedClass} />
+      <span className="font-medium">{token.name}</span>
+      <span className={`font-mono text-xs ${mutedClass}`}>{token.hint}</span>
+      <span className={`text-xs ${mutedClass}`}>
+        Created {new Date(token.createdAt).toLocaleDateString()}
+        {' · '}
+        {token.lastUsedAt ? `last used ${new Date(token.lastUsedAt).toLocaleString()}` : 'never used'}
+      </span>
+      <button
+        onClick={() => onRevoke(token)}
+        disabled={isWorking}
+        className="ml-auto flex items-center gap-1 text-red-500 hover:underline disabled:opacity-50"
+      >
+        <FiTrash2 size={14} />
+        <span>Revoke</span>
+      </button>
+    </motion.div>
+  );
+};
+
+const TokenRow = memo(_TokenRow);
+TokenRow.displayName = 'TokenRow';
+
+// Personal access tokens for the v1 API and the command line client
+export default function TokensPage() {
+  const [isDarkMode, setIsDarkMode] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [name, setName] = useState('');
+  // The token just created; it's only shown until the page is left
+  const [created, setCreated] = useState(null);
+
+  const { data, error, mutate } = useSWR(TOKENS_URL, fetcher, {
+    onError: (error) => {
+      if (error.status === 401) return;
+      console.error('Error:', error);
+      toast.error('Failed to load your tokens', { id: 'tokens' });
+    },
+  });
+
+  useEffect(() => {
+    // Check system preference for dark mode
+    if (window.matchMedia('(prefers-color-scheme: dark)').matches) {
+      setIsDarkMode(true);
+    }
+  }, []);
+
+  const toggleTheme = useCallback(() => {
+    setIsDarkMode(prev => !prev);
+  }, []);
+
+  const createToken = useCallback(async (event) => {
+    event.preventDefault();
+    if (!name.trim()) return;
+
+    setIsWorking(true);
+    try {
+      const response = await fetch(TOKENS_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name }),
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Request failed');
+
+      setCreated(result);
+      setName('');
+      mutate();
+    } catch (error) {
+      console.error('Error:', error);
+      toast.error(error.message || 'Failed to create the token');
+    } finally {
+      setIsWorking(false);
+    }
+  }, [name, mutate]);
+
+  const revokeToken = useCallback(async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Anything using it stops working.`)) return;
+
+    setIsWorking(true);
+    try {
+      const response = await fetch(`${TOKENS_URL}/${token.id}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Request failed');
+
+      toast.success('Token revoked');
+      setCreated(prev => (prev?.id === token.id ? null : prev));
+      mutate();
+    } catch (error) {
+      console.error('Error:', error);
+      toast.error(error.message || 'Failed to revoke the token');
+    } finally {
+      setIsWorking(false);
+    }
+  }, [mutate]);
+
+  const copyCreated = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(created.token);
+      toast.success('Copied to clipboard!');
+    } catch (error) {
+      console.error('Error:', error);
+      toast.error('Failed to copy');
+    }
+  }, [created]);
+
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-600';
+  const cardClass = `p-4 rounded-xl shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`;
+  const buttonClass = `px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-2 ${
+    isDarkMode ? 'bg-gray-700/50 hover:bg-gray-700' : 'bg-gray-100 hover:bg-gray-200'
+  } transition-colors disabled:opacity-50`;
+
+  let content;
+  if (error?.status === 401) {
+    content = (
+      <p className={`text-sm ${mutedClass}`}>
+        <button onClick={() => signIn('google')} className="text-blue-500 hover:underline">Sign in</button>
+        {' '}to create tokens for the API and the command line client.
+      </p>
+    );
+  } else if (!data) {
+    content = <p className={`text-sm ${mutedClass}`}>Loading...</p>;
+  } else {
+    content = (
+      <>
+        <p className={`text-sm ${mutedClass}`}>
+          A token lets scripts use the{' '}
+          <a href="/api/v1/openapi.json" target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">
+            API
+          </a>
+          {' '}as you: send it as <code className="font-mono">Authorization: Bearer &lt;token&gt;</code>, or save it with{' '}
+          <code className="font-mono">textide config token &lt;token&gt;</code>. Snippets created with it are yours.
+          Tokens can&apos;t moderate or manage other tokens.
+        </p>
+
+        <form onSubmit={createToken} className={`${cardClass} flex flex-wrap items-center gap-3`}>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={MAX_TOKEN_NAME_LENGTH}
+            placeholder="What it's for, e.g. laptop CLI"
+            className={`flex-1 min-w-[12rem] px-3 py-2 rounded-lg text-sm ${
+              isDarkMode ? 'bg-gray-900 border-gray-700' : 'bg-gray-50 border-gray-200'
+            } border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+          />
+          <button
+            type="submit"
+            disabled={isWorking || !name.trim() || data.tokens.length >= data.limit}
+            className={buttonClass}
+          >
+            <FiPlus size={14} />
+            <span>Create token</span>
+          </button>
+        </form>
+
+        {created && (
+          <div className={`${cardClass} space-y-2 border border-green-500/50`}>
+            <p className="text-sm font-medium">
+              Copy your new token now. It won&apos;t be shown again.
+            </p>
+            <div className="flex flex-wrap items-center gap-3">
+              <code className={`flex-1 px-3 py-2 rounded-lg font-mono text-sm break-all ${
+                isDarkMode ? 'bg-gray-900/60' : 'bg-gray-50'
+              }`}>
+                {created.token}
+              </code>
+              <button onClick={copyCreated} className={buttonClass}>
+                <FiCopy size={14} />
+                <span>Copy</span>
+              </button>
+            </div>
+          </div>
+        )}
+
+        <section className="space-y-3">
+          <h3 className="font-semibold">Your tokens ({data.tokens.length} of {data.limit})</h3>
+          {!data.tokens.length ? (
+            <p className={`text-sm ${mutedClass}`}>No tokens yet.</p>
+          ) : (
+            <div className={`${cardClass} py-1 divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+              <AnimatePresence>
+                {data.tokens.map(token => (
+                  <TokenRow
+                    key={token.id}
+                    token={token}
+                    isWorking={isWorking}
+                    onRevoke={revokeToken}
+                    isDarkMode={isDarkMode}
+                  />
+                ))}
+              </AnimatePresence>
+            </div>
+          )}
+        </section>
+      </>
+    );
+  }
+
+  return (
+    <div
+      className={`min-h-screen flex flex-col ${
+        isDarkMode ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-900'
+      } transition-colors duration-500`}
+    >
+      <Toaster position="top-right" />
+
+      {/* Header */}
+      <motion.header
+        initial={{ opacity: 0, y: -50 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className={`sticky top-0 z-50 w-full px-4 py-3 ${
+          isDarkMode
+            ? 'bg-gray-900/80 border-gray-800'
+            : 'bg-white/80 border-gray-200'
+        } backdrop-blur-xl border-b flex items-center justify-between`}
+      >
+        <h1 className="text-xl sm:text-2xl md:text-3xl font-bold">
+          <Link href="/">
+            <span className="bg-clip-text text-transparent bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 transition-colors duration-300">
+              textide
+            </span>
+          </Link>
+        </h1>
+        <div className="flex items-center gap-3">
+          <UserMenu isDarkMode={isDarkMode} />
+          <motion.button
+            whileHover={{ rotate: 180 }}
+            onClick={toggleTheme}
+            className={`p-2 rounded-full ${
+              isDarkMode ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-100 hover:bg-gray-200'
+            } transition-colors`}
+            aria-label="Toggle theme"
+          >
+            {isDarkMode ? <FiSun size={20} /> : <FiMoon size={20} />}
+          </motion.button>
+        </div>
+      </motion.header>
+
+      {/* Main Content */}
+      <main className="flex-1 p-4 lg:p-6">
+        <div className="max-w-4xl mx-auto space-y-6">
+          <h2 className="text-lg font-semibold">API tokens</h2>
+          {content}
+        </div>
+      </main>
+    </div>
+  );
+}
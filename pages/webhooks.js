@@ -0,0 +1,429 @@
+import { useState, useCallback, useEffect, memo } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  FiSun, FiMoon, FiSend, FiTrash2, FiCopy, FiPlus, FiRefreshCw, FiChevronDown, FiChevronUp, FiGlobe,
+} from 'react-icons/fi';
+import toast, { Toaster } from 'react-hot-toast';
+import Link from 'next/link';
+import useSWR from 'swr';
+import { signIn } from 'next-auth/react';
+import UserMenu from '../components/UserMenu';
+import { fetcher } from '../lib/fetcher';
+
+const WEBHOOKS_URL = '/api/webhooks';
+
+const STATUS_CLASSES = {
+  succeeded: 'text-green-500',
+  failed: 'text-red-500',
+  pending: 'text-yellow-500',
+};
+
+// Helper to send a change to the webhooks API, throwing with the server's message when it fails
+async function request(url, method, body) {
+  const response = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body && JSON.stringify(body),
+  });
+  const result = await response.json();
+  if (!response.ok) throw new Error(result.error || 'Request failed');
+  return result;
+}
+
+// Helper to sum up the last attempt of a delivery, e.g. "200 in 35 ms"
+function describeAttempt(attempt) {
+  if (!attempt) return 'Not sent yet';
+  const outcome = attempt.statusCode ? `HTTP ${attempt.statusCode}` : attempt.error;
+  return `${outcome} in ${attempt.durationMs} ms`;
+}
+
+// Memoized DeliveryLog component: the latest deliveries of one webhook, each with a redeliver button
+const _DeliveryLog = ({ webhookId, isDarkMode }) => {
+  const [openId, setOpenId] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const { data, mutate } = useSWR(`${WEBHOOKS_URL}/${webhookId}/deliveries`, fetcher, {
+    // Pending deliveries are retried in the background, so keep the log fresh while it's open
+    refreshInterval: 5000,
+  });
+
+  const handleRedeliver = useCallback(async (delivery) => {
+    setIsWorking(true);
+    try {
+      await request(`${WEBHOOKS_URL}/${webhookId}/deliveries`, 'POST', { deliveryId: delivery.id });
+      toast.success('Delivery queued');
+      mutate();
+    } catch (error) {
+      console.error('Error:', error);
+      toast.error(error.message || 'Failed to redeliver');
+    } finally {
+      setIsWorking(false);
+    }
+  }, [webhookId, mutate]);
+
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+
+  if (!data) return <p className={`text-sm ${mutedClass}`}>Loading...</p>;
+  if (!data.deliveries.length) return <p className={`text-sm ${mutedClass}`}>Nothing has been sent yet.</p>;
+
+  return (
+    <div className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+      {data.deliveries.map((delivery) => {
+        const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+        const isOpen = openId === delivery.id;
+        return (
+          <div key={delivery.id} className="py-2 text-sm">
+            <div className="flex flex-wrap items-center gap-3">
+              <span className={`font-medium ${STATUS_CLASSES[delivery.status]}`}>{delivery.status}</span>
+              <span className="font-mono text-xs">{delivery.event}</span>
+              <span className={`text-xs ${mutedClass}`}>
+                {new Date(delivery.createdAt).toLocaleString()}
+                {' · '}
+                {describeAttempt(lastAttempt)}
+                {delivery.attempts.length > 1 && ` · ${delivery.attempts.length} attempts`}
+                {delivery.nextAttemptAt && lastAttempt && ` · retrying at ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}`}
+                {delivery.redeliveryOf && ' · redelivery'}
+              </span>
+              <div className="ml-auto flex items-center gap-3">
+                <button
+                  onClick={() => setOpenId(isOpen ? null : delivery.id)}
+                  className="text-blue-500 hover:underline"
+                >
+                  {isOpen ? 'Hide' : 'Details'}
+                </button>
+                <button
+                  onClick={() => handleRedeliver(delivery)}
+                  disabled={isWorking}
+                  className="flex items-center gap-1 text-blue-500 hover:underline disabled:opacity-50"
+                >
+                  <FiRefreshCw size={12} />
+                  <span>Redeliver</span>
+                </button>
+              </div>
+            </div>
+            {isOpen && (
+              <div className="mt-2 space-y-2">
+                <pre className={`p-3 rounded-lg font-mono text-xs whitespace-pre-wrap break-words max-h-48 overflow-auto ${
+                  isDarkMode ? 'bg-gray-900/60' : 'bg-gray-50'
+                }`}>
+                  {JSON.stringify(JSON.parse(delivery.body), null, 2)}
+                </pre>
+                {delivery.attempts.map((attempt, index) => (
+                  <p key={index} className={`text-xs ${mutedClass}`}>
+                    {new Date(attempt.at).toLocaleString()}: {describeAttempt(attempt)}
+                    {attempt.response && ` · ${attempt.response}`}
+                  </p>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const DeliveryLog = memo(_DeliveryLog);
+DeliveryLog.displayName = 'DeliveryLog';
+
+// Memoized WebhookCard component
+const _WebhookCard = ({ webhook, isWorking, onToggle, onDelete, isDarkMode }) => {
+  const [showLog, setShowLog] = useState(false);
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const buttonClass = `px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-2 ${
+    isDarkMode ? 'bg-gray-700/50 hover:bg-gray-700' : 'bg-gray-100 hover:bg-gray-200'
+  } transition-colors disabled:opacity-50`;
+
+  return (
+    <motion.div
+      layout
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, x: -20 }}
+      className={`p-4 rounded-xl shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'} ${webhook.active ? '' : 'opacity-70'}`}
+    >
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <span className="font-mono break-all">{webhook.url}</span>
+        {webhook.global && (
+          <span className="flex items-center gap-1 text-xs text-purple-500" title="Hears about every snippet">
+            <FiGlobe size={12} />
+            All snippets
+          </span>
+        )}
+        {!webhook.active && <span className={`text-xs ${mutedClass}`}>Paused</span>}
+      </div>
+      <p className={`mt-1 text-xs ${mutedClass}`}>
+        {webhook.events.join(', ')} · added {new Date(webhook.createdAt).toLocaleDateString()}
+      </p>
+
+      <div className="mt-3 flex flex-wrap justify-end gap-2">
+        <button onClick={() => setShowLog(prev => !prev)} className={buttonClass}>
+          {showLog ? <FiChevronUp size={14} /> : <FiChevronDown size={14} />}
+          <span>Deliveries</span>
+        </button>
+        <button onClick={() => onToggle(webhook)} disabled={isWorking} className={buttonClass}>
+          <span>{webhook.active ? 'Pause' : 'Resume'}</span>
+        </button>
+        <button onClick={() => onDelete(webhook)} disabled={isWorking} className={`${buttonClass} hover:text-red-500`}>
+          <FiTrash2 size={14} />
+          <span>Remove</span>
+        </button>
+      </div>
+
+      {showLog && (
+        <div className="mt-3">
+          <DeliveryLog webhookId={webhook.id} isDarkMode={isDarkMode} />
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+const WebhookCard = memo(_WebhookCard);
+WebhookCard.displayName = 'WebhookCard';
+
+// Outgoing webhooks: signed POSTs to the user's own URLs when their snippets change
+export default function WebhooksPage() {
+  const [isDarkMode, setIsDarkMode] = useState(false);
+  const [isWorking, setIsWorking] = useState(false);
+  const [url, setUrl] = useState('');
+  const [events, setEvents] = useState(['created', 'updated']);
+  const [isGlobal, setIsGlobal] = useState(false);
+  // The webhook just added, with its secret; it's only shown until the page is left
+  const [created, setCreated] = useState(null);
+
+  const { data, error, mutate } = useSWR(WEBHOOKS_URL, fetcher, {
+    onError: (error) => {
+      if (error.status === 401) return;
+      console.error('Error:', error);
+      toast.error('Failed to load your webhooks', { id: 'webhooks' });
+    },
+  });
+
+  useEffect(() => {
+    // Check system preference for dark mode
+    if (window.matchMedia('(prefers-color-scheme: dark)').matches) {
+      setIsDarkMode(true);
+    }
+  }, []);
+
+  const toggleTheme = useCallback(() => {
+    setIsDarkMode(prev => !prev);
+  }, []);
+
+  const toggleEvent = useCallback((event) => {
+    setEvents(prev => (prev.includes(event) ? prev.filter(value => value !== event) : [...prev, event]));
+  }, []);
+
+  const addWebhook = useCallback(async (e) => {
+    e.preventDefault();
+    setIsWorking(true);
+    try {
+      const result = await request(WEBHOOKS_URL, 'POST', { url: url.trim(), events, global: isGlobal });
+      setCreated(result);
+      setUrl('');
+      mutate();
+    } catch (error) {
+      console.error('Error:', error);
+      toast.error(error.message || 'Failed to add the webhook');
+    } finally {
+      setIsWorking(false);
+    }
+  }, [url, events, isGlobal, mutate]);
+
+  const toggleActive = useCallback(async (webhook) => {
+    setIsWorking(true);
+    try {
+      await request(`${WEBHOOKS_URL}/${webhook.id}`, 'PATCH', { active: !webhook.active });
+      mutate();
+    } catch (error) {
+      console.error('Error:', error);
+      toast.error(error.message || 'Failed to update the webhook');
+    } finally {
+      setIsWorking(false);
+    }
+  }, [mutate]);
+
+  const removeWebhook = useCallback(async (webhook) => {
+    if (!window.confirm(`Remove the webhook for ${webhook.url}? Its delivery log goes with it.`)) return;
+
+    setIsWorking(true);
+    try {
+      await request(`${WEBHOOKS_URL}/${webhook.id}`, 'DELETE');
+      toast.success('Webhook removed');
+      setCreated(prev => (prev?.id === webhook.id ? null : prev));
+      mutate();
+    } catch (error) {
+      console.error('Error:', error);
+      toast.error(error.message || 'Failed to remove the webhook');
+    } finally {
+      setIsWorking(false);
+    }
+  }, [mutate]);
+
+  const copySecret = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(created.secret);
+      toast.success('Copied to clipboard!');
+    } catch (error) {
+      console.error('Error:', error);
+      toast.error('Failed to copy');
+    }
+  }, [created]);
+
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-600';
+  const cardClass = `p-4 rounded-xl shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`;
+  const buttonClass = `px-3 py-2 rounded-lg text-sm font-medium flex items-center gap-2 ${
+    isDarkMode ? 'bg-gray-700/50 hover:bg-gray-700' : 'bg-gray-100 hover:bg-gray-200'
+  } transition-colors disabled:opacity-50`;
+
+  let content;
+  if (error?.status === 401) {
+    content = (
+      <p className={`text-sm ${mutedClass}`}>
+        <button onClick={() => signIn('google')} className="text-blue-500 hover:underline">Sign in</button>
+        {' '}to send your snippets&apos; changes to other services.
+      </p>
+    );
+  } else if (!data) {
+    content = <p className={`text-sm ${mutedClass}`}>Loading...</p>;
+  } else {
+    content = (
+      <>
+        <p className={`text-sm ${mutedClass}`}>
+          When one of your snippets changes, its details are POSTed as JSON to each webhook that wants that event.
+          Every request is signed: <code className="font-mono">X-Textide-Signature</code> is{' '}
+          <code className="font-mono">sha256=</code> and the HMAC-SHA256 of{' '}
+          <code className="font-mono">X-Textide-Timestamp</code>, a dot and the body, keyed with the webhook&apos;s secret.
+          Failed deliveries are retried four times over about an hour.
+        </p>
+
+        <form onSubmit={addWebhook} className={`${cardClass} space-y-3`}>
+          <input
+            type="url"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="https://example.com/hooks/textide"
+            className={`w-full px-3 py-2 rounded-lg text-sm ${
+              isDarkMode ? 'bg-gray-900 border-gray-700' : 'bg-gray-50 border-gray-200'
+            } border focus:outline-none focus:ring-2 focus:ring-blue-500`}
+          />
+          <div className="flex flex-wrap items-center gap-4 text-sm">
+            {data.events.map(event => (
+              <label key={event} className="flex items-center gap-2">
+                <input type="checkbox" checked={events.includes(event)} onChange={() => toggleEvent(event)} />
+                <span>{event}</span>
+              </label>
+            ))}
+            {data.canAddGlobal && (
+              <label className="flex items-center gap-2 text-purple-500">
+                <input type="checkbox" checked={isGlobal} onChange={(e) => setIsGlobal(e.target.checked)} />
+                <span>For every snippet</span>
+              </label>
+            )}
+            <button
+              type="submit"
+              disabled={isWorking || !url.trim() || !events.length}
+              className={`${buttonClass} ml-auto`}
+            >
+              <FiPlus size={14} />
+              <span>Add webhook</span>
+            </button>
+          </div>
+        </form>
+
+        {created && (
+          <div className={`${cardClass} space-y-2 border border-green-500/50`}>
+            <p className="text-sm font-medium">
+              Copy the signing secret for {created.url} now. It won&apos;t be shown again.
+            </p>
+            <div className="flex flex-wrap items-center gap-3">
+              <code className={`flex-1 px-3 py-2 rounded-lg font-mono text-sm break-all ${
+                isDarkMode ? 'bg-gray-900/60' : 'bg-gray-50'
+              }`}>
+                {created.secret}
+              </code>
+              <button onClick={copySecret} className={buttonClass}>
+                <FiCopy size={14} />
+                <span>Copy</span>
+              </button>
+            </div>
+          </div>
+        )}
+
+        <section className="space-y-3">
+          <h3 className="font-semibold">Your webhooks ({data.webhooks.length})</h3>
+          {!data.webhooks.length ? (
+            <p className={`text-sm ${mutedClass}`}>No webhooks yet.</p>
+          ) : (
+            <AnimatePresence>
+              {data.webhooks.map(webhook => (
+                <WebhookCard
+                  key={webhook.id}
+                  webhook={webhook}
+                  isWorking={isWorking}
+                  onToggle={toggleActive}
+                  onDelete={removeWebhook}
+                  isDarkMode={isDarkMode}
+                />
+              ))}
+            </AnimatePresence>
+          )}
+        </section>
+      </>
+    );
+  }
+
+  return (
+    <div
+      className={`min-h-screen flex flex-col ${
+        isDarkMode ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-900'
+      } transition-colors duration-500`}
+    >
+      <Toaster position="top-right" />
+
+      {/* Header */}
+      <motion.header
+        initial={{ opacity: 0, y: -50 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className={`sticky top-0 z-50 w-full px-4 py-3 ${
+          isDarkMode
+            ? 'bg-gray-900/80 border-gray-800'
+            : 'bg-white/80 border-gray-200'
+        } backdrop-blur-xl border-b flex items-center justify-between`}
+      >
+        <h1 className="text-xl sm:text-2xl md:text-3xl font-bold">
+          <Link href="/">
+            <span className="bg-clip-text text-transparent bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 transition-colors duration-300">
+              textide
+            </span>
+          </Link>
+        </h1>
+        <div className="flex items-center gap-3">
+          <UserMenu isDarkMode={isDarkMode} />
+          <motion.button
+            whileHover={{ rotate: 180 }}
+            onClick={toggleTheme}
+            className={`p-2 rounded-full ${
+              isDarkMode ? 'bg-gray-800 hover:bg-gray-700' : 'bg-gray-100 hover:bg-gray-200'
+            } transition-colors`}
+            aria-label="Toggle theme"
+          >
+            {isDarkMode ? <FiSun size={20} /> : <FiMoon size={20} />}
+          </motion.button>
+        </div>
+      </motion.header>
+
+      {/* Main Content */}
+      <main className="flex-1 p-4 lg:p-6">
+        <div className="max-w-4xl mx-auto space-y-6">
+          <h2 className="text-lg font-semibold flex items-center gap-2">
+            <FiSend size={18} />
+            Webhooks
+          </h2>
+          {content}
+        </div>
+      </main>
+    </div>
+  );
+}
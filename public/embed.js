@@ -0,0 +1,32 @@
+/*
+ * Embed a textide snippet on any page:
+ *
+ *   <script src="https://<your textide host>/embed.js" data-snippet="<id>" data-theme="dark" async></script>
+ *
+ * The script puts an iframe with /embed/<id> where it stands and keeps it as tall as the snippet.
+ * data-theme is optional: light (default) or dark.
+ */
+(function () {
+  var script = document.currentScript;
+  if (!script || !script.getAttribute('data-snippet')) return;
+
+  var origin = new URL(script.src).origin;
+  var id = script.getAttribute('data-snippet');
+  var theme = script.getAttribute('data-theme') === 'dark' ? 'dark' : 'light';
+
+  var iframe = document.createElement('iframe');
+  iframe.src = origin + '/embed/' + encodeURIComponent(id) + '?theme=' + theme;
+  iframe.title = 'textide snippet';
+  iframe.loading = 'lazy';
+  iframe.style.width = '100%';
+  iframe.style.height = '200px';
+  iframe.style.border = '0';
+  script.parentNode.insertBefore(iframe, script.nextSibling);
+
+  // Only the embed page itself gets to resize its iframe
+  window.addEventListener('message', function (event) {
+    if (event.origin !== origin || event.source !== iframe.contentWindow) return;
+    if (!event.data || event.data.type !== 'textide:embed' || typeof event.data.height !== 'number') return;
+    iframe.style.height = event.data.height + 'px';
+  });
+})();
@@ -0,0 +1,74 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+// Analytics are kept in CLIPBOARD_DATA_DIR, which is read when lib/storage loads
+const dataDir = mkdtempSync(path.join(tmpdir(), 'textide-analytics-'));
+process.env.CLIPBOARD_DATA_DIR = dataDir;
+
+const { getStore } = await import('../lib/storage/index.js');
+const { getAnalytics, getCounts, MAX_ANALYTICS_VISITORS, recordCopy, recordView } = await import('../lib/analytics.js');
+
+after(() => {
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('records views and copies without touching the item', async () => {
+  const store = await getStore();
+  const item = await store.create({ text: 'hello', createdAt: new Date().toISOString(), likes: [], likesCount: 0 });
+  const storeFile = path.join(dataDir, 'clipboard.json');
+  const before = readFileSync(storeFile, 'utf8');
+
+  await recordView(item, { visitor: 'a', referrer: 'https://example.com/post' });
+  await recordView(item, { visitor: 'a', referrer: null });
+  await recordView(item, { visitor: 'b', referrer: null });
+  await recordCopy(item);
+
+  assert.equal(readFileSync(storeFile, 'utf8'), before);
+  assert.deepEqual((await getCounts([item])).get(item.id), { views: 2, copies: 1 });
+
+  const analytics = await getAnalytics(item);
+  assert.equal(analytics.uniqueVisitors, 2);
+  assert.deepEqual(analytics.referrers.map(referrer => referrer.host).sort(), ['example.com', null].sort());
+});
+
+test('starts from the counts older items kept on themselves', async () => {
+  const item = { id: 'legacy', viewCount: 7, copyCount: 2, analytics: [] };
+  await recordCopy(item);
+  assert.deepEqual((await getCounts([item])).get(item.id), { views: 7, copies: 3 });
+});
+
+test('keeps counts per day, so an entry stays bounded however many views it gets', async () => {
+  const item = { id: 'busy' };
+  const now = Date.now();
+  // Views from long ago fall out of the window but stay in the total
+  await recordView(item, { visitor: 'old', referrer: null }, now - 90 * 24 * 60 * 60 * 1000);
+  for (let i = 0; i < MAX_ANALYTICS_VISITORS + 100; i++) {
+    await recordView(item, { visitor: `v${i}`, referrer: 'https://example.com/' }, now);
+  }
+
+  const entry = JSON.parse(readFileSync(path.join(dataDir, 'analytics.json'), 'utf8')).items.busy;
+  assert.equal(entry.events, undefined);
+  assert.equal(Object.keys(entry.visitors).length, MAX_ANALYTICS_VISITORS);
+
+  const analytics = await getAnalytics(item, now);
+  assert.equal(analytics.views, MAX_ANALYTICS_VISITORS + 101);
+  assert.equal(analytics.uniqueVisitors, MAX_ANALYTICS_VISITORS);
+  assert.equal(analytics.days.at(-1).views, MAX_ANALYTICS_VISITORS + 100);
+  assert.deepEqual(analytics.referrers, [{ host: 'example.com', count: MAX_ANALYTICS_VISITORS + 100 }]);
+});
+
+test('folds the events of older entries into daily counts', async () => {
+  const at = new Date().toISOString();
+  const item = { id: 'folded', viewCount: 2, copyCount: 0, analytics: [
+    { type: 'view', visitor: 'a', at, referrer: null },
+    { type: 'view', visitor: 'b', at, referrer: 'example.org' },
+  ] };
+  await recordView(item, { visitor: 'a', referrer: null });
+  const analytics = await getAnalytics(item);
+  assert.equal(analytics.views, 2);
+  assert.equal(analytics.uniqueVisitors, 2);
+  assert.equal(analytics.days.at(-1).views, 2);
+});
@@ -0,0 +1,124 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import http from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+// The store keeps its files in CLIPBOARD_DATA_DIR, which is read when lib/storage loads
+const dataDir = mkdtempSync(path.join(tmpdir(), 'textide-cli-'));
+process.env.CLIPBOARD_DATA_DIR = dataDir;
+
+const { default: snippetsHandler } = await import('../pages/api/v1/snippets/index.js');
+const { default: snippetHandler } = await import('../pages/api/v1/snippets/[id]/index.js');
+const { default: rawHandler } = await import('../pages/api/clipboard/[id]/raw.js');
+
+const CLI = new URL('../bin/textide.mjs', import.meta.url).pathname;
+
+// The routes the CLI calls, with the rewrite of /raw/<id> from next.config.js
+const ROUTES = [
+  [/^\/api\/v1\/snippets$/, snippetsHandler],
+  [/^\/api\/v1\/snippets\/([^/]+)$/, snippetHandler],
+  [/^\/raw\/([^/]+)$/, rawHandler],
+];
+
+// Helper to give the handlers the parts of Next's req and res they use
+function toNextApi(req, res, body, id) {
+  const url = new URL(req.url, 'http://localhost');
+  req.query = { ...Object.fromEntries(url.searchParams), ...(id && { id: decodeURIComponent(id) }) };
+  req.cookies = Object.fromEntries((req.headers.cookie || '').split(/;\s*/).filter(Boolean)
+    .map(cookie => cookie.split('=')));
+  req.body = /^application\/json\b/.test(req.headers['content-type'] || '') ? JSON.parse(body) : body;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (data) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(data));
+  };
+  res.send = data => res.end(data);
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const route = ROUTES.find(([pattern]) => pattern.test(pathname));
+    if (!route) {
+      res.writeHead(404).end();
+      return;
+    }
+    const [pattern, handler] = route;
+    toNextApi(req, res, body, pattern.exec(pathname)[1]);
+    handler(req, res);
+  });
+});
+
+let baseUrl;
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Helper to run the CLI as the visitor whose settings are in `config`
+function run(config, args, input = '') {
+  return new Promise((resolve) => {
+    const child = execFile(process.execPath, [CLI, ...args], {
+      env: { ...process.env, TEXTIDE_URL: baseUrl, TEXTIDE_CONFIG: path.join(dataDir, config) },
+    }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    child.stdin.end(input);
+  });
+}
+
+// Helper to pull the id out of the link `create` prints
+const getId = stdout => /\/share\/(\S+)/.exec(stdout)[1];
+
+test('creates a snippet from stdin and prints it back', async () => {
+  const created = await run('owner.json', [], 'hello from stdin');
+  assert.equal(created.code, 0);
+  assert.match(created.stdout, new RegExp(`^${baseUrl}/share/`));
+
+  const read = await run('reader.json', ['get', created.stdout.trim()]);
+  assert.equal(read.code, 0);
+  assert.equal(read.stdout, 'hello from stdin');
+});
+
+test('prints a burn-after-reading snippet once, then says it is gone', async () => {
+  const id = getId((await run('owner.json', ['--burn'], 'read me once')).stdout);
+
+  const first = await run('reader.json', ['get', id]);
+  assert.equal(first.code, 0);
+  assert.equal(first.stdout, 'read me once');
+  assert.match(first.stderr, /burned after reading/);
+
+  const second = await run('reader.json', ['get', id]);
+  assert.equal(second.code, 1);
+  assert.equal(second.stdout, '');
+  assert.match(second.stderr, /^textide: Item not found/);
+});
+
+test('reports a missing file of a snippet that is kept', async () => {
+  const id = getId((await run('owner.json', [], 'plain')).stdout);
+
+  const missing = await run('reader.json', ['get', id, '--file', 'nope.txt']);
+  assert.equal(missing.code, 1);
+  assert.match(missing.stderr, /^textide: File not found/);
+
+  const read = await run('reader.json', ['get', id]);
+  assert.equal(read.code, 0);
+  assert.equal(read.stdout, 'plain');
+});
+
+test('says so when there is no such snippet', async () => {
+  const read = await run('reader.json', ['get', 'doesnotexist']);
+  assert.equal(read.code, 1);
+  assert.match(read.stderr, /^textide: Item not found/);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLineDiff, toSideBySide } from '../lib/diff.js';
+
+test('numbers the lines of both texts', () => {
+  const rows = getLineDiff('a\nb\nc', 'a\nB\nc\nd');
+  assert.deepEqual(rows, [
+    { type: 'context', oldNumber: 1, newNumber: 1, content: 'a' },
+    { type: 'removed', oldNumber: 2, newNumber: null, content: 'b' },
+    { type: 'added', oldNumber: null, newNumber: 2, content: 'B' },
+    { type: 'context', oldNumber: 3, newNumber: 3, content: 'c' },
+    { type: 'added', oldNumber: null, newNumber: 4, content: 'd' },
+  ]);
+});
+
+test('treats a last line with or without a newline as the same line', () => {
+  assert.ok(getLineDiff('a\nb', 'a\nb\n').every(row => row.type === 'context'));
+  assert.deepEqual(getLineDiff('', 'new').map(row => row.type), ['added']);
+  assert.deepEqual(getLineDiff('old', '').map(row => row.type), ['removed']);
+});
+
+test('pairs removed lines with the lines that replaced them', () => {
+  const pairs = toSideBySide(getLineDiff('a\nb\nc\nd', 'a\nB\nd\ne'));
+  assert.deepEqual(pairs.map(({ left, right }) => [left?.content ?? null, right?.content ?? null]), [
+    ['a', 'a'],
+    ['b', 'B'],
+    ['c', null],
+    ['d', 'd'],
+    [null, 'e'],
+  ]);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareKeys, paginate, SORT_KEYS } from '../lib/items.js';
+
+// Helper to make items a minute apart, newest first like the store lists them
+function makeItems(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: `item${String(count - index).padStart(3, '0')}`,
+    createdAt: new Date(Date.UTC(2026, 0, 1, 0, count - index)).toISOString(),
+    likesCount: 0,
+  }));
+}
+
+const sortBy = (items, getKey) => [...items].sort((a, b) => compareKeys(getKey(a), getKey(b)));
+
+test('continues after the last item when new ones are added between pages', () => {
+  let items = makeItems(5);
+  const first = paginate(items, { limit: 2 });
+  assert.deepEqual(first.items.map(item => item.id), ['item005', 'item004']);
+
+  items = [{ id: 'item006', createdAt: new Date(Date.UTC(2026, 0, 2)).toISOString() }, ...items];
+  const second = paginate(items, { limit: 2, cursor: first.nextCursor });
+  assert.deepEqual(second.items.map(item => item.id), ['item003', 'item002']);
+
+  const third = paginate(items, { limit: 2, cursor: second.nextCursor });
+  assert.deepEqual(third.items.map(item => item.id), ['item001']);
+  assert.equal(third.nextCursor, null);
+});
+
+test('the items after the cursor keep their place when another one is liked', () => {
+  let items = sortBy(makeItems(6), SORT_KEYS.likes);
+  const first = paginate(items, { limit: 3, getKey: SORT_KEYS.likes });
+
+  // An item from the second page moves up to the first
+  items = sortBy(items.map(item => (item.id === 'item002' ? { ...item, likesCount: 5 } : item)), SORT_KEYS.likes);
+  const second = paginate(items, { limit: 3, cursor: first.nextCursor, getKey: SORT_KEYS.likes });
+
+  assert.deepEqual(first.items.map(item => item.id), ['item006', 'item005', 'item004']);
+  assert.deepEqual(second.items.map(item => item.id), ['item003', 'item001']);
+});
+
+test('breaks ties by id and starts over on an unreadable cursor', () => {
+  const createdAt = new Date(Date.UTC(2026, 0, 1)).toISOString();
+  const items = sortBy(['a', 'c', 'b'].map(id => ({ id, createdAt })), SORT_KEYS.newest);
+  const first = paginate(items, { limit: 1 });
+  assert.deepEqual(first.items.map(item => item.id), ['c']);
+  assert.deepEqual(paginate(items, { limit: 5, cursor: first.nextCursor }).items.map(item => item.id), ['b', 'a']);
+  assert.deepEqual(paginate(items, { limit: 1, cursor: 'not a cursor' }).items.map(item => item.id), ['c']);
+});
@@ -0,0 +1,53 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+// The files are kept in CLIPBOARD_DATA_DIR, which is read when lib/storage loads
+const dataDir = mkdtempSync(path.join(tmpdir(), 'textide-json-file-'));
+process.env.CLIPBOARD_DATA_DIR = dataDir;
+
+const { createJsonFile } = await import('../lib/jsonFile.js');
+
+// Helper to drop the copy a file keeps in memory, as a restart would
+function restart(name) {
+  delete globalThis[`__jsonFile:${name}`];
+}
+
+after(() => {
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('keeps the previous version as a backup', async () => {
+  const { mutate } = createJsonFile('kept.json', () => ({ count: 0 }));
+  await mutate(data => ({ count: data.count + 1 }));
+  await mutate(data => ({ count: data.count + 1 }));
+
+  assert.deepEqual(JSON.parse(readFileSync(path.join(dataDir, 'kept.json'), 'utf8')), { count: 2 });
+  assert.deepEqual(JSON.parse(readFileSync(path.join(dataDir, 'kept.json.bak'), 'utf8')), { count: 1 });
+});
+
+test('restores a truncated file from its backup', async () => {
+  const { mutate } = createJsonFile('tokens-a.json', () => ({ tokens: [] }));
+  await mutate(() => ({ tokens: ['first'] }));
+  await mutate(() => ({ tokens: ['first', 'second'] }));
+
+  const file = path.join(dataDir, 'tokens-a.json');
+  writeFileSync(file, readFileSync(file, 'utf8').slice(0, 10));
+  restart('tokens-a.json');
+
+  const { load } = createJsonFile('tokens-a.json', () => ({ tokens: [] }));
+  assert.deepEqual(await load(), { tokens: ['first'] });
+  assert.deepEqual(JSON.parse(readFileSync(file, 'utf8')), { tokens: ['first'] });
+  assert.ok(readdirSync(dataDir).some(entry => entry.startsWith('tokens-a.json.corrupt-')));
+});
+
+test('starts over when neither the file nor its backup can be read', async () => {
+  writeFileSync(path.join(dataDir, 'tokens-b.json'), '{"tokens": [');
+  const { load, mutate } = createJsonFile('tokens-b.json', () => ({ tokens: [] }));
+
+  assert.deepEqual(await load(), { tokens: [] });
+  assert.deepEqual(await mutate(data => ({ tokens: [...data.tokens, 'new'] })), { tokens: ['new'] });
+  assert.ok(readdirSync(dataDir).some(entry => entry.startsWith('tokens-b.json.corrupt-')));
+});
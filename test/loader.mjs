@@ -0,0 +1,75 @@
+// Lets node --test load lib/ the way Next bundles it: ES modules in .js files,
+// imported without their extension, with CommonJS packages' default export
+// interop (`import GoogleProvider from 'next-auth/providers/google'`).
+import { existsSync, readFileSync, statSync } from 'fs';
+import { dirname, join } from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const ROOT = new URL('../', import.meta.url).href;
+const INTEROP = '?interop';
+
+const isInRepo = url => url?.startsWith(ROOT) && !url.includes('/node_modules/');
+
+// Helper to find the file an extensionless import points at
+function findFile(url) {
+  const path = fileURLToPath(url);
+  if (existsSync(path) && statSync(path).isFile()) return url;
+  if (existsSync(`${path}.js`)) return `${url}.js`;
+  if (existsSync(`${path}/index.js`)) return `${url}/index.js`;
+  return null;
+}
+
+// Helper to tell whether Node would load a package file as CommonJS
+function isCommonJs(url) {
+  if (!url.startsWith('file:') || url.endsWith('.mjs')) return false;
+  if (url.endsWith('.cjs')) return true;
+  for (let dir = dirname(fileURLToPath(url)); dir !== dirname(dir); dir = dirname(dir)) {
+    const packageFile = join(dir, 'package.json');
+    if (existsSync(packageFile)) return JSON.parse(readFileSync(packageFile, 'utf8')).type !== 'module';
+  }
+  return true;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  if (!isInRepo(context.parentURL)) return nextResolve(specifier, context);
+
+  if (specifier.startsWith('.') || specifier.startsWith('/')) {
+    const url = findFile(new URL(specifier, context.parentURL).href);
+    if (url) return { url, shortCircuit: true };
+    return nextResolve(specifier, context);
+  }
+
+  let resolved;
+  try {
+    resolved = await nextResolve(specifier, context);
+  } catch (error) {
+    // Subpaths like next-auth/next, in packages without an exports map
+    const url = findFile(new URL(`node_modules/${specifier}`, ROOT).href);
+    if (!url) throw error;
+    resolved = { url };
+  }
+  if (resolved.format !== 'module' && resolved.format !== 'builtin' && isCommonJs(resolved.url)) {
+    return { url: `${resolved.url}${INTEROP}`, shortCircuit: true };
+  }
+  return resolved;
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.endsWith(INTEROP)) {
+    const path = fileURLToPath(url.slice(0, -INTEROP.length));
+    const names = Object.keys(createRequire(path)(path))
+      .filter(name => name !== 'default' && /^[A-Za-z_$][\w$]*$/.test(name));
+    const source = [
+      `import { createRequire } from 'module';`,
+      `const mod = createRequire(${JSON.stringify(path)})(${JSON.stringify(path)});`,
+      `export default mod && mod.__esModule && 'default' in mod ? mod.default : mod;`,
+      ...(names.length ? [`export const { ${names.join(', ')} } = mod;`] : []),
+    ].join('\n');
+    return { format: 'module', source, shortCircuit: true };
+  }
+  if (isInRepo(url) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
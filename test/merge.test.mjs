@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeText, resolveMerge } from '../lib/merge.js';
+
+const base = ['one', 'two', 'three', 'four', 'five'].join('\n');
+
+test('takes changes to different lines from both sides', () => {
+  const mine = base.replace('two', 'TWO');
+  const theirs = base.replace('five', 'five\nsix');
+  const chunks = mergeText(base, mine, theirs);
+
+  assert.ok(chunks.every(chunk => chunk.type === 'merged'));
+  assert.equal(resolveMerge(chunks, []), 'one\nTWO\nthree\nfour\nfive\nsix');
+});
+
+test('takes the same change made on both sides once', () => {
+  const edited = base.replace('three', 'THREE');
+  const chunks = mergeText(base, edited, edited);
+  assert.deepEqual(chunks, [{ type: 'merged', lines: edited.split('\n') }]);
+});
+
+test('reports lines both sides changed differently as a conflict', () => {
+  const chunks = mergeText(base, base.replace('three', 'mine'), base.replace('three', 'theirs'));
+  assert.deepEqual(chunks, [
+    { type: 'merged', lines: ['one', 'two'] },
+    { type: 'conflict', base: ['three'], mine: ['mine'], theirs: ['theirs'] },
+    { type: 'merged', lines: ['four', 'five'] },
+  ]);
+});
+
+test('resolves each conflict with the choice made for it', () => {
+  const mine = base.replace('one', 'mine 1').replace('four', 'mine 4');
+  const theirs = base.replace('one', 'theirs 1').replace('four', 'theirs 4');
+  const chunks = mergeText(base, mine, theirs);
+  assert.equal(chunks.filter(chunk => chunk.type === 'conflict').length, 2);
+
+  assert.equal(resolveMerge(chunks, ['theirs', 'both']), 'theirs 1\ntwo\nthree\nmine 4\ntheirs 4\nfive');
+  // Without a choice, a conflict keeps the local edit
+  assert.equal(resolveMerge(chunks, []), mine);
+});
+
+test('merges a deletion with an edit elsewhere, and conflicts with an edit of the deleted line', () => {
+  const deleted = base.replace('two\n', '');
+  assert.equal(resolveMerge(mergeText(base, deleted, base.replace('five', '5')), []), 'one\nthree\nfour\n5');
+
+  const [, conflict] = mergeText(base, deleted, base.replace('two', '2'));
+  assert.deepEqual(conflict, { type: 'conflict', base: ['two'], mine: [], theirs: ['2'] });
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addReport, REPORT_HIDE_THRESHOLD } from '../lib/moderation.js';
+
+// Helper to report an item the way store.update would apply it
+function reportTimes(count, { signedIn }) {
+  let item = { id: 'abc' };
+  for (let index = 0; index < count; index += 1) {
+    item = { ...item, ...addReport(item, { reporter: `reporter-${index}`, signedIn, reason: 'spam', note: null }) };
+  }
+  return item;
+}
+
+test('anonymous reports only queue an item for review', () => {
+  const item = reportTimes(REPORT_HIDE_THRESHOLD + 5, { signedIn: false });
+  assert.equal(item.reports.length, REPORT_HIDE_THRESHOLD + 5);
+  assert.equal(item.hiddenAt, undefined);
+});
+
+test('enough signed-in reporters hide an item', () => {
+  assert.equal(reportTimes(REPORT_HIDE_THRESHOLD - 1, { signedIn: true }).hiddenAt, undefined);
+  const item = reportTimes(REPORT_HIDE_THRESHOLD, { signedIn: true });
+  assert.equal(item.hiddenReason, 'reports');
+});
+
+test('a reporter counts once', () => {
+  let item = { id: 'abc' };
+  for (let index = 0; index < REPORT_HIDE_THRESHOLD; index += 1) {
+    item = { ...item, ...addReport(item, { reporter: 'same', signedIn: true, reason: 'spam', note: null }) };
+  }
+  assert.equal(item.reports.length, 1);
+  assert.equal(item.hiddenAt, undefined);
+});
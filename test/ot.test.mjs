@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applyOperation,
+  compose,
+  getOperation,
+  isNoop,
+  isOperation,
+  transform,
+  transformIndex,
+  transformSelection,
+} from '../lib/ot.js';
+
+// A small seeded random number generator, so a failing case can be run again
+function createRandom(seed) {
+  let state = seed;
+  return (max) => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state % max;
+  };
+}
+
+// Helper to make a random operation against `text`, with several edits spread over it
+function randomOperation(text, random) {
+  const ops = [];
+  let index = 0;
+  while (index < text.length || (!ops.length && random(2))) {
+    const count = Math.min(random(4) + 1, text.length - index);
+    const kind = random(3);
+    if (kind === 0 && count) {
+      ops.push(count);
+      index += count;
+    } else if (kind === 1 && count) {
+      ops.push(-count);
+      index += count;
+    } else {
+      ops.push('xyz'.slice(0, random(3) + 1));
+    }
+  }
+  return ops;
+}
+
+test('turns one text into another', () => {
+  const ops = getOperation('hello world', 'hello brave new world');
+  assert.deepEqual(ops, [6, 'brave new ', 5]);
+  assert.equal(applyOperation('hello world', ops), 'hello brave new world');
+  assert.equal(applyOperation('abc', getOperation('abc', '')), '');
+  assert.ok(isNoop(getOperation('same', 'same')));
+});
+
+test('refuses operations made for another text', () => {
+  assert.throws(() => applyOperation('short', [10]), /document length/);
+  assert.ok(isOperation([3, 'a', -2]));
+  assert.ok(!isOperation([3, 0]));
+  assert.ok(!isOperation([1.5]));
+  assert.ok(!isOperation('abc'));
+});
+
+test('concurrent edits converge whichever is applied first', () => {
+  const random = createRandom(42);
+  for (let i = 0; i < 500; i++) {
+    const text = 'abcdefghij'.slice(0, random(11));
+    const a = randomOperation(text, random);
+    const b = randomOperation(text, random);
+    const [aPrime, bPrime] = transform(a, b);
+    assert.equal(
+      applyOperation(applyOperation(text, a), bPrime),
+      applyOperation(applyOperation(text, b), aPrime),
+      `${JSON.stringify(text)} ${JSON.stringify(a)} ${JSON.stringify(b)}`,
+    );
+  }
+});
+
+test('puts the first operation first when both insert at the same spot', () => {
+  const [aPrime, bPrime] = transform([2, 'A', 2], [2, 'B', 2]);
+  assert.equal(applyOperation(applyOperation('abcd', [2, 'A', 2]), bPrime), 'abABcd');
+  assert.equal(applyOperation(applyOperation('abcd', [2, 'B', 2]), aPrime), 'abABcd');
+});
+
+test('deletes overlapping ranges once', () => {
+  const a = [1, -3, 2];
+  const b = [2, -3, 1];
+  const [aPrime, bPrime] = transform(a, b);
+  assert.equal(applyOperation(applyOperation('abcdef', a), bPrime), 'af');
+  assert.equal(applyOperation(applyOperation('abcdef', b), aPrime), 'af');
+});
+
+test('composes two edits into one with the same effect', () => {
+  const random = createRandom(7);
+  for (let i = 0; i < 300; i++) {
+    const text = 'abcdefghij'.slice(0, random(11));
+    const a = randomOperation(text, random);
+    const middle = applyOperation(text, a);
+    const b = randomOperation(middle, random);
+    assert.equal(applyOperation(text, compose(a, b)), applyOperation(middle, b));
+  }
+});
+
+test('moves cursors past other people\'s edits', () => {
+  // Insert before the cursor, delete around it, edit after it
+  assert.equal(transformIndex(3, ['ab', 5]), 5);
+  assert.equal(transformIndex(3, [1, -4]), 1);
+  assert.equal(transformIndex(1, [3, 'zz', 2]), 1);
+  assert.deepEqual(transformSelection({ anchor: 0, head: 4 }, ['x', 2, -2]), { anchor: 1, head: 3 });
+  assert.equal(transformSelection(null, [1]), null);
+});
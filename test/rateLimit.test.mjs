@@ -0,0 +1,34 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkRateLimit, getClientIp } from '../lib/rateLimit.js';
+
+const request = forwardedFor => ({
+  headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {},
+  socket: { remoteAddress: '10.0.0.5' },
+});
+
+afterEach(() => {
+  delete process.env.TRUST_PROXY;
+});
+
+test('ignores X-Forwarded-For unless a proxy is trusted', () => {
+  assert.equal(getClientIp(request('203.0.113.7')), '10.0.0.5');
+});
+
+test('takes the address the trusted proxies saw', () => {
+  process.env.TRUST_PROXY = '1';
+  assert.equal(getClientIp(request('198.51.100.1, 203.0.113.7')), '203.0.113.7');
+  assert.equal(getClientIp(request()), '10.0.0.5');
+});
+
+test('a new X-Forwarded-For and visitor on each request still share one bucket', () => {
+  const now = Date.now();
+  const results = Array.from({ length: 11 }, (_, index) => checkRateLimit(
+    request(`203.0.113.${index}`),
+    { ownerId: `visitor:${index}` },
+    'create',
+    now,
+  ));
+  assert.equal(results.filter(Boolean).length, 1);
+  assert.ok(results[10].retryAfter > 0);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  canViewRevisions,
+  getRevisions,
+  getVersion,
+  MAX_REVISIONS,
+  parseIfMatch,
+  reviseItem,
+  serializeRevision,
+  VersionConflictError,
+} from '../lib/revisions.js';
+
+const visitor = id => ({ user: null, visitorId: id, anonymousIds: [`visitor:${id}`], ownerId: `visitor:${id}`, ownerIds: [`visitor:${id}`] });
+const owner = visitor('owner');
+const editor = { ...visitor('editor'), user: { id: 'e', name: 'Eddie' }, ownerId: 'user:e', ownerIds: ['user:e'] };
+
+const item = { id: 'abc', text: 'first', creatorId: owner.ownerId, createdAt: '2026-01-01T00:00:00.000Z' };
+
+test('derives the first revision from an item that was never edited', () => {
+  assert.deepEqual(getRevisions(item), [{
+    number: 1,
+    text: 'first',
+    encryption: null,
+    authorId: owner.ownerId,
+    authorName: null,
+    createdAt: item.createdAt,
+  }]);
+  assert.equal(getVersion(item), 1);
+});
+
+test('saves each edit as the next revision', () => {
+  const edited = { ...item, ...reviseItem(item, { text: 'second', identity: editor }) };
+  const again = { ...edited, ...reviseItem(edited, { text: 'first', identity: owner, restoredFrom: 1 }) };
+
+  assert.equal(again.text, 'first');
+  assert.equal(getVersion(again), 3);
+  assert.deepEqual(getRevisions(again).map(revision => [revision.number, revision.text]), [[1, 'first'], [2, 'second'], [3, 'first']]);
+  assert.equal(getRevisions(again)[1].authorName, 'Eddie');
+  assert.equal(getRevisions(again)[2].restoredFrom, 1);
+});
+
+test('refuses an edit made against an older version', () => {
+  const edited = { ...item, ...reviseItem(item, { text: 'second', identity: editor, baseVersion: 1 }) };
+  assert.throws(
+    () => reviseItem(edited, { text: 'stale', identity: owner, baseVersion: 1 }),
+    error => error instanceof VersionConflictError && error.item === edited,
+  );
+});
+
+test('keeps only the latest MAX_REVISIONS', () => {
+  let current = item;
+  for (let i = 0; i < MAX_REVISIONS + 5; i++) {
+    current = { ...current, ...reviseItem(current, { text: `edit ${i}`, identity: owner }) };
+  }
+  const revisions = getRevisions(current);
+  assert.equal(revisions.length, MAX_REVISIONS);
+  assert.equal(getVersion(current), MAX_REVISIONS + 6);
+  assert.equal(revisions[0].number, 7);
+});
+
+test('reads versions sent as If-Match', () => {
+  assert.equal(parseIfMatch('"3"'), 3);
+  assert.equal(parseIfMatch('W/"12", "13"'), 12);
+  assert.equal(parseIfMatch('*'), null);
+  assert.equal(parseIfMatch(undefined), null);
+  assert.ok(Number.isNaN(parseIfMatch('"abc"')));
+});
+
+test('shows who wrote a revision without giving away their ids', () => {
+  const edited = { ...item, ...reviseItem(item, { text: 'second', identity: editor }) };
+  const [first, second] = getRevisions(edited).map(revision => serializeRevision(revision, edited, editor));
+
+  assert.equal(first.byOwner, true);
+  assert.equal(first.byYou, false);
+  assert.equal(second.byOwner, false);
+  assert.equal(second.byYou, true);
+  assert.ok(!('authorId' in second));
+});
+
+test('keeps the history of burn-after-reading items to their owner', () => {
+  const burn = { ...item, burnAfterReading: true };
+  assert.equal(canViewRevisions(burn, owner), true);
+  assert.equal(canViewRevisions(burn, editor), false);
+  assert.equal(canViewRevisions(item, editor), true);
+});
@@ -0,0 +1,104 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+// The adapters are created directly, each with its own directory
+const dataDir = mkdtempSync(path.join(tmpdir(), 'textide-storage-'));
+process.env.CLIPBOARD_DATA_DIR = dataDir;
+
+const { purgeExpiredItems, UNDO_WINDOW_MS } = await import('../lib/storage/index.js');
+const adapters = {
+  json: await import('../lib/storage/json.js'),
+  sqlite: await import('../lib/storage/sqlite.js'),
+};
+
+after(() => {
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+const MINUTE_MS = 60 * 1000;
+const now = Date.now();
+
+// Helper to make an item created `minutesAgo`, with anything else it needs
+function makeItem(id, minutesAgo, fields = {}) {
+  return {
+    id,
+    text: id,
+    createdAt: new Date(now - minutesAgo * MINUTE_MS).toISOString(),
+    expiresAt: null,
+    visibility: 'public',
+    creatorId: 'visitor:someone',
+    likes: [],
+    likesCount: 0,
+    ...fields,
+  };
+}
+
+const items = [
+  makeItem('public-new', 1),
+  makeItem('public-liked', 2, { likesCount: 5 }),
+  makeItem('public-old', 3, { likesCount: 5 }),
+  makeItem('unlisted', 4, { visibility: 'unlisted' }),
+  makeItem('mine-private', 5, { visibility: 'private', creatorId: 'visitor:me' }),
+  makeItem('burn', 6, { burnAfterReading: true }),
+  makeItem('flagged', 7, { flaggedAt: new Date(now).toISOString() }),
+  makeItem('expired', 8, { expiresAt: new Date(now - MINUTE_MS).toISOString() }),
+  makeItem('tombstone', 9, { deletedAt: new Date(now - UNDO_WINDOW_MS - MINUTE_MS).toISOString() }),
+  makeItem('mine-deleted', 10, { creatorId: 'visitor:me', deletedAt: new Date(now).toISOString() }),
+];
+
+const ids = list => list.map(item => item.id);
+
+Object.entries(adapters).forEach(([name, { createStore }]) => {
+  test(`${name}: filters, sorts and pages lists`, async () => {
+    const store = createStore({ dataDir: mkdtempSync(path.join(dataDir, `${name}-`)) });
+    for (const item of items) await store.create(item);
+
+    assert.deepEqual(ids(await store.list()), [
+      'public-new', 'public-liked', 'public-old', 'unlisted', 'mine-private', 'burn', 'flagged', 'mine-deleted',
+    ]);
+    assert.deepEqual(ids(await store.list({ listedFor: ['visitor:me'] })), ['public-new', 'public-liked', 'public-old', 'mine-private']);
+    assert.deepEqual(ids(await store.list({ listedFor: ['visitor:me'], visibility: 'private' })), ['mine-private']);
+    assert.deepEqual(ids(await store.list({ ownedBy: ['visitor:me'] })), ['mine-private', 'mine-deleted']);
+
+    const liked = await store.list({ listedFor: [], sort: 'likes', limit: 2 });
+    assert.deepEqual(ids(liked), ['public-liked', 'public-old']);
+    const rest = await store.list({ listedFor: [], sort: 'likes', after: [5, liked[1].createdAt, liked[1].id] });
+    assert.deepEqual(ids(rest), ['public-new']);
+    assert.deepEqual(ids(await store.list({ listedFor: [], after: [items[0].createdAt, items[0].id] })), ['public-liked', 'public-old']);
+
+    // Changes move an item in and out of the lists
+    await store.update('unlisted', { visibility: 'public' });
+    await store.toggleLike('public-new', 'visitor:a');
+    assert.deepEqual(ids(await store.list({ listedFor: [], sort: 'likes' })), ['public-liked', 'public-old', 'public-new', 'unlisted']);
+
+    assert.deepEqual(ids(await store.purgeExpired(now)).sort(), ['expired', 'tombstone']);
+    assert.equal(await store.get('expired'), null);
+  });
+});
+
+test('sqlite: adds the columns to a database from before them', async () => {
+  const dir = mkdtempSync(path.join(dataDir, 'migrate-'));
+  const db = new Database(path.join(dir, 'clipboard.db'));
+  db.exec('CREATE TABLE clipboard_items (id TEXT PRIMARY KEY, created_at INTEGER NOT NULL, data TEXT NOT NULL)');
+  const insert = db.prepare('INSERT INTO clipboard_items (id, created_at, data) VALUES (?, ?, ?)');
+  items.forEach(item => insert.run(item.id, new Date(item.createdAt).getTime(), JSON.stringify(item)));
+  db.close();
+
+  const store = adapters.sqlite.createStore({ dataDir: dir });
+  assert.deepEqual(ids(await store.list({ listedFor: ['visitor:me'] })), ['public-new', 'public-liked', 'public-old', 'mine-private']);
+  assert.deepEqual(ids(await store.purgeExpired(now)).sort(), ['expired', 'tombstone']);
+});
+
+test('purges expired items at most once a minute', async () => {
+  let purges = 0;
+  const store = { purgeExpired: async () => { purges++; return []; } };
+  await purgeExpiredItems(store, now);
+  await purgeExpiredItems(store, now + 1000);
+  assert.equal(purges, 1);
+  await purgeExpiredItems(store, now + 2 * MINUTE_MS);
+  assert.equal(purges, 2);
+});
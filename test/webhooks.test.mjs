@@ -0,0 +1,183 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+// Webhooks are kept in CLIPBOARD_DATA_DIR, which is read when lib/storage loads
+const dataDir = mkdtempSync(path.join(tmpdir(), 'textide-webhooks-'));
+process.env.CLIPBOARD_DATA_DIR = dataDir;
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+process.env.WEBHOOK_RETRY_DELAYS_MS = '200,200';
+
+const {
+  createWebhook,
+  getWebhookUrlError,
+  listDeliveries,
+  queueWebhooks,
+  redeliver,
+  signPayload,
+} = await import('../lib/webhooks.js');
+const { getStore } = await import('../lib/storage/index.js');
+
+const owner = { user: { id: 'u1' }, ownerId: 'user:u1', ownerIds: ['user:u1'], anonymousIds: [] };
+const admin = { user: { id: 'admin' }, ownerId: 'user:admin', ownerIds: ['user:admin'], anonymousIds: [] };
+
+// A local receiver that answers with the next status in `statuses`, then 200
+const received = [];
+const statuses = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body, at: Date.now() });
+    res.writeHead(statuses.shift() || 200, { 'Content-Type': 'text/plain' });
+    res.end('thanks');
+  });
+});
+let receiverUrl;
+
+// Helper to make an item the way the store holds one
+function makeItem(id, creatorId = owner.ownerId) {
+  return { id, text: `text of ${id}`, createdAt: new Date().toISOString(), creatorId, likes: [], likesCount: 0 };
+}
+
+// Helper to wait for a webhook's deliveries to finish
+async function settle(webhookId, count) {
+  for (let i = 0; i < 100; i++) {
+    const deliveries = await listDeliveries(webhookId);
+    if (deliveries.length >= count && deliveries.every(delivery => delivery.status !== 'pending')) return deliveries;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Deliveries did not finish');
+}
+
+before(async () => {
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(async () => {
+  await new Promise(resolve => receiver.close(resolve));
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('signs each delivery with the webhook secret', async () => {
+  const webhook = await createWebhook({ url: receiverUrl, events: ['created'] }, owner);
+  await queueWebhooks('created', makeItem('signed'));
+  const [delivery] = await settle(webhook.id, 1);
+
+  const request = received.find(candidate => candidate.headers['x-textide-delivery'] === delivery.id);
+  const timestamp = request.headers['x-textide-timestamp'];
+  const expected = signPayload(webhook.secret, timestamp, request.body);
+  assert.equal(request.headers['x-textide-signature'], expected);
+  assert.ok(crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(request.headers['x-textide-signature'])));
+  assert.equal(request.headers['x-textide-event'], 'created');
+  assert.equal(JSON.parse(request.body).snippet.id, 'signed');
+  assert.notEqual(signPayload('another secret', timestamp, request.body), expected);
+});
+
+test('only queues the events and snippets a webhook asked for', async () => {
+  const webhook = await createWebhook({ url: receiverUrl, events: ['deleted'] }, owner);
+  await queueWebhooks('created', makeItem('not-this-event'));
+  await queueWebhooks('deleted', makeItem('someone-elses', 'user:u2'));
+  assert.equal((await listDeliveries(webhook.id)).length, 0);
+
+  await queueWebhooks('deleted', makeItem('this-one'));
+  const deliveries = await settle(webhook.id, 1);
+  assert.deepEqual(deliveries.map(delivery => [delivery.event, delivery.itemId]), [['deleted', 'this-one']]);
+});
+
+test('retries a delivery the receiver turned away, after the backoff delay', async () => {
+  const webhook = await createWebhook({ url: receiverUrl, events: ['updated'] }, owner);
+  statuses.push(500);
+  await queueWebhooks('updated', makeItem('retried'));
+  const [delivery] = await settle(webhook.id, 1);
+
+  assert.equal(delivery.status, 'succeeded');
+  assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [500, 200]);
+  assert.equal(delivery.attempts[0].response, 'thanks');
+
+  const requests = received.filter(request => request.headers['x-textide-delivery'] === delivery.id);
+  assert.equal(requests.length, 2);
+  assert.ok(requests[1].at - requests[0].at >= 200);
+});
+
+test('gives up after the last retry', async () => {
+  const webhook = await createWebhook({ url: receiverUrl, events: ['liked'] }, owner);
+  statuses.push(503, 503, 503);
+  await queueWebhooks('liked', makeItem('failing'));
+  const [delivery] = await settle(webhook.id, 1);
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts.length, 3);
+});
+
+test('redelivers the same body as a new delivery', async () => {
+  const webhook = await createWebhook({ url: receiverUrl, events: ['expired'] }, owner);
+  await queueWebhooks('expired', makeItem('again'));
+  const [original] = await settle(webhook.id, 1);
+
+  const redelivery = await redeliver(webhook.id, original.id);
+  const deliveries = await settle(webhook.id, 2);
+  const sent = deliveries.find(delivery => delivery.id === redelivery.id);
+
+  assert.equal(sent.redeliveryOf, original.id);
+  assert.equal(sent.status, 'succeeded');
+  const request = received.find(candidate => candidate.headers['x-textide-delivery'] === redelivery.id);
+  assert.equal(request.body, original.body);
+  assert.equal(await redeliver(webhook.id, 'missing'), null);
+});
+
+test('global webhooks only hear about snippets in the public list', async () => {
+  const webhook = await createWebhook({ url: receiverUrl, events: ['created'], global: true }, admin);
+  await queueWebhooks('created', { ...makeItem('private-one'), visibility: 'private' });
+  await queueWebhooks('created', { ...makeItem('unlisted-one'), visibility: 'unlisted' });
+  await queueWebhooks('created', { ...makeItem('burned-one'), visibility: 'public', burnAfterReading: true });
+  await queueWebhooks('created', { ...makeItem('public-one'), visibility: 'public' });
+
+  const deliveries = await settle(webhook.id, 1);
+  assert.deepEqual(deliveries.map(delivery => delivery.itemId), ['public-one']);
+});
+
+test('keeps the text out of the log and sends it only while the snippet is there', async () => {
+  const store = await getStore();
+  const item = await store.create({ ...makeItem('kept'), text: 'the burned text', burnAfterReading: true });
+  const webhook = await createWebhook({ url: receiverUrl, events: ['created'] }, owner);
+  await queueWebhooks('created', item);
+  const [delivery] = await settle(webhook.id, 1);
+
+  assert.equal(JSON.parse(delivery.body).snippet.text, undefined);
+  const sent = received.find(candidate => candidate.headers['x-textide-delivery'] === delivery.id);
+  assert.equal(JSON.parse(sent.body).snippet.text, 'the burned text');
+
+  // Once the snippet is burned, a redelivery has no text left to send
+  await store.delete(item.id);
+  const redelivery = await redeliver(webhook.id, delivery.id);
+  await settle(webhook.id, 2);
+  const resent = received.find(candidate => candidate.headers['x-textide-delivery'] === redelivery.id);
+  assert.equal(JSON.parse(resent.body).snippet.text, undefined);
+  assert.equal(resent.body, delivery.body);
+});
+
+test('refuses hosts that resolve to private addresses, when saved and when sending', async () => {
+  const webhook = await createWebhook({ url: receiverUrl, events: ['created'] }, owner);
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'false';
+  try {
+    assert.match(await getWebhookUrlError('http://localhost/hook'), /private or local/);
+    assert.match(await getWebhookUrlError('http://[::ffff:10.0.0.1]/hook'), /private or local/);
+    assert.match(await getWebhookUrlError('http://169.254.169.254/latest'), /private or local/);
+    assert.equal(await getWebhookUrlError('ftp://example.com/'), 'Webhook URLs must use http or https');
+    assert.equal(await getWebhookUrlError('http://93.184.215.14/hook'), null);
+
+    const before = received.length;
+    await queueWebhooks('created', makeItem('refused'));
+    const deliveries = await settle(webhook.id, 1);
+    assert.match(deliveries[0].attempts[0].error, /private or local/);
+    assert.equal(received.length, before);
+  } finally {
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+  }
+});